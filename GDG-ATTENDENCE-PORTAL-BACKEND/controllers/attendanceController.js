@@ -1,21 +1,106 @@
 /**
  * Attendance Controller
  *
- * Handles online meeting attendance via unique attendance links.
+ * Handles self check-in: attendance links (online and hybrid meetings, and
+ * offline meetings that allow them) and QR scans (offline and hybrid
+ * meetings). Which methods a meeting accepts, and the location each
+ * needs, come from its check-in rules (utils/checkInRules.js).
  *
- * Flow:
- *   1. Admin creates an online meeting → attendanceToken is auto-generated
+ * Link flow:
+ *   1. Admin creates a meeting with link check-in → attendanceToken is auto-generated
  *   2. Admin / PR shares the attendance link: /attend/<token>
  *   3. Member opens the link (authenticated) → GET /attendance/:token
  *      → Returns meeting info + whether they already attended
  *   4. Member clicks "Join Meeting" → POST /attendance/:token/mark
  *      → Marks attendance, returns meetingLink (Google Meet URL)
  *   5. Frontend opens the Meet link in a new tab
+ *   6. If the meeting has check-out enabled, the member clicks "Leave"
+ *      → POST /attendance/:token/leave records the check-out
+ *
+ * Offline meetings with check-out enabled use a second QR scan instead.
+ *
+ * Meetings with `rsvpRequired` only accept new check-ins (either method)
+ * from members holding a 'going' RSVP (services/rsvpService.js).
  */
 
 const Meeting = require('../models/Meeting')
 const Attendance = require('../models/Attendance')
 const User = require('../models/User')
+const { verifyQRPayload } = require('../utils/qrToken')
+const { getFeedSnapshot, publishCheckIn } = require('../services/attendanceFeed')
+const { subscribe, attendanceChannel } = require('../services/liveEvents')
+const { openEventStream } = require('../utils/sse')
+const { getMeetingWindow, getCheckInState, classifyArrival } = require('../utils/meetingWindow')
+const { withStay } = require('../utils/attendanceStay')
+const { recordAudit } = require('../services/auditLog')
+const { getClientInfo, getDeviceId } = require('../utils/clientInfo')
+const { getMeetingGeofence } = require('../utils/geofence')
+const { checkCheckInRule, describeCheckInRules, getEffectiveRule } = require('../utils/checkInRules')
+const { checkInMode } = require('../utils/attendanceMode')
+const { checkRsvpRequirement } = require('../services/rsvpService')
+const { getGraceSeconds } = require('../services/qrRefreshService')
+const Rsvp = require('../models/Rsvp')
+
+// A second scan this soon after checking in is treated as a duplicate, not a check-out
+const CHECK_OUT_COOLDOWN_SECONDS = 120
+
+/**
+ * Record a check-out on an existing attendance record.
+ * Returns the updated record, or null if it was already checked out.
+ */
+async function recordCheckOut(record, method, now = new Date()) {
+  return Attendance.findOneAndUpdate(
+    { _id: record._id, checkedOutAt: null },
+    { checkedOutAt: now, checkOutMethod: method },
+    { new: true }
+  ).lean()
+}
+
+/**
+ * Device and network details stored with a new check-in.
+ */
+function checkInSource(req) {
+  const { ip, userAgent } = getClientInfo(req)
+  return { deviceId: getDeviceId(req), clientIp: ip, userAgent }
+}
+
+/**
+ * Audit a member's own check-in or check-out.
+ */
+function auditAttendance(req, { action, record, member, meeting, before = null, after }) {
+  return recordAudit(req, {
+    action,
+    actor: member,
+    targetType: 'attendance',
+    target: record._id,
+    targetLabel: member.email,
+    before,
+    after,
+    meta: { meeting: meeting._id, meetingTitle: meeting.title },
+  })
+}
+
+/**
+ * Check-in requirements sent to attendance pages: the enabled methods
+ * and, when a method checks the geofence, the fence to show.
+ */
+function checkInRequirements(meeting) {
+  const geofence = getMeetingGeofence(meeting)
+  const methods = describeCheckInRules(meeting)
+  return {
+    methods,
+    geofence: methods.some(({ rule }) => rule === 'geofence')
+      ? {
+          shape: geofence.shape,
+          center: geofence.center,
+          radius: geofence.radius,
+          polygon: geofence.polygon,
+          maxAccuracy: geofence.maxAccuracy,
+        }
+      : null,
+    venue: meeting.venue ? { name: meeting.venue.name } : null,
+  }
+}
 
 /**
  * GET /api/attendance/:token
@@ -36,6 +121,7 @@ const getAttendancePage = async (req, res) => {
 
     const meeting = await Meeting.findOne({ attendanceToken: token })
       .populate('createdBy', 'name email')
+      .populate('venue', 'name geofence')
       .lean()
 
     if (!meeting) {
@@ -46,27 +132,26 @@ const getAttendancePage = async (req, res) => {
       })
     }
 
-    // Check if the meeting is an online meeting
-    if (meeting.type !== 'online') {
+    // Check the meeting accepts link check-ins
+    if (getEffectiveRule(meeting, 'link') === 'off') {
       return res.status(400).json({
         success: false,
-        error: 'BadRequest',
-        message: 'This attendance link is only valid for online meetings.',
+        error: 'MethodNotAllowed',
+        message: 'This meeting does not accept check-in by link. Scan the QR code at the venue instead.',
       })
     }
 
-    // Check time window — the meeting must be active (within its start–end window)
-    const now = new Date()
-    const start = new Date(meeting.dateTime)
-    const end = new Date(start.getTime() + (meeting.duration || 60) * 60000)
-
-    let status = 'live'
-    if (now < start) status = 'upcoming'
-    else if (now >= end) status = 'ended'
+    // Check the check-in window — 'live' while check-in is open, 'closed'
+    // once it has closed but the meeting is still running
+    const { checkInOpensAt, checkInClosesAt } = getMeetingWindow(meeting)
+    const checkInState = getCheckInState(meeting)
+    const status = checkInState === 'open' ? 'live' : checkInState
 
     // Check if this user already marked attendance
     const dbUser = await User.findOne({ firebaseUid: req.user.uid }).lean()
     let alreadyAttended = false
+    let checkedOutAt = null
+    let rsvpStatus = null
     if (dbUser) {
       // Check participation restriction
       if (meeting.participation === 'selected') {
@@ -87,6 +172,12 @@ const getAttendancePage = async (req, res) => {
         user: dbUser._id,
       }).lean()
       alreadyAttended = !!existing
+      checkedOutAt = existing?.checkedOutAt || null
+
+      if (meeting.rsvpRequired) {
+        const rsvp = await Rsvp.findOne({ meeting: meeting._id, user: dbUser._id }).select('status').lean()
+        rsvpStatus = rsvp?.status || null
+      }
     }
 
     return res.status(200).json({
@@ -99,11 +190,23 @@ const getAttendancePage = async (req, res) => {
           type: meeting.type,
           dateTime: meeting.dateTime,
           duration: meeting.duration,
+          checkInOpensAt,
+          checkInClosesAt,
+          checkOutEnabled: !!meeting.checkOutEnabled,
+          minimumStayMinutes: meeting.minimumStayMinutes,
+          location: meeting.location,
           meetingLink: meeting.meetingLink,
           createdBy: meeting.createdBy,
         },
+        checkIn: {
+          ...checkInRequirements(meeting),
+          rule: getEffectiveRule(meeting, 'link'),
+          rsvpRequired: !!meeting.rsvpRequired,
+          rsvpStatus,
+        },
         status,
         alreadyAttended,
+        checkedOutAt,
       },
     })
   } catch (error) {
@@ -133,7 +236,7 @@ const markAttendance = async (req, res) => {
       })
     }
 
-    const meeting = await Meeting.findOne({ attendanceToken: token }).lean()
+    const meeting = await Meeting.findOne({ attendanceToken: token }).populate('venue', 'name geofence').lean()
 
     if (!meeting) {
       return res.status(404).json({
@@ -143,28 +246,35 @@ const markAttendance = async (req, res) => {
       })
     }
 
-    if (meeting.type !== 'online') {
+    if (getEffectiveRule(meeting, 'link') === 'off') {
       return res.status(400).json({
         success: false,
-        error: 'BadRequest',
-        message: 'This attendance link is only valid for online meetings.',
+        error: 'MethodNotAllowed',
+        message: 'This meeting does not accept check-in by link. Scan the QR code at the venue instead.',
       })
     }
 
-    // Check time window
+    // Check the check-in window
     const now = new Date()
-    const start = new Date(meeting.dateTime)
-    const end = new Date(start.getTime() + (meeting.duration || 60) * 60000)
+    const checkInState = getCheckInState(meeting, now)
 
-    if (now < start) {
+    if (checkInState === 'upcoming') {
       return res.status(400).json({
         success: false,
         error: 'TooEarly',
-        message: 'This meeting has not started yet. Please come back when the meeting is live.',
+        message: 'Check-in for this meeting has not opened yet. Please come back when the meeting is live.',
       })
     }
 
-    if (now >= end) {
+    if (checkInState === 'closed') {
+      return res.status(400).json({
+        success: false,
+        error: 'CheckInClosed',
+        message: 'Check-in for this meeting has closed. Attendance can no longer be marked.',
+      })
+    }
+
+    if (checkInState === 'ended') {
       return res.status(400).json({
         success: false,
         error: 'MeetingEnded',
@@ -214,15 +324,38 @@ const markAttendance = async (req, res) => {
       })
     }
 
+    // Meetings that require an RSVP only admit members holding a seat
+    const rsvpCheck = await checkRsvpRequirement(meeting, dbUser._id)
+    if (!rsvpCheck.ok) {
+      return res.status(403).json({
+        success: false,
+        error: rsvpCheck.error,
+        message: rsvpCheck.message,
+      })
+    }
+
+    // Location rule for link check-ins (shared location or the geofence)
+    const { lat, lng, accuracy } = req.body || {}
+    const ruleCheck = checkCheckInRule(meeting, 'link', { lat, lng, accuracy })
+    if (!ruleCheck.ok) {
+      return res.status(400).json({
+        success: false,
+        error: ruleCheck.error,
+        message: ruleCheck.message,
+      })
+    }
+
     // Build attendance record with optional location
     const record = {
       meeting: meeting._id,
       user: dbUser._id,
       method: 'link',
+      mode: checkInMode(meeting, 'link', getEffectiveRule(meeting, 'link')),
       markedAt: now,
+      status: classifyArrival(meeting, now),
+      ...checkInSource(req),
     }
 
-    const { lat, lng, accuracy } = req.body || {}
     if (lat != null && lng != null) {
       record.location = {
         lat: Number(lat),
@@ -231,13 +364,22 @@ const markAttendance = async (req, res) => {
       }
     }
 
-    await Attendance.create(record)
+    const created = await Attendance.create(record)
+    publishCheckIn(created, dbUser)
+    await auditAttendance(req, {
+      action: 'attendance.marked',
+      record: created,
+      member: dbUser,
+      meeting,
+      after: created.toObject(),
+    })
 
     return res.status(201).json({
       success: true,
       data: {
         meetingLink: meeting.meetingLink,
         alreadyAttended: false,
+        status: created.status,
       },
       message: 'Attendance marked successfully! Redirecting to Google Meet…',
     })
@@ -272,7 +414,7 @@ const markAttendance = async (req, res) => {
  * Mark attendance by scanning a QR code (offline meetings).
  *
  * Body:
- *   qrData   – the raw string encoded in the QR code (JSON with meetingId + token)
+ *   qrData   – the raw string encoded in the QR code (signed JSON, see utils/qrToken.js)
  *   lat      – optional latitude
  *   lng      – optional longitude
  *   accuracy – optional GPS accuracy in metres
@@ -289,11 +431,10 @@ const scanQRAttendance = async (req, res) => {
       })
     }
 
-    // Parse the QR payload
-    let parsed
-    try {
-      parsed = JSON.parse(qrData)
-    } catch {
+    // Verify the signed QR payload (signature + expiry) before touching the DB
+    const verification = verifyQRPayload(qrData)
+
+    if (verification.reason === 'malformed') {
       return res.status(400).json({
         success: false,
         error: 'BadRequest',
@@ -301,17 +442,18 @@ const scanQRAttendance = async (req, res) => {
       })
     }
 
-    const { meetingId, token } = parsed
-    if (!meetingId || !token) {
+    if (verification.reason === 'signature') {
       return res.status(400).json({
         success: false,
-        error: 'BadRequest',
-        message: 'Invalid QR code format. Missing meeting information.',
+        error: 'InvalidQR',
+        message: 'This QR code could not be verified. Please scan the QR code displayed by the organizer.',
       })
     }
 
-    // Find the meeting
-    const meeting = await Meeting.findById(meetingId).lean()
+    const { meetingId, token } = verification.payload
+
+    // Find the meeting (with its venue's geofence)
+    const meeting = await Meeting.findById(meetingId).populate('venue', 'name geofence').lean()
     if (!meeting) {
       return res.status(404).json({
         success: false,
@@ -320,16 +462,38 @@ const scanQRAttendance = async (req, res) => {
       })
     }
 
-    // Validate the QR token matches the current meeting QR
-    // The qrData on the meeting is a JSON string; parse it to compare tokens
-    let meetingQrParsed
-    try {
-      meetingQrParsed = JSON.parse(meeting.qrData || '{}')
-    } catch {
-      meetingQrParsed = {}
+    // Locate the scanned token in the meeting's recent-QR ring buffer.
+    // Position in the buffer tells us which generation was scanned.
+    const history = meeting.qrHistory || []
+    const historyIndex = history.findIndex((entry) => entry.token === token)
+
+    if (historyIndex === -1) {
+      return res.status(400).json({
+        success: false,
+        error: 'ExpiredQR',
+        message: 'This QR code has expired. Please scan the latest QR code.',
+      })
+    }
+
+    const generationsBehind = history.length - 1 - historyIndex
+    const scannedGeneration = (meeting.qrGeneration || 0) - generationsBehind
+
+    // A superseded code is accepted for `qrGraceSeconds` after its replacement was issued
+    if (generationsBehind > 0) {
+      const supersededAt = new Date(history[historyIndex + 1].issuedAt)
+      const graceMs = getGraceSeconds(meeting) * 1000
+      if (Date.now() - supersededAt.getTime() > graceMs) {
+        return res.status(400).json({
+          success: false,
+          error: 'ExpiredQR',
+          message: 'This QR code has expired. Please scan the latest QR code.',
+        })
+      }
     }
 
-    if (meetingQrParsed.token !== token) {
+    // An expired signature is only acceptable while auto-refresh is paused
+    // and the scanned code is the one currently on display.
+    if (verification.reason === 'expired' && !(meeting.qrPaused && generationsBehind === 0)) {
       return res.status(400).json({
         success: false,
         error: 'ExpiredQR',
@@ -337,29 +501,40 @@ const scanQRAttendance = async (req, res) => {
       })
     }
 
-    // Check meeting type — QR is for offline meetings
-    if (meeting.type !== 'offline') {
+    // Check the meeting accepts QR check-ins (never the case for online meetings)
+    if (getEffectiveRule(meeting, 'qr') === 'off') {
       return res.status(400).json({
         success: false,
-        error: 'BadRequest',
-        message: 'QR attendance is only available for offline meetings. Use the attendance link for online meetings.',
+        error: 'MethodNotAllowed',
+        message:
+          meeting.type === 'online'
+            ? 'QR attendance is only available for meetings held in person. Use the attendance link for online meetings.'
+            : 'QR check-in is not enabled for this meeting. Use the attendance link shared by the organizer.',
       })
     }
 
-    // Check time window
+    // Check the check-in window
     const now = new Date()
-    const start = new Date(meeting.dateTime)
-    const end = new Date(start.getTime() + (meeting.duration || 60) * 60000)
+    const checkInState = getCheckInState(meeting, now)
 
-    if (now < start) {
+    if (checkInState === 'upcoming') {
       return res.status(400).json({
         success: false,
         error: 'TooEarly',
-        message: 'This meeting has not started yet. Please wait for the meeting to begin.',
+        message: 'Check-in for this meeting has not opened yet. Please wait for the meeting to begin.',
+      })
+    }
+
+    // Once check-in has closed, a scan can still be a check-out — decided below
+    if (checkInState === 'closed' && !meeting.checkOutEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'CheckInClosed',
+        message: 'Check-in for this meeting has closed. Attendance can no longer be marked.',
       })
     }
 
-    if (now >= end) {
+    if (checkInState === 'ended') {
       return res.status(400).json({
         success: false,
         error: 'MeetingEnded',
@@ -391,35 +566,14 @@ const scanQRAttendance = async (req, res) => {
       }
     }
 
-    // Check geofencing
-    if (meeting.geofencing?.enabled) {
-      if (lat == null || lng == null) {
-        return res.status(400).json({
-          success: false,
-          error: 'LocationRequired',
-          message: 'This meeting has geofencing enabled. Please allow location access in your browser and try scanning again.',
-        })
-      }
-
-      // Haversine distance calculation
-      const toRad = (deg) => (deg * Math.PI) / 180
-      const R = 6371000 // Earth radius in metres
-      const dLat = toRad(lat - meeting.geofencing.center.lat)
-      const dLng = toRad(lng - meeting.geofencing.center.lng)
-      const a =
-        Math.sin(dLat / 2) ** 2 +
-        Math.cos(toRad(meeting.geofencing.center.lat)) *
-          Math.cos(toRad(lat)) *
-          Math.sin(dLng / 2) ** 2
-      const distance = R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
-
-      if (distance > meeting.geofencing.radius) {
-        return res.status(400).json({
-          success: false,
-          error: 'OutOfRange',
-          message: `You are outside the allowed geofence. You are approximately ${Math.round(distance)}m away, but you need to be within ${meeting.geofencing.radius}m of the meeting location to mark attendance.`,
-        })
-      }
+    // Location rule for QR check-ins — shared location or the venue's / meeting's geofence
+    const ruleCheck = checkCheckInRule(meeting, 'qr', { lat, lng, accuracy })
+    if (!ruleCheck.ok) {
+      return res.status(400).json({
+        success: false,
+        error: ruleCheck.error,
+        message: ruleCheck.message,
+      })
     }
 
     // Check if already attended
@@ -428,21 +582,78 @@ const scanQRAttendance = async (req, res) => {
       user: dbUser._id,
     }).lean()
 
+    const meetingSummary = {
+      _id: meeting._id,
+      title: meeting.title,
+      type: meeting.type,
+      dateTime: meeting.dateTime,
+      duration: meeting.duration,
+      location: meeting.location,
+    }
+
+    // A second scan checks the member out (if the meeting tracks check-outs)
+    const canCheckOut =
+      meeting.checkOutEnabled &&
+      existing &&
+      !existing.checkedOutAt &&
+      now - new Date(existing.markedAt) >= CHECK_OUT_COOLDOWN_SECONDS * 1000
+
+    if (canCheckOut) {
+      const checkedOut = await recordCheckOut(existing, 'qr', now)
+      if (checkedOut) {
+        await auditAttendance(req, {
+          action: 'attendance.checked_out',
+          record: checkedOut,
+          member: dbUser,
+          meeting,
+          before: { checkedOutAt: null, checkOutMethod: null },
+          after: { checkedOutAt: checkedOut.checkedOutAt, checkOutMethod: 'qr' },
+        })
+        const { stayMinutes, countsTowardAttendance } = withStay(meeting, checkedOut)
+        return res.status(200).json({
+          success: true,
+          data: {
+            meeting: meetingSummary,
+            alreadyAttended: true,
+            checkedOut: true,
+            stayMinutes,
+            countsTowardAttendance,
+          },
+          message: `Checked out after ${stayMinutes} minute${stayMinutes !== 1 ? 's' : ''}.`,
+        })
+      }
+    }
+
     if (existing) {
       return res.status(200).json({
         success: true,
         data: {
-          meeting: {
-            _id: meeting._id,
-            title: meeting.title,
-            type: meeting.type,
-            dateTime: meeting.dateTime,
-            duration: meeting.duration,
-            location: meeting.location,
-          },
+          meeting: meetingSummary,
           alreadyAttended: true,
+          checkedOut: !!existing.checkedOutAt,
         },
-        message: 'You have already marked attendance for this meeting.',
+        message:
+          meeting.checkOutEnabled && !existing.checkedOutAt
+            ? 'You are already checked in. Scan again when you leave to check out.'
+            : 'You have already marked attendance for this meeting.',
+      })
+    }
+
+    if (checkInState === 'closed') {
+      return res.status(400).json({
+        success: false,
+        error: 'CheckInClosed',
+        message: 'Check-in for this meeting has closed. Attendance can no longer be marked.',
+      })
+    }
+
+    // Only members with a seat may check in when the meeting requires an RSVP
+    const rsvpCheck = await checkRsvpRequirement(meeting, dbUser._id)
+    if (!rsvpCheck.ok) {
+      return res.status(403).json({
+        success: false,
+        error: rsvpCheck.error,
+        message: rsvpCheck.message,
       })
     }
 
@@ -451,7 +662,11 @@ const scanQRAttendance = async (req, res) => {
       meeting: meeting._id,
       user: dbUser._id,
       method: 'qr',
+      mode: checkInMode(meeting, 'qr'),
       markedAt: now,
+      status: classifyArrival(meeting, now),
+      qrGenerationsBehind: generationsBehind,
+      ...checkInSource(req),
     }
 
     if (lat != null && lng != null) {
@@ -462,20 +677,33 @@ const scanQRAttendance = async (req, res) => {
       }
     }
 
-    await Attendance.create(record)
+    const created = await Attendance.create(record)
+    publishCheckIn(created, dbUser)
+    await auditAttendance(req, {
+      action: 'attendance.marked',
+      record: created,
+      member: dbUser,
+      meeting,
+      after: created.toObject(),
+    })
+
+    if (generationsBehind > 0) {
+      console.log(
+        `🕒 Stale QR accepted for "${meeting.title}": generation ${scannedGeneration} (${generationsBehind} behind)`
+      )
+    }
 
     return res.status(201).json({
       success: true,
       data: {
-        meeting: {
-          _id: meeting._id,
-          title: meeting.title,
-          type: meeting.type,
-          dateTime: meeting.dateTime,
-          duration: meeting.duration,
-          location: meeting.location,
-        },
+        meeting: meetingSummary,
         alreadyAttended: false,
+        status: created.status,
+        qrGeneration: {
+          scanned: scannedGeneration,
+          current: meeting.qrGeneration || 0,
+          behind: generationsBehind,
+        },
       },
       message: 'Attendance marked successfully!',
     })
@@ -507,6 +735,96 @@ const scanQRAttendance = async (req, res) => {
   }
 }
 
+/**
+ * POST /api/attendance/:token/leave
+ * Check out of an online meeting (only when the meeting has check-out enabled).
+ * Returns how long the member stayed and whether it meets the minimum stay.
+ */
+const leaveMeeting = async (req, res) => {
+  try {
+    const { token } = req.params
+
+    const meeting = await Meeting.findOne({ attendanceToken: token }).lean()
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Invalid attendance link.',
+      })
+    }
+
+    if (!meeting.checkOutEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'This meeting does not track check-outs.',
+      })
+    }
+
+    const now = new Date()
+    if (getCheckInState(meeting, now) === 'ended') {
+      return res.status(400).json({
+        success: false,
+        error: 'MeetingEnded',
+        message: 'This meeting has already ended. Check-out is no longer possible.',
+      })
+    }
+
+    const dbUser = await User.findOne({ firebaseUid: req.user.uid }).lean()
+    if (!dbUser) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'User not found in the system. Please contact an administrator.',
+      })
+    }
+
+    const existing = await Attendance.findOne({
+      meeting: meeting._id,
+      user: dbUser._id,
+    }).lean()
+
+    if (!existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'NotCheckedIn',
+        message: 'You have not marked attendance for this meeting yet.',
+      })
+    }
+
+    const checkedOut = await recordCheckOut(existing, 'link', now)
+    if (checkedOut) {
+      await auditAttendance(req, {
+        action: 'attendance.checked_out',
+        record: checkedOut,
+        member: dbUser,
+        meeting,
+        before: { checkedOutAt: null, checkOutMethod: null },
+        after: { checkedOutAt: checkedOut.checkedOutAt, checkOutMethod: 'link' },
+      })
+    }
+    const record = checkedOut || existing
+    const { stayMinutes, countsTowardAttendance } = withStay(meeting, record)
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        checkedOutAt: record.checkedOutAt,
+        stayMinutes,
+        countsTowardAttendance,
+      },
+      message: `Checked out after ${stayMinutes} minute${stayMinutes !== 1 ? 's' : ''}.`,
+    })
+  } catch (error) {
+    console.error('❌ Leave meeting error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to check out. Please try again.',
+    })
+  }
+}
+
 /**
  * GET /api/attendance/meeting/:meetingId
  * Get all attendance records for a meeting (admin-only).
@@ -544,9 +862,63 @@ const getMeetingAttendance = async (req, res) => {
   }
 }
 
+/**
+ * GET /api/attendance/meeting/:meetingId/stream
+ * Live check-in feed for a meeting over Server-Sent Events (admin, pr).
+ *
+ * Sends a `snapshot` event ({ total, recent }) on connect, then a
+ * `checkin` event ({ entry, total }) whenever markAttendance or
+ * scanQRAttendance creates a record for this meeting.
+ */
+const streamMeetingAttendance = async (req, res) => {
+  try {
+    const { meetingId } = req.params
+
+    const meeting = await Meeting.findById(meetingId).select('_id').lean()
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Meeting not found.',
+      })
+    }
+
+    const snapshot = await getFeedSnapshot(meeting._id)
+
+    const stream = openEventStream(req, res)
+    stream.send('snapshot', snapshot)
+
+    const unsubscribe = subscribe(attendanceChannel(meeting._id), (event) =>
+      stream.send('checkin', event)
+    )
+    stream.onClose(unsubscribe)
+  } catch (error) {
+    console.error('❌ Attendance stream error:', error.message)
+
+    // Once the stream is open we can no longer send a JSON error
+    if (res.headersSent) return res.end()
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid meeting ID format.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to open attendance stream.',
+    })
+  }
+}
+
 module.exports = {
   getAttendancePage,
   markAttendance,
   scanQRAttendance,
+  leaveMeeting,
   getMeetingAttendance,
+  streamMeetingAttendance,
 }
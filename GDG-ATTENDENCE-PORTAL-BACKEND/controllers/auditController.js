@@ -0,0 +1,139 @@
+/**
+ * Audit Controller
+ *
+ * Read access to the audit log (admin-only). Entries are written by
+ * services/auditLog.js from the controllers that change data.
+ */
+
+const mongoose = require('mongoose')
+const AuditLog = require('../models/AuditLog')
+const { AUDIT_ACTIONS } = require('../models/AuditLog')
+
+/**
+ * Escape a string for use inside a RegExp.
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * GET /api/audit
+ *
+ * List audit log entries, newest first.
+ * Query params:
+ *   action     – exact action (e.g. 'meeting.updated') or a prefix ending
+ *                in '.' to match a group (e.g. 'attendance.')
+ *   targetType – 'user' | 'meeting' | 'venue' | 'series' | 'rsvp' | 'attendance'
+ *   target     – id of the changed document
+ *   actor      – id of the User who made the change
+ *   search     – partial match on actor email or target label
+ *   from / to  – ISO date range on createdAt
+ *   page       – page number (default: 1)
+ *   limit      – results per page (default: 50, max: 200)
+ */
+const listAuditLogs = async (req, res) => {
+  try {
+    const {
+      action = '',
+      targetType = '',
+      target = '',
+      actor = '',
+      search = '',
+      from = '',
+      to = '',
+      page = 1,
+      limit = 50,
+    } = req.query
+
+    const filter = {}
+
+    if (action.endsWith('.')) {
+      filter.action = { $regex: `^${escapeRegex(action)}` }
+    } else if (action) {
+      if (!AUDIT_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          success: false,
+          error: 'BadRequest',
+          message: `Unknown action "${action}".`,
+        })
+      }
+      filter.action = action
+    }
+
+    if (['user', 'meeting', 'venue', 'series', 'rsvp', 'attendance'].includes(targetType)) {
+      filter.targetType = targetType
+    }
+
+    for (const [field, value] of [['target', target], ['actor', actor]]) {
+      if (!value) continue
+      if (!mongoose.isValidObjectId(value)) {
+        return res.status(400).json({
+          success: false,
+          error: 'BadRequest',
+          message: `Invalid ${field} ID format.`,
+        })
+      }
+      filter[field] = value
+    }
+
+    if (search.trim()) {
+      const regex = new RegExp(escapeRegex(search.trim()), 'i')
+      filter.$or = [{ actorEmail: regex }, { targetLabel: regex }]
+    }
+
+    const fromDate = from ? new Date(from) : null
+    const toDate = to ? new Date(to) : null
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid date range.',
+      })
+    }
+    if (fromDate || toDate) {
+      filter.createdAt = {}
+      if (fromDate) filter.createdAt.$gte = fromDate
+      if (toDate) filter.createdAt.$lte = toDate
+    }
+
+    // Sanitize pagination
+    const pageNum = Math.max(1, parseInt(page, 10) || 1)
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50))
+    const skip = (pageNum - 1) * limitNum
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name email photoURL')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ])
+
+    const totalPages = Math.ceil(total / limitNum)
+
+    return res.status(200).json({
+      success: true,
+      data: entries,
+      actions: AUDIT_ACTIONS,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1,
+      },
+    })
+  } catch (error) {
+    console.error('❌ List audit logs error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to fetch audit log.',
+    })
+  }
+}
+
+module.exports = {
+  listAuditLogs,
+}
@@ -6,6 +6,7 @@
  */
 
 const User = require('../models/User')
+const { recordAudit } = require('../services/auditLog')
 
 /**
  * POST /api/auth/register
@@ -157,11 +158,7 @@ const updateUserRole = async (req, res) => {
       })
     }
 
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { role },
-      { new: true, runValidators: true }
-    )
+    const user = await User.findById(userId)
 
     if (!user) {
       return res.status(404).json({
@@ -171,6 +168,21 @@ const updateUserRole = async (req, res) => {
       })
     }
 
+    const previousRole = user.role
+    user.role = role
+    await user.save()
+
+    if (previousRole !== role) {
+      await recordAudit(req, {
+        action: 'user.role_changed',
+        targetType: 'user',
+        target: user._id,
+        targetLabel: user.email,
+        before: { role: previousRole },
+        after: { role },
+      })
+    }
+
     console.log(
       `✅ Role updated: ${user.email} → ${role} (by ${req.user.email})`
     )
@@ -0,0 +1,460 @@
+/**
+ * Calendar Controller
+ *
+ * iCalendar (.ics) exports of meetings (see utils/ical.js):
+ *   - a download of a single meeting, for any signed-in user who may
+ *     attend it
+ *   - a per-user subscription feed of every meeting the user may attend.
+ *     Calendar apps cannot send a Firebase ID token, so the feed URL
+ *     carries a secret token instead (User.calendarToken); the user can
+ *     rotate or revoke it at any time.
+ *   - an admin import of meetings from an .ics file (preview first)
+ */
+
+const crypto = require('crypto')
+const User = require('../models/User')
+const Meeting = require('../models/Meeting')
+const { buildCalendar, parseCalendar, eventToMeeting } = require('../utils/ical')
+const { parseGeofence } = require('../utils/geofence')
+const { parseCheckInRules } = require('../utils/checkInRules')
+const { replanActivation } = require('../services/autoActivationService')
+const { recordAudit } = require('../services/auditLog')
+
+const FEED_PAST_DAYS = 90 // how far back the feed lists meetings
+const FEED_MAX_MEETINGS = 500
+const ICAL_MEETING_FIELDS = 'title description type dateTime duration location meetingLink venue createdAt detailsUpdatedAt'
+const IMPORT_MAX_EVENTS = 500
+// Meeting fields an imported event sets (see eventToMeeting)
+const IMPORT_FIELDS = ['title', 'description', 'type', 'dateTime', 'duration', 'location', 'meetingLink']
+
+/**
+ * Filter for the meetings a user may attend ('anyone', or 'selected'
+ * with the user on the participants list).
+ */
+const eligibleMeetingsFilter = (userId) => ({
+  $or: [{ participation: { $ne: 'selected' } }, { participants: userId }],
+})
+
+/**
+ * Public URL of a feed. PUBLIC_API_URL overrides the address the request
+ * came in on (e.g. behind a proxy that rewrites the host).
+ */
+const feedUrl = (req, token) => {
+  const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}/api`
+  return `${base.replace(/\/$/, '')}/calendar/feed/${token}.ics`
+}
+
+/**
+ * A file name for a downloaded meeting, e.g. "Study-Jam-2026-10-19.ics".
+ */
+const icsFileName = (meeting) => {
+  const title = meeting.title.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'meeting'
+  return `${title}-${new Date(meeting.dateTime).toISOString().slice(0, 10)}.ics`
+}
+
+/**
+ * GET /api/meetings/:id/calendar.ics
+ * Download one meeting as an .ics file.
+ */
+const getMeetingCalendar = async (req, res) => {
+  try {
+    const [meeting, dbUser] = await Promise.all([
+      Meeting.findById(req.params.id)
+        .select(`${ICAL_MEETING_FIELDS} participation participants`)
+        .populate('venue', 'name address')
+        .lean(),
+      User.findOne({ firebaseUid: req.user.uid }).select('role').lean(),
+    ])
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Meeting not found.',
+      })
+    }
+
+    // Check participation restriction (admins and PRs see every meeting)
+    if (meeting.participation === 'selected' && !['admin', 'pr'].includes(dbUser?.role)) {
+      const isAllowed = dbUser && meeting.participants?.some(
+        (pid) => pid.toString() === dbUser._id.toString()
+      )
+      if (!isAllowed) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: 'You are not on the participants list for this meeting.',
+        })
+      }
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8')
+    res.setHeader('Content-Disposition', `attachment; filename="${icsFileName(meeting)}"`)
+    return res.status(200).send(buildCalendar([meeting]))
+  } catch (error) {
+    console.error('❌ Meeting calendar error:', error.message)
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid meeting ID format.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to export meeting.',
+    })
+  }
+}
+
+/**
+ * GET /api/calendar/feed
+ * Whether the signed-in user has a calendar feed, and its URL.
+ */
+const getFeedStatus = async (req, res) => {
+  try {
+    const user = await User.findOne({ firebaseUid: req.user.uid }).select('+calendarToken').lean()
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'User profile not found. Please register first.',
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        enabled: Boolean(user.calendarToken),
+        url: user.calendarToken ? feedUrl(req, user.calendarToken) : null,
+      },
+    })
+  } catch (error) {
+    console.error('❌ Calendar feed status error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to fetch calendar feed.',
+    })
+  }
+}
+
+/**
+ * POST /api/calendar/feed
+ * Create the signed-in user's feed, or replace its token (the old URL
+ * stops working).
+ */
+const createFeedToken = async (req, res) => {
+  try {
+    const user = await User.findOne({ firebaseUid: req.user.uid }).select('+calendarToken')
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'User profile not found. Please register first.',
+      })
+    }
+
+    const rotated = Boolean(user.calendarToken)
+    user.calendarToken = crypto.randomBytes(24).toString('base64url')
+    await user.save()
+
+    console.log(`📅 Calendar feed ${rotated ? 'rotated' : 'created'} for ${user.email}`)
+
+    return res.status(rotated ? 200 : 201).json({
+      success: true,
+      message: rotated
+        ? 'New calendar link created — the old one no longer works.'
+        : 'Calendar link created.',
+      data: { enabled: true, url: feedUrl(req, user.calendarToken) },
+    })
+  } catch (error) {
+    console.error('❌ Create calendar feed error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to create calendar feed.',
+    })
+  }
+}
+
+/**
+ * DELETE /api/calendar/feed
+ * Revoke the signed-in user's feed.
+ */
+const revokeFeedToken = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { firebaseUid: req.user.uid },
+      { $unset: { calendarToken: 1 } }
+    ).lean()
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'User profile not found. Please register first.',
+      })
+    }
+
+    console.log(`📅 Calendar feed revoked for ${user.email}`)
+
+    return res.status(200).json({
+      success: true,
+      message: 'Calendar link revoked.',
+      data: { enabled: false, url: null },
+    })
+  } catch (error) {
+    console.error('❌ Revoke calendar feed error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to revoke calendar feed.',
+    })
+  }
+}
+
+/**
+ * GET /api/calendar/feed/:token.ics   (no Firebase auth — the token is the credential)
+ * The user's meetings from the last FEED_PAST_DAYS days onwards.
+ */
+const getCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token }).select('name').lean()
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Calendar feed not found. It may have been revoked.',
+      })
+    }
+
+    const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000)
+    const meetings = await Meeting.find({ dateTime: { $gte: since }, ...eligibleMeetingsFilter(user._id) })
+      .select(ICAL_MEETING_FIELDS)
+      .populate('venue', 'name address')
+      .sort({ dateTime: 1 })
+      .limit(FEED_MAX_MEETINGS)
+      .lean()
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8')
+    res.setHeader('Cache-Control', 'private, no-cache')
+    return res.status(200).send(buildCalendar(meetings, { name: 'GDG Meetings' }))
+  } catch (error) {
+    console.error('❌ Calendar feed error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to build calendar feed.',
+    })
+  }
+}
+
+/**
+ * Whether a meeting field already holds an imported value.
+ */
+const sameValue = (current, next) =>
+  next instanceof Date ? new Date(current).getTime() === next.getTime() : (current ?? '') === next
+
+/**
+ * POST /api/calendar/import
+ * Create and update meetings from an iCalendar file kept elsewhere
+ * (Google Calendar, Outlook, an events site).
+ *
+ * Body:
+ *   ics      – the .ics file contents
+ *   dryRun   – preview only (default true); pass false to save
+ *   fileName – optional, recorded in the audit log
+ *
+ * Events are matched to meetings by UID (Meeting.icalUid). Every event is
+ * classified as:
+ *   create    – new event, not over yet
+ *   update    – imported before and the event has changed since; the
+ *               meeting takes the event's fields (changes lists which)
+ *   unchanged – imported before and the event is the same; edits made in
+ *               the portal are kept
+ *   skipped   – recurring, cancelled, already over / started, or repeated
+ *               in the file
+ *   invalid   – no UID, all-day, unreadable date or duration
+ */
+const importCalendar = async (req, res) => {
+  try {
+    const { ics, dryRun = true, fileName = '' } = req.body || {}
+
+    if (typeof ics !== 'string' || !ics.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Calendar file content is required.',
+      })
+    }
+
+    const calendar = parseCalendar(ics)
+    if (calendar.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'InvalidCalendar',
+        message: calendar.error,
+      })
+    }
+
+    if (calendar.events.length > IMPORT_MAX_EVENTS) {
+      return res.status(400).json({
+        success: false,
+        error: 'TooManyEvents',
+        message: `A single import is limited to ${IMPORT_MAX_EVENTS} events.`,
+      })
+    }
+
+    // Meetings imported from these events before, in one query
+    const uids = [...new Set(calendar.events.map((event) => event.UID?.value.trim()).filter(Boolean))]
+    const existing = await Meeting.find({ icalUid: { $in: uids } })
+      .select(`${IMPORT_FIELDS.join(' ')} icalUid icalHash isActive`)
+      .lean()
+    const meetingByUid = new Map(existing.map((m) => [m.icalUid, m]))
+
+    const now = new Date()
+    const seen = new Set()
+    const rows = calendar.events.map((event) => {
+      const uid = event.UID?.value.trim() || ''
+      const preview = { uid, title: event.SUMMARY?.value || '', result: 'create', reason: '' }
+
+      if (!uid) return { ...preview, result: 'invalid', reason: 'Event has no UID' }
+      if (seen.has(uid)) return { ...preview, result: 'skipped', reason: 'Repeated earlier in the file' }
+      seen.add(uid)
+
+      if (event.RRULE || event['RECURRENCE-ID']) {
+        return { ...preview, result: 'skipped', reason: 'Recurring event — create it as a recurring meeting instead' }
+      }
+
+      const mapped = eventToMeeting(event)
+      if (mapped.error) return { ...preview, result: 'invalid', reason: mapped.error }
+
+      const row = { ...preview, ...mapped.value, hash: mapped.hash }
+      const meeting = meetingByUid.get(uid)
+
+      if (event.STATUS?.value.trim().toUpperCase() === 'CANCELLED') {
+        return { ...row, result: 'skipped', reason: 'Cancelled', meetingId: meeting?._id }
+      }
+
+      if (!meeting) {
+        const endsAt = new Date(row.dateTime.getTime() + row.duration * 60000)
+        return endsAt <= now ? { ...row, result: 'skipped', reason: 'Already over' } : row
+      }
+
+      if (meeting.icalHash === mapped.hash) {
+        return { ...row, result: 'unchanged', meetingId: meeting._id }
+      }
+      if (meeting.isActive || new Date(meeting.dateTime) <= now) {
+        return { ...row, result: 'skipped', reason: 'Meeting has already started — not updated', meetingId: meeting._id }
+      }
+
+      const changes = IMPORT_FIELDS.filter((field) => !sameValue(meeting[field], mapped.value[field]))
+      return { ...row, result: 'update', changes, meetingId: meeting._id }
+    })
+
+    const summary = { total: rows.length, create: 0, update: 0, unchanged: 0, skipped: 0, invalid: 0 }
+    rows.forEach((row) => {
+      summary[row.result]++
+    })
+
+    // The fingerprint is internal
+    const toClientRow = ({ hash, ...row }) => row
+
+    if (dryRun !== false) {
+      return res.status(200).json({
+        success: true,
+        data: { dryRun: true, summary, rows: rows.map(toClientRow) },
+      })
+    }
+
+    let created = 0
+    for (const row of rows.filter((r) => r.result === 'create')) {
+      try {
+        await Meeting.create({
+          ...Object.fromEntries(IMPORT_FIELDS.map((field) => [field, row[field]])),
+          icalUid: row.uid,
+          icalHash: row.hash,
+          createdBy: req.user.dbId,
+          geofencing: parseGeofence(null).value,
+          checkInRules: parseCheckInRules(null, row.type).value,
+        })
+        created++
+      } catch (err) {
+        // Imported by someone else between preview and commit
+        if (err.code !== 11000) throw err
+      }
+    }
+
+    let updated = 0
+    for (const row of rows.filter((r) => r.result === 'update')) {
+      const meeting = await Meeting.findById(row.meetingId)
+      if (!meeting) continue
+
+      const typeChanged = meeting.type !== row.type
+      const scheduleChanged = !sameValue(meeting.dateTime, row.dateTime) || meeting.duration !== row.duration
+      IMPORT_FIELDS.forEach((field) => {
+        meeting[field] = row[field]
+      })
+      meeting.icalHash = row.hash
+      if (typeChanged) {
+        meeting.checkInRules = parseCheckInRules(null, row.type).value
+        if (row.type === 'online') meeting.venue = null
+      }
+      if (scheduleChanged) meeting.scheduleUpdatedAt = new Date()
+      meeting.detailsUpdatedAt = new Date()
+      await meeting.save()
+      updated++
+    }
+
+    if (created || updated) replanActivation()
+
+    await recordAudit(req, {
+      action: 'meeting.imported',
+      targetType: 'meeting',
+      targetLabel: fileName ? String(fileName).slice(0, 200) : 'Calendar import',
+      meta: { fileName, summary, created, updated },
+    })
+
+    console.log(`📥 Calendar import: ${created} meeting(s) created, ${updated} updated`)
+
+    return res.status(200).json({
+      success: true,
+      data: { dryRun: false, summary, rows: rows.map(toClientRow), created, updated },
+      message: `Imported ${created} new meeting${created !== 1 ? 's' : ''} and updated ${updated}.`,
+    })
+  } catch (error) {
+    console.error('❌ Calendar import error:', error.message)
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((e) => e.message)
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: messages.join('. '),
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to import calendar.',
+    })
+  }
+}
+
+module.exports = {
+  getMeetingCalendar,
+  getFeedStatus,
+  createFeedToken,
+  revokeFeedToken,
+  getCalendarFeed,
+  importCalendar,
+  eligibleMeetingsFilter,
+}
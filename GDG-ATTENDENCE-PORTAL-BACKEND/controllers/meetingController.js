@@ -6,18 +6,84 @@
  */
 
 const Meeting = require('../models/Meeting')
+const { MEETING_TYPES, CALENDAR_FIELDS } = Meeting
 const User = require('../models/User')
-const QRCode = require('qrcode')
+const Venue = require('../models/Venue')
+const MeetingSeries = require('../models/MeetingSeries')
+const mongoose = require('mongoose')
 const crypto = require('crypto')
-const { getSecondsUntilNextRefresh, QR_REFRESH_INTERVAL } = require('../services/qrRefreshService')
+const {
+  buildQRStatus,
+  publishQRStatus,
+  renderQRImage,
+  rotateMeetingQR,
+  startQRPreview,
+  getQRRefreshStatus,
+  QR_STATUS_FIELDS,
+} = require('../services/qrRefreshService')
+const { subscribe, qrChannel } = require('../services/liveEvents')
+const { replanActivation, recordActivationEvent } = require('../services/autoActivationService')
+const ActivationEvent = require('../models/ActivationEvent')
+const { openEventStream } = require('../utils/sse')
+const { MEETING_END_EXPR, CHECK_IN_OPENS_EXPR } = require('../utils/meetingWindow')
+const { recordAudit } = require('../services/auditLog')
+const { parseGeofence } = require('../utils/geofence')
+const { parseCheckInRules, getCheckInRules } = require('../utils/checkInRules')
+const { parseRecurrence } = require('../utils/recurrence')
+const {
+  buildTemplate,
+  extendSeries,
+  applySeriesEdit,
+  SERIES_FIELDS,
+} = require('../services/meetingSeriesService')
+const Rsvp = require('../models/Rsvp')
+const { promoteWaitlists, auditPromotions } = require('../services/rsvpService')
+
+/**
+ * Strip QR internals (signed payload + token history) from a meeting
+ * before it is sent to clients. The QR image itself is served by
+ * GET /api/meetings/:id/qr.png|.svg.
+ */
+const toClientMeeting = ({ qrData, qrHistory, ...meeting }) => ({
+  ...meeting,
+  hasQR: !!qrData,
+})
+
+/**
+ * Normalise an optional number setting (minutes, capacity) from the
+ * request body — blank / null means "not set".
+ */
+const toOptionalNumber = (value) => (value === '' || value === null ? null : Number(value))
+
+/**
+ * Look up the venue named in a request body.
+ * Returns { venue } (null when none was chosen) or { error } for a 400.
+ */
+const findVenue = async (venueId) => {
+  if (!venueId) return { venue: null }
+  if (!mongoose.isValidObjectId(venueId)) return { error: 'Invalid venue ID format.' }
+
+  const venue = await Venue.findById(venueId).select('name address defaultCapacity').lean()
+  return venue ? { venue } : { error: 'Venue not found.' }
+}
+
+const VENUE_FIELDS = 'name address geofence defaultCapacity'
+const SERIES_SUMMARY_FIELDS = 'title frequency startsAt until count'
+
+// Which occurrences of a series an edit or delete applies to
+const SERIES_SCOPES = ['this', 'future']
 
 /**
  * POST /api/meetings
  * Create a new meeting (admin-only).
+ *
+ * With `recurrence: { frequency, until?, count?, exceptions? }` the meeting
+ * becomes the first occurrence of a new MeetingSeries, and the occurrences
+ * of the next few weeks are created right away.
  */
 const createMeeting = async (req, res) => {
   try {
-    const { title, description, type, dateTime, duration, location, meetingLink, geofencing, participation, participants } = req.body
+    const { title, description, type, dateTime, duration, location, meetingLink, venue, geofencing, checkInRules, participation, participants, qrGraceSeconds, qrRotationSeconds, checkInOpensBefore, checkInClosesAfter, lateAfterMinutes, checkOutEnabled, minimumStayMinutes, capacity, rsvpRequired, recurrence } = req.body
 
     if (!title || !type || !dateTime) {
       return res.status(400).json({
@@ -27,27 +93,50 @@ const createMeeting = async (req, res) => {
       })
     }
 
-    if (!['offline', 'online'].includes(type)) {
+    if (!MEETING_TYPES.includes(type)) {
       return res.status(400).json({
         success: false,
         error: 'BadRequest',
-        message: 'Type must be "offline" or "online".',
+        message: 'Type must be "offline", "online" or "hybrid".',
       })
     }
 
     // Validate geofencing if enabled
-    if (geofencing?.enabled) {
-      if (
-        typeof geofencing.center?.lat !== 'number' ||
-        typeof geofencing.center?.lng !== 'number' ||
-        geofencing.center.lat === 0 && geofencing.center.lng === 0
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: 'BadRequest',
-          message: 'Geofencing requires a valid location (lat/lng).',
-        })
-      }
+    const fence = parseGeofence(geofencing)
+    if (fence.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: fence.error,
+      })
+    }
+
+    const rules = parseCheckInRules(checkInRules, type)
+    if (rules.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: rules.error,
+      })
+    }
+
+    // A venue brings its own geofence (meetings held in person only)
+    const { venue: venueDoc, error: venueError } = await findVenue(type !== 'online' ? venue : null)
+    if (venueError) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: venueError,
+      })
+    }
+
+    const repeat = recurrence ? parseRecurrence(recurrence, dateTime) : null
+    if (repeat?.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: repeat.error,
+      })
     }
 
     // Find the creating user in MongoDB
@@ -66,27 +155,69 @@ const createMeeting = async (req, res) => {
       type,
       dateTime: new Date(dateTime),
       duration: duration || 60,
-      location: location?.trim() || (type === 'online' ? 'Online' : ''),
+      location: location?.trim() || venueDoc?.name || (type === 'online' ? 'Online' : ''),
       meetingLink: meetingLink?.trim() || '',
       createdBy: dbUser._id,
+      ...(qrGraceSeconds !== undefined && { qrGraceSeconds }),
+      ...(qrRotationSeconds !== undefined && { qrRotationSeconds }),
+      ...(checkInOpensBefore !== undefined && { checkInOpensBefore: checkInOpensBefore || 0 }),
+      ...(checkInClosesAfter !== undefined && { checkInClosesAfter: toOptionalNumber(checkInClosesAfter) }),
+      ...(lateAfterMinutes !== undefined && { lateAfterMinutes }),
+      ...(checkOutEnabled !== undefined && { checkOutEnabled: !!checkOutEnabled }),
+      ...(minimumStayMinutes !== undefined && { minimumStayMinutes: toOptionalNumber(minimumStayMinutes) }),
       participation: participation === 'selected' ? 'selected' : 'anyone',
       participants: participation === 'selected' && Array.isArray(participants) ? participants : [],
-      geofencing: geofencing?.enabled
-        ? {
-            enabled: true,
-            center: {
-              lat: geofencing.center.lat,
-              lng: geofencing.center.lng,
-            },
-            radius: Math.min(5000, Math.max(10, geofencing.radius || 200)),
-          }
-        : { enabled: false },
+      venue: venueDoc?._id || null,
+      geofencing: venueDoc ? parseGeofence(null).value : fence.value,
+      checkInRules: rules.value,
+      // Seats default to what the venue holds
+      capacity: capacity !== undefined ? toOptionalNumber(capacity) : venueDoc?.defaultCapacity ?? null,
+      rsvpRequired: !!rsvpRequired,
     })
 
+    // A recurring meeting is the first occurrence of its series
+    let series = null
+    let occurrences = 0
+    if (repeat) {
+      series = await MeetingSeries.create({
+        ...repeat.value,
+        title: meeting.title,
+        startsAt: meeting.dateTime,
+        template: buildTemplate(meeting),
+        createdBy: dbUser._id,
+      })
+      meeting.series = series._id
+      meeting.occurrenceDate = meeting.dateTime
+      await meeting.save()
+      occurrences = 1 + (await extendSeries(series))
+    }
+
+    // Schedule a precise activation timer for the new meeting(s)
+    replanActivation()
+
+    await recordAudit(req, {
+      action: 'meeting.created',
+      targetType: 'meeting',
+      target: meeting._id,
+      targetLabel: meeting.title,
+      after: meeting.toObject(),
+    })
+    if (series) {
+      await recordAudit(req, {
+        action: 'series.created',
+        targetType: 'series',
+        target: series._id,
+        targetLabel: series.title,
+        after: series.toObject(),
+      })
+    }
+
     return res.status(201).json({
       success: true,
-      data: meeting,
-      message: 'Meeting created successfully.',
+      data: toClientMeeting(meeting.toObject()),
+      message: series
+        ? `Recurring meeting created — ${occurrences} upcoming occurrence${occurrences === 1 ? '' : 's'} scheduled.`
+        : 'Meeting created successfully.',
     })
   } catch (error) {
     console.error('❌ Create meeting error:', error.message)
@@ -114,7 +245,7 @@ const createMeeting = async (req, res) => {
  *
  * Query params:
  *   search  – filter by title (case-insensitive)
- *   type    – 'offline' or 'online'
+ *   type    – 'offline', 'online' or 'hybrid'
  *   status  – 'active', 'upcoming', 'past'
  *   page    – page number (default: 1)
  *   limit   – results per page (default: 20, max: 100)
@@ -139,31 +270,22 @@ const listMeetings = async (req, res) => {
       filter.title = new RegExp(search.trim(), 'i')
     }
 
-    if (type && ['offline', 'online'].includes(type)) {
+    if (type && MEETING_TYPES.includes(type)) {
       filter.type = type
     }
 
     const now = new Date()
     if (status === 'active') {
-      // Meetings currently within their time window (dateTime <= now < dateTime + duration)
-      filter.dateTime = { $lte: now }
-      // We use $expr to compute endTime dynamically
+      // Meetings currently within their window (checkInOpensAt <= now < dateTime + duration)
+      // We use $expr to compute both boundaries dynamically
       filter.$expr = {
-        $gt: [
-          { $add: ['$dateTime', { $multiply: [{ $ifNull: ['$duration', 60] }, 60000] }] },
-          now,
-        ],
+        $and: [{ $lte: [CHECK_IN_OPENS_EXPR, now] }, { $gt: [MEETING_END_EXPR, now] }],
       }
     } else if (status === 'upcoming') {
       filter.dateTime = { $gt: now }
     } else if (status === 'past') {
       // Meetings whose endTime (dateTime + duration) is in the past
-      filter.$expr = {
-        $lte: [
-          { $add: ['$dateTime', { $multiply: [{ $ifNull: ['$duration', 60] }, 60000] }] },
-          now,
-        ],
-      }
+      filter.$expr = { $lte: [MEETING_END_EXPR, now] }
     }
 
     const pageNum = Math.max(1, parseInt(page, 10) || 1)
@@ -178,6 +300,8 @@ const listMeetings = async (req, res) => {
       Meeting.find(filter)
         .populate('createdBy', 'name email photoURL')
         .populate('participants', 'name email photoURL role')
+        .populate('venue', VENUE_FIELDS)
+        .populate('series', SERIES_SUMMARY_FIELDS)
         .sort({ [sortField]: sortOrder })
         .skip(skip)
         .limit(limitNum)
@@ -189,7 +313,7 @@ const listMeetings = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      data: meetings,
+      data: meetings.map(toClientMeeting),
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -217,14 +341,10 @@ const getActiveMeetings = async (req, res) => {
   try {
     const now = new Date()
 
-    // Time-based: meetings currently within their time window
+    // Time-based: meetings whose check-in has opened and that have not ended
     const meetings = await Meeting.find({
-      dateTime: { $lte: now },
       $expr: {
-        $gt: [
-          { $add: ['$dateTime', { $multiply: [{ $ifNull: ['$duration', 60] }, 60000] }] },
-          now,
-        ],
+        $and: [{ $lte: [CHECK_IN_OPENS_EXPR, now] }, { $gt: [MEETING_END_EXPR, now] }],
       },
     })
       .populate('createdBy', 'name email')
@@ -233,7 +353,7 @@ const getActiveMeetings = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      data: meetings,
+      data: meetings.map(toClientMeeting),
     })
   } catch (error) {
     console.error('❌ Get active meetings error:', error.message)
@@ -254,6 +374,8 @@ const getMeetingById = async (req, res) => {
     const meeting = await Meeting.findById(req.params.id)
       .populate('createdBy', 'name email photoURL')
       .populate('participants', 'name email photoURL role')
+      .populate('venue', VENUE_FIELDS)
+      .populate('series', SERIES_SUMMARY_FIELDS)
       .lean()
 
     if (!meeting) {
@@ -266,7 +388,7 @@ const getMeetingById = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      data: meeting,
+      data: toClientMeeting(meeting),
     })
   } catch (error) {
     console.error('❌ Get meeting error:', error.message)
@@ -290,12 +412,26 @@ const getMeetingById = async (req, res) => {
 /**
  * PATCH /api/meetings/:id
  * Update a meeting (admin-only).
+ *
+ * For an occurrence of a series, `scope: 'future'` applies the same changes
+ * to every later occurrence and to the series template; a new start time
+ * ends the series before this occurrence and moves it and the later ones
+ * to a new series at that time. The default, 'this', edits only this
+ * occurrence.
  */
 const updateMeeting = async (req, res) => {
   try {
-    const { title, description, type, dateTime, duration, location, meetingLink, isActive, geofencing, participation, participants } =
+    const { title, description, type, dateTime, duration, location, meetingLink, isActive, venue, geofencing, checkInRules, participation, participants, qrGraceSeconds, qrRotationSeconds, checkInOpensBefore, checkInClosesAfter, lateAfterMinutes, checkOutEnabled, minimumStayMinutes, capacity, rsvpRequired, scope = 'this' } =
       req.body
 
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Scope must be "this" or "future".',
+      })
+    }
+
     const meeting = await Meeting.findById(req.params.id)
 
     if (!meeting) {
@@ -306,45 +442,70 @@ const updateMeeting = async (req, res) => {
       })
     }
 
+    const before = meeting.toObject()
+
     // Update only provided fields
     if (title !== undefined) meeting.title = title.trim()
     if (description !== undefined) meeting.description = description.trim()
     if (type !== undefined) {
-      if (!['offline', 'online'].includes(type)) {
+      if (!MEETING_TYPES.includes(type)) {
         return res.status(400).json({
           success: false,
           error: 'BadRequest',
-          message: 'Type must be "offline" or "online".',
+          message: 'Type must be "offline", "online" or "hybrid".',
         })
       }
       meeting.type = type
     }
+    const wasActive = meeting.isActive
     if (dateTime !== undefined) meeting.dateTime = new Date(dateTime)
     if (duration !== undefined) meeting.duration = duration
     if (location !== undefined) meeting.location = location.trim()
     if (meetingLink !== undefined) meeting.meetingLink = meetingLink.trim()
     if (isActive !== undefined) meeting.isActive = isActive
+    if (qrGraceSeconds !== undefined) meeting.qrGraceSeconds = qrGraceSeconds
+    if (qrRotationSeconds !== undefined) meeting.qrRotationSeconds = qrRotationSeconds
+    if (checkInOpensBefore !== undefined) meeting.checkInOpensBefore = checkInOpensBefore || 0
+    if (checkInClosesAfter !== undefined) meeting.checkInClosesAfter = toOptionalNumber(checkInClosesAfter)
+    if (lateAfterMinutes !== undefined) meeting.lateAfterMinutes = lateAfterMinutes
+    if (checkOutEnabled !== undefined) meeting.checkOutEnabled = !!checkOutEnabled
+    if (minimumStayMinutes !== undefined) meeting.minimumStayMinutes = toOptionalNumber(minimumStayMinutes)
+    if (capacity !== undefined) meeting.capacity = toOptionalNumber(capacity)
+    if (rsvpRequired !== undefined) meeting.rsvpRequired = !!rsvpRequired
     if (geofencing !== undefined) {
-      if (geofencing.enabled) {
-        if (
-          typeof geofencing.center?.lat !== 'number' ||
-          typeof geofencing.center?.lng !== 'number' ||
-          (geofencing.center.lat === 0 && geofencing.center.lng === 0)
-        ) {
-          return res.status(400).json({
-            success: false,
-            error: 'BadRequest',
-            message: 'Geofencing requires a valid location (lat/lng).',
-          })
-        }
-        meeting.geofencing = {
-          enabled: true,
-          center: { lat: geofencing.center.lat, lng: geofencing.center.lng },
-          radius: Math.min(5000, Math.max(10, geofencing.radius || 200)),
-        }
-      } else {
-        meeting.geofencing = { enabled: false, center: { lat: 0, lng: 0 }, radius: 200 }
+      const fence = parseGeofence(geofencing)
+      if (fence.error) {
+        return res.status(400).json({
+          success: false,
+          error: 'BadRequest',
+          message: fence.error,
+        })
+      }
+      meeting.geofencing = fence.value
+    }
+    if (venue !== undefined || meeting.type === 'online') {
+      const { venue: venueDoc, error: venueError } = await findVenue(meeting.type !== 'online' ? venue : null)
+      if (venueError) {
+        return res.status(400).json({
+          success: false,
+          error: 'BadRequest',
+          message: venueError,
+        })
+      }
+      meeting.venue = venueDoc?._id || null
+      if (venueDoc) meeting.geofencing = parseGeofence(null).value
+    }
+    // A type change resets rules the body doesn't set to the new type's defaults
+    if (checkInRules !== undefined || meeting.isModified('type')) {
+      const rules = parseCheckInRules(checkInRules ?? null, meeting.type)
+      if (rules.error) {
+        return res.status(400).json({
+          success: false,
+          error: 'BadRequest',
+          message: rules.error,
+        })
       }
+      meeting.checkInRules = rules.value
     }
     if (participation !== undefined) {
       meeting.participation = participation === 'selected' ? 'selected' : 'anyone'
@@ -355,15 +516,96 @@ const updateMeeting = async (req, res) => {
       }
     }
 
+    // Let the activation scheduler (on whichever instance leads it) re-plan
+    const rescheduled = ['dateTime', 'duration', 'checkInOpensBefore'].some((field) =>
+      meeting.isModified(field)
+    )
+    if (rescheduled) meeting.scheduleUpdatedAt = new Date()
+
+    // Calendar subscribers see an update only when exported details change
+    if (meeting.isModified(CALENDAR_FIELDS)) meeting.detailsUpdatedAt = new Date()
+
+    // Extra seats go to waitlisted members once the change is saved
+    const capacityRaised =
+      meeting.isModified('capacity') &&
+      before.capacity != null &&
+      (meeting.capacity == null || meeting.capacity > before.capacity)
+
+    // "This and following": a new time splits off a series from this meeting on
+    const seriesEdit = scope === 'future' && meeting.series
+      ? {
+          fields: SERIES_FIELDS.filter((field) => meeting.isModified(field)),
+          shiftMs: meeting.dateTime.getTime() - before.dateTime.getTime(),
+          after: before.occurrenceDate,
+        }
+      : null
+
     await meeting.save()
 
+    const { updated: laterUpdated, split } = seriesEdit
+      ? await applySeriesEdit(meeting, seriesEdit)
+      : { updated: 0, split: null }
+
+    if (split) {
+      await recordAudit(req, {
+        action: 'series.updated',
+        targetType: 'series',
+        target: split.before._id,
+        targetLabel: split.before.title,
+        before: split.before,
+        after: split.series?.toObject() ?? null,
+      })
+      await recordAudit(req, {
+        action: 'series.created',
+        targetType: 'series',
+        target: split.created._id,
+        targetLabel: split.created.title,
+        after: split.created.toObject(),
+      })
+    }
+
+    if (capacityRaised) {
+      const raised = seriesEdit?.fields.includes('capacity')
+        ? await Meeting.find({ series: meeting.series, occurrenceDate: { $gte: meeting.occurrenceDate } })
+            .select('title')
+            .lean()
+        : [meeting]
+      for (const { meeting: m, promoted } of await promoteWaitlists(raised)) {
+        await auditPromotions(req, m, promoted)
+      }
+    }
+
+    if (meeting.isActive !== wasActive) {
+      await recordActivationEvent({
+        meeting: meeting._id,
+        type: meeting.isActive ? 'activated' : 'deactivated',
+        source: 'manual',
+        actor: req.user.dbId,
+      })
+    }
+    if (rescheduled) replanActivation()
+
+    await recordAudit(req, {
+      action: 'meeting.updated',
+      targetType: 'meeting',
+      target: meeting._id,
+      targetLabel: meeting.title,
+      before,
+      after: meeting.toObject(),
+      ...(seriesEdit && { meta: { scope, laterOccurrences: laterUpdated } }),
+    })
+
     // Re-populate createdBy
     await meeting.populate('createdBy', 'name email photoURL')
+    await meeting.populate('venue', VENUE_FIELDS)
+    await meeting.populate('series', SERIES_SUMMARY_FIELDS)
 
     return res.status(200).json({
       success: true,
-      data: meeting,
-      message: 'Meeting updated successfully.',
+      data: toClientMeeting(meeting.toObject()),
+      message: laterUpdated
+        ? `Meeting and ${laterUpdated} later occurrence${laterUpdated === 1 ? '' : 's'} updated.`
+        : 'Meeting updated successfully.',
     })
   } catch (error) {
     console.error('❌ Update meeting error:', error.message)
@@ -385,6 +627,15 @@ const updateMeeting = async (req, res) => {
       })
     }
 
+    // An occurrence moved onto a date the series already has
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Another meeting of this series is already scheduled at that time.',
+      })
+    }
+
     return res.status(500).json({
       success: false,
       error: 'InternalError',
@@ -396,9 +647,24 @@ const updateMeeting = async (req, res) => {
 /**
  * DELETE /api/meetings/:id
  * Delete a meeting (admin-only).
+ *
+ * For an occurrence of a series, `?scope=this` (default) skips just this
+ * date — it is recorded as an exception and never re-created — while
+ * `?scope=future` ends the series here, deleting this and every later
+ * occurrence.
  */
 const deleteMeeting = async (req, res) => {
   try {
+    const { scope = 'this' } = req.query
+
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Scope must be "this" or "future".',
+      })
+    }
+
     const meeting = await Meeting.findById(req.params.id)
 
     if (!meeting) {
@@ -409,11 +675,60 @@ const deleteMeeting = async (req, res) => {
       })
     }
 
-    await Meeting.findByIdAndDelete(req.params.id)
+    const series = meeting.series ? await MeetingSeries.findById(meeting.series) : null
+    let deleted = [meeting]
+
+    if (series && scope === 'future') {
+      deleted = await Meeting.find({
+        series: series._id,
+        occurrenceDate: { $gte: meeting.occurrenceDate },
+      })
+      await Meeting.deleteMany({ _id: { $in: deleted.map((m) => m._id) } })
+
+      const seriesBefore = series.toObject()
+      series.until = new Date(meeting.occurrenceDate.getTime() - 1)
+      // Nothing left before this date → the series is gone entirely
+      const remaining = await Meeting.countDocuments({ series: series._id })
+      if (remaining === 0) await series.deleteOne()
+      else await series.save()
+
+      await recordAudit(req, {
+        action: 'series.updated',
+        targetType: 'series',
+        target: series._id,
+        targetLabel: series.title,
+        before: seriesBefore,
+        after: remaining === 0 ? null : series.toObject(),
+      })
+    } else {
+      await Meeting.findByIdAndDelete(req.params.id)
+
+      if (series) {
+        series.exceptions.push(meeting.occurrenceDate)
+        await series.save()
+      }
+    }
+
+    await Rsvp.deleteMany({ meeting: { $in: deleted.map((m) => m._id) } })
+
+    // Drop any timer that was set for this meeting's boundaries
+    replanActivation()
+
+    for (const m of deleted) {
+      await recordAudit(req, {
+        action: 'meeting.deleted',
+        targetType: 'meeting',
+        target: m._id,
+        targetLabel: m.title,
+        before: m.toObject(),
+      })
+    }
 
     return res.status(200).json({
       success: true,
-      message: `Meeting "${meeting.title}" deleted successfully.`,
+      message: deleted.length > 1
+        ? `Meeting "${meeting.title}" and ${deleted.length - 1} later occurrence${deleted.length === 2 ? '' : 's'} deleted.`
+        : `Meeting "${meeting.title}" deleted successfully.`,
     })
   } catch (error) {
     console.error('❌ Delete meeting error:', error.message)
@@ -437,7 +752,8 @@ const deleteMeeting = async (req, res) => {
 /**
  * POST /api/meetings/:id/generate-qr
  * Generate a unique QR code for a meeting.
- * The QR encodes a JSON payload with meeting ID + a random token for validation.
+ * The QR encodes a signed JSON payload (meeting ID, random token, expiry)
+ * that the scan endpoint verifies without a database lookup.
  */
 const generateQR = async (req, res) => {
   try {
@@ -451,35 +767,19 @@ const generateQR = async (req, res) => {
       })
     }
 
-    // Create a unique payload for the QR code
-    const token = crypto.randomBytes(16).toString('hex')
-    const qrPayload = JSON.stringify({
-      meetingId: meeting._id,
-      token,
-      generatedAt: new Date().toISOString(),
-    })
-
-    // Generate QR code as base64 data URL
-    const qrCodeDataUrl = await QRCode.toDataURL(qrPayload, {
-      width: 400,
-      margin: 2,
-      color: {
-        dark: '#202124',
-        light: '#FFFFFF',
-      },
-      errorCorrectionLevel: 'H',
-    })
+    // Issue a signed, time-bound payload as the next QR generation
+    const { qrData: qrPayload, qrGeneration } = await rotateMeetingQR(meeting)
 
-    // Save to meeting
-    meeting.qrCode = qrCodeDataUrl
-    meeting.qrData = qrPayload
-    await meeting.save()
+    // Keep it rotating while the admin looks at it, even outside the live window
+    const previewUntil = await startQRPreview({ _id: meeting._id, qrData: qrPayload })
 
     return res.status(200).json({
       success: true,
       data: {
-        qrCode: qrCodeDataUrl,
+        hasQR: true,
         qrData: qrPayload,
+        qrGeneration,
+        previewUntil,
         meetingId: meeting._id,
       },
       message: 'QR code generated successfully.',
@@ -523,9 +823,24 @@ const toggleActive = async (req, res) => {
     await meeting.save()
     await meeting.populate('createdBy', 'name email photoURL')
 
+    await recordActivationEvent({
+      meeting: meeting._id,
+      type: meeting.isActive ? 'activated' : 'deactivated',
+      source: 'manual',
+      actor: req.user.dbId,
+    })
+    await recordAudit(req, {
+      action: meeting.isActive ? 'meeting.activated' : 'meeting.deactivated',
+      targetType: 'meeting',
+      target: meeting._id,
+      targetLabel: meeting.title,
+      before: { isActive: !meeting.isActive },
+      after: { isActive: meeting.isActive },
+    })
+
     return res.status(200).json({
       success: true,
-      data: meeting,
+      data: toClientMeeting(meeting.toObject()),
       message: `Meeting ${meeting.isActive ? 'activated' : 'deactivated'} successfully.`,
     })
   } catch (error) {
@@ -538,6 +853,51 @@ const toggleActive = async (req, res) => {
   }
 }
 
+/**
+ * GET /api/meetings/:id/activation-events
+ * Audit trail of when a meeting actually went live / ended (admin-only),
+ * oldest first. Scheduler events include the planned boundary and lag.
+ */
+const getActivationEvents = async (req, res) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id).select('title dateTime duration').lean()
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Meeting not found.',
+      })
+    }
+
+    const events = await ActivationEvent.find({ meeting: meeting._id })
+      .populate('actor', 'name email')
+      .sort({ occurredAt: 1 })
+      .lean()
+
+    return res.status(200).json({
+      success: true,
+      data: { meeting, events },
+    })
+  } catch (error) {
+    console.error('❌ Activation events error:', error.message)
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid meeting ID format.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to fetch activation events.',
+    })
+  }
+}
+
 /**
  * GET /api/meetings/:id/qr-status
  * Read-only — returns the current QR code from the database and the
@@ -545,14 +905,137 @@ const toggleActive = async (req, res) => {
  * next QR.  This endpoint NEVER generates a new QR itself.
  *
  * The background service (qrRefreshService) regenerates QR codes
- * every 20 s for any meeting that has a non-empty qrCode field.
- * This endpoint simply reports the current state + timing so the
- * frontend countdown stays perfectly in sync with the server cycle.
+ * every `qrRotationSeconds` (default 20 s) for any meeting that has a
+ * non-empty qrData field. This endpoint simply reports the current
+ * state + this meeting's timing so the frontend countdown stays in
+ * sync with the server cycle.
  */
 const getQRStatus = async (req, res) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id).select(QR_STATUS_FIELDS).lean()
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Meeting not found.',
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: buildQRStatus(meeting),
+    })
+  } catch (error) {
+    console.error('❌ QR status error:', error.message)
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid meeting ID format.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to get QR status.',
+    })
+  }
+}
+
+/**
+ * GET /api/meetings/:id/qr.png
+ * GET /api/meetings/:id/qr.svg
+ * Render the meeting's current QR as an image.
+ *
+ * The image is built from the stored signed payload on every request
+ * (nothing is cached in MongoDB). The ETag is keyed to the QR
+ * generation and Cache-Control lasts until the next rotation, so a
+ * client re-fetching within the same rotation gets a 304.
+ */
+const getQRImage = async (req, res) => {
+  try {
+    const { format } = req.params
+
+    if (!['png', 'svg'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'QR image format must be png or svg.',
+      })
+    }
+
+    const meeting = await Meeting.findById(req.params.id).select(QR_STATUS_FIELDS).lean()
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Meeting not found.',
+      })
+    }
+
+    if (!meeting.qrData) {
+      return res.status(404).json({
+        success: false,
+        error: 'NoQR',
+        message: 'No QR code has been generated for this meeting.',
+      })
+    }
+
+    const { secondsRemaining, qrPaused } = buildQRStatus(meeting)
+    const etag = `"${meeting._id}-${meeting.qrGeneration || 0}-${format}"`
+
+    res.set({
+      ETag: etag,
+      // Paused codes don't rotate — let clients revalidate rather than trust a countdown
+      'Cache-Control': `private, max-age=${qrPaused ? 0 : secondsRemaining}, must-revalidate`,
+    })
+    if (meeting.qrRotatedAt) res.set('Last-Modified', new Date(meeting.qrRotatedAt).toUTCString())
+
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end()
+    }
+
+    const image = await renderQRImage(meeting.qrData, format)
+
+    return res
+      .status(200)
+      .type(format === 'svg' ? 'image/svg+xml' : 'image/png')
+      .send(image)
+  } catch (error) {
+    console.error('❌ QR image error:', error.message)
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid meeting ID format.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to render QR code.',
+    })
+  }
+}
+
+/**
+ * POST /api/meetings/:id/qr-preview
+ * Open a meeting's QR for preview (admin-only).
+ *
+ * Outside its live window a meeting's QR is frozen. Previewing keeps it
+ * rotating for QR_PREVIEW_MINUTES (issuing one first if needed) so the
+ * admin modal shows a real, rotating code.
+ */
+const previewQR = async (req, res) => {
   try {
     const meeting = await Meeting.findById(req.params.id)
-      .select('qrCode qrData isActive qrPaused')
+      .select('type checkInRules qrData qrRotationSeconds qrGraceSeconds')
       .lean()
 
     if (!meeting) {
@@ -563,21 +1046,24 @@ const getQRStatus = async (req, res) => {
       })
     }
 
-    const secondsRemaining = getSecondsUntilNextRefresh()
+    if (getCheckInRules(meeting).qr === 'off') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'This meeting does not use QR check-in.',
+      })
+    }
+
+    const previewUntil = await startQRPreview(meeting)
+    const current = await Meeting.findById(meeting._id).select(QR_STATUS_FIELDS).lean()
 
     return res.status(200).json({
       success: true,
-      data: {
-        qrCode: meeting.qrCode || null,
-        qrData: meeting.qrData || null,
-        isActive: meeting.isActive,
-        qrPaused: !!meeting.qrPaused,
-        secondsRemaining,
-        refreshInterval: QR_REFRESH_INTERVAL,
-      },
+      data: { ...buildQRStatus(current), previewUntil },
+      message: 'QR preview started.',
     })
   } catch (error) {
-    console.error('❌ QR status error:', error.message)
+    console.error('❌ QR preview error:', error.message)
 
     if (error.name === 'CastError') {
       return res.status(400).json({
@@ -590,7 +1076,79 @@ const getQRStatus = async (req, res) => {
     return res.status(500).json({
       success: false,
       error: 'InternalError',
-      message: 'Failed to get QR status.',
+      message: 'Failed to start QR preview.',
+    })
+  }
+}
+
+/**
+ * GET /api/meetings/qr-refresh/status
+ * Status of the background QR refresh service (admin-only): whether it
+ * is running, when it last ran / last rotated, and every meeting it is
+ * currently rotating (with the reason: live, active or preview).
+ */
+const getQRServiceStatus = async (req, res) => {
+  try {
+    const status = await getQRRefreshStatus()
+
+    return res.status(200).json({
+      success: true,
+      data: status,
+    })
+  } catch (error) {
+    console.error('❌ QR service status error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to get QR refresh status.',
+    })
+  }
+}
+
+/**
+ * GET /api/meetings/:id/qr-stream
+ * Server-Sent Events stream of QR rotations for one meeting.
+ *
+ * Sends the current QR status immediately as a `qr` event, then another
+ * `qr` event every time the background service issues a new code or the
+ * QR is paused / resumed. Payload shape matches GET /qr-status.
+ * Clients should fall back to polling /qr-status if the stream drops.
+ */
+const streamQR = async (req, res) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id).select(QR_STATUS_FIELDS).lean()
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Meeting not found.',
+      })
+    }
+
+    const stream = openEventStream(req, res)
+    stream.send('qr', buildQRStatus(meeting))
+
+    const unsubscribe = subscribe(qrChannel(meeting._id), (status) => stream.send('qr', status))
+    stream.onClose(unsubscribe)
+  } catch (error) {
+    console.error('❌ QR stream error:', error.message)
+
+    // Once the stream is open we can no longer send a JSON error
+    if (res.headersSent) return res.end()
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid meeting ID format.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to open QR stream.',
     })
   }
 }
@@ -615,6 +1173,18 @@ const toggleQRPause = async (req, res) => {
     meeting.qrPaused = !meeting.qrPaused
     await meeting.save()
 
+    await recordAudit(req, {
+      action: meeting.qrPaused ? 'meeting.qr_paused' : 'meeting.qr_resumed',
+      targetType: 'meeting',
+      target: meeting._id,
+      targetLabel: meeting.title,
+      before: { qrPaused: !meeting.qrPaused },
+      after: { qrPaused: meeting.qrPaused },
+    })
+
+    // Let open QR displays freeze / resume their countdown straight away
+    publishQRStatus(meeting)
+
     return res.status(200).json({
       success: true,
       data: { qrPaused: meeting.qrPaused },
@@ -641,7 +1211,7 @@ const toggleQRPause = async (req, res) => {
 
 /**
  * POST /api/meetings/:id/generate-attendance-link
- * Generate a unique attendance token for an online meeting.
+ * Generate a unique attendance token for a meeting that accepts link check-ins.
  * This token is used to create an attendance link that members can open.
  */
 const generateAttendanceLink = async (req, res) => {
@@ -656,11 +1226,11 @@ const generateAttendanceLink = async (req, res) => {
       })
     }
 
-    if (meeting.type !== 'online') {
+    if (getCheckInRules(meeting).link === 'off') {
       return res.status(400).json({
         success: false,
         error: 'BadRequest',
-        message: 'Attendance links can only be generated for online meetings.',
+        message: 'Link check-in is not enabled for this meeting.',
       })
     }
 
@@ -706,6 +1276,11 @@ module.exports = {
   generateQR,
   generateAttendanceLink,
   toggleActive,
+  getActivationEvents,
   getQRStatus,
+  getQRImage,
+  streamQR,
+  previewQR,
+  getQRServiceStatus,
   toggleQRPause,
 }
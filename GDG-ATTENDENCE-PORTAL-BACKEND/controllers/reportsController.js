@@ -8,12 +8,121 @@
  *   GET /api/reports/meetings         → per-meeting attendance breakdown
  *   GET /api/reports/meeting/:id      → detailed attendance for one meeting
  *   GET /api/reports/members          → per-member attendance summary
+ *   GET /api/reports/venues           → attendance grouped by venue
+ *   GET /api/reports/series           → attendance rolled up per recurring series
+ *   GET /api/reports/series/:id       → per-occurrence and per-member attendance for a series
  *   GET /api/reports/export/csv       → CSV export of all attendance data
+ *   PATCH /api/reports/attendance/:attendanceId/status → override a status
+ *   POST   /api/reports/meeting/:id/attendance   → add a manual attendance record
+ *   PATCH  /api/reports/attendance/:attendanceId → edit an attendance record
+ *   DELETE /api/reports/attendance/:attendanceId → remove an attendance record
+ *   GET    /api/reports/meeting/:id/changes      → admin change history for a meeting
+ *   POST   /api/reports/meeting/:id/import       → import attendance from CSV (dry run by default)
+ *   GET    /api/reports/suspicious               → meetings with possible proxy attendance
+ *
+ * Every admin change to attendance is written to AttendanceChange with
+ * who made it, when, and why.
+ *
+ * Attendance counts are broken down by status (present / late / excused).
+ * Records created before statuses existed count as 'present'.
+ * Meeting reports also split attendance into in person / remote
+ * (utils/attendanceMode.js) — the split that matters for hybrid meetings —
+ * and, for meetings with RSVPs, compare them with who turned up
+ * (services/rsvpService.js getRsvpStats).
  */
 
+const mongoose = require('mongoose')
 const Meeting = require('../models/Meeting')
+const Venue = require('../models/Venue')
+const MeetingSeries = require('../models/MeetingSeries')
 const Attendance = require('../models/Attendance')
 const User = require('../models/User')
+const Rsvp = require('../models/Rsvp')
+const AttendanceChange = require('../models/AttendanceChange')
+const { withStay, countedStayExpr, COUNTED_ATTENDANCE_STAGES } = require('../utils/attendanceStay')
+const { checkInMode, getAttendanceMode, countAttendanceModes, ATTENDANCE_MODES } = require('../utils/attendanceMode')
+const { classifyArrival, MEETING_END_EXPR } = require('../utils/meetingWindow')
+const { parseCSV } = require('../utils/csv')
+const { recordAudit } = require('../services/auditLog')
+const {
+  detectSuspiciousActivity,
+  SELF_CHECK_IN_METHODS,
+  LOCATION_PRECISION,
+} = require('../utils/suspiciousActivity')
+const { publishCheckIn } = require('../services/attendanceFeed')
+const { getRsvpStats, totalRsvpStats } = require('../services/rsvpService')
+
+const ATTENDANCE_STATUSES = ['present', 'late', 'excused']
+const STATUS_EXPR = { $ifNull: ['$status', 'present'] }
+
+/**
+ * `{ present: 0, late: 0, excused: 0 }` — filled in from aggregation results.
+ */
+const emptyStatusCounts = () =>
+  Object.fromEntries(ATTENDANCE_STATUSES.map((status) => [status, 0]))
+
+const REASON_MAX_LENGTH = 500
+
+/**
+ * The fields an admin can change, as stored in AttendanceChange before/after.
+ */
+const snapshotAttendance = (record) => ({
+  method: record.method,
+  mode: record.mode || null,
+  status: record.status || 'present',
+  markedAt: record.markedAt,
+  checkedOutAt: record.checkedOutAt || null,
+})
+
+/**
+ * Write one entry to the meeting's attendance change history and the
+ * same change to the audit log.
+ *
+ * @param {string} [auditAction] – defaults to `attendance.<action>`
+ */
+async function recordAttendanceChange(req, { record, action, reason = '', before = null, after = null, auditAction = `attendance.${action}` }) {
+  const memberId = record.user?._id || record.user
+
+  try {
+    await AttendanceChange.create({
+      meeting: record.meeting,
+      attendance: record._id,
+      member: memberId,
+      action,
+      actor: req.user.dbId,
+      reason,
+      before,
+      after,
+    })
+  } catch (err) {
+    console.error('❌ Failed to record attendance change:', err.message)
+  }
+
+  const member = record.user?.email
+    ? record.user
+    : await User.findById(memberId).select('email').lean().catch(() => null)
+
+  await recordAudit(req, {
+    action: auditAction,
+    targetType: 'attendance',
+    target: record._id,
+    targetLabel: member?.email || '',
+    before,
+    after,
+    meta: { meeting: record.meeting, reason },
+  })
+}
+
+/**
+ * Parse an optional date from the request body.
+ * Returns undefined when absent, null when cleared, false when invalid.
+ */
+const parseDateField = (value) => {
+  if (value === undefined) return undefined
+  if (value === null || value === '') return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? false : date
+}
 
 /**
  * GET /api/reports/summary
@@ -21,11 +130,12 @@ const User = require('../models/User')
  */
 const getSummary = async (req, res) => {
   try {
-    const [totalMeetings, totalAttendance, totalMembers] = await Promise.all([
+    const [totalMeetings, [counted], totalMembers] = await Promise.all([
       Meeting.countDocuments(),
-      Attendance.countDocuments(),
+      Attendance.aggregate([...COUNTED_ATTENDANCE_STAGES, { $count: 'total' }]),
       User.countDocuments({ role: { $in: ['member', 'pr'] } }),
     ])
+    const totalAttendance = counted?.total || 0
 
     const now = new Date()
 
@@ -37,6 +147,7 @@ const getSummary = async (req, res) => {
 
     // Average attendance per meeting
     const avgPipeline = await Attendance.aggregate([
+      ...COUNTED_ATTENDANCE_STAGES,
       { $group: { _id: '$meeting', count: { $sum: 1 } } },
       { $group: { _id: null, avg: { $avg: '$count' } } },
     ])
@@ -44,18 +155,44 @@ const getSummary = async (req, res) => {
 
     // Method breakdown
     const methodBreakdown = await Attendance.aggregate([
+      ...COUNTED_ATTENDANCE_STAGES,
       { $group: { _id: '$method', count: { $sum: 1 } } },
     ])
-    const methods = { qr: 0, link: 0 }
+    const methods = { qr: 0, link: 0, manual: 0, import: 0 }
     methodBreakdown.forEach((m) => {
       methods[m._id] = m.count
     })
 
+    // Status breakdown
+    const statusBreakdown = await Attendance.aggregate([
+      ...COUNTED_ATTENDANCE_STAGES,
+      { $group: { _id: STATUS_EXPR, count: { $sum: 1 } } },
+    ])
+    const statuses = emptyStatusCounts()
+    statusBreakdown.forEach((s) => {
+      statuses[s._id] = s.count
+    })
+
     // Attendance with location captured
     const withLocation = await Attendance.countDocuments({
       'location.lat': { $ne: null },
     })
 
+    // QR scans that used a superseded (but still in-grace) code
+    const staleQrScans = await Attendance.countDocuments({
+      method: 'qr',
+      qrGenerationsBehind: { $gt: 0 },
+    })
+
+    // RSVP conversion and no-shows across meetings that have ended
+    const rsvpMeetings = await Meeting.find({
+      _id: { $in: await Rsvp.distinct('meeting') },
+      $expr: { $lte: [MEETING_END_EXPR, now] },
+    })
+      .select('dateTime duration')
+      .lean()
+    const rsvp = totalRsvpStats(Object.values(await getRsvpStats(rsvpMeetings, now)))
+
     return res.status(200).json({
       success: true,
       data: {
@@ -67,7 +204,10 @@ const getSummary = async (req, res) => {
         pastMeetings,
         avgAttendance,
         methods,
+        statuses,
         withLocation,
+        staleQrScans,
+        rsvp,
       },
     })
   } catch (error) {
@@ -82,7 +222,8 @@ const getSummary = async (req, res) => {
 
 /**
  * GET /api/reports/meetings
- * Per-meeting attendance count. Supports search and pagination.
+ * Per-meeting attendance count. Supports search, pagination and
+ * `venue` (a venue id, or 'none' for meetings without one).
  */
 const getMeetingsReport = async (req, res) => {
   try {
@@ -90,6 +231,7 @@ const getMeetingsReport = async (req, res) => {
       page = 1,
       limit = 20,
       search = '',
+      venue = '',
       sortBy = 'dateTime',
       order = 'desc',
     } = req.query
@@ -98,13 +240,26 @@ const getMeetingsReport = async (req, res) => {
     if (search) {
       filter.title = { $regex: search, $options: 'i' }
     }
+    if (venue === 'none') {
+      filter.venue = null
+    } else if (venue) {
+      if (!mongoose.isValidObjectId(venue)) {
+        return res.status(400).json({
+          success: false,
+          error: 'BadRequest',
+          message: 'Invalid venue ID format.',
+        })
+      }
+      filter.venue = venue
+    }
 
     const skip = (parseInt(page) - 1) * parseInt(limit)
     const sortDir = order === 'asc' ? 1 : -1
 
     const [meetings, total] = await Promise.all([
       Meeting.find(filter)
-        .select('title type dateTime duration location isActive')
+        .select('title type dateTime duration location venue isActive capacity rsvpRequired')
+        .populate('venue', 'name')
         .sort({ [sortBy]: sortDir })
         .skip(skip)
         .limit(parseInt(limit))
@@ -112,21 +267,39 @@ const getMeetingsReport = async (req, res) => {
       Meeting.countDocuments(filter),
     ])
 
-    // Attach attendance counts
+    // Attach attendance counts, broken down by status and by in person / remote
     const meetingIds = meetings.map((m) => m._id)
     const countPipeline = await Attendance.aggregate([
       { $match: { meeting: { $in: meetingIds } } },
-      { $group: { _id: '$meeting', count: { $sum: 1 } } },
+      ...COUNTED_ATTENDANCE_STAGES,
+      {
+        $group: {
+          _id: { meeting: '$meeting', status: STATUS_EXPR, method: '$method', mode: '$mode' },
+          count: { $sum: 1 },
+        },
+      },
     ])
+    const rsvpStats = await getRsvpStats(meetings)
     const countMap = {}
+    const modeGroups = {}
     countPipeline.forEach((c) => {
-      countMap[c._id.toString()] = c.count
+      const key = c._id.meeting.toString()
+      if (!countMap[key]) countMap[key] = emptyStatusCounts()
+      countMap[key][c._id.status] += c.count
+      if (!modeGroups[key]) modeGroups[key] = []
+      modeGroups[key].push({ method: c._id.method, mode: c._id.mode, count: c.count })
     })
 
-    const data = meetings.map((m) => ({
-      ...m,
-      attendanceCount: countMap[m._id.toString()] || 0,
-    }))
+    const data = meetings.map((m) => {
+      const statusCounts = countMap[m._id.toString()] || emptyStatusCounts()
+      return {
+        ...m,
+        attendanceCount: Object.values(statusCounts).reduce((sum, n) => sum + n, 0),
+        statusCounts,
+        modeCounts: countAttendanceModes(m, modeGroups[m._id.toString()] || []),
+        rsvpStats: rsvpStats[m._id.toString()] || null,
+      }
+    })
 
     return res.status(200).json({
       success: true,
@@ -154,7 +327,10 @@ const getMeetingDetail = async (req, res) => {
     const { id } = req.params
 
     const meeting = await Meeting.findById(id)
-      .select('title type dateTime duration location meetingLink isActive geofencing')
+      .select(
+        'title type dateTime duration location meetingLink isActive venue geofencing lateAfterMinutes checkOutEnabled minimumStayMinutes capacity rsvpRequired'
+      )
+      .populate('venue', 'name address geofence defaultCapacity')
       .lean()
 
     if (!meeting) {
@@ -165,10 +341,44 @@ const getMeetingDetail = async (req, res) => {
       })
     }
 
-    const records = await Attendance.find({ meeting: id })
-      .populate('user', 'name email photoURL role')
-      .sort({ markedAt: 1 })
-      .lean()
+    const [found, rsvps, rsvpStats] = await Promise.all([
+      Attendance.find({ meeting: id })
+        .populate('user', 'name email photoURL role')
+        .populate('statusOverride.by', 'name email')
+        .populate('recordedBy', 'name email')
+        .populate('lastEditedBy', 'name email')
+        .sort({ markedAt: 1 })
+        .lean(),
+      Rsvp.find({ meeting: id, status: { $ne: 'cancelled' } })
+        .populate('user', 'name email photoURL')
+        .lean(),
+      getRsvpStats([meeting]),
+    ])
+
+    // Each attendee's RSVP ('going' / 'waitlisted'; null = walk-in)
+    const rsvpByUser = new Map(rsvps.filter((r) => r.user).map((r) => [r.user._id.toString(), r.status]))
+
+    const { flags, byRecord } = detectSuspiciousActivity(found)
+    const records = found.map((r) => ({
+      ...withStay(meeting, r),
+      mode: getAttendanceMode(meeting, r),
+      rsvp: (r.user && rsvpByUser.get(r.user._id.toString())) || null,
+      suspiciousFlags: byRecord[r._id.toString()] || [],
+    }))
+
+    // Members with a seat who never checked in
+    const attendees = new Set(found.filter((r) => r.user).map((r) => r.user._id.toString()))
+    const stats = rsvpStats[meeting._id.toString()] || null
+    const noShows = stats?.noShows != null
+      ? rsvps
+          .filter((r) => r.status === 'going' && r.user && !attendees.has(r.user._id.toString()))
+          .map((r) => r.user)
+      : []
+
+    const statusCounts = emptyStatusCounts()
+    records.forEach((r) => {
+      statusCounts[r.status || 'present']++
+    })
 
     return res.status(200).json({
       success: true,
@@ -176,6 +386,12 @@ const getMeetingDetail = async (req, res) => {
         meeting,
         attendance: records,
         total: records.length,
+        countedTotal: records.filter((r) => r.countsTowardAttendance).length,
+        statusCounts,
+        modeCounts: countAttendanceModes(meeting, records),
+        rsvpStats: stats,
+        noShows,
+        suspiciousActivity: flags,
       },
     })
   } catch (error) {
@@ -204,7 +420,20 @@ const getMeetingDetail = async (req, res) => {
 const getMembersReport = async (req, res) => {
   try {
     const pipeline = await Attendance.aggregate([
-      { $group: { _id: '$user', totalAttended: { $sum: 1 }, lastAttended: { $max: '$markedAt' } } },
+      ...COUNTED_ATTENDANCE_STAGES,
+      {
+        $group: {
+          _id: '$user',
+          totalAttended: { $sum: 1 },
+          lastAttended: { $max: '$markedAt' },
+          ...Object.fromEntries(
+            ATTENDANCE_STATUSES.map((status) => [
+              status,
+              { $sum: { $cond: [{ $eq: [STATUS_EXPR, status] }, 1, 0] } },
+            ])
+          ),
+        },
+      },
       {
         $lookup: {
           from: 'users',
@@ -224,6 +453,9 @@ const getMembersReport = async (req, res) => {
           role: '$user.role',
           totalAttended: 1,
           lastAttended: 1,
+          statusCounts: Object.fromEntries(
+            ATTENDANCE_STATUSES.map((status) => [status, `$${status}`])
+          ),
         },
       },
       { $sort: { totalAttended: -1 } },
@@ -243,6 +475,332 @@ const getMembersReport = async (req, res) => {
   }
 }
 
+/**
+ * GET /api/reports/venues
+ * Attendance grouped by venue. Meetings without a venue are grouped
+ * under `venue: null`.
+ *
+ * Query params:
+ *   from / to – only meetings starting in this range (ISO dates)
+ */
+const getVenuesReport = async (req, res) => {
+  try {
+    const { from = '', to = '' } = req.query
+
+    const meetingFilter = {}
+    const fromDate = from ? new Date(from) : null
+    const toDate = to ? new Date(to) : null
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid date range.',
+      })
+    }
+    if (fromDate || toDate) {
+      meetingFilter.dateTime = {}
+      if (fromDate) meetingFilter.dateTime.$gte = fromDate
+      if (toDate) meetingFilter.dateTime.$lte = toDate
+    }
+
+    const VENUE_KEY = { $ifNull: ['$venue', null] }
+
+    const [meetingGroups, attendanceGroups, venues] = await Promise.all([
+      Meeting.aggregate([
+        { $match: meetingFilter },
+        {
+          $group: {
+            _id: VENUE_KEY,
+            meetings: { $sum: 1 },
+            lastMeeting: { $max: '$dateTime' },
+          },
+        },
+      ]),
+      Meeting.aggregate([
+        { $match: meetingFilter },
+        { $project: { venue: 1, checkOutEnabled: 1, minimumStayMinutes: 1 } },
+        {
+          $lookup: {
+            from: 'attendances',
+            localField: '_id',
+            foreignField: 'meeting',
+            as: 'attendance',
+            pipeline: [{ $project: { user: 1, status: 1, markedAt: 1, checkedOutAt: 1 } }],
+          },
+        },
+        { $unwind: '$attendance' },
+        { $match: { $expr: countedStayExpr('$attendance.', '$') } },
+        {
+          $group: {
+            _id: VENUE_KEY,
+            totalAttendance: { $sum: 1 },
+            members: { $addToSet: '$attendance.user' },
+            ...Object.fromEntries(
+              ATTENDANCE_STATUSES.map((status) => [
+                status,
+                { $sum: { $cond: [{ $eq: [{ $ifNull: ['$attendance.status', 'present'] }, status] }, 1, 0] } },
+              ])
+            ),
+          },
+        },
+      ]),
+      Venue.find().select('name address defaultCapacity').lean(),
+    ])
+
+    const venueMap = Object.fromEntries(venues.map((v) => [v._id.toString(), v]))
+    const attendanceMap = Object.fromEntries(
+      attendanceGroups.map((g) => [String(g._id), g])
+    )
+
+    const data = meetingGroups
+      .map((group) => {
+        const key = String(group._id)
+        const counts = attendanceMap[key]
+        const venue = group._id ? venueMap[key] || null : null
+        const totalAttendance = counts?.totalAttendance || 0
+        const avgAttendance = Math.round((totalAttendance / group.meetings) * 10) / 10
+
+        return {
+          venueId: group._id,
+          venue,
+          meetings: group.meetings,
+          lastMeeting: group.lastMeeting,
+          totalAttendance,
+          uniqueAttendees: counts?.members.length || 0,
+          avgAttendance,
+          // Share of the venue's capacity filled by an average meeting
+          avgCapacityUsed: venue?.defaultCapacity
+            ? Math.round((avgAttendance / venue.defaultCapacity) * 100)
+            : null,
+          statusCounts: Object.fromEntries(
+            ATTENDANCE_STATUSES.map((status) => [status, counts?.[status] || 0])
+          ),
+        }
+      })
+      .sort((a, b) => b.totalAttendance - a.totalAttendance)
+
+    return res.status(200).json({
+      success: true,
+      data,
+    })
+  } catch (error) {
+    console.error('❌ Venues report error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to fetch venues report.',
+    })
+  }
+}
+
+/**
+ * GET /api/reports/series
+ * Attendance rolled up per recurring series — held / upcoming
+ * occurrences, total and average attendance, and how many different
+ * members came.
+ */
+const getSeriesReport = async (req, res) => {
+  try {
+    const now = new Date()
+
+    const [series, meetingGroups, attendanceGroups] = await Promise.all([
+      MeetingSeries.find().select('title frequency startsAt until count').lean(),
+      Meeting.aggregate([
+        { $match: { series: { $ne: null } } },
+        {
+          $group: {
+            _id: '$series',
+            held: { $sum: { $cond: [{ $lte: ['$dateTime', now] }, 1, 0] } },
+            upcoming: { $sum: { $cond: [{ $gt: ['$dateTime', now] }, 1, 0] } },
+            lastHeld: { $max: { $cond: [{ $lte: ['$dateTime', now] }, '$dateTime', null] } },
+          },
+        },
+      ]),
+      Meeting.aggregate([
+        { $match: { series: { $ne: null } } },
+        { $project: { series: 1, checkOutEnabled: 1, minimumStayMinutes: 1 } },
+        {
+          $lookup: {
+            from: 'attendances',
+            localField: '_id',
+            foreignField: 'meeting',
+            as: 'attendance',
+            pipeline: [{ $project: { user: 1, status: 1, markedAt: 1, checkedOutAt: 1 } }],
+          },
+        },
+        { $unwind: '$attendance' },
+        { $match: { $expr: countedStayExpr('$attendance.', '$') } },
+        {
+          $group: {
+            _id: '$series',
+            totalAttendance: { $sum: 1 },
+            members: { $addToSet: '$attendance.user' },
+            ...Object.fromEntries(
+              ATTENDANCE_STATUSES.map((status) => [
+                status,
+                { $sum: { $cond: [{ $eq: [{ $ifNull: ['$attendance.status', 'present'] }, status] }, 1, 0] } },
+              ])
+            ),
+          },
+        },
+      ]),
+    ])
+
+    const meetingMap = Object.fromEntries(meetingGroups.map((g) => [g._id.toString(), g]))
+    const attendanceMap = Object.fromEntries(attendanceGroups.map((g) => [g._id.toString(), g]))
+
+    const data = series
+      .map((s) => {
+        const occurrences = meetingMap[s._id.toString()]
+        const counts = attendanceMap[s._id.toString()]
+        const held = occurrences?.held || 0
+        const totalAttendance = counts?.totalAttendance || 0
+
+        return {
+          series: s,
+          held,
+          upcoming: occurrences?.upcoming || 0,
+          lastHeld: occurrences?.lastHeld || null,
+          totalAttendance,
+          uniqueAttendees: counts?.members.length || 0,
+          avgAttendance: held ? Math.round((totalAttendance / held) * 10) / 10 : 0,
+          statusCounts: Object.fromEntries(
+            ATTENDANCE_STATUSES.map((status) => [status, counts?.[status] || 0])
+          ),
+        }
+      })
+      .sort((a, b) => b.totalAttendance - a.totalAttendance)
+
+    return res.status(200).json({
+      success: true,
+      data,
+    })
+  } catch (error) {
+    console.error('❌ Series report error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to fetch series report.',
+    })
+  }
+}
+
+/**
+ * GET /api/reports/series/:id
+ * One series: attendance per occurrence, and per member how many of the
+ * held occurrences they attended.
+ */
+const getSeriesDetail = async (req, res) => {
+  try {
+    const series = await MeetingSeries.findById(req.params.id)
+      .select('title frequency startsAt until count exceptions')
+      .lean()
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Series not found.',
+      })
+    }
+
+    const now = new Date()
+    const occurrences = await Meeting.find({ series: series._id })
+      .select('title type dateTime duration location isActive')
+      .sort({ dateTime: 1 })
+      .lean()
+    const meetingIds = occurrences.map((m) => m._id)
+
+    const [countPipeline, memberPipeline] = await Promise.all([
+      Attendance.aggregate([
+        { $match: { meeting: { $in: meetingIds } } },
+        ...COUNTED_ATTENDANCE_STAGES,
+        { $group: { _id: { meeting: '$meeting', status: STATUS_EXPR }, count: { $sum: 1 } } },
+      ]),
+      Attendance.aggregate([
+        { $match: { meeting: { $in: meetingIds } } },
+        ...COUNTED_ATTENDANCE_STAGES,
+        {
+          $group: {
+            _id: '$user',
+            attended: { $sum: 1 },
+            late: { $sum: { $cond: [{ $eq: [STATUS_EXPR, 'late'] }, 1, 0] } },
+            lastAttended: { $max: '$markedAt' },
+          },
+        },
+        {
+          $lookup: {
+            from: 'users',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'user',
+          },
+        },
+        { $unwind: '$user' },
+        {
+          $project: {
+            _id: 0,
+            userId: '$user._id',
+            name: '$user.name',
+            email: '$user.email',
+            photoURL: '$user.photoURL',
+            attended: 1,
+            late: 1,
+            lastAttended: 1,
+          },
+        },
+        { $sort: { attended: -1, name: 1 } },
+      ]),
+    ])
+
+    const countMap = {}
+    countPipeline.forEach((c) => {
+      const key = c._id.meeting.toString()
+      if (!countMap[key]) countMap[key] = emptyStatusCounts()
+      countMap[key][c._id.status] += c.count
+    })
+
+    const held = occurrences.filter((m) => m.dateTime <= now).length
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        series,
+        held,
+        occurrences: occurrences.map((m) => {
+          const statusCounts = countMap[m._id.toString()] || emptyStatusCounts()
+          return {
+            ...m,
+            attendanceCount: Object.values(statusCounts).reduce((sum, n) => sum + n, 0),
+            statusCounts,
+          }
+        }),
+        // Share of the held occurrences each member attended
+        members: memberPipeline.map((member) => ({
+          ...member,
+          attendanceRate: held ? Math.round((Math.min(member.attended, held) / held) * 100) : 0,
+        })),
+      },
+    })
+  } catch (error) {
+    console.error('❌ Series detail report error:', error.message)
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid series ID format.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to fetch series detail.',
+    })
+  }
+}
+
 /**
  * GET /api/reports/export/csv
  * Export all attendance records as CSV.
@@ -251,7 +809,7 @@ const exportCSV = async (req, res) => {
   try {
     const records = await Attendance.find()
       .populate('user', 'name email role')
-      .populate('meeting', 'title type dateTime duration location')
+      .populate('meeting', 'title type dateTime duration location checkOutEnabled minimumStayMinutes')
       .sort({ 'meeting.dateTime': -1, markedAt: 1 })
       .lean()
 
@@ -264,7 +822,12 @@ const exportCSV = async (req, res) => {
       'Member Email',
       'Role',
       'Method',
+      'Mode',
+      'Status',
       'Marked At',
+      'Checked Out At',
+      'Stay (min)',
+      'Counts',
       'Latitude',
       'Longitude',
       'Accuracy (m)',
@@ -277,6 +840,7 @@ const exportCSV = async (req, res) => {
       const markedAt = r.markedAt
         ? new Date(r.markedAt).toISOString()
         : ''
+      const { stayMinutes, countsTowardAttendance } = withStay(r.meeting, r)
 
       return [
         `"${(r.meeting?.title || '').replace(/"/g, '""')}"`,
@@ -286,7 +850,12 @@ const exportCSV = async (req, res) => {
         r.user?.email || '',
         r.user?.role || '',
         r.method || '',
+        (r.meeting && getAttendanceMode(r.meeting, r)) || '',
+        r.status || 'present',
         markedAt,
+        r.checkedOutAt ? new Date(r.checkedOutAt).toISOString() : '',
+        stayMinutes ?? '',
+        countsTowardAttendance ? 'yes' : 'no',
         r.location?.lat ?? '',
         r.location?.lng ?? '',
         r.location?.accuracy ?? '',
@@ -319,7 +888,9 @@ const exportMeetingCSV = async (req, res) => {
   try {
     const { id } = req.params
 
-    const meeting = await Meeting.findById(id).select('title type dateTime').lean()
+    const meeting = await Meeting.findById(id)
+      .select('title type dateTime checkOutEnabled minimumStayMinutes')
+      .lean()
     if (!meeting) {
       return res.status(404).json({
         success: false,
@@ -341,7 +912,12 @@ const exportMeetingCSV = async (req, res) => {
       'Member Email',
       'Role',
       'Method',
+      'Mode',
+      'Status',
       'Marked At',
+      'Checked Out At',
+      'Stay (min)',
+      'Counts',
       'Latitude',
       'Longitude',
       'Accuracy (m)',
@@ -349,6 +925,7 @@ const exportMeetingCSV = async (req, res) => {
 
     const rows = records.map((r) => {
       const markedAt = r.markedAt ? new Date(r.markedAt).toISOString() : ''
+      const { stayMinutes, countsTowardAttendance } = withStay(meeting, r)
 
       return [
         `"${(meeting.title || '').replace(/"/g, '""')}"`,
@@ -358,7 +935,12 @@ const exportMeetingCSV = async (req, res) => {
         r.user?.email || '',
         r.user?.role || '',
         r.method || '',
+        getAttendanceMode(meeting, r) || '',
+        r.status || 'present',
         markedAt,
+        r.checkedOutAt ? new Date(r.checkedOutAt).toISOString() : '',
+        stayMinutes ?? '',
+        countsTowardAttendance ? 'yes' : 'no',
         r.location?.lat ?? '',
         r.location?.lng ?? '',
         r.location?.accuracy ?? '',
@@ -393,11 +975,846 @@ const exportMeetingCSV = async (req, res) => {
   }
 }
 
+/**
+ * Validate the `reason` every manual change must carry.
+ * Returns the trimmed reason, or sends a 400 and returns null.
+ */
+const requireReason = (req, res) => {
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : ''
+  if (!reason) {
+    res.status(400).json({
+      success: false,
+      error: 'BadRequest',
+      message: 'A reason is required for manual attendance changes.',
+    })
+    return null
+  }
+  if (reason.length > REASON_MAX_LENGTH) {
+    res.status(400).json({
+      success: false,
+      error: 'BadRequest',
+      message: `Reason cannot exceed ${REASON_MAX_LENGTH} characters.`,
+    })
+    return null
+  }
+  return reason
+}
+
+/**
+ * PATCH /api/reports/attendance/:attendanceId/status
+ * Override the status of one attendance record (e.g. mark someone excused
+ * or forgive a late arrival). Body: { status, reason }
+ */
+const updateAttendanceStatus = async (req, res) => {
+  try {
+    const { status } = req.body || {}
+
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}.`,
+      })
+    }
+
+    const reason = requireReason(req, res)
+    if (!reason) return
+
+    const record = await Attendance.findById(req.params.attendanceId)
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Attendance record not found.',
+      })
+    }
+
+    const previous = record.status || 'present'
+    if (previous !== status) {
+      const before = snapshotAttendance(record)
+      record.status = status
+      record.statusOverride = { by: req.user.dbId, at: new Date(), previous }
+      await record.save()
+      await recordAttendanceChange(req, {
+        record,
+        action: 'edited',
+        auditAction: 'attendance.status_changed',
+        reason,
+        before,
+        after: snapshotAttendance(record),
+      })
+    }
+
+    await record.populate([
+      { path: 'user', select: 'name email photoURL role' },
+      { path: 'statusOverride.by', select: 'name email' },
+    ])
+
+    return res.status(200).json({
+      success: true,
+      data: record,
+      message: `Attendance marked as ${status}.`,
+    })
+  } catch (error) {
+    console.error('❌ Update attendance status error:', error.message)
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid attendance ID.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to update attendance status.',
+    })
+  }
+}
+
+/**
+ * POST /api/reports/meeting/:id/attendance
+ * Add an attendance record by hand (e.g. a member's phone died).
+ * Body: { userId, reason, status?, markedAt?, checkedOutAt? }
+ */
+const addManualAttendance = async (req, res) => {
+  try {
+    const reason = requireReason(req, res)
+    if (reason === null) return
+
+    const { userId, status = 'present', mode } = req.body
+    const markedAt = parseDateField(req.body.markedAt)
+    const checkedOutAt = parseDateField(req.body.checkedOutAt)
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'userId is required.',
+      })
+    }
+
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}.`,
+      })
+    }
+
+    if (mode != null && !ATTENDANCE_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: `Mode must be one of: ${ATTENDANCE_MODES.join(', ')}.`,
+      })
+    }
+
+    if (markedAt === false || checkedOutAt === false) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid check-in or check-out time.',
+      })
+    }
+
+    const [meeting, member] = await Promise.all([
+      Meeting.findById(req.params.id).select('_id type').lean(),
+      User.findById(userId).select('name email photoURL role').lean(),
+    ])
+
+    if (!meeting || !member) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: meeting ? 'Member not found.' : 'Meeting not found.',
+      })
+    }
+
+    const checkInTime = markedAt || new Date()
+    if (checkedOutAt && checkedOutAt < checkInTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Check-out cannot be before check-in.',
+      })
+    }
+
+    const record = await Attendance.create({
+      meeting: meeting._id,
+      user: member._id,
+      method: 'manual',
+      mode: mode || checkInMode(meeting, 'manual'),
+      markedAt: checkInTime,
+      status,
+      checkedOutAt: checkedOutAt || null,
+      checkOutMethod: checkedOutAt ? 'manual' : null,
+      recordedBy: req.user.dbId,
+      manualReason: reason,
+    })
+
+    await recordAttendanceChange(req, {
+      record,
+      action: 'added',
+      reason,
+      after: snapshotAttendance(record),
+    })
+    publishCheckIn(record, member)
+
+    await record.populate([
+      { path: 'user', select: 'name email photoURL role' },
+      { path: 'recordedBy', select: 'name email' },
+    ])
+
+    return res.status(201).json({
+      success: true,
+      data: record,
+      message: `Attendance added for ${member.name}.`,
+    })
+  } catch (error) {
+    console.error('❌ Add manual attendance error:', error.message)
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'This member already has attendance recorded for this meeting. Edit the existing record instead.',
+      })
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid meeting or user ID.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to add attendance.',
+    })
+  }
+}
+
+/**
+ * PATCH /api/reports/attendance/:attendanceId
+ * Correct an attendance record.
+ * Body: { reason, status?, mode?, markedAt?, checkedOutAt? (null clears the check-out) }
+ */
+const updateAttendance = async (req, res) => {
+  try {
+    const reason = requireReason(req, res)
+    if (reason === null) return
+
+    const { status, mode } = req.body
+    const markedAt = parseDateField(req.body.markedAt)
+    const checkedOutAt = parseDateField(req.body.checkedOutAt)
+
+    if (status !== undefined && !ATTENDANCE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}.`,
+      })
+    }
+
+    if (mode != null && !ATTENDANCE_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: `Mode must be one of: ${ATTENDANCE_MODES.join(', ')}.`,
+      })
+    }
+
+    if (markedAt === false || markedAt === null || checkedOutAt === false) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid check-in or check-out time.',
+      })
+    }
+
+    const record = await Attendance.findById(req.params.attendanceId)
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Attendance record not found.',
+      })
+    }
+
+    const before = snapshotAttendance(record)
+    const now = new Date()
+
+    if (status !== undefined && status !== before.status) {
+      record.status = status
+      record.statusOverride = { by: req.user.dbId, at: now, previous: before.status }
+    }
+    if (mode !== undefined) record.mode = mode || null
+    if (markedAt !== undefined) record.markedAt = markedAt
+    if (checkedOutAt !== undefined) {
+      record.checkedOutAt = checkedOutAt
+      record.checkOutMethod = checkedOutAt ? 'manual' : null
+    }
+
+    if (record.checkedOutAt && record.checkedOutAt < record.markedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Check-out cannot be before check-in.',
+      })
+    }
+
+    if (!record.isModified()) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Nothing to change.',
+      })
+    }
+
+    record.lastEditedBy = req.user.dbId
+    record.lastEditedAt = now
+    await record.save()
+
+    await recordAttendanceChange(req, {
+      record,
+      action: 'edited',
+      reason,
+      before,
+      after: snapshotAttendance(record),
+    })
+
+    await record.populate([
+      { path: 'user', select: 'name email photoURL role' },
+      { path: 'statusOverride.by', select: 'name email' },
+      { path: 'recordedBy', select: 'name email' },
+      { path: 'lastEditedBy', select: 'name email' },
+    ])
+
+    return res.status(200).json({
+      success: true,
+      data: record,
+      message: 'Attendance updated.',
+    })
+  } catch (error) {
+    console.error('❌ Update attendance error:', error.message)
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid attendance ID.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to update attendance.',
+    })
+  }
+}
+
+/**
+ * DELETE /api/reports/attendance/:attendanceId
+ * Remove an attendance record. Body: { reason }
+ */
+const removeAttendance = async (req, res) => {
+  try {
+    const reason = requireReason(req, res)
+    if (reason === null) return
+
+    const record = await Attendance.findByIdAndDelete(req.params.attendanceId).lean()
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Attendance record not found.',
+      })
+    }
+
+    await recordAttendanceChange(req, {
+      record,
+      action: 'removed',
+      reason,
+      before: snapshotAttendance(record),
+    })
+
+    return res.status(200).json({
+      success: true,
+      message: 'Attendance removed.',
+    })
+  } catch (error) {
+    console.error('❌ Remove attendance error:', error.message)
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid attendance ID.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to remove attendance.',
+    })
+  }
+}
+
+/**
+ * GET /api/reports/meeting/:id/changes
+ * Admin change history for a meeting's attendance, newest first.
+ */
+const getAttendanceChanges = async (req, res) => {
+  try {
+    const changes = await AttendanceChange.find({ meeting: req.params.id })
+      .populate('member', 'name email')
+      .populate('actor', 'name email')
+      .sort({ changedAt: -1 })
+      .limit(200)
+      .lean()
+
+    return res.status(200).json({
+      success: true,
+      data: changes,
+    })
+  } catch (error) {
+    console.error('❌ Attendance changes error:', error.message)
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid meeting ID.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to fetch attendance changes.',
+    })
+  }
+}
+
+/**
+ * CSV columns recognised by the importer (header names, case-insensitive).
+ * The first name of each list matches exportMeetingCSV, so exports round-trip.
+ */
+const IMPORT_COLUMNS = {
+  email: ['member email', 'email', 'email address', 'e-mail'],
+  markedAt: ['marked at', 'timestamp', 'time', 'checked in at', 'check-in time'],
+  status: ['status'],
+  mode: ['mode', 'attendance mode'],
+  checkedOutAt: ['checked out at', 'check-out time'],
+}
+const IMPORT_MAX_ROWS = 2000
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const TIME_ONLY_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/
+
+/**
+ * Map each known column to its index in the header row (undefined if absent).
+ */
+const mapImportColumns = (header) => {
+  const names = header.map((name) => name.trim().toLowerCase())
+  return Object.fromEntries(
+    Object.entries(IMPORT_COLUMNS).map(([key, aliases]) => {
+      const index = names.findIndex((name) => aliases.includes(name))
+      return [key, index === -1 ? undefined : index]
+    })
+  )
+}
+
+/**
+ * Read an imported mode cell ('in_person', 'In person', 'remote', ...).
+ * Returns null when blank or unrecognised.
+ */
+const parseImportMode = (value) => {
+  const text = value.toLowerCase().replace(/[\s-]+/g, '_')
+  if (ATTENDANCE_MODES.includes(text)) return text
+  if (text === 'online') return 'remote'
+  if (text === 'offline' || text === 'on_site') return 'in_person'
+  return null
+}
+
+/**
+ * Parse an imported timestamp. Accepts anything Date understands (the
+ * export writes ISO strings) or a bare "HH:MM[:SS]" on the meeting's date,
+ * in the server's time zone. Returns null when blank, false when invalid.
+ */
+const parseImportTime = (value, meeting) => {
+  const text = (value || '').trim()
+  if (!text) return null
+
+  const timeOnly = text.match(TIME_ONLY_PATTERN)
+  if (timeOnly) {
+    const date = new Date(meeting.dateTime)
+    date.setHours(Number(timeOnly[1]), Number(timeOnly[2]), Number(timeOnly[3] || 0), 0)
+    return date
+  }
+
+  const date = new Date(text)
+  return Number.isNaN(date.getTime()) ? false : date
+}
+
+/**
+ * POST /api/reports/meeting/:id/import
+ * Import attendance for meetings run outside the portal (paper sign-in
+ * sheets, third-party event platforms).
+ *
+ * Body:
+ *   csv      – CSV text with a header row; needs an email column, and may
+ *              have "Marked At", "Status", "Mode" and "Checked Out At" columns
+ *              (the exportMeetingCSV layout is accepted as-is)
+ *   dryRun   – preview only (default true); pass false to create records
+ *   fileName – optional, recorded in the change history
+ *
+ * Every row is classified as matched (will be created), unmatched (no
+ * user with that email), duplicate (already recorded, or repeated in the
+ * file) or invalid (bad email / timestamp).
+ */
+const importMeetingCSV = async (req, res) => {
+  try {
+    const { csv, dryRun = true, fileName = '' } = req.body || {}
+
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'CSV content is required.',
+      })
+    }
+
+    const meeting = await Meeting.findById(req.params.id)
+      .select('title type dateTime duration lateAfterMinutes')
+      .lean()
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Meeting not found.',
+      })
+    }
+
+    const [header, ...dataRows] = parseCSV(csv)
+    const columns = mapImportColumns(header?.fields || [])
+
+    if (columns.email === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'MissingColumn',
+        message: 'Could not find an email column. Expected a header such as "Member Email" or "email".',
+      })
+    }
+
+    if (dataRows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: 'TooManyRows',
+        message: `A single import is limited to ${IMPORT_MAX_ROWS} rows.`,
+      })
+    }
+
+    // Look up every user and existing record in two queries
+    const cell = (row, key) => (columns[key] === undefined ? '' : (row.fields[columns[key]] || '').trim())
+    const emails = [...new Set(dataRows.map((row) => cell(row, 'email').toLowerCase()).filter(Boolean))]
+    const users = await User.find({ email: { $in: emails } }).select('name email').lean()
+    const userByEmail = new Map(users.map((u) => [u.email, u]))
+    const alreadyRecorded = new Set(
+      (
+        await Attendance.find({ meeting: meeting._id, user: { $in: users.map((u) => u._id) } })
+          .select('user')
+          .lean()
+      ).map((a) => a.user.toString())
+    )
+
+    const seen = new Set()
+    const rows = dataRows.map((row) => {
+      const email = cell(row, 'email').toLowerCase()
+      const preview = { line: row.line, email, result: 'matched', reason: '' }
+
+      if (!EMAIL_PATTERN.test(email)) {
+        return { ...preview, result: 'invalid', reason: 'Missing or invalid email' }
+      }
+
+      const markedAt = parseImportTime(cell(row, 'markedAt'), meeting)
+      const checkedOutAt = parseImportTime(cell(row, 'checkedOutAt'), meeting)
+      if (markedAt === false || checkedOutAt === false) {
+        return { ...preview, result: 'invalid', reason: 'Unreadable timestamp' }
+      }
+
+      const checkInTime = markedAt || new Date(meeting.dateTime)
+      if (checkedOutAt && checkedOutAt < checkInTime) {
+        return { ...preview, result: 'invalid', reason: 'Check-out is before check-in' }
+      }
+
+      const user = userByEmail.get(email)
+      if (!user) {
+        return { ...preview, result: 'unmatched', reason: 'No member with this email' }
+      }
+
+      const userKey = user._id.toString()
+      if (alreadyRecorded.has(userKey)) {
+        return { ...preview, result: 'duplicate', reason: 'Already has attendance for this meeting', user }
+      }
+      if (seen.has(userKey)) {
+        return { ...preview, result: 'duplicate', reason: 'Repeated earlier in the file', user }
+      }
+      seen.add(userKey)
+
+      const statusCell = cell(row, 'status').toLowerCase()
+      return {
+        ...preview,
+        user,
+        markedAt: checkInTime,
+        checkedOutAt: checkedOutAt || null,
+        mode: parseImportMode(cell(row, 'mode')) || checkInMode(meeting, 'import'),
+        status: ATTENDANCE_STATUSES.includes(statusCell)
+          ? statusCell
+          : classifyArrival(meeting, checkInTime),
+      }
+    })
+
+    const summary = { total: rows.length, matched: 0, unmatched: 0, duplicate: 0, invalid: 0 }
+    rows.forEach((row) => {
+      summary[row.result]++
+    })
+
+    if (dryRun !== false) {
+      return res.status(200).json({
+        success: true,
+        data: { dryRun: true, summary, rows },
+      })
+    }
+
+    // Commit the matched rows
+    const reason = `Imported from CSV${fileName ? ` (${String(fileName).slice(0, 200)})` : ''}`
+    const docs = rows
+      .filter((row) => row.result === 'matched')
+      .map((row) => ({
+        meeting: meeting._id,
+        user: row.user._id,
+        method: 'import',
+        mode: row.mode,
+        markedAt: row.markedAt,
+        status: row.status,
+        checkedOutAt: row.checkedOutAt,
+        checkOutMethod: row.checkedOutAt ? 'import' : null,
+        recordedBy: req.user.dbId,
+        manualReason: reason,
+      }))
+
+    let created = []
+    try {
+      created = docs.length > 0 ? await Attendance.insertMany(docs, { ordered: false }) : []
+    } catch (err) {
+      // Records created by someone else between preview and commit are skipped
+      if (!err.writeErrors && err.code !== 11000) throw err
+      created = err.insertedDocs || []
+    }
+
+    if (created.length > 0) {
+      try {
+        await AttendanceChange.insertMany(
+          created.map((record) => ({
+            meeting: meeting._id,
+            attendance: record._id,
+            member: record.user,
+            action: 'added',
+            actor: req.user.dbId,
+            reason,
+            after: snapshotAttendance(record),
+          }))
+        )
+      } catch (err) {
+        console.error('❌ Failed to record attendance changes:', err.message)
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'attendance.imported',
+      targetType: 'meeting',
+      target: meeting._id,
+      targetLabel: meeting.title,
+      meta: { fileName, summary, created: created.length },
+    })
+
+    console.log(`📥 Imported ${created.length} attendance record(s) into "${meeting.title}"`)
+
+    return res.status(201).json({
+      success: true,
+      data: { dryRun: false, summary, rows, created: created.length },
+      message: `Imported ${created.length} attendance record${created.length !== 1 ? 's' : ''}.`,
+    })
+  } catch (error) {
+    console.error('❌ Attendance import error:', error.message)
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid meeting ID.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to import attendance.',
+    })
+  }
+}
+
+/**
+ * GET /api/reports/suspicious
+ * Meetings where check-ins look like proxy attendance — one device used
+ * for several accounts, or several accounts at identical coordinates
+ * (see utils/suspiciousActivity.js).
+ *
+ * Query params:
+ *   from / to – limit to meetings scheduled in this range (ISO dates)
+ *   limit     – most recent flagged meetings to return (default: 50, max: 200)
+ */
+const getSuspiciousActivity = async (req, res) => {
+  try {
+    const { from = '', to = '', limit = 50 } = req.query
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50))
+
+    const meetingFilter = {}
+    const fromDate = from ? new Date(from) : null
+    const toDate = to ? new Date(to) : null
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid date range.',
+      })
+    }
+    if (fromDate || toDate) {
+      meetingFilter.dateTime = {}
+      if (fromDate) meetingFilter.dateTime.$gte = fromDate
+      if (toDate) meetingFilter.dateTime.$lte = toDate
+    }
+
+    // 1. Candidate meetings: any device or exact location shared by 2+ accounts
+    const sharedBy = (key) => [
+      { $group: { _id: { meeting: '$meeting', key }, users: { $addToSet: '$user' } } },
+      { $match: { 'users.1': { $exists: true } } },
+      { $group: { _id: '$_id.meeting' } },
+    ]
+
+    const [candidates] = await Attendance.aggregate([
+      { $match: { method: { $in: SELF_CHECK_IN_METHODS } } },
+      {
+        $facet: {
+          devices: [{ $match: { deviceId: { $nin: ['', null] } } }, ...sharedBy('$deviceId')],
+          locations: [
+            { $match: { 'location.lat': { $ne: null }, 'location.lng': { $ne: null } } },
+            ...sharedBy({
+              lat: { $round: ['$location.lat', LOCATION_PRECISION] },
+              lng: { $round: ['$location.lng', LOCATION_PRECISION] },
+            }),
+          ],
+        },
+      },
+    ])
+
+    const candidateIds = [...candidates.devices, ...candidates.locations].map((c) => c._id)
+
+    const meetings = await Meeting.find({ _id: { $in: candidateIds }, ...meetingFilter })
+      .select('title type dateTime location')
+      .sort({ dateTime: -1 })
+      .limit(limitNum)
+      .lean()
+
+    // 2. Run the detector on each candidate's self check-ins
+    const records = await Attendance.find({
+      meeting: { $in: meetings.map((m) => m._id) },
+      method: { $in: SELF_CHECK_IN_METHODS },
+    })
+      .select('meeting user method markedAt deviceId clientIp userAgent location')
+      .populate('user', 'name email photoURL')
+      .lean()
+
+    const recordsByMeeting = new Map()
+    records.forEach((r) => {
+      const key = r.meeting.toString()
+      if (!recordsByMeeting.has(key)) recordsByMeeting.set(key, [])
+      recordsByMeeting.get(key).push(r)
+    })
+
+    const data = meetings
+      .map((meeting) => {
+        const meetingRecords = recordsByMeeting.get(meeting._id.toString()) || []
+        const recordById = new Map(meetingRecords.map((r) => [r._id.toString(), r]))
+        const { flags } = detectSuspiciousActivity(meetingRecords)
+
+        return {
+          meeting,
+          checkIns: meetingRecords.length,
+          flags: flags.map((flag) => ({
+            ...flag,
+            records: flag.attendance.map((id) => {
+              const r = recordById.get(id)
+              return {
+                _id: r._id,
+                user: r.user,
+                method: r.method,
+                markedAt: r.markedAt,
+                clientIp: r.clientIp,
+                userAgent: r.userAgent,
+              }
+            }),
+          })),
+        }
+      })
+      .filter((entry) => entry.flags.length > 0)
+
+    return res.status(200).json({
+      success: true,
+      data,
+      summary: {
+        meetings: data.length,
+        sharedDevice: data.reduce(
+          (sum, m) => sum + m.flags.filter((f) => f.type === 'shared_device').length, 0
+        ),
+        identicalLocation: data.reduce(
+          (sum, m) => sum + m.flags.filter((f) => f.type === 'identical_location').length, 0
+        ),
+      },
+    })
+  } catch (error) {
+    console.error('❌ Suspicious activity report error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to build the suspicious activity report.',
+    })
+  }
+}
+
 module.exports = {
   getSummary,
   getMeetingsReport,
   getMeetingDetail,
   getMembersReport,
+  getVenuesReport,
+  getSeriesReport,
+  getSeriesDetail,
   exportCSV,
   exportMeetingCSV,
+  updateAttendanceStatus,
+  addManualAttendance,
+  updateAttendance,
+  removeAttendance,
+  getAttendanceChanges,
+  importMeetingCSV,
+  getSuspiciousActivity,
 }
@@ -0,0 +1,429 @@
+/**
+ * RSVP Controller
+ *
+ * Members RSVP to upcoming meetings they may attend. A meeting with a
+ * capacity takes RSVPs until its seats are gone; later RSVPs join a
+ * waitlist and move up automatically when someone cancels or the
+ * capacity is raised (services/rsvpService.js). RSVPs close when the
+ * meeting starts.
+ *
+ * With `rsvpRequired` set on the meeting, only members with a 'going'
+ * RSVP may check in (enforced in attendanceController.js).
+ */
+
+const mongoose = require('mongoose')
+const Meeting = require('../models/Meeting')
+const Rsvp = require('../models/Rsvp')
+const User = require('../models/User')
+const Attendance = require('../models/Attendance')
+const { MEETING_END_EXPR, getMeetingWindow, getCheckInState } = require('../utils/meetingWindow')
+const { getEffectiveRule, describeCheckInRules } = require('../utils/checkInRules')
+const { recordAudit } = require('../services/auditLog')
+const {
+  claimSeat,
+  releaseSeat,
+  promoteWaitlist,
+  auditPromotions,
+  isRsvpOpen,
+  buildRsvpSummary,
+  buildRsvpSummaries,
+} = require('../services/rsvpService')
+const { eligibleMeetingsFilter } = require('./calendarController')
+
+const RSVP_MEETING_FIELDS = 'title dateTime duration capacity seatsTaken rsvpRequired participation participants'
+const UPCOMING_MEETING_FIELDS =
+  'title description type dateTime duration location venue series capacity seatsTaken rsvpRequired ' +
+  'attendanceToken checkInOpensBefore checkInClosesAfter checkInRules geofencing'
+const UPCOMING_MAX_MEETINGS = 50
+
+/**
+ * Load the meeting named in the URL and the signed-in member, and check
+ * the member may attend it. Returns { meeting, dbUser } or an error
+ * response { status, error, message }.
+ */
+const loadRsvpContext = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return { status: 400, error: 'BadRequest', message: 'Invalid meeting ID format.' }
+  }
+
+  const [meeting, dbUser] = await Promise.all([
+    Meeting.findById(req.params.id).select(RSVP_MEETING_FIELDS).lean(),
+    User.findOne({ firebaseUid: req.user.uid }).lean(),
+  ])
+
+  if (!meeting) {
+    return { status: 404, error: 'NotFound', message: 'Meeting not found.' }
+  }
+  if (!dbUser) {
+    return { status: 403, error: 'Forbidden', message: 'User not found in the system. Please contact an administrator.' }
+  }
+
+  // Check participation restriction
+  if (meeting.participation === 'selected') {
+    const isAllowed = meeting.participants?.some(
+      (pid) => pid.toString() === dbUser._id.toString()
+    )
+    if (!isAllowed) {
+      return { status: 403, error: 'Forbidden', message: 'You are not on the participants list for this meeting.' }
+    }
+  }
+
+  return { meeting, dbUser }
+}
+
+/**
+ * Respond with the member's RSVP and the meeting's fresh counts.
+ */
+const sendSummary = async (res, status, meetingId, rsvp, message) => {
+  const meeting = await Meeting.findById(meetingId).select(RSVP_MEETING_FIELDS).lean()
+  return res.status(status).json({
+    success: true,
+    data: await buildRsvpSummary(meeting, rsvp),
+    ...(message && { message }),
+  })
+}
+
+/**
+ * Audit a member's own RSVP change.
+ */
+const auditRsvp = (req, { action, rsvp, member, meeting, before = null, after }) =>
+  recordAudit(req, {
+    action,
+    actor: member,
+    targetType: 'rsvp',
+    target: rsvp._id,
+    targetLabel: member.email,
+    before,
+    after,
+    meta: { meeting: meeting._id, meetingTitle: meeting.title },
+  })
+
+/**
+ * GET /api/meetings/:id/rsvp
+ * The signed-in member's RSVP, waitlist position and the meeting's counts.
+ */
+const getMyRsvp = async (req, res) => {
+  try {
+    const { meeting, dbUser, status, error, message } = await loadRsvpContext(req)
+    if (error) {
+      return res.status(status).json({ success: false, error, message })
+    }
+
+    const rsvp = await Rsvp.findOne({ meeting: meeting._id, user: dbUser._id }).lean()
+    return res.status(200).json({
+      success: true,
+      data: await buildRsvpSummary(meeting, rsvp),
+    })
+  } catch (error) {
+    console.error('❌ Get RSVP error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to fetch RSVP.',
+    })
+  }
+}
+
+/**
+ * POST /api/meetings/:id/rsvp
+ * RSVP to a meeting. Takes a seat if one is free and nobody is waiting
+ * for it; otherwise joins the end of the waitlist. Replying again while
+ * already going or waitlisted changes nothing.
+ */
+const createRsvp = async (req, res) => {
+  try {
+    const { meeting, dbUser, status, error, message } = await loadRsvpContext(req)
+    if (error) {
+      return res.status(status).json({ success: false, error, message })
+    }
+
+    if (!isRsvpOpen(meeting)) {
+      return res.status(400).json({
+        success: false,
+        error: 'RsvpClosed',
+        message: 'This meeting has already started. RSVPs are closed.',
+      })
+    }
+
+    const current = await Rsvp.findOne({ meeting: meeting._id, user: dbUser._id }).lean()
+    if (current && current.status !== 'cancelled') {
+      return sendSummary(
+        res,
+        200,
+        meeting._id,
+        current,
+        current.status === 'going' ? 'You have already RSVPed to this meeting.' : 'You are already on the waitlist.'
+      )
+    }
+
+    // Members already waiting get free seats first (see promoteWaitlist)
+    const queued = await Rsvp.exists({ meeting: meeting._id, status: 'waitlisted' })
+    const seated = !queued && (await claimSeat(meeting._id))
+
+    let rsvp
+    try {
+      // Reuses a cancelled RSVP; a concurrent reply by the same member
+      // fails on the unique (meeting, user) index instead
+      rsvp = await Rsvp.findOneAndUpdate(
+        { meeting: meeting._id, user: dbUser._id, status: 'cancelled' },
+        {
+          status: seated ? 'going' : 'waitlisted',
+          queuedAt: new Date(),
+          promotedAt: null,
+          cancelledAt: null,
+        },
+        { upsert: true, new: true }
+      ).lean()
+    } catch (err) {
+      if (seated) await releaseSeat(meeting._id)
+      if (err.code !== 11000) throw err
+
+      const existing = await Rsvp.findOne({ meeting: meeting._id, user: dbUser._id }).lean()
+      return sendSummary(res, 200, meeting._id, existing, 'You have already RSVPed to this meeting.')
+    }
+
+    await auditRsvp(req, {
+      action: 'rsvp.created',
+      rsvp,
+      member: dbUser,
+      meeting,
+      before: current ? { status: current.status } : null,
+      after: { status: rsvp.status },
+    })
+
+    return sendSummary(
+      res,
+      201,
+      meeting._id,
+      rsvp,
+      seated ? "You're going! See you there." : 'This meeting is full — you have been added to the waitlist.'
+    )
+  } catch (error) {
+    console.error('❌ Create RSVP error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to RSVP.',
+    })
+  }
+}
+
+/**
+ * DELETE /api/meetings/:id/rsvp
+ * Cancel the member's RSVP. A freed seat goes to the first member on
+ * the waitlist.
+ */
+const cancelRsvp = async (req, res) => {
+  try {
+    const { meeting, dbUser, status, error, message } = await loadRsvpContext(req)
+    if (error) {
+      return res.status(status).json({ success: false, error, message })
+    }
+
+    if (!isRsvpOpen(meeting)) {
+      return res.status(400).json({
+        success: false,
+        error: 'RsvpClosed',
+        message: 'This meeting has already started. RSVPs can no longer be changed.',
+      })
+    }
+
+    const previous = await Rsvp.findOneAndUpdate(
+      { meeting: meeting._id, user: dbUser._id, status: { $in: ['going', 'waitlisted'] } },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: false }
+    ).lean()
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'You have not RSVPed to this meeting.',
+      })
+    }
+
+    let promoted = []
+    if (previous.status === 'going') {
+      await releaseSeat(meeting._id)
+      promoted = await promoteWaitlist(meeting._id)
+    }
+
+    await auditRsvp(req, {
+      action: 'rsvp.cancelled',
+      rsvp: previous,
+      member: dbUser,
+      meeting,
+      before: { status: previous.status },
+      after: { status: 'cancelled' },
+    })
+    await auditPromotions(req, meeting, promoted)
+
+    return sendSummary(res, 200, meeting._id, null, 'Your RSVP has been cancelled.')
+  } catch (error) {
+    console.error('❌ Cancel RSVP error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to cancel RSVP.',
+    })
+  }
+}
+
+/**
+ * GET /api/meetings/:id/rsvps
+ * Everyone who replied to a meeting (admin-only): going members, the
+ * waitlist in order, then cancellations. Once check-in has started,
+ * `attended` shows who actually turned up.
+ */
+const listRsvps = async (req, res) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id).select(RSVP_MEETING_FIELDS).lean()
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Meeting not found.',
+      })
+    }
+
+    const [rsvps, attendees] = await Promise.all([
+      Rsvp.find({ meeting: meeting._id })
+        .populate('user', 'name email photoURL')
+        .sort({ queuedAt: 1 })
+        .lean(),
+      Attendance.distinct('user', { meeting: meeting._id }),
+    ])
+
+    const attended = new Set(attendees.map((id) => id.toString()))
+    const order = { going: 0, waitlisted: 1, cancelled: 2 }
+    let position = 0
+    const data = rsvps
+      .sort((a, b) => order[a.status] - order[b.status])
+      .map((r) => ({
+        ...r,
+        position: r.status === 'waitlisted' ? ++position : null,
+        attended: !!r.user && attended.has(r.user._id.toString()),
+      }))
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        meeting: {
+          _id: meeting._id,
+          title: meeting.title,
+          dateTime: meeting.dateTime,
+          capacity: meeting.capacity ?? null,
+          rsvpRequired: !!meeting.rsvpRequired,
+        },
+        summary: await buildRsvpSummary(meeting, null),
+        rsvps: data,
+      },
+    })
+  } catch (error) {
+    console.error('❌ List RSVPs error:', error.message)
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid meeting ID format.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to fetch RSVPs.',
+    })
+  }
+}
+
+/**
+ * GET /api/meetings/upcoming
+ * Meetings the signed-in member may attend that have not ended yet,
+ * soonest first — upcoming ones and those in progress ('live'). Each
+ * comes with its check-in window, the member's RSVP and attendance, and
+ * `joinPath` (the /attend/:token page) while link check-in is open.
+ */
+const listUpcomingMeetings = async (req, res) => {
+  try {
+    const dbUser = await User.findOne({ firebaseUid: req.user.uid }).lean()
+    if (!dbUser) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'User not found in the system. Please contact an administrator.',
+      })
+    }
+
+    const now = new Date()
+    const meetings = await Meeting.find({
+      $expr: { $gt: [MEETING_END_EXPR, now] },
+      ...eligibleMeetingsFilter(dbUser._id),
+    })
+      .select(UPCOMING_MEETING_FIELDS)
+      .populate('venue', 'name address geofence')
+      .sort({ dateTime: 1 })
+      .limit(UPCOMING_MAX_MEETINGS)
+      .lean()
+
+    const ids = meetings.map((m) => m._id)
+    const [mine, attended] = await Promise.all([
+      Rsvp.find({ meeting: { $in: ids }, user: dbUser._id }).lean(),
+      Attendance.find({ meeting: { $in: ids }, user: dbUser._id }).select('meeting').lean(),
+    ])
+    const byMeeting = new Map(mine.map((r) => [r.meeting.toString(), r]))
+    const attendedIds = new Set(attended.map((a) => a.meeting.toString()))
+    const summaries = await buildRsvpSummaries(meetings, byMeeting)
+
+    const data = meetings.map((meeting) => {
+      const id = meeting._id.toString()
+      const { checkInOpensAt, start, checkInClosesAt, end } = getMeetingWindow(meeting)
+      const checkInState = getCheckInState(meeting, now)
+      const linkOpen = checkInState === 'open' && getEffectiveRule(meeting, 'link') !== 'off'
+
+      // Window settings, rules, the geofence and the token stay server-side
+      const {
+        seatsTaken, attendanceToken, checkInOpensBefore, checkInClosesAfter, checkInRules, geofencing, venue,
+        ...details
+      } = meeting
+
+      return {
+        ...details,
+        venue: venue && { _id: venue._id, name: venue.name, address: venue.address },
+        status: now < start ? 'upcoming' : 'live',
+        endsAt: end,
+        checkIn: {
+          state: checkInState,
+          opensAt: checkInOpensAt,
+          closesAt: checkInClosesAt,
+          methods: describeCheckInRules(meeting).map((r) => r.method),
+        },
+        attended: attendedIds.has(id),
+        joinPath: linkOpen && attendanceToken ? `/attend/${attendanceToken}` : null,
+        rsvp: summaries.get(id),
+      }
+    })
+
+    return res.status(200).json({
+      success: true,
+      data,
+    })
+  } catch (error) {
+    console.error('❌ Upcoming meetings error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to fetch upcoming meetings.',
+    })
+  }
+}
+
+module.exports = {
+  getMyRsvp,
+  createRsvp,
+  cancelRsvp,
+  listRsvps,
+  listUpcomingMeetings,
+}
@@ -0,0 +1,208 @@
+/**
+ * Series Controller
+ *
+ * Recurring meetings (MeetingSeries). A series is created through
+ * POST /api/meetings with a `recurrence`, and its occurrences are edited
+ * like any meeting (PATCH /api/meetings/:id with `scope`). These handlers
+ * list series and change the recurrence itself.
+ * All handlers require admin authentication (checked by middleware).
+ */
+
+const MeetingSeries = require('../models/MeetingSeries')
+const Meeting = require('../models/Meeting')
+const { parseRecurrence, formatRRule } = require('../utils/recurrence')
+const { extendSeries, pruneSeries } = require('../services/meetingSeriesService')
+const { replanActivation } = require('../services/autoActivationService')
+const { recordAudit } = require('../services/auditLog')
+
+/**
+ * A series as sent to clients, with its RRULE.
+ */
+const toClientSeries = (series) => ({ ...series, rrule: formatRRule(series) })
+
+/**
+ * GET /api/series
+ * List all series with their occurrence counts and next occurrence.
+ */
+const listSeries = async (req, res) => {
+  try {
+    const series = await MeetingSeries.find()
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .lean()
+
+    const now = new Date()
+    const usage = await Meeting.aggregate([
+      { $match: { series: { $in: series.map((s) => s._id) } } },
+      {
+        $group: {
+          _id: '$series',
+          occurrences: { $sum: 1 },
+          nextOccurrence: { $min: { $cond: [{ $gt: ['$dateTime', now] }, '$dateTime', null] } },
+          lastOccurrence: { $max: '$dateTime' },
+        },
+      },
+    ])
+    const usageMap = Object.fromEntries(usage.map((u) => [u._id.toString(), u]))
+
+    return res.status(200).json({
+      success: true,
+      data: series.map((s) => ({
+        ...toClientSeries(s),
+        occurrences: usageMap[s._id.toString()]?.occurrences || 0,
+        nextOccurrence: usageMap[s._id.toString()]?.nextOccurrence || null,
+        lastOccurrence: usageMap[s._id.toString()]?.lastOccurrence || null,
+      })),
+    })
+  } catch (error) {
+    console.error('❌ List series error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to fetch meeting series.',
+    })
+  }
+}
+
+/**
+ * GET /api/series/:id
+ * One series with all of its occurrences (oldest first).
+ */
+const getSeriesById = async (req, res) => {
+  try {
+    const series = await MeetingSeries.findById(req.params.id).populate('createdBy', 'name email').lean()
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Series not found.',
+      })
+    }
+
+    const occurrences = await Meeting.find({ series: series._id })
+      .select('title type dateTime duration location occurrenceDate isActive')
+      .sort({ occurrenceDate: 1 })
+      .lean()
+
+    return res.status(200).json({
+      success: true,
+      data: { ...toClientSeries(series), occurrences },
+    })
+  } catch (error) {
+    console.error('❌ Get series error:', error.message)
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid series ID format.',
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to fetch series.',
+    })
+  }
+}
+
+/**
+ * PATCH /api/series/:id
+ * Change the recurrence of a series.
+ *
+ * Body: { frequency?, until?, count?, exceptions? }
+ *
+ * Upcoming occurrences the new rule no longer contains are deleted
+ * (unless they are live or have attendance) and newly due ones are
+ * created. Past occurrences are never touched.
+ */
+const updateSeries = async (req, res) => {
+  try {
+    const series = await MeetingSeries.findById(req.params.id)
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Series not found.',
+      })
+    }
+
+    const { value, error } = parseRecurrence(req.body, series.startsAt, series.toObject())
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: error,
+      })
+    }
+
+    const before = series.toObject()
+    series.set(value)
+    await series.save()
+
+    const pruned = await pruneSeries(series)
+    const removed = pruned.length
+    const added = await extendSeries(series)
+    if (removed || added) replanActivation()
+
+    await recordAudit(req, {
+      action: 'series.updated',
+      targetType: 'series',
+      target: series._id,
+      targetLabel: series.title,
+      before,
+      after: series.toObject(),
+      meta: { removed, added },
+    })
+    for (const m of pruned) {
+      await recordAudit(req, {
+        action: 'meeting.deleted',
+        targetType: 'meeting',
+        target: m._id,
+        targetLabel: m.title,
+        before: m,
+        meta: { series: series._id, reason: 'pruned' },
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: toClientSeries(series.toObject()),
+      message: `Series updated — ${added} occurrence${added === 1 ? '' : 's'} added, ${removed} removed.`,
+    })
+  } catch (error) {
+    console.error('❌ Update series error:', error.message)
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: 'Invalid series ID format.',
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((e) => e.message)
+      return res.status(400).json({
+        success: false,
+        error: 'ValidationError',
+        message: messages.join('. '),
+      })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to update series.',
+    })
+  }
+}
+
+module.exports = {
+  listSeries,
+  getSeriesById,
+  updateSeries,
+}
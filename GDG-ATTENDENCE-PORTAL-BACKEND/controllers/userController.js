@@ -6,6 +6,8 @@
  */
 
 const User = require('../models/User')
+const { recordAudit } = require('../services/auditLog')
+const { releaseMemberRsvps, auditPromotions } = require('../services/rsvpService')
 
 /**
  * GET /api/users
@@ -135,6 +137,8 @@ const getUserById = async (req, res) => {
  *
  * Delete a user by their MongoDB _id.
  * Prevents admins from deleting themselves or the super user.
+ * Their RSVPs to meetings that have not started are cancelled, and
+ * freed seats go to the waitlist.
  */
 const deleteUser = async (req, res) => {
   try {
@@ -169,6 +173,26 @@ const deleteUser = async (req, res) => {
 
     await User.findByIdAndDelete(req.params.id)
 
+    // Their seats at upcoming meetings go to the waitlist
+    const promotions = await releaseMemberRsvps(userToDelete._id)
+
+    await recordAudit(req, {
+      action: 'user.deleted',
+      targetType: 'user',
+      target: userToDelete._id,
+      targetLabel: userToDelete.email,
+      before: {
+        email: userToDelete.email,
+        name: userToDelete.name,
+        role: userToDelete.role,
+        firebaseUid: userToDelete.firebaseUid,
+      },
+    })
+
+    for (const { meeting, promoted } of promotions) {
+      await auditPromotions(req, meeting, promoted)
+    }
+
     console.log(
       `🗑️  User deleted: ${userToDelete.email} (by ${req.user.email})`
     )
@@ -0,0 +1,336 @@
+/**
+ * Venue Controller
+ *
+ * CRUD for the named venues offline meetings are held at. A venue's
+ * geofence applies to every meeting that references it.
+ * All handlers require admin authentication (checked by middleware).
+ */
+
+const Venue = require('../models/Venue')
+const Meeting = require('../models/Meeting')
+const MeetingSeries = require('../models/MeetingSeries')
+const { parseGeofence } = require('../utils/geofence')
+const { MEETING_END_EXPR } = require('../utils/meetingWindow')
+const { recordAudit } = require('../services/auditLog')
+
+/**
+ * Validate and normalise the editable venue fields from a request body.
+ * Only fields present in the body are returned.
+ * Returns { value } or { error } for a 400.
+ */
+const parseVenueBody = ({ name, address, geofence, defaultCapacity }) => {
+  const value = {}
+
+  if (name !== undefined) {
+    if (!name?.trim()) return { error: 'Venue name is required.' }
+    value.name = name.trim()
+  }
+  if (address !== undefined) value.address = address?.trim() || ''
+  if (geofence !== undefined) {
+    const fence = parseGeofence(geofence)
+    if (fence.error) return { error: fence.error }
+    value.geofence = fence.value
+  }
+  if (defaultCapacity !== undefined) {
+    value.defaultCapacity =
+      defaultCapacity === '' || defaultCapacity === null ? null : Number(defaultCapacity)
+  }
+
+  return { value }
+}
+
+/**
+ * Map a save error to a response, or null when it is unexpected.
+ */
+const venueErrorResponse = (error) => {
+  if (error.code === 11000) {
+    return { status: 409, error: 'Conflict', message: 'A venue with this name already exists.' }
+  }
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map((e) => e.message)
+    return { status: 400, error: 'ValidationError', message: messages.join('. ') }
+  }
+  if (error.name === 'CastError') {
+    return { status: 400, error: 'BadRequest', message: 'Invalid venue ID format.' }
+  }
+  return null
+}
+
+/**
+ * GET /api/venues
+ * List all venues (A–Z) with how many meetings use each.
+ *
+ * Query params:
+ *   search – filter by name or address (case-insensitive)
+ */
+const listVenues = async (req, res) => {
+  try {
+    const { search = '' } = req.query
+
+    const filter = {}
+    if (search.trim()) {
+      const regex = new RegExp(search.trim(), 'i')
+      filter.$or = [{ name: regex }, { address: regex }]
+    }
+
+    const venues = await Venue.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ name: 1 })
+      .lean()
+
+    const usage = await Meeting.aggregate([
+      { $match: { venue: { $in: venues.map((v) => v._id) } } },
+      { $group: { _id: '$venue', meetingCount: { $sum: 1 }, lastMeeting: { $max: '$dateTime' } } },
+    ])
+    const usageMap = Object.fromEntries(usage.map((u) => [u._id.toString(), u]))
+
+    return res.status(200).json({
+      success: true,
+      data: venues.map((venue) => ({
+        ...venue,
+        meetingCount: usageMap[venue._id.toString()]?.meetingCount || 0,
+        lastMeeting: usageMap[venue._id.toString()]?.lastMeeting || null,
+      })),
+    })
+  } catch (error) {
+    console.error('❌ List venues error:', error.message)
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to fetch venues.',
+    })
+  }
+}
+
+/**
+ * GET /api/venues/:id
+ * Get a single venue.
+ */
+const getVenueById = async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id).populate('createdBy', 'name email').lean()
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Venue not found.',
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: venue,
+    })
+  } catch (error) {
+    console.error('❌ Get venue error:', error.message)
+
+    const known = venueErrorResponse(error)
+    if (known) {
+      return res.status(known.status).json({ success: false, error: known.error, message: known.message })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to fetch venue.',
+    })
+  }
+}
+
+/**
+ * POST /api/venues
+ * Create a venue.
+ *
+ * Body: { name, address?, geofence?, defaultCapacity? }
+ */
+const createVenue = async (req, res) => {
+  try {
+    const { value, error } = parseVenueBody({ name: '', ...req.body })
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: error,
+      })
+    }
+
+    const venue = await Venue.create({ ...value, createdBy: req.user.dbId })
+
+    await recordAudit(req, {
+      action: 'venue.created',
+      targetType: 'venue',
+      target: venue._id,
+      targetLabel: venue.name,
+      after: venue.toObject(),
+    })
+
+    console.log(`📍 Venue created: ${venue.name} (by ${req.user.email})`)
+
+    return res.status(201).json({
+      success: true,
+      data: venue,
+      message: 'Venue created successfully.',
+    })
+  } catch (error) {
+    console.error('❌ Create venue error:', error.message)
+
+    const known = venueErrorResponse(error)
+    if (known) {
+      return res.status(known.status).json({ success: false, error: known.error, message: known.message })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to create venue.',
+    })
+  }
+}
+
+/**
+ * PATCH /api/venues/:id
+ * Update a venue. Geofence changes apply to every meeting held there,
+ * including upcoming ones. A new name or address marks the upcoming
+ * meetings' calendar details as updated.
+ */
+const updateVenue = async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id)
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Venue not found.',
+      })
+    }
+
+    const { value, error } = parseVenueBody(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'BadRequest',
+        message: error,
+      })
+    }
+
+    const before = venue.toObject()
+    venue.set(value)
+    const locationChanged = venue.isModified(['name', 'address'])
+    await venue.save()
+
+    // Calendar exports show the venue as the meeting's LOCATION
+    if (locationChanged) {
+      const now = new Date()
+      await Meeting.updateMany(
+        { venue: venue._id, $expr: { $gt: [MEETING_END_EXPR, now] } },
+        { detailsUpdatedAt: now }
+      )
+    }
+
+    await recordAudit(req, {
+      action: 'venue.updated',
+      targetType: 'venue',
+      target: venue._id,
+      targetLabel: venue.name,
+      before,
+      after: venue.toObject(),
+    })
+
+    return res.status(200).json({
+      success: true,
+      data: venue,
+      message: 'Venue updated successfully.',
+    })
+  } catch (error) {
+    console.error('❌ Update venue error:', error.message)
+
+    const known = venueErrorResponse(error)
+    if (known) {
+      return res.status(known.status).json({ success: false, error: known.error, message: known.message })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to update venue.',
+    })
+  }
+}
+
+/**
+ * DELETE /api/venues/:id
+ * Delete a venue. Refused while meetings or recurring series still
+ * reference it, so no meeting silently loses its geofence.
+ */
+const deleteVenue = async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id).lean()
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        error: 'NotFound',
+        message: 'Venue not found.',
+      })
+    }
+
+    const meetingCount = await Meeting.countDocuments({ venue: venue._id })
+    if (meetingCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `"${venue.name}" is used by ${meetingCount} meeting${meetingCount === 1 ? '' : 's'}. Move them to another venue before deleting it.`,
+      })
+    }
+
+    // Recurring series would keep creating meetings at the deleted venue
+    const seriesCount = await MeetingSeries.countDocuments({ 'template.venue': venue._id })
+    if (seriesCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `"${venue.name}" is used by ${seriesCount} recurring meeting series. Move them to another venue before deleting it.`,
+      })
+    }
+
+    await Venue.findByIdAndDelete(venue._id)
+
+    await recordAudit(req, {
+      action: 'venue.deleted',
+      targetType: 'venue',
+      target: venue._id,
+      targetLabel: venue.name,
+      before: venue,
+    })
+
+    console.log(`🗑️  Venue deleted: ${venue.name} (by ${req.user.email})`)
+
+    return res.status(200).json({
+      success: true,
+      message: `Venue "${venue.name}" deleted successfully.`,
+    })
+  } catch (error) {
+    console.error('❌ Delete venue error:', error.message)
+
+    const known = venueErrorResponse(error)
+    if (known) {
+      return res.status(known.status).json({ success: false, error: known.error, message: known.message })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'InternalError',
+      message: 'Failed to delete venue.',
+    })
+  }
+}
+
+module.exports = {
+  listVenues,
+  getVenueById,
+  createVenue,
+  updateVenue,
+  deleteVenue,
+}
@@ -0,0 +1,68 @@
+/**
+ * ActivationEvent Model
+ *
+ * Audit trail of when each meeting actually went live or ended.
+ * Written by the activation scheduler (services/autoActivationService.js)
+ * and by manual toggles from admins.
+ *
+ * Fields:
+ *   meeting     – reference to the Meeting
+ *   type        – 'activated' or 'deactivated'
+ *   source      – 'scheduler' (automatic) or 'manual' (admin toggle / edit)
+ *   scheduledAt – the boundary the scheduler was aiming for
+ *                 (dateTime or dateTime + duration); null for manual events
+ *   occurredAt  – when the change was actually applied
+ *   lagMs       – occurredAt − scheduledAt (scheduler events only)
+ *   actor       – admin User who toggled it (manual events only)
+ *   instanceId  – backend instance that applied the change
+ */
+
+const mongoose = require('mongoose')
+
+const activationEventSchema = new mongoose.Schema(
+  {
+    meeting: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['activated', 'deactivated'],
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ['scheduler', 'manual'],
+      required: true,
+    },
+    scheduledAt: {
+      type: Date,
+      default: null,
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lagMs: {
+      type: Number,
+      default: null,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    instanceId: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+)
+
+activationEventSchema.index({ meeting: 1, occurredAt: 1 })
+
+module.exports = mongoose.model('ActivationEvent', activationEventSchema)
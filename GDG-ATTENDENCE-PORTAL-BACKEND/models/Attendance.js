@@ -6,12 +6,37 @@
  * Fields:
  *   meeting    – reference to the Meeting
  *   user       – reference to the User who attended
- *   method     – 'qr' (scanned QR) or 'link' (clicked attendance link)
+ *   method     – 'qr' (scanned QR), 'link' (clicked attendance link),
+ *                'manual' (added by an admin) or 'import' (CSV import)
+ *   mode       – 'in_person' or 'remote' (see utils/attendanceMode.js);
+ *                null when unknown (e.g. imported into a hybrid meeting)
  *   markedAt   – when attendance was recorded
+ *   status     – 'present' | 'late' (classified from the meeting's
+ *                lateAfterMinutes at check-in) or 'excused' (admin only)
+ *   statusOverride – set when an admin changed the status by hand:
+ *                    { by, at, previous } (null = automatic classification)
+ *   checkedOutAt   – when the member checked out (meetings with check-out
+ *                    enabled); null while still checked in
+ *   checkOutMethod – 'qr' (second scan), 'link' (leave action), 'manual' or 'import'
+ *   recordedBy     – admin who added or imported the record (manual / import)
+ *   manualReason   – why it was added, or which file it came from (manual / import)
+ *   lastEditedBy / lastEditedAt – admin who last corrected the record
+ *   qrGenerationsBehind – for QR scans, how many rotations old the scanned
+ *                         code was (0 = the code on display)
+ *   location       – { lat, lng, accuracy } reported by the device, if shared
+ *   deviceId       – random per-browser ID sent by the app (QR / link check-ins)
+ *   clientIp       – IP address the check-in came from
+ *   userAgent      – browser User-Agent of the check-in
+ *
+ * The full history of admin changes lives in AttendanceChange.
+ * Device and location data feed the proxy-attendance detector
+ * (utils/suspiciousActivity.js).
  */
 
 const mongoose = require('mongoose')
 
+const ATTENDANCE_MODES = ['in_person', 'remote']
+
 const attendanceSchema = new mongoose.Schema(
   {
     meeting: {
@@ -26,18 +51,89 @@ const attendanceSchema = new mongoose.Schema(
     },
     method: {
       type: String,
-      enum: ['qr', 'link'],
+      enum: ['qr', 'link', 'manual', 'import'],
       required: true,
     },
+    mode: {
+      type: String,
+      enum: {
+        values: ATTENDANCE_MODES,
+        message: '{VALUE} is not a valid attendance mode',
+      },
+      default: null,
+    },
     markedAt: {
       type: Date,
       default: Date.now,
     },
+    status: {
+      type: String,
+      enum: {
+        values: ['present', 'late', 'excused'],
+        message: '{VALUE} is not a valid attendance status',
+      },
+      default: 'present',
+    },
+    statusOverride: {
+      type: {
+        _id: false,
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        at: { type: Date, required: true },
+        previous: { type: String, required: true },
+      },
+      default: null,
+    },
+    checkedOutAt: {
+      type: Date,
+      default: null,
+    },
+    checkOutMethod: {
+      type: String,
+      enum: ['qr', 'link', 'manual', 'import'],
+      default: null,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    manualReason: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    lastEditedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    lastEditedAt: {
+      type: Date,
+      default: null,
+    },
+    qrGenerationsBehind: {
+      type: Number,
+      default: null,
+    },
     location: {
       lat: { type: Number, default: null },
       lng: { type: Number, default: null },
       accuracy: { type: Number, default: null },
     },
+    deviceId: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: 100,
+    },
+    clientIp: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
   },
   {
     timestamps: true,
@@ -48,5 +144,7 @@ const attendanceSchema = new mongoose.Schema(
 attendanceSchema.index({ meeting: 1, user: 1 }, { unique: true })
 attendanceSchema.index({ meeting: 1 })
 attendanceSchema.index({ user: 1 })
+attendanceSchema.index({ meeting: 1, deviceId: 1 })
 
 module.exports = mongoose.model('Attendance', attendanceSchema)
+module.exports.ATTENDANCE_MODES = ATTENDANCE_MODES
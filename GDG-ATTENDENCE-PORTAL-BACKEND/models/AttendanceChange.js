@@ -0,0 +1,75 @@
+/**
+ * AttendanceChange Model
+ *
+ * History of every change an admin makes to attendance records —
+ * manual additions, edits, status overrides and removals. Kept in its
+ * own collection so removals are still on record after the Attendance
+ * document is gone.
+ *
+ * Fields:
+ *   meeting    – reference to the Meeting
+ *   attendance – id of the Attendance record (may no longer exist)
+ *   member     – the User whose attendance changed
+ *   action     – 'added' | 'edited' | 'removed'
+ *   actor      – admin User who made the change
+ *   reason     – why the change was made
+ *   before     – { method, status, markedAt, checkedOutAt } before the change (null when added)
+ *   after      – the same fields after the change (null when removed)
+ *   changedAt  – when the change was made
+ */
+
+const mongoose = require('mongoose')
+
+const attendanceChangeSchema = new mongoose.Schema(
+  {
+    meeting: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting',
+      required: true,
+    },
+    attendance: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['added', 'edited', 'removed'],
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+)
+
+attendanceChangeSchema.index({ meeting: 1, changedAt: -1 })
+
+module.exports = mongoose.model('AttendanceChange', attendanceChangeSchema)
@@ -0,0 +1,115 @@
+/**
+ * AuditLog Model
+ *
+ * Persistent record of every change made through the API — role changes,
+ * user deletions, meeting, series and venue edits, QR pause toggles, RSVPs
+ * and attendance writes. Written by services/auditLog.js; read through GET /api/audit.
+ *
+ * Fields:
+ *   actor       – User who made the change (null if they no longer exist)
+ *   actorEmail  – their email at the time, kept for deleted accounts
+ *   actorRole   – their role at the time (admin | pr | member)
+ *   action      – what happened, e.g. 'user.role_changed', 'meeting.updated',
+ *                 'attendance.marked' (see AUDIT_ACTIONS)
+ *   targetType  – 'user' | 'meeting' | 'venue' | 'series' | 'rsvp' | 'attendance'
+ *   target      – id of the changed document (may no longer exist)
+ *   targetLabel – readable name of the target (email, meeting title, …)
+ *   changes     – { field: { before, after } } for every field that changed
+ *   meta        – extra context (e.g. the meeting of an attendance record)
+ *   ip          – client IP address
+ *   userAgent   – client User-Agent header
+ *   createdAt   – when the change was made
+ */
+
+const mongoose = require('mongoose')
+
+const AUDIT_ACTIONS = [
+  'user.role_changed',
+  'user.deleted',
+  'meeting.created',
+  'meeting.updated',
+  'meeting.deleted',
+  'meeting.imported',
+  'meeting.activated',
+  'meeting.deactivated',
+  'meeting.qr_paused',
+  'meeting.qr_resumed',
+  'venue.created',
+  'venue.updated',
+  'venue.deleted',
+  'series.created',
+  'series.updated',
+  'rsvp.created',
+  'rsvp.cancelled',
+  'rsvp.promoted',
+  'attendance.marked',
+  'attendance.checked_out',
+  'attendance.added',
+  'attendance.edited',
+  'attendance.status_changed',
+  'attendance.removed',
+  'attendance.imported',
+]
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    actorEmail: {
+      type: String,
+      default: '',
+    },
+    actorRole: {
+      type: String,
+      default: '',
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ['user', 'meeting', 'venue', 'series', 'rsvp', 'attendance'],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    targetLabel: {
+      type: String,
+      default: '',
+    },
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    meta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+)
+
+auditLogSchema.index({ createdAt: -1 })
+auditLogSchema.index({ actor: 1, createdAt: -1 })
+auditLogSchema.index({ targetType: 1, target: 1, createdAt: -1 })
+auditLogSchema.index({ action: 1, createdAt: -1 })
+
+module.exports = mongoose.model('AuditLog', auditLogSchema)
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS
@@ -6,25 +6,72 @@
  * Fields:
  *   title       – meeting name / title
  *   description – optional details about the meeting
- *   type        – 'offline' or 'online'
+ *   type        – 'offline', 'online' or 'hybrid' (in person with a remote
+ *                 option: QR and attendance link)
  *   dateTime    – scheduled start time
  *   duration    – meeting duration in minutes
- *   location    – physical address (offline) or "Online"
- *   meetingLink – Google Meet / Zoom link (online meetings)
- *   qrCode          – base64-encoded QR code image (offline)
- *   qrData          – the raw string encoded in the QR code (offline)
+ *   checkInOpensBefore – minutes before dateTime that check-in opens (0 = at start)
+ *   checkInClosesAfter – minutes after dateTime that check-in closes;
+ *                        null = open until the meeting ends
+ *   lateAfterMinutes   – check-ins this many minutes after dateTime or later
+ *                        are recorded as 'late'
+ *   checkOutEnabled    – members check out (second QR scan / leave action)
+ *   minimumStayMinutes – with check-out enabled, attendance only counts if
+ *                        the member stayed at least this long (null = no rule)
+ *   location    – physical address (offline / hybrid) or "Online"
+ *   meetingLink – Google Meet / Zoom link (online / hybrid meetings)
+ *   qrData          – the signed payload encoded in the QR code (offline / hybrid);
+ *                     the image is rendered on demand by GET /:id/qr.png|.svg
+ *   qrGeneration    – how many times the QR has been rotated
+ *   qrHistory       – ring buffer of recent { token, issuedAt } (oldest first)
+ *   qrGraceSeconds  – how long a superseded QR is still accepted
+ *   qrRotationSeconds – how often this meeting's QR is rotated
+ *   qrRotatedAt     – when the current QR was issued
+ *   qrPreviewUntil  – keep rotating outside the live window until this time
+ *                     (set when an admin opens the QR for preview)
  *   attendanceToken – unique token for online attendance links
  *   createdBy   – reference to the admin User who created it
  *   isActive    – whether this meeting is currently in progress
- *   geofencing  – optional geofence for offline attendance validation
- *     .enabled  – whether geofencing is turned on
- *     .center   – { lat, lng } of the fence centre
- *     .radius   – fence radius in metres
+ *   scheduleUpdatedAt – bumped whenever dateTime / duration / checkInOpensBefore
+ *                       change, so the activation scheduler on the leader
+ *                       instance re-plans
+ *   detailsUpdatedAt  – bumped whenever a field shown in calendar exports
+ *                       (CALENDAR_FIELDS) changes; drives the .ics
+ *                       SEQUENCE / LAST-MODIFIED, which must not move on
+ *                       QR rotations or RSVP seat counts
+ *   venue       – optional Venue the meeting is held at; its geofence
+ *                 replaces the inline one below (see getMeetingGeofence)
+ *   geofencing  – optional inline geofence for offline attendance validation,
+ *                 for meetings without a venue (see models/geofenceFields.js)
+ *   checkInRules – per self check-in method ('qr' / 'link'): 'off',
+ *                  'anywhere', 'location' or 'geofence'; unset methods
+ *                  use the type default (see utils/checkInRules.js)
+ *   series         – the MeetingSeries this is an occurrence of (null = one-off)
+ *   occurrenceDate – the series date this occurrence was created for; stays
+ *                    put when only this occurrence is rescheduled
+ *   icalUid        – UID of the iCalendar event this meeting was imported
+ *                    from (POST /api/calendar/import); re-imports match on it
+ *   icalHash       – fingerprint of the event as last imported, so a
+ *                    re-import only touches meetings whose event changed
+ *   capacity       – how many members can RSVP 'going' (null = unlimited);
+ *                    further RSVPs join the waitlist (models/Rsvp.js)
+ *   rsvpRequired   – only members with a 'going' RSVP may check in
+ *   seatsTaken     – how many RSVPs currently hold a seat; claimed and
+ *                    released atomically by services/rsvpService.js
  *   createdAt   – auto-set timestamp
  *   updatedAt   – auto-set timestamp
  */
 
 const mongoose = require('mongoose')
+const geofenceFields = require('./geofenceFields')
+
+const MEETING_TYPES = ['offline', 'online', 'hybrid']
+
+// Location rule per self check-in method (see utils/checkInRules.js)
+const CHECK_IN_RULES = ['off', 'anywhere', 'location', 'geofence']
+
+// Fields that appear in calendar exports (utils/ical.js)
+const CALENDAR_FIELDS = ['title', 'description', 'type', 'dateTime', 'duration', 'location', 'meetingLink', 'venue']
 
 const meetingSchema = new mongoose.Schema(
   {
@@ -43,7 +90,7 @@ const meetingSchema = new mongoose.Schema(
     type: {
       type: String,
       enum: {
-        values: ['offline', 'online'],
+        values: MEETING_TYPES,
         message: '{VALUE} is not a valid meeting type',
       },
       required: [true, 'Meeting type is required'],
@@ -58,6 +105,34 @@ const meetingSchema = new mongoose.Schema(
       min: [5, 'Duration must be at least 5 minutes'],
       max: [720, 'Duration cannot exceed 720 minutes (12 hours)'],
     },
+    checkInOpensBefore: {
+      type: Number,
+      default: 0,
+      min: [0, 'Check-in cannot open after the meeting starts'],
+      max: [120, 'Check-in cannot open more than 120 minutes early'],
+    },
+    checkInClosesAfter: {
+      type: Number,
+      default: null,
+      min: [0, 'Check-in cannot close before the meeting starts'],
+      max: [720, 'Check-in close cannot exceed 720 minutes after start'],
+    },
+    lateAfterMinutes: {
+      type: Number,
+      default: 15,
+      min: [0, 'Lateness threshold cannot be negative'],
+      max: [720, 'Lateness threshold cannot exceed 720 minutes'],
+    },
+    checkOutEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    minimumStayMinutes: {
+      type: Number,
+      default: null,
+      min: [1, 'Minimum stay must be at least 1 minute'],
+      max: [720, 'Minimum stay cannot exceed 720 minutes'],
+    },
     location: {
       type: String,
       trim: true,
@@ -68,14 +143,41 @@ const meetingSchema = new mongoose.Schema(
       trim: true,
       default: '',
     },
-    qrCode: {
-      type: String,
-      default: '',
-    },
     qrData: {
       type: String,
       default: '',
     },
+    qrGeneration: {
+      type: Number,
+      default: 0,
+    },
+    qrHistory: [
+      {
+        _id: false,
+        token: { type: String, required: true },
+        issuedAt: { type: Date, required: true },
+      },
+    ],
+    qrGraceSeconds: {
+      type: Number,
+      default: 20,
+      min: [0, 'QR grace period cannot be negative'],
+      max: [300, 'QR grace period cannot exceed 300 seconds'],
+    },
+    qrRotationSeconds: {
+      type: Number,
+      default: 20,
+      min: [5, 'QR rotation must be at least 5 seconds'],
+      max: [300, 'QR rotation cannot exceed 300 seconds'],
+    },
+    qrRotatedAt: {
+      type: Date,
+      default: null,
+    },
+    qrPreviewUntil: {
+      type: Date,
+      default: null,
+    },
     attendanceToken: {
       type: String,
       default: '',
@@ -90,6 +192,15 @@ const meetingSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    scheduleUpdatedAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+    detailsUpdatedAt: {
+      type: Date,
+      default: Date.now,
+    },
     qrPaused: {
       type: Boolean,
       default: false,
@@ -108,27 +219,45 @@ const meetingSchema = new mongoose.Schema(
         ref: 'User',
       },
     ],
-    geofencing: {
-      enabled: {
-        type: Boolean,
-        default: false,
-      },
-      center: {
-        lat: {
-          type: Number,
-          default: 0,
-        },
-        lng: {
-          type: Number,
-          default: 0,
-        },
-      },
-      radius: {
-        type: Number,
-        default: 200,
-        min: [10, 'Radius must be at least 10 metres'],
-        max: [5000, 'Radius cannot exceed 5000 metres'],
-      },
+    venue: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Venue',
+      default: null,
+    },
+    geofencing: geofenceFields(),
+    checkInRules: {
+      qr: { type: String, enum: CHECK_IN_RULES, default: null },
+      link: { type: String, enum: CHECK_IN_RULES, default: null },
+    },
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MeetingSeries',
+      default: null,
+    },
+    occurrenceDate: {
+      type: Date,
+      default: null,
+    },
+    icalUid: {
+      type: String,
+    },
+    icalHash: {
+      type: String,
+    },
+    capacity: {
+      type: Number,
+      default: null,
+      min: [1, 'Capacity must be at least 1'],
+      max: [100000, 'Capacity cannot exceed 100000'],
+    },
+    rsvpRequired: {
+      type: Boolean,
+      default: false,
+    },
+    seatsTaken: {
+      type: Number,
+      default: 0,
+      min: 0,
     },
   },
   {
@@ -139,5 +268,19 @@ const meetingSchema = new mongoose.Schema(
 // Index for fast queries on active meetings and date sorting
 meetingSchema.index({ isActive: 1, dateTime: -1 })
 meetingSchema.index({ createdBy: 1 })
+meetingSchema.index({ venue: 1 })
+// One meeting per series date, even if two instances extend a series at once
+meetingSchema.index(
+  { series: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { series: { $type: 'objectId' } } }
+)
+// One meeting per imported calendar event
+meetingSchema.index(
+  { icalUid: 1 },
+  { unique: true, partialFilterExpression: { icalUid: { $type: 'string' } } }
+)
 
 module.exports = mongoose.model('Meeting', meetingSchema)
+module.exports.MEETING_TYPES = MEETING_TYPES
+module.exports.CHECK_IN_RULES = CHECK_IN_RULES
+module.exports.CALENDAR_FIELDS = CALENDAR_FIELDS
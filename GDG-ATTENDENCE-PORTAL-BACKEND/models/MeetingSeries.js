@@ -0,0 +1,78 @@
+/**
+ * MeetingSeries Model
+ *
+ * A recurring meeting, e.g. a weekly study jam. The series holds the
+ * recurrence and a template; services/meetingSeriesService.js creates a
+ * concrete Meeting for each occurrence ahead of time, so check-in,
+ * QR codes and reports work exactly as for one-off meetings.
+ *
+ * Fields:
+ *   title      – series name (kept in step with the template's title)
+ *   frequency  – 'weekly', 'biweekly' or 'monthly' (see utils/recurrence.js)
+ *   startsAt   – date and time of the first occurrence; later ones keep
+ *                its time of day
+ *   until      – last day an occurrence may start (null = no end date)
+ *   count      – total number of occurrences (null = no limit)
+ *   exceptions – occurrence dates that were removed (deleted meetings);
+ *                they are never re-created
+ *   template   – Meeting fields every new occurrence is created with
+ *                (SERIES_FIELDS in services/meetingSeriesService.js)
+ *   createdBy  – reference to the admin User who created it
+ *   createdAt  – auto-set timestamp
+ *   updatedAt  – auto-set timestamp
+ *
+ * Occurrences point back with Meeting.series / Meeting.occurrenceDate.
+ */
+
+const mongoose = require('mongoose')
+
+const SERIES_FREQUENCIES = ['weekly', 'biweekly', 'monthly']
+
+const meetingSeriesSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Series title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+    frequency: {
+      type: String,
+      enum: {
+        values: SERIES_FREQUENCIES,
+        message: '{VALUE} is not a valid frequency',
+      },
+      required: [true, 'Frequency is required'],
+    },
+    startsAt: {
+      type: Date,
+      required: [true, 'Series start is required'],
+    },
+    until: {
+      type: Date,
+      default: null,
+    },
+    count: {
+      type: Number,
+      default: null,
+      min: [1, 'A series needs at least one meeting'],
+      max: [365, 'A series cannot have more than 365 meetings'],
+    },
+    exceptions: [Date],
+    template: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+)
+
+module.exports = mongoose.model('MeetingSeries', meetingSeriesSchema)
+module.exports.SERIES_FREQUENCIES = SERIES_FREQUENCIES
@@ -0,0 +1,72 @@
+/**
+ * Rsvp Model
+ *
+ * A member's reply to an upcoming meeting. While the meeting has free
+ * seats (Meeting.capacity) an RSVP is 'going'; once it is full, new RSVPs
+ * join the waitlist and are promoted in order as seats free up
+ * (services/rsvpService.js).
+ *
+ * Fields:
+ *   meeting     – reference to the Meeting
+ *   user        – reference to the User who replied
+ *   status      – 'going' (holds a seat), 'waitlisted' or 'cancelled'
+ *   queuedAt    – when the member (re-)joined; orders the waitlist
+ *   promotedAt  – when the member moved from the waitlist to 'going'
+ *   cancelledAt – when the member cancelled (null while active)
+ *   createdAt   – auto-set timestamp
+ *   updatedAt   – auto-set timestamp
+ *
+ * A cancelled RSVP is kept and reused if the member replies again, so
+ * there is at most one RSVP per member per meeting.
+ */
+
+const mongoose = require('mongoose')
+
+const RSVP_STATUSES = ['going', 'waitlisted', 'cancelled']
+
+const rsvpSchema = new mongoose.Schema(
+  {
+    meeting: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: RSVP_STATUSES,
+        message: '{VALUE} is not a valid RSVP status',
+      },
+      required: true,
+    },
+    queuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    promotedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+)
+
+// One RSVP per member per meeting
+rsvpSchema.index({ meeting: 1, user: 1 }, { unique: true })
+// Waitlist order
+rsvpSchema.index({ meeting: 1, status: 1, queuedAt: 1 })
+rsvpSchema.index({ user: 1 })
+
+module.exports = mongoose.model('Rsvp', rsvpSchema)
+module.exports.RSVP_STATUSES = RSVP_STATUSES
@@ -0,0 +1,46 @@
+/**
+ * ServiceLease Model
+ *
+ * One document per background job (e.g. 'qr-refresh'). Whichever backend
+ * instance holds an unexpired lease is the leader for that job; the
+ * leader renews it on every run and another instance takes over once it
+ * lapses. See services/leaderLease.js.
+ *
+ * Fields:
+ *   _id        – job name
+ *   holder     – instance ID of the current leader
+ *   acquiredAt – when the current holder took the lease
+ *   expiresAt  – lease lapses (and can be taken over) after this time
+ *   renewedAt  – last renewal, i.e. the leader's last run
+ */
+
+const mongoose = require('mongoose')
+
+const serviceLeaseSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+    },
+    holder: {
+      type: String,
+      required: true,
+    },
+    acquiredAt: {
+      type: Date,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    renewedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    versionKey: false,
+  }
+)
+
+module.exports = mongoose.model('ServiceLease', serviceLeaseSchema)
@@ -10,6 +10,9 @@
  *   name        – display name
  *   photoURL    – profile picture URL
  *   role        – one of: admin, pr, member (default: member)
+ *   calendarToken – secret for the user's calendar feed URL
+ *                   (GET /api/calendar/feed/:token.ics); unset = no feed.
+ *                   Never selected by default — it works like a password
  *   createdAt   – auto-set timestamp
  *   updatedAt   – auto-set timestamp
  */
@@ -48,10 +51,20 @@ const userSchema = new mongoose.Schema(
       },
       default: 'member',
     },
+    calendarToken: {
+      type: String,
+      select: false,
+    },
   },
   {
     timestamps: true,
   }
 )
 
+// Feed tokens are unique; users without a feed are left out of the index
+userSchema.index(
+  { calendarToken: 1 },
+  { unique: true, partialFilterExpression: { calendarToken: { $type: 'string' } } }
+)
+
 module.exports = mongoose.model('User', userSchema)
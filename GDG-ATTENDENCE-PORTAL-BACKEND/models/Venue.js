@@ -0,0 +1,55 @@
+/**
+ * Venue Model
+ *
+ * A named place where offline meetings are held. Meetings reference a
+ * venue instead of storing their own coordinates, so a room's geofence is
+ * drawn once and reused.
+ *
+ * Fields:
+ *   name            – unique venue name, e.g. "Seminar Hall, Block A"
+ *   address         – optional street address / directions
+ *   geofence        – the venue's fence (see models/geofenceFields.js);
+ *                     applies to every meeting held here
+ *   defaultCapacity – how many people the venue holds (null = unknown)
+ *   createdBy       – reference to the admin User who created it
+ *   createdAt       – auto-set timestamp
+ *   updatedAt       – auto-set timestamp
+ */
+
+const mongoose = require('mongoose')
+const geofenceFields = require('./geofenceFields')
+
+const venueSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Venue name is required'],
+      unique: true,
+      trim: true,
+      maxlength: [120, 'Venue name cannot exceed 120 characters'],
+    },
+    address: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [500, 'Address cannot exceed 500 characters'],
+    },
+    geofence: geofenceFields(),
+    defaultCapacity: {
+      type: Number,
+      default: null,
+      min: [1, 'Capacity must be at least 1'],
+      max: [100000, 'Capacity cannot exceed 100000'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+)
+
+module.exports = mongoose.model('Venue', venueSchema)
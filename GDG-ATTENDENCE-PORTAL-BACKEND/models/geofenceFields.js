@@ -0,0 +1,68 @@
+/**
+ * Geofence Fields
+ *
+ * Schema definition shared by Meeting.geofencing and Venue.geofence:
+ *
+ *   enabled  – whether the fence is enforced
+ *   shape    – 'circle' (center + radius) or 'polygon'
+ *   center   – { lat, lng } of the fence centre (circle; map pin for polygons)
+ *   radius   – fence radius in metres (circle)
+ *   polygon  – ordered [{ lat, lng }] corners, 3–50 (polygon)
+ *   maxAccuracy  – reject GPS readings less accurate than this many
+ *                  metres (null = no limit)
+ *   accuracyMode – 'point' (reported point must be inside) or
+ *                  'intersect' (accuracy circle must overlap the fence)
+ *
+ * See utils/geofence.js for how a fence is checked.
+ */
+
+const geofenceFields = () => ({
+  enabled: {
+    type: Boolean,
+    default: false,
+  },
+  center: {
+    lat: {
+      type: Number,
+      default: 0,
+    },
+    lng: {
+      type: Number,
+      default: 0,
+    },
+  },
+  radius: {
+    type: Number,
+    default: 200,
+    min: [10, 'Radius must be at least 10 metres'],
+    max: [5000, 'Radius cannot exceed 5000 metres'],
+  },
+  shape: {
+    type: String,
+    enum: ['circle', 'polygon'],
+    default: 'circle',
+  },
+  polygon: {
+    type: [
+      {
+        _id: false,
+        lat: { type: Number, required: true },
+        lng: { type: Number, required: true },
+      },
+    ],
+    default: [],
+  },
+  maxAccuracy: {
+    type: Number,
+    default: null,
+    min: [5, 'Maximum accuracy must be at least 5 metres'],
+    max: [5000, 'Maximum accuracy cannot exceed 5000 metres'],
+  },
+  accuracyMode: {
+    type: String,
+    enum: ['point', 'intersect'],
+    default: 'point',
+  },
+})
+
+module.exports = geofenceFields
@@ -5,7 +5,9 @@
  *
  * GET    /api/attendance/:token       → get meeting info for attendance link (any auth user)
  * POST   /api/attendance/:token/mark  → mark attendance + get meeting link (any auth user)
+ * POST   /api/attendance/:token/leave → check out of the meeting (any auth user)
  * GET    /api/attendance/meeting/:meetingId → get all attendance for a meeting (admin)
+ * GET    /api/attendance/meeting/:meetingId/stream → live check-in feed, SSE (admin, pr)
  */
 
 const express = require('express')
@@ -17,7 +19,9 @@ const {
   getAttendancePage,
   markAttendance,
   scanQRAttendance,
+  leaveMeeting,
   getMeetingAttendance,
+  streamMeetingAttendance,
 } = require('../controllers/attendanceController')
 
 // All attendance routes require authentication
@@ -26,6 +30,9 @@ router.use(authenticate)
 // Get attendance records for a meeting (admin-only) — place BEFORE /:token
 router.get('/meeting/:meetingId', authorize('admin'), getMeetingAttendance)
 
+// Live check-in feed for a meeting (admin, pr) — place BEFORE /:token
+router.get('/meeting/:meetingId/stream', authorize('admin', 'pr'), streamMeetingAttendance)
+
 // QR scan attendance (any authenticated user) — place BEFORE /:token
 router.post('/scan-qr', scanQRAttendance)
 
@@ -35,4 +42,7 @@ router.get('/:token', getAttendancePage)
 // Mark attendance via attendance link (any authenticated user)
 router.post('/:token/mark', markAttendance)
 
+// Check out of a meeting via attendance link (any authenticated user)
+router.post('/:token/leave', leaveMeeting)
+
 module.exports = router
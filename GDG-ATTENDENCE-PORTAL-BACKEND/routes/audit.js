@@ -0,0 +1,24 @@
+/**
+ * Audit Routes
+ *
+ * Admin-only access to the audit log of role changes, user deletions,
+ * meeting edits, QR pause toggles and attendance writes.
+ *
+ * GET /api/audit    → list audit entries (filter by action, target, actor, date; paginate)
+ */
+
+const express = require('express')
+const router = express.Router()
+
+const { authenticate } = require('../middleware/auth')
+const { authorize } = require('../middleware/role')
+const { listAuditLogs } = require('../controllers/auditController')
+
+// The audit log is admin-only
+router.use(authenticate)
+router.use(authorize('admin'))
+
+// List audit entries
+router.get('/', listAuditLogs)
+
+module.exports = router
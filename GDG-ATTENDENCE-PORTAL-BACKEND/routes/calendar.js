@@ -0,0 +1,40 @@
+/**
+ * Calendar Routes
+ *
+ * Per-user iCalendar subscription feed and the admin .ics import. The
+ * feed itself is fetched by calendar apps without a Firebase ID token —
+ * its secret token is the credential. Single-meeting downloads live at
+ * GET /api/meetings/:id/calendar.ics.
+ *
+ * GET    /api/calendar/feed             → feed status + URL (authenticated)
+ * POST   /api/calendar/feed             → create or rotate the feed token (authenticated)
+ * DELETE /api/calendar/feed             → revoke the feed (authenticated)
+ * GET    /api/calendar/feed/:token.ics  → the feed (public, token in URL)
+ * POST   /api/calendar/import           → import meetings from .ics (admin-only; dry run unless dryRun: false)
+ */
+
+const express = require('express')
+const router = express.Router()
+
+const { authenticate } = require('../middleware/auth')
+const { authorize } = require('../middleware/role')
+const {
+  getFeedStatus,
+  createFeedToken,
+  revokeFeedToken,
+  getCalendarFeed,
+  importCalendar,
+} = require('../controllers/calendarController')
+
+// Fetched by calendar apps — no Firebase auth
+router.get('/feed/:token.ics', getCalendarFeed)
+
+// Managing the feed requires a signed-in user
+router.get('/feed', authenticate, getFeedStatus)
+router.post('/feed', authenticate, createFeedToken)
+router.delete('/feed', authenticate, revokeFeedToken)
+
+// Admin-only: create / update meetings from an .ics file
+router.post('/import', authenticate, authorize('admin'), importCalendar)
+
+module.exports = router
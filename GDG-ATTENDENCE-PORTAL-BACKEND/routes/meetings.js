@@ -5,12 +5,24 @@
  *
  * GET    /api/meetings          → list all meetings (authenticated)
  * GET    /api/meetings/active   → get active meetings (pr, admin)
+ * GET    /api/meetings/upcoming → upcoming & live meetings I may attend, with my RSVP and join link (authenticated)
+ * GET    /api/meetings/qr-refresh/status → QR refresh service status (admin-only)
  * GET    /api/meetings/:id      → get meeting by ID (authenticated)
- * POST   /api/meetings          → create meeting (admin-only)
- * PATCH  /api/meetings/:id      → update meeting (admin-only)
- * DELETE /api/meetings/:id      → delete meeting (admin-only)
+ * GET    /api/meetings/:id/qr.png         → current QR as PNG (pr, admin)
+ * GET    /api/meetings/:id/qr.svg         → current QR as SVG (pr, admin)
+ * GET    /api/meetings/:id/qr-stream      → SSE stream of QR rotations (pr, admin)
+ * GET    /api/meetings/:id/calendar.ics   → the meeting as an iCalendar file (authenticated)
+ * GET    /api/meetings/:id/rsvp           → my RSVP, waitlist position and seat counts (authenticated)
+ * POST   /api/meetings/:id/rsvp           → RSVP; joins the waitlist when full (authenticated)
+ * DELETE /api/meetings/:id/rsvp           → cancel my RSVP; promotes the waitlist (authenticated)
+ * POST   /api/meetings          → create meeting, optionally recurring (admin-only)
+ * PATCH  /api/meetings/:id      → update meeting; `scope: 'future'` for later occurrences too (admin-only)
+ * DELETE /api/meetings/:id      → delete meeting; `?scope=future` ends its series (admin-only)
  * POST   /api/meetings/:id/generate-qr    → generate QR code (admin-only)
  * PATCH  /api/meetings/:id/toggle-active   → toggle active status (admin-only)
+ * GET    /api/meetings/:id/activation-events → when the meeting went live / ended (admin-only)
+ * POST   /api/meetings/:id/qr-preview      → keep QR rotating for a preview (admin-only)
+ * GET    /api/meetings/:id/rsvps           → everyone who RSVPed, waitlist in order (admin-only)
  */
 
 const express = require('express')
@@ -28,9 +40,22 @@ const {
   generateQR,
   generateAttendanceLink,
   toggleActive,
+  getActivationEvents,
   getQRStatus,
+  getQRImage,
+  streamQR,
+  previewQR,
+  getQRServiceStatus,
   toggleQRPause,
 } = require('../controllers/meetingController')
+const { getMeetingCalendar } = require('../controllers/calendarController')
+const {
+  getMyRsvp,
+  createRsvp,
+  cancelRsvp,
+  listRsvps,
+  listUpcomingMeetings,
+} = require('../controllers/rsvpController')
 
 // All meeting routes require authentication
 router.use(authenticate)
@@ -41,9 +66,29 @@ router.get('/', listMeetings)
 // Get active meetings (PR + Admin)
 router.get('/active', authorize('admin', 'pr'), getActiveMeetings)
 
+// Upcoming meetings for the signed-in member — place BEFORE /:id
+router.get('/upcoming', listUpcomingMeetings)
+
+// QR refresh service status (admin-only) — place BEFORE /:id
+router.get('/qr-refresh/status', authorize('admin'), getQRServiceStatus)
+
 // Get QR code + seconds-remaining for a meeting (admin, pr)
 router.get('/:id/qr-status', authorize('admin', 'pr'), getQRStatus)
 
+// Render the current QR as an image — qr.png / qr.svg (admin, pr)
+router.get('/:id/qr.:format', authorize('admin', 'pr'), getQRImage)
+
+// Live QR rotations over Server-Sent Events (admin, pr)
+router.get('/:id/qr-stream', authorize('admin', 'pr'), streamQR)
+
+// Download the meeting as .ics (anyone who may attend it)
+router.get('/:id/calendar.ics', getMeetingCalendar)
+
+// RSVP to a meeting (anyone who may attend it)
+router.get('/:id/rsvp', getMyRsvp)
+router.post('/:id/rsvp', createRsvp)
+router.delete('/:id/rsvp', cancelRsvp)
+
 // Get a single meeting by ID
 router.get('/:id', getMeetingById)
 
@@ -54,6 +99,9 @@ router.delete('/:id', authorize('admin'), deleteMeeting)
 router.post('/:id/generate-qr', authorize('admin'), generateQR)
 router.post('/:id/generate-attendance-link', authorize('admin'), generateAttendanceLink)
 router.patch('/:id/toggle-active', authorize('admin'), toggleActive)
+router.get('/:id/activation-events', authorize('admin'), getActivationEvents)
 router.patch('/:id/qr-pause', authorize('admin'), toggleQRPause)
+router.post('/:id/qr-preview', authorize('admin'), previewQR)
+router.get('/:id/rsvps', authorize('admin'), listRsvps)
 
 module.exports = router
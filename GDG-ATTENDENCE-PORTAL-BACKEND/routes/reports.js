@@ -7,7 +7,17 @@
  * GET  /api/reports/meetings          → per-meeting attendance breakdown
  * GET  /api/reports/meeting/:id       → detailed attendance for one meeting
  * GET  /api/reports/members           → per-member attendance summary
+ * GET  /api/reports/venues            → attendance grouped by venue
+ * GET  /api/reports/series            → attendance rolled up per recurring series
+ * GET  /api/reports/series/:id        → one series, per occurrence and per member
  * GET  /api/reports/export/csv        → CSV download of all attendance
+ * PATCH /api/reports/attendance/:attendanceId/status → override present / late / excused (with a reason)
+ * POST   /api/reports/meeting/:id/attendance   → add attendance by hand (reason required)
+ * PATCH  /api/reports/attendance/:attendanceId → edit an attendance record (reason required)
+ * DELETE /api/reports/attendance/:attendanceId → remove an attendance record (reason required)
+ * GET    /api/reports/meeting/:id/changes      → history of admin attendance changes
+ * POST   /api/reports/meeting/:id/import       → import attendance from CSV (dry run unless dryRun: false)
+ * GET    /api/reports/suspicious               → meetings flagged for possible proxy attendance
  */
 
 const express = require('express')
@@ -20,8 +30,18 @@ const {
   getMeetingsReport,
   getMeetingDetail,
   getMembersReport,
+  getVenuesReport,
+  getSeriesReport,
+  getSeriesDetail,
   exportCSV,
   exportMeetingCSV,
+  updateAttendanceStatus,
+  addManualAttendance,
+  updateAttendance,
+  removeAttendance,
+  getAttendanceChanges,
+  importMeetingCSV,
+  getSuspiciousActivity,
 } = require('../controllers/reportsController')
 
 // All reports routes require admin authentication
@@ -31,8 +51,18 @@ router.use(authorize('admin'))
 router.get('/summary', getSummary)
 router.get('/meetings', getMeetingsReport)
 router.get('/meeting/:id/export/csv', exportMeetingCSV)
+router.get('/meeting/:id/changes', getAttendanceChanges)
+router.post('/meeting/:id/attendance', addManualAttendance)
+router.post('/meeting/:id/import', importMeetingCSV)
 router.get('/meeting/:id', getMeetingDetail)
 router.get('/members', getMembersReport)
+router.get('/venues', getVenuesReport)
+router.get('/series', getSeriesReport)
+router.get('/series/:id', getSeriesDetail)
+router.get('/suspicious', getSuspiciousActivity)
 router.get('/export/csv', exportCSV)
+router.patch('/attendance/:attendanceId/status', updateAttendanceStatus)
+router.patch('/attendance/:attendanceId', updateAttendance)
+router.delete('/attendance/:attendanceId', removeAttendance)
 
 module.exports = router
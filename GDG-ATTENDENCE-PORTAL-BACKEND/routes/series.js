@@ -0,0 +1,32 @@
+/**
+ * Series Routes
+ *
+ * Admin-only access to recurring meeting series. Series are created with
+ * POST /api/meetings (`recurrence`) and their occurrences are edited and
+ * deleted through /api/meetings/:id (`scope`).
+ *
+ * GET    /api/series       → list series with occurrence counts
+ * GET    /api/series/:id   → one series with all its occurrences
+ * PATCH  /api/series/:id   → change the recurrence (frequency, until, count, exceptions)
+ */
+
+const express = require('express')
+const router = express.Router()
+
+const { authenticate } = require('../middleware/auth')
+const { authorize } = require('../middleware/role')
+const {
+  listSeries,
+  getSeriesById,
+  updateSeries,
+} = require('../controllers/seriesController')
+
+// Series are managed by admins only
+router.use(authenticate)
+router.use(authorize('admin'))
+
+router.get('/', listSeries)
+router.get('/:id', getSeriesById)
+router.patch('/:id', updateSeries)
+
+module.exports = router
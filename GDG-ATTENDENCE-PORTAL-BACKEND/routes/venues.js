@@ -0,0 +1,36 @@
+/**
+ * Venue Routes
+ *
+ * Admin-only management of the named venues offline meetings are held at.
+ *
+ * GET    /api/venues       → list venues with meeting counts (?search=)
+ * GET    /api/venues/:id   → get one venue
+ * POST   /api/venues       → create a venue
+ * PATCH  /api/venues/:id   → update a venue (name, address, geofence, capacity)
+ * DELETE /api/venues/:id   → delete a venue no meeting uses
+ */
+
+const express = require('express')
+const router = express.Router()
+
+const { authenticate } = require('../middleware/auth')
+const { authorize } = require('../middleware/role')
+const {
+  listVenues,
+  getVenueById,
+  createVenue,
+  updateVenue,
+  deleteVenue,
+} = require('../controllers/venueController')
+
+// Venues are managed by admins only
+router.use(authenticate)
+router.use(authorize('admin'))
+
+router.get('/', listVenues)
+router.get('/:id', getVenueById)
+router.post('/', createVenue)
+router.patch('/:id', updateVenue)
+router.delete('/:id', deleteVenue)
+
+module.exports = router
@@ -21,16 +21,29 @@ const userRoutes = require('./routes/users')
 const meetingRoutes = require('./routes/meetings')
 const attendanceRoutes = require('./routes/attendance')
 const reportsRoutes = require('./routes/reports')
+const auditRoutes = require('./routes/audit')
+const venueRoutes = require('./routes/venues')
+const seriesRoutes = require('./routes/series')
+const calendarRoutes = require('./routes/calendar')
 
 // ── Background services ─────────────────────────────
 const { startQRRefreshService } = require('./services/qrRefreshService')
 const { startAutoActivationService } = require('./services/autoActivationService')
+const { startMeetingSeriesService } = require('./services/meetingSeriesService')
+const { startAttendanceFeedRelay } = require('./services/attendanceFeed')
 
 // ── App initialization ───────────────────────────────
 const app = express()
 const PORT = process.env.PORT || 5000
 
 // ── Global middleware ────────────────────────────────
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 = one hop) so req.ip —
+// recorded in the audit log — is the client address, not the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY)
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops)
+}
+
 const allowedOrigins = (process.env.CORS_ORIGIN || 'http://localhost:5173')
   .split(',')
   .map((o) => o.trim())
@@ -75,6 +88,10 @@ app.use('/api/users', userRoutes)
 app.use('/api/meetings', meetingRoutes)
 app.use('/api/attendance', attendanceRoutes)
 app.use('/api/reports', reportsRoutes)
+app.use('/api/audit', auditRoutes)
+app.use('/api/venues', venueRoutes)
+app.use('/api/series', seriesRoutes)
+app.use('/api/calendar', calendarRoutes)
 
 // ── 404 handler ──────────────────────────────────────
 app.use((req, res) => {
@@ -119,6 +136,12 @@ mongoose
 
       // Start auto-activation service (activates/deactivates meetings by time)
       startAutoActivationService()
+
+      // Create upcoming occurrences of recurring meeting series
+      startMeetingSeriesService()
+
+      // Push check-ins handled by other instances to this one's live feeds
+      startAttendanceFeedRelay()
     })
   })
   .catch((error) => {
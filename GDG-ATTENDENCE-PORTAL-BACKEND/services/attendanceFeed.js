@@ -0,0 +1,197 @@
+/**
+ * Attendance Feed
+ *
+ * Builds the live check-in feed streamed to organisers while a meeting
+ * is running (GET /api/attendance/meeting/:meetingId/stream).
+ *
+ * Attendance handlers call `publishCheckIn(record, user)` right after an
+ * Attendance document is created; every open stream for that meeting
+ * receives a `checkin` event with the new entry and the updated total.
+ *
+ * Multiple backend instances: `publishCheckIn` only reaches streams on
+ * the instance that handled the check-in, so every instance also polls
+ * for check-ins recorded elsewhere on the meetings it has streams open
+ * for (see relayCheckIns). Records already pushed are remembered by id,
+ * so nothing is sent twice.
+ */
+
+const Attendance = require('../models/Attendance')
+const { publish, hasSubscribers, subscribedIds, attendanceChannel } = require('./liveEvents')
+
+const RECENT_CHECKINS = 20 // entries sent in the initial snapshot
+const FEED_RELAY_TICK = 2 // seconds between checks for check-ins made on other instances
+const FEED_RELAY_OVERLAP = 10 // seconds re-read on every check, for slow writes and clock skew
+
+let intervalId = null
+let relaying = false // guards against overlapping ticks
+
+// meetingId → { since, sent } for meetings with an open stream here:
+// check-ins created from `since` on are relayed; `sent` maps the ids
+// already pushed to their createdAt (ms), pruned once out of the overlap
+const relayStates = new Map()
+
+/**
+ * Start relaying a meeting's check-ins from now on (no-op if already).
+ */
+function trackMeeting(meetingId, since = new Date()) {
+  const key = meetingId.toString()
+  if (!relayStates.has(key)) relayStates.set(key, { since, sent: new Map() })
+  return relayStates.get(key)
+}
+
+/**
+ * Remember that a record was pushed to this instance's streams.
+ */
+function markSent(record) {
+  const state = relayStates.get(record.meeting.toString())
+  if (state) state.sent.set(record._id.toString(), new Date(record.createdAt || Date.now()).getTime())
+}
+
+/**
+ * Shape one attendance record for the feed.
+ *
+ * @param {Object} record – Attendance doc (user may be populated or passed separately)
+ * @param {Object} [user] – User doc when `record.user` is only an id
+ */
+function toFeedEntry(record, user = record.user) {
+  return {
+    _id: record._id,
+    method: record.method,
+    status: record.status || 'present',
+    markedAt: record.markedAt,
+    user: {
+      _id: user?._id,
+      name: user?.name || '',
+      email: user?.email || '',
+      photoURL: user?.photoURL || '',
+    },
+  }
+}
+
+/**
+ * Initial state for a newly opened stream: total + most recent check-ins
+ * (newest first).
+ */
+async function getFeedSnapshot(meetingId) {
+  trackMeeting(meetingId)
+
+  const [total, recent] = await Promise.all([
+    Attendance.countDocuments({ meeting: meetingId }),
+    Attendance.find({ meeting: meetingId })
+      .populate('user', 'name email photoURL')
+      .sort({ markedAt: -1 })
+      .limit(RECENT_CHECKINS)
+      .lean(),
+  ])
+
+  return { total, recent: recent.map((record) => toFeedEntry(record)) }
+}
+
+/**
+ * Push a newly created attendance record to open streams.
+ * Never throws — a feed failure must not fail the check-in itself.
+ *
+ * @param {Object} record – the created Attendance doc
+ * @param {Object} user   – the attendee's User doc
+ */
+async function publishCheckIn(record, user) {
+  const channel = attendanceChannel(record.meeting)
+  if (!hasSubscribers(channel)) return
+
+  try {
+    markSent(record)
+    const total = await Attendance.countDocuments({ meeting: record.meeting })
+    publish(channel, { entry: toFeedEntry(record, user), total })
+  } catch (err) {
+    console.error('❌ Attendance feed publish error:', err.message)
+  }
+}
+
+/**
+ * Push check-ins recorded by other instances to this instance's streams.
+ * Only meetings with an open stream here are checked; imported records
+ * are left out, as they are for local check-ins.
+ */
+async function relayCheckIns() {
+  if (relaying) return
+  relaying = true
+
+  try {
+    const now = Date.now()
+    const windowStart = now - FEED_RELAY_OVERLAP * 1000
+    const meetingIds = subscribedIds('attendance')
+
+    // Forget meetings nobody here is watching any more (a stream being
+    // opened right now is tracked before it subscribes — keep those)
+    for (const [id, state] of relayStates) {
+      if (!meetingIds.includes(id) && state.since.getTime() < windowStart) relayStates.delete(id)
+    }
+
+    if (meetingIds.length === 0) return
+    meetingIds.forEach((id) => trackMeeting(id))
+
+    const records = await Attendance.find({
+      meeting: { $in: meetingIds },
+      method: { $ne: 'import' },
+      createdAt: { $gte: new Date(windowStart) },
+    })
+      .populate('user', 'name email photoURL')
+      .sort({ createdAt: 1 })
+      .lean()
+
+    const fresh = records.filter((record) => {
+      const state = relayStates.get(record.meeting.toString())
+      return record.createdAt >= state.since && !state.sent.has(record._id.toString())
+    })
+
+    const totals = new Map()
+    for (const record of fresh) {
+      const key = record.meeting.toString()
+      if (!totals.has(key)) totals.set(key, await Attendance.countDocuments({ meeting: record.meeting }))
+      markSent(record)
+      publish(attendanceChannel(key), { entry: toFeedEntry(record), total: totals.get(key) })
+    }
+
+    // Ids older than the overlap can no longer be returned — drop them
+    for (const state of relayStates.values()) {
+      for (const [id, createdAt] of state.sent) {
+        if (createdAt < windowStart) state.sent.delete(id)
+      }
+    }
+  } catch (err) {
+    console.error('❌ Attendance feed relay error:', err.message)
+  } finally {
+    relaying = false
+  }
+}
+
+/**
+ * Start relaying check-ins made on other instances.
+ */
+function startAttendanceFeedRelay() {
+  if (intervalId) return
+
+  console.log(`📣 Attendance feed relay started (every ${FEED_RELAY_TICK}s)`)
+
+  intervalId = setInterval(relayCheckIns, FEED_RELAY_TICK * 1000)
+}
+
+/**
+ * Stop the attendance feed relay.
+ */
+function stopAttendanceFeedRelay() {
+  if (intervalId) {
+    clearInterval(intervalId)
+    intervalId = null
+    relayStates.clear()
+    console.log('⏹️  Attendance feed relay stopped')
+  }
+}
+
+module.exports = {
+  getFeedSnapshot,
+  publishCheckIn,
+  startAttendanceFeedRelay,
+  stopAttendanceFeedRelay,
+  RECENT_CHECKINS,
+}
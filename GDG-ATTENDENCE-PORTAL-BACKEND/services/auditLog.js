@@ -0,0 +1,107 @@
+/**
+ * Audit Log Service
+ *
+ * Persists an AuditLog entry for every change made through the API.
+ * Controllers call `recordAudit(req, entry)` after a write succeeds; the
+ * actor, IP and User-Agent are taken from the request.
+ *
+ * `before` / `after` are plain snapshots of the target — only the fields
+ * that differ are stored, as { field: { before, after } }. Creations
+ * (before = null) and deletions (after = null) therefore record every field.
+ *
+ * Failures are logged and swallowed: auditing must never fail the request
+ * it describes.
+ */
+
+const AuditLog = require('../models/AuditLog')
+const { getClientInfo } = require('../utils/clientInfo')
+
+// Bookkeeping fields and secrets that are never worth diffing
+const IGNORED_FIELDS = new Set([
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'scheduleUpdatedAt',
+  'detailsUpdatedAt',
+  'qrData',
+  'qrHistory',
+  'qrGeneration',
+  'qrRotatedAt',
+  'qrPreviewUntil',
+  'attendanceToken',
+  'seatsTaken',
+])
+
+/**
+ * Convert a value to plain JSON (Dates → ISO strings, ObjectIds → strings).
+ */
+function toPlain(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * Field-level diff of two snapshots, or null when nothing changed.
+ *
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Object|null} { field: { before, after } }
+ */
+function diffFields(before, after) {
+  const plainBefore = toPlain(before) || {}
+  const plainAfter = toPlain(after) || {}
+  const changes = {}
+
+  const fields = new Set([...Object.keys(plainBefore), ...Object.keys(plainAfter)])
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue
+    const from = plainBefore[field] ?? null
+    const to = plainAfter[field] ?? null
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { before: from, after: to }
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null
+}
+
+/**
+ * Record one audited change.
+ *
+ * @param {import('express').Request} req
+ * @param {Object} entry
+ * @param {string} entry.action       – one of AuditLog.AUDIT_ACTIONS
+ * @param {string} entry.targetType   – 'user' | 'meeting' | 'venue' | 'series' | 'rsvp' | 'attendance'
+ * @param {*}      entry.target       – id of the changed document
+ * @param {string} [entry.targetLabel]
+ * @param {Object} [entry.before]     – snapshot before the change
+ * @param {Object} [entry.after]      – snapshot after the change
+ * @param {Object} [entry.meta]       – extra context
+ * @param {Object} [entry.actor]      – User document of the actor, for routes
+ *                                      without `authorize` (defaults to req.user)
+ */
+async function recordAudit(req, { action, targetType, target, targetLabel = '', before = null, after = null, meta = null, actor = null }) {
+  try {
+    const { ip, userAgent } = getClientInfo(req)
+    await AuditLog.create({
+      actor: actor?._id ?? req.user?.dbId ?? null,
+      actorEmail: actor?.email ?? req.user?.email ?? '',
+      actorRole: actor?.role ?? req.user?.role ?? '',
+      action,
+      targetType,
+      target: target ?? null,
+      targetLabel,
+      changes: diffFields(before, after),
+      meta: meta ? toPlain(meta) : null,
+      ip,
+      userAgent,
+    })
+  } catch (err) {
+    console.error('❌ Failed to record audit log:', err.message)
+  }
+}
+
+module.exports = {
+  recordAudit,
+  diffFields,
+}
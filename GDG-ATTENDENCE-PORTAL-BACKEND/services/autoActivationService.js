@@ -1,79 +1,126 @@
 /**
  * Meeting Auto-Activation Service
  *
- * Runs server-side on a fixed interval (every 30 seconds).
- * Automatically manages the `isActive` flag on meetings based on
- * their scheduled time and duration:
+ * Event-driven scheduler that manages the `isActive` flag on meetings
+ * based on their scheduled time and duration:
  *
- *   - Sets `isActive: true` when `now` is within [dateTime, dateTime + duration]
+ *   - Sets `isActive: true` once check-in opens (`dateTime − checkInOpensBefore`)
  *   - Sets `isActive: false` when `now` is past `dateTime + duration`
  *   - Also auto-generates a QR code when a meeting goes live (if it doesn't have one)
+ *   - Clears the QR of any meeting that has ended (and is no longer being
+ *     previewed), so old codes are neither rotated nor scannable
+ *
+ * Instead of polling, each run computes the next boundary (the next
+ * check-in opening, meeting end or preview expiry) from the Meeting
+ * collection and sets a timer for exactly that moment. Timers never wait
+ * longer than SAFETY_SWEEP_INTERVAL, which doubles as a safety sweep.
+ *
+ * Re-planning happens when:
+ *   - createMeeting / updateMeeting / deleteMeeting call `replanActivation()`
+ *   - the leader notices a newer `scheduleUpdatedAt` (edits made through
+ *     another instance) on its SCHEDULE_WATCH_INTERVAL check
+ *
+ * Every activation / deactivation is recorded as an ActivationEvent with
+ * the boundary it was scheduled for and when it actually happened.
  *
  * This means admins no longer need to manually toggle meetings on/off.
  * The toggle-active endpoint still works for manual override.
+ *
+ * When several backend instances run, only the holder of the
+ * 'meeting-activation' lease (services/leaderLease.js) plans and runs timers.
  */
 
 const Meeting = require('../models/Meeting')
-const QRCode = require('qrcode')
+const ActivationEvent = require('../models/ActivationEvent')
 const crypto = require('crypto')
+const { rotateMeetingQR, clearMeetingQR } = require('./qrRefreshService')
+const { getMeetingWindow, MEETING_END_EXPR, CHECK_IN_OPENS_EXPR } = require('../utils/meetingWindow')
+const { getCheckInRules } = require('../utils/checkInRules')
+const { holdLease, releaseLease, INSTANCE_ID } = require('./leaderLease')
 
-const AUTO_ACTIVATE_INTERVAL = 30 // seconds — check every 30s
+const SCHEDULE_WATCH_INTERVAL = 5 // seconds — lease renewal + cross-instance change check
+const SAFETY_SWEEP_INTERVAL = 300 // seconds — longest a timer may wait
+const BOUNDARY_SLACK_MS = 50 // fire just after the boundary, never just before
+const ACTIVATION_LEASE_NAME = 'meeting-activation'
+const ACTIVATION_LEASE_TTL = SCHEDULE_WATCH_INTERVAL * 3
 
-let intervalId = null
+let watchId = null // lease renewal / change detection loop
+let timerId = null // timer for the next boundary
+let leading = false // whether this instance currently runs the scheduler
+let planning = false
+let replanRequested = false
+let lastScheduleStamp = null // newest scheduleUpdatedAt seen when last planned
+
+/**
+ * Record an activation / deactivation for auditing.
+ *
+ * @param {Object} event – { meeting, type, source, scheduledAt?, actor? }
+ */
+async function recordActivationEvent({ meeting, type, source, scheduledAt = null, actor = null }) {
+  const occurredAt = new Date()
+  try {
+    await ActivationEvent.create({
+      meeting,
+      type,
+      source,
+      scheduledAt,
+      occurredAt,
+      lagMs: scheduledAt ? occurredAt - new Date(scheduledAt) : null,
+      actor,
+      instanceId: INSTANCE_ID,
+    })
+  } catch (err) {
+    console.error('❌ Failed to record activation event:', err.message)
+  }
+}
 
 /**
- * Check all meetings and update their isActive status based on time window.
+ * Bring every meeting's isActive flag (and QR) in line with its time window.
+ * Safe to run at any time — each transition is a conditional update, so a
+ * meeting is only activated / deactivated (and recorded) once.
  */
 async function checkAndUpdateMeetings() {
   try {
     const now = new Date()
 
-    // 1. Activate meetings whose time window has started (now >= dateTime AND now < endTime)
+    // 1. Activate meetings whose check-in has opened (now >= checkInOpensAt AND now < endTime)
     //    Only update meetings that are NOT already active, to avoid unnecessary writes.
     const meetingsToActivate = await Meeting.find({
       isActive: false,
-      dateTime: { $lte: now },
+      $expr: { $lte: [CHECK_IN_OPENS_EXPR, now] },
     }).lean()
 
     for (const meeting of meetingsToActivate) {
-      const endTime = new Date(
-        new Date(meeting.dateTime).getTime() + (meeting.duration || 60) * 60000
-      )
+      const { checkInOpensAt, end: endTime } = getMeetingWindow(meeting)
 
       if (now < endTime) {
         // Meeting is within its time window → activate it
         const update = { isActive: true }
+        const rules = getCheckInRules(meeting)
 
-        if (meeting.type === 'online') {
-          // Auto-generate attendance token for online meetings (if missing)
-          if (!meeting.attendanceToken) {
-            const token = crypto.randomBytes(24).toString('hex')
-            update.attendanceToken = token
-            console.log(`🔗 Auto-generated attendance token for: "${meeting.title}"`)
-          }
-        } else {
-          // Auto-generate QR if the offline meeting doesn't have one yet
-          if (!meeting.qrCode) {
-            const token = crypto.randomBytes(16).toString('hex')
-            const qrPayload = JSON.stringify({
-              meetingId: meeting._id,
-              token,
-              generatedAt: now.toISOString(),
-            })
-
-            const qrCodeDataUrl = await QRCode.toDataURL(qrPayload, {
-              width: 400,
-              margin: 2,
-              color: { dark: '#202124', light: '#FFFFFF' },
-              errorCorrectionLevel: 'H',
-            })
-
-            update.qrCode = qrCodeDataUrl
-            update.qrData = qrPayload
-          }
+        // Auto-generate attendance token for meetings with link check-in (if missing)
+        if (rules.link !== 'off' && !meeting.attendanceToken) {
+          const token = crypto.randomBytes(24).toString('hex')
+          update.attendanceToken = token
+          console.log(`🔗 Auto-generated attendance token for: "${meeting.title}"`)
         }
 
-        await Meeting.findByIdAndUpdate(meeting._id, update)
+        // Auto-generate QR if the meeting uses QR check-in and doesn't have one yet
+        const needsQR = rules.qr !== 'off' && !meeting.qrData
+
+        const activated = await Meeting.findOneAndUpdate(
+          { _id: meeting._id, isActive: false },
+          update
+        )
+        if (!activated) continue // toggled by someone else in the meantime
+
+        if (needsQR) await rotateMeetingQR(meeting, now)
+        await recordActivationEvent({
+          meeting: meeting._id,
+          type: 'activated',
+          source: 'scheduler',
+          scheduledAt: checkInOpensAt,
+        })
         console.log(`✅ Auto-activated meeting: "${meeting.title}"`)
       }
     }
@@ -85,55 +132,211 @@ async function checkAndUpdateMeetings() {
     }).lean()
 
     for (const meeting of activeMeetings) {
-      const endTime = new Date(
-        new Date(meeting.dateTime).getTime() + (meeting.duration || 60) * 60000
-      )
+      const { end: endTime } = getMeetingWindow(meeting)
 
       if (now >= endTime) {
-        await Meeting.findByIdAndUpdate(meeting._id, {
-          isActive: false,
-          qrCode: '',
-          qrData: '',
-          qrPaused: false,
-          attendanceToken: '',
+        const deactivated = await Meeting.findOneAndUpdate(
+          { _id: meeting._id, isActive: true },
+          { isActive: false, attendanceToken: '' }
+        )
+        if (!deactivated) continue
+
+        await clearMeetingQR(meeting._id)
+        await recordActivationEvent({
+          meeting: meeting._id,
+          type: 'deactivated',
+          source: 'scheduler',
+          scheduledAt: endTime,
         })
         console.log(`⏹️  Auto-deactivated meeting: "${meeting.title}"`)
       }
     }
+
+    // 3. Clear QR codes left on meetings that have already ended — e.g. ones
+    //    generated or previewed without ever going live.
+    const endedWithQR = await Meeting.find({
+      qrData: { $exists: true, $ne: '' },
+      isActive: { $ne: true },
+      $or: [{ qrPreviewUntil: null }, { qrPreviewUntil: { $lte: now } }],
+      $expr: { $lte: [MEETING_END_EXPR, now] },
+    })
+      .select('_id title')
+      .lean()
+
+    for (const meeting of endedWithQR) {
+      await clearMeetingQR(meeting._id)
+      console.log(`🧊 Cleared QR for ended meeting: "${meeting.title}"`)
+    }
   } catch (err) {
     console.error('❌ Meeting auto-activation service error:', err.message)
   }
 }
 
 /**
- * Start the background auto-activation loop.
+ * The next moment something has to change: check-in opening, a meeting
+ * end, or a QR preview expiring. Null when nothing is scheduled.
+ */
+async function findNextBoundary(now) {
+  const [nextOpen, nextEnd, nextPreviewEnd] = await Promise.all([
+    Meeting.aggregate([
+      { $project: { opensAt: CHECK_IN_OPENS_EXPR } },
+      { $match: { opensAt: { $gt: now } } },
+      { $sort: { opensAt: 1 } },
+      { $limit: 1 },
+    ]),
+    Meeting.aggregate([
+      { $project: { endTime: MEETING_END_EXPR } },
+      { $match: { endTime: { $gt: now } } },
+      { $sort: { endTime: 1 } },
+      { $limit: 1 },
+    ]),
+    Meeting.findOne({ qrPreviewUntil: { $gt: now } })
+      .sort({ qrPreviewUntil: 1 })
+      .select('qrPreviewUntil')
+      .lean(),
+  ])
+
+  const candidates = [nextOpen[0]?.opensAt, nextEnd[0]?.endTime, nextPreviewEnd?.qrPreviewUntil]
+    .filter(Boolean)
+    .map((date) => new Date(date).getTime())
+
+  return candidates.length > 0 ? new Date(Math.min(...candidates)) : null
+}
+
+/**
+ * Newest `scheduleUpdatedAt` in the collection — changes whenever any
+ * instance creates or reschedules a meeting.
+ */
+async function getScheduleStamp() {
+  const latest = await Meeting.findOne()
+    .sort({ scheduleUpdatedAt: -1 })
+    .select('scheduleUpdatedAt')
+    .lean()
+  return latest?.scheduleUpdatedAt ? new Date(latest.scheduleUpdatedAt).getTime() : 0
+}
+
+/**
+ * Reconcile all meetings, then set a timer for the next boundary.
+ * Calls made while a pass is running are coalesced into one extra pass.
+ * Leadership is re-checked after every query, so a pass that outlives
+ * `stopPlanning` neither transitions meetings nor arms a new timer.
+ */
+async function plan() {
+  if (planning) {
+    replanRequested = true
+    return
+  }
+  planning = true
+
+  try {
+    do {
+      replanRequested = false
+      const stamp = await getScheduleStamp()
+      if (!leading) break
+
+      await checkAndUpdateMeetings()
+
+      const now = new Date()
+      const nextBoundary = await findNextBoundary(now)
+      if (!leading) break
+      lastScheduleStamp = stamp
+
+      if (timerId) clearTimeout(timerId)
+      const untilBoundary = nextBoundary
+        ? nextBoundary.getTime() - now.getTime() + BOUNDARY_SLACK_MS
+        : Infinity
+      const delay = Math.max(0, Math.min(untilBoundary, SAFETY_SWEEP_INTERVAL * 1000))
+      timerId = setTimeout(plan, delay)
+    } while (replanRequested && leading)
+  } catch (err) {
+    console.error('❌ Meeting activation planning error:', err.message)
+    // Try again on the next safety sweep
+    if (timerId) clearTimeout(timerId)
+    timerId = leading ? setTimeout(plan, SAFETY_SWEEP_INTERVAL * 1000) : null
+  } finally {
+    planning = false
+  }
+}
+
+/**
+ * Stop running timers on this instance (lost or released leadership).
+ */
+function stopPlanning() {
+  leading = false
+  lastScheduleStamp = null
+  if (timerId) {
+    clearTimeout(timerId)
+    timerId = null
+  }
+}
+
+/**
+ * Periodic check: renew the lease, take over planning if this instance
+ * just became leader, and re-plan if another instance changed a schedule.
+ */
+async function watchSchedule() {
+  try {
+    const isLeader = await holdLease(ACTIVATION_LEASE_NAME, ACTIVATION_LEASE_TTL)
+
+    if (!isLeader) {
+      if (leading) stopPlanning()
+      return
+    }
+
+    if (!leading) {
+      leading = true
+      await plan()
+      return
+    }
+
+    if ((await getScheduleStamp()) !== lastScheduleStamp) await plan()
+  } catch (err) {
+    console.error('❌ Meeting activation watch error:', err.message)
+  }
+}
+
+/**
+ * Re-plan after a meeting was created, rescheduled or deleted.
+ * A no-op on instances that are not the leader — the leader picks the
+ * change up through `scheduleUpdatedAt` on its next watch.
+ */
+function replanActivation() {
+  if (leading) plan()
+}
+
+/**
+ * Start the activation scheduler.
  */
 function startAutoActivationService() {
-  if (intervalId) return
+  if (watchId) return
 
   console.log(
-    `⏰ Meeting auto-activation service started (every ${AUTO_ACTIVATE_INTERVAL}s)`
+    `⏰ Meeting activation scheduler started (event-driven, safety sweep every ${SAFETY_SWEEP_INTERVAL}s)`
   )
 
   // Run once immediately on boot
-  checkAndUpdateMeetings()
+  watchSchedule()
 
-  intervalId = setInterval(checkAndUpdateMeetings, AUTO_ACTIVATE_INTERVAL * 1000)
+  watchId = setInterval(watchSchedule, SCHEDULE_WATCH_INTERVAL * 1000)
 }
 
 /**
- * Stop the background auto-activation loop.
+ * Stop the activation scheduler.
  */
 function stopAutoActivationService() {
-  if (intervalId) {
-    clearInterval(intervalId)
-    intervalId = null
-    console.log('⏹️  Meeting auto-activation service stopped')
+  if (watchId) {
+    clearInterval(watchId)
+    watchId = null
+    stopPlanning()
+    releaseLease(ACTIVATION_LEASE_NAME)
+    console.log('⏹️  Meeting activation scheduler stopped')
   }
 }
 
 module.exports = {
   startAutoActivationService,
   stopAutoActivationService,
-  AUTO_ACTIVATE_INTERVAL,
+  replanActivation,
+  recordActivationEvent,
+  SAFETY_SWEEP_INTERVAL,
 }
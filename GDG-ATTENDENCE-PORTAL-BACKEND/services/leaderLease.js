@@ -0,0 +1,107 @@
+/**
+ * Leader Lease Service
+ *
+ * MongoDB-backed leases so that, when several backend instances run
+ * side by side, only one of them executes each background job.
+ *
+ * Every job tick calls `holdLease(name, ttlSeconds)`:
+ *   - if nobody holds the lease, or it has expired, this instance takes it
+ *   - if this instance already holds it, the expiry is pushed forward
+ *   - otherwise the call returns false and the tick should be skipped
+ *
+ * Acquire and renew are a single atomic upsert; a competing instance
+ * loses with a duplicate-key error on the job's _id. If the leader dies
+ * it stops renewing, the lease lapses after `ttlSeconds`, and the next
+ * instance to tick takes over.
+ */
+
+const crypto = require('crypto')
+const os = require('os')
+const ServiceLease = require('../models/ServiceLease')
+
+// Unique per process — hostname + pid for readable logs, random suffix for safety
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`
+
+const heldLeases = new Set() // job names this instance currently leads
+
+/**
+ * Acquire or renew the lease for a job.
+ *
+ * @param {string} name       – job name, e.g. 'qr-refresh'
+ * @param {number} ttlSeconds – how long the lease survives without renewal
+ * @returns {Promise<boolean>} true if this instance is the leader
+ */
+async function holdLease(name, ttlSeconds) {
+  const now = new Date()
+  const expiresAt = new Date(now.getTime() + ttlSeconds * 1000)
+  const wasLeader = heldLeases.has(name)
+
+  try {
+    await ServiceLease.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ holder: INSTANCE_ID }, { expiresAt: { $lte: now } }],
+      },
+      {
+        $set: {
+          holder: INSTANCE_ID,
+          expiresAt,
+          renewedAt: now,
+          ...(wasLeader ? {} : { acquiredAt: now }),
+        },
+      },
+      { upsert: true }
+    )
+  } catch (err) {
+    // Another instance holds an unexpired lease → the upsert collides on _id
+    if (err.code === 11000) {
+      if (wasLeader) {
+        heldLeases.delete(name)
+        console.warn(`⚠️  Lost leadership of "${name}" to another instance`)
+      }
+      return false
+    }
+    throw err
+  }
+
+  if (!wasLeader) {
+    heldLeases.add(name)
+    console.log(`👑 ${INSTANCE_ID} is now leader for "${name}"`)
+  }
+  return true
+}
+
+/**
+ * Give up a lease (e.g. when a service is stopped) so another instance
+ * can take over immediately instead of waiting for it to expire.
+ */
+async function releaseLease(name) {
+  heldLeases.delete(name)
+  try {
+    await ServiceLease.deleteOne({ _id: name, holder: INSTANCE_ID })
+  } catch (err) {
+    console.error(`❌ Failed to release lease "${name}":`, err.message)
+  }
+}
+
+/**
+ * Current lease document for a job, plus whether this instance holds it.
+ */
+async function getLeaseInfo(name) {
+  const lease = await ServiceLease.findById(name).lean()
+  return {
+    instanceId: INSTANCE_ID,
+    isLeader: !!lease && lease.holder === INSTANCE_ID && lease.expiresAt > new Date(),
+    holder: lease?.holder || null,
+    acquiredAt: lease?.acquiredAt || null,
+    renewedAt: lease?.renewedAt || null,
+    expiresAt: lease?.expiresAt || null,
+  }
+}
+
+module.exports = {
+  holdLease,
+  releaseLease,
+  getLeaseInfo,
+  INSTANCE_ID,
+}
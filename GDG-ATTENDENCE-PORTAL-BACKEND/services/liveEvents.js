@@ -0,0 +1,67 @@
+/**
+ * Live Events
+ *
+ * In-process pub/sub used to push real-time updates to Server-Sent
+ * Event streams. Publishers call `publish(channel, data)`; SSE handlers
+ * call `subscribe(channel, handler)` and invoke the returned function
+ * to unsubscribe when the client disconnects.
+ *
+ * Channels:
+ *   qr:<meetingId>          – a new QR was issued or its pause state changed
+ *   attendance:<meetingId>  – an attendance record was created for the meeting
+ */
+
+const { EventEmitter } = require('events')
+
+const emitter = new EventEmitter()
+emitter.setMaxListeners(0) // one listener per open stream — no artificial cap
+
+const qrChannel = (meetingId) => `qr:${meetingId}`
+const attendanceChannel = (meetingId) => `attendance:${meetingId}`
+
+/**
+ * Publish an event to every subscriber of a channel.
+ */
+function publish(channel, data) {
+  emitter.emit(channel, data)
+}
+
+/**
+ * Subscribe to a channel.
+ *
+ * @param {string}   channel
+ * @param {Function} handler – called with the published data
+ * @returns {Function} unsubscribe
+ */
+function subscribe(channel, handler) {
+  emitter.on(channel, handler)
+  return () => emitter.off(channel, handler)
+}
+
+/**
+ * Whether anyone is currently listening on a channel — lets publishers
+ * skip building payloads (extra queries) when no stream is open.
+ */
+function hasSubscribers(channel) {
+  return emitter.listenerCount(channel) > 0
+}
+
+/**
+ * IDs with at least one subscriber for a channel prefix,
+ * e.g. subscribedIds('qr') → meeting IDs with an open QR stream.
+ */
+function subscribedIds(prefix) {
+  return emitter
+    .eventNames()
+    .filter((name) => typeof name === 'string' && name.startsWith(`${prefix}:`))
+    .map((name) => name.slice(prefix.length + 1))
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  hasSubscribers,
+  subscribedIds,
+  qrChannel,
+  attendanceChannel,
+}
@@ -0,0 +1,323 @@
+/**
+ * Meeting Series Service
+ *
+ * Keeps recurring meetings (models/MeetingSeries.js) stocked with concrete
+ * Meeting occurrences:
+ *
+ *   - `extendSeries` creates every occurrence due in the next
+ *     SERIES_HORIZON_DAYS from the series template
+ *   - `pruneSeries` removes upcoming occurrences the recurrence no longer
+ *     contains (after the rule or its exceptions change)
+ *   - `applySeriesEdit` carries an edit of one occurrence over to the
+ *     template and every later occurrence ("this and following"),
+ *     splitting the series when the start time changes
+ *
+ * A background job extends all open series every SERIES_EXTEND_INTERVAL so
+ * the horizon keeps moving. When several backend instances run, only the
+ * holder of the 'meeting-series' lease (services/leaderLease.js) runs it.
+ * The lease is renewed every SERIES_LEASE_TICK, so another instance takes
+ * over within SERIES_LEASE_TTL and extends straight away; the unique
+ * (series, occurrenceDate) index guards against duplicates.
+ */
+
+const Meeting = require('../models/Meeting')
+const { CALENDAR_FIELDS } = Meeting
+const MeetingSeries = require('../models/MeetingSeries')
+const Attendance = require('../models/Attendance')
+const Rsvp = require('../models/Rsvp')
+const { listOccurrences, isOccurrence, locateOccurrence, nthOccurrence } = require('../utils/recurrence')
+const { replanActivation } = require('./autoActivationService')
+const { holdLease, releaseLease } = require('./leaderLease')
+
+const SERIES_HORIZON_DAYS = 28 // how far ahead occurrences are created
+const SERIES_EXTEND_INTERVAL = 3600 // seconds between background runs
+const SERIES_LEASE_TICK = 10 // seconds — lease renewal
+const SERIES_LEASE_NAME = 'meeting-series'
+const SERIES_LEASE_TTL = SERIES_LEASE_TICK * 3
+
+// Meeting fields copied from the template into every occurrence
+const SERIES_FIELDS = [
+  'title',
+  'description',
+  'type',
+  'duration',
+  'location',
+  'meetingLink',
+  'venue',
+  'geofencing',
+  'checkInRules',
+  'participation',
+  'participants',
+  'qrGraceSeconds',
+  'qrRotationSeconds',
+  'checkInOpensBefore',
+  'checkInClosesAfter',
+  'lateAfterMinutes',
+  'checkOutEnabled',
+  'minimumStayMinutes',
+  'capacity',
+  'rsvpRequired',
+  'createdBy',
+]
+
+let intervalId = null
+let lastExtendedAt = 0 // when this instance last extended, as leader
+
+/**
+ * The template fields of a meeting (document or plain object).
+ */
+function buildTemplate(meeting, fields = SERIES_FIELDS) {
+  const source = typeof meeting.toObject === 'function' ? meeting.toObject() : meeting
+  return Object.fromEntries(fields.map((field) => [field, source[field]]))
+}
+
+/**
+ * Create the series' missing occurrences between now and the horizon.
+ *
+ * @returns {Promise<number>} how many meetings were created
+ */
+async function extendSeries(series, now = new Date()) {
+  const horizon = new Date(now.getTime() + SERIES_HORIZON_DAYS * 24 * 60 * 60 * 1000)
+  const dates = listOccurrences(series, { from: now, to: horizon })
+  if (dates.length === 0) return 0
+
+  const existing = await Meeting.find({ series: series._id, occurrenceDate: { $in: dates } })
+    .select('occurrenceDate')
+    .lean()
+  const taken = new Set(existing.map((m) => m.occurrenceDate.getTime()))
+
+  const missing = dates.filter((date) => !taken.has(date.getTime()))
+  if (missing.length === 0) return 0
+
+  try {
+    const created = await Meeting.insertMany(
+      missing.map((date) => ({
+        ...series.template,
+        series: series._id,
+        occurrenceDate: date,
+        dateTime: date,
+        scheduleUpdatedAt: now,
+      })),
+      { ordered: false }
+    )
+    return created.length
+  } catch (err) {
+    // Another instance created some of them first
+    if (err.code === 11000) return err.insertedDocs?.length || 0
+    throw err
+  }
+}
+
+/**
+ * Delete upcoming occurrences that are no longer part of the series,
+ * along with their RSVPs. Meetings that are live or already have
+ * attendance are kept.
+ *
+ * @returns {Promise<Object[]>} the deleted meetings (for auditing)
+ */
+async function pruneSeries(series, now = new Date()) {
+  const upcoming = await Meeting.find({ series: series._id, dateTime: { $gt: now }, isActive: false })
+    .select('occurrenceDate')
+    .lean()
+
+  const stale = upcoming.filter((m) => !isOccurrence(series, m.occurrenceDate)).map((m) => m._id)
+  if (stale.length === 0) return []
+
+  const attended = await Attendance.distinct('meeting', { meeting: { $in: stale } })
+  const attendedIds = new Set(attended.map(String))
+  const removable = stale.filter((id) => !attendedIds.has(String(id)))
+  if (removable.length === 0) return []
+
+  const removed = await Meeting.find({ _id: { $in: removable } }).lean()
+  await Meeting.deleteMany({ _id: { $in: removable } })
+  await Rsvp.deleteMany({ meeting: { $in: removable } })
+  return removed
+}
+
+/**
+ * Apply an edit made to one occurrence to the series template and to
+ * every later occurrence.
+ *
+ * A new start time splits the series: the current one ends before the
+ * edited occurrence, and a new series starting at the meeting's new
+ * `dateTime` takes over the edited and later occurrences. Earlier
+ * occurrences keep their series and dates.
+ *
+ * @param {Object} meeting – the saved occurrence
+ * @param {Object} edit
+ * @param {string[]} edit.fields – SERIES_FIELDS that changed
+ * @param {number}   edit.shiftMs – how far the occurrence was moved (0 = not moved)
+ * @param {Date}     edit.after – the occurrence's series date before the edit
+ * @returns {Promise<{ updated: number, split: Object|null }>} how many later
+ *   occurrences were updated and, after a split, `{ series, before, created }`
+ *   (the ended series or null once it is empty, its previous state, the new series)
+ */
+async function applySeriesEdit(meeting, { fields, shiftMs, after }) {
+  if (fields.length === 0 && !shiftMs) return { updated: 0, split: null }
+
+  const series = await MeetingSeries.findById(meeting.series)
+  if (!series) return { updated: 0, split: null }
+
+  const values = buildTemplate(meeting, fields)
+  const detailsChanged = fields.some((field) => CALENDAR_FIELDS.includes(field))
+
+  // Measured from the series date, which differs from the old start when
+  // this occurrence had already been moved on its own
+  const moveMs = shiftMs && meeting.dateTime.getTime() - after.getTime()
+
+  const later = await Meeting.find({ series: series._id, occurrenceDate: { $gt: after } })
+    .select('dateTime occurrenceDate')
+    .lean()
+
+  if (!moveMs) {
+    series.template = { ...series.template, ...values }
+    if (values.title) series.title = values.title
+    await series.save()
+
+    if (later.length > 0) {
+      await Meeting.bulkWrite(
+        later.map((m) => ({
+          updateOne: {
+            filter: { _id: m._id },
+            update: { $set: { ...values, ...(detailsChanged && { detailsUpdatedAt: new Date() }) } },
+          },
+        }))
+      )
+    }
+    return { updated: later.length, split: null }
+  }
+
+  // Dates on the old rule move to the same position on the new one
+  const rule = { frequency: series.frequency, startsAt: new Date(meeting.dateTime) }
+  const position = locateOccurrence(series, after)
+  const move = (date) => {
+    const located = position && locateOccurrence(series, date)
+    return (located && nthOccurrence(rule, located.index - position.index)) || new Date(date.getTime() + moveMs)
+  }
+
+  const created = await MeetingSeries.create({
+    ...rule,
+    title: values.title || series.title,
+    until: series.until ? new Date(series.until.getTime() + moveMs) : null,
+    count: series.count && position ? series.count - position.counted : series.count,
+    exceptions: series.exceptions.filter((date) => date > after).map(move),
+    template: { ...series.template, ...values },
+    createdBy: series.createdBy,
+  })
+
+  // Occurrences join the new series, so their dates cannot clash with the old one's
+  if (later.length > 0) {
+    await Meeting.bulkWrite(
+      later.map((m) => {
+        const occurrenceDate = move(m.occurrenceDate)
+        return {
+          updateOne: {
+            filter: { _id: m._id },
+            update: {
+              $set: {
+                ...values,
+                series: created._id,
+                occurrenceDate,
+                dateTime: new Date(m.dateTime.getTime() + (occurrenceDate - m.occurrenceDate)),
+                scheduleUpdatedAt: new Date(),
+                detailsUpdatedAt: new Date(),
+              },
+            },
+          },
+        }
+      })
+    )
+  }
+
+  meeting.series = created._id
+  meeting.occurrenceDate = rule.startsAt
+  await meeting.save()
+
+  const before = series.toObject()
+  series.until = new Date(after.getTime() - 1)
+  // Nothing left before the edited occurrence → the old series is gone entirely
+  const remaining = await Meeting.countDocuments({ series: series._id })
+  if (remaining === 0) await series.deleteOne()
+  else await series.save()
+
+  return { updated: later.length, split: { series: remaining === 0 ? null : series, before, created } }
+}
+
+/**
+ * Extend every series that has not ended.
+ */
+async function extendAllSeries() {
+  try {
+    const now = new Date()
+    const open = await MeetingSeries.find({ $or: [{ until: null }, { until: { $gte: now } }] }).lean()
+
+    let created = 0
+    for (const series of open) {
+      created += await extendSeries(series, now)
+    }
+
+    if (created > 0) {
+      console.log(`🔁 Created ${created} upcoming meeting${created === 1 ? '' : 's'} from recurring series`)
+      replanActivation()
+    }
+  } catch (err) {
+    console.error('❌ Meeting series error:', err.message)
+  }
+}
+
+/**
+ * Periodic check: renew the lease and, as leader, extend the series when
+ * SERIES_EXTEND_INTERVAL has passed or leadership was just taken over.
+ */
+async function watchSeries() {
+  try {
+    if (!(await holdLease(SERIES_LEASE_NAME, SERIES_LEASE_TTL))) {
+      lastExtendedAt = 0
+      return
+    }
+  } catch (err) {
+    console.error('❌ Meeting series lease error:', err.message)
+    return
+  }
+
+  if (Date.now() - lastExtendedAt < SERIES_EXTEND_INTERVAL * 1000) return
+  lastExtendedAt = Date.now()
+  await extendAllSeries()
+}
+
+/**
+ * Start the background series job.
+ */
+function startMeetingSeriesService() {
+  if (intervalId) return
+
+  console.log(`🔁 Meeting series service started (${SERIES_HORIZON_DAYS}-day horizon, every ${SERIES_EXTEND_INTERVAL}s)`)
+
+  watchSeries()
+
+  intervalId = setInterval(watchSeries, SERIES_LEASE_TICK * 1000)
+}
+
+/**
+ * Stop the background series job.
+ */
+function stopMeetingSeriesService() {
+  if (intervalId) {
+    clearInterval(intervalId)
+    intervalId = null
+    lastExtendedAt = 0
+    releaseLease(SERIES_LEASE_NAME)
+    console.log('⏹️  Meeting series service stopped')
+  }
+}
+
+module.exports = {
+  startMeetingSeriesService,
+  stopMeetingSeriesService,
+  buildTemplate,
+  extendSeries,
+  pruneSeries,
+  applySeriesEdit,
+  SERIES_FIELDS,
+  SERIES_HORIZON_DAYS,
+}
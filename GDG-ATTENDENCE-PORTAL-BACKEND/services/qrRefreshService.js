@@ -1,96 +1,479 @@
 /**
  * QR Auto-Refresh Service
  *
- * Runs server-side on a fixed 20-second tick.
- * Regenerates QR codes for every meeting with `isActive: true`.
+ * Runs server-side on a short scheduler tick (every QR_SCHEDULER_TICK
+ * seconds) and rotates each meeting's QR on its own cadence: a meeting
+ * is due once `qrRotatedAt + qrRotationSeconds` has passed. Small
+ * workshops can use a slow 60 s rotation while keynotes use 10 s.
  *
- * Exposes `getSecondsUntilNextRefresh()` so API endpoints can
- * tell the client exactly how many seconds remain before the
- * next QR rotation.
+ * Only meetings that are live (from check-in opening until
+ * dateTime + duration, or manually activated) or explicitly opened for
+ * preview by an admin (`qrPreviewUntil` in the future) are rotated. Any
+ * other QR stays frozen; autoActivationService clears it once the
+ * meeting has ended. `getQRRefreshStatus()` reports what is rotating and
+ * when the loop last ran.
+ *
+ * Exposes `getSecondsUntilNextRefresh(meeting)` so API endpoints can
+ * tell the client exactly how many seconds remain before that
+ * meeting's next QR rotation. It reads the meeting's shared
+ * `qrRotatedAt` timestamp, so every instance reports the same countdown.
+ *
+ * Multiple backend instances: every instance ticks, but only the holder
+ * of the 'qr-refresh' lease (services/leaderLease.js) rotates codes;
+ * another instance takes over within QR_LEASE_TTL seconds if it dies.
+ * The lease is renewed on its own QR_LEASE_RENEW_INTERVAL timer, so the
+ * 1-second tick only checks the cached result.
+ * Every instance also relays rotations made elsewhere to its own
+ * `/qr-stream` subscribers (see relayQRChanges).
+ *
+ * Each QR payload is signed (see utils/qrToken.js) and stays valid for
+ * one rotation plus the meeting's `qrGraceSeconds`, so a code scanned
+ * just before it rotates is still accepted when the request lands
+ * afterwards.
+ *
+ * Every rotation also appends { token, issuedAt } to the meeting's
+ * `qrHistory` ring buffer and bumps `qrGeneration`, so the scan endpoint
+ * can tell which generation of the code a member actually scanned. The
+ * buffer keeps at least QR_HISTORY_SIZE codes, and more when the grace
+ * period spans more rotations (see getHistorySize).
+ *
+ * Only the signed payload is stored on the meeting; images are rendered
+ * on demand by `renderQRImage` for GET /api/meetings/:id/qr.png|.svg.
+ *
+ * Each new QR (and every pause/resume) is published on the live-events
+ * bus so open `/qr-stream` SSE connections receive it immediately.
  */
 
 const Meeting = require('../models/Meeting')
 const QRCode = require('qrcode')
-const crypto = require('crypto')
+const { createSignedQRPayload } = require('../utils/qrToken')
+const { getMeetingWindow, MEETING_END_EXPR, CHECK_IN_OPENS_EXPR } = require('../utils/meetingWindow')
+const { publish, qrChannel, subscribedIds } = require('./liveEvents')
+const { holdLease, releaseLease, getLeaseInfo } = require('./leaderLease')
+
+const QR_REFRESH_INTERVAL = 20 // seconds — default when a meeting has no qrRotationSeconds
+const QR_GRACE_SECONDS = 20 // default when a meeting has no qrGraceSeconds
+const QR_SCHEDULER_TICK = 1 // seconds between due-checks
+const QR_HISTORY_SIZE = 5 // minimum rotations kept in Meeting.qrHistory
+const QR_PREVIEW_MINUTES = 15 // how long an admin preview keeps a QR rotating
+const QR_LEASE_NAME = 'qr-refresh'
+const QR_LEASE_TTL = 10 // seconds without renewal before another instance takes over
+const QR_LEASE_RENEW_INTERVAL = 3 // seconds between lease renewals
+
+// Fields needed to build a QR status payload (see buildQRStatus)
+const QR_STATUS_FIELDS =
+  'qrData qrGeneration qrRotatedAt qrRotationSeconds qrGraceSeconds isActive qrPaused'
 
-const QR_REFRESH_INTERVAL = 20 // seconds
+// Rendering options shared by the PNG and SVG endpoints
+const QR_RENDER_OPTIONS = {
+  margin: 2,
+  color: { dark: '#202124', light: '#FFFFFF' },
+  errorCorrectionLevel: 'H',
+}
+const QR_IMAGE_WIDTH = 400 // px, PNG only
 
 let intervalId = null
-let lastRefreshedAt = null // Date when QR codes were last regenerated
+let leaseIntervalId = null
+let ticking = false // guards against overlapping ticks
+let leaseHeldUntil = 0 // ms timestamp until which this instance surely holds the lease
+
+// meetingId → state key of the last status pushed to this instance's streams
+const publishedStates = new Map()
+
+// Bookkeeping for GET /api/meetings/qr-refresh/status (this instance only)
+const lastRun = {
+  ranAt: null, // last completed tick
+  rotatedAt: null, // last tick that rotated at least one meeting
+  rotatedCount: 0, // meetings rotated on that tick
+  error: null, // message of the last failed tick (cleared on success)
+}
+
+/**
+ * Rotation interval (seconds) for a meeting.
+ */
+function getRotationSeconds(meeting) {
+  return meeting.qrRotationSeconds || QR_REFRESH_INTERVAL
+}
 
 /**
- * How many whole seconds until the next server-side QR refresh.
+ * How long (seconds) a superseded QR is still accepted for a meeting.
  */
-function getSecondsUntilNextRefresh() {
-  if (!lastRefreshedAt) return 0
-  const elapsed = (Date.now() - lastRefreshedAt.getTime()) / 1000
-  const remaining = Math.max(0, Math.ceil(QR_REFRESH_INTERVAL - elapsed))
+function getGraceSeconds(meeting) {
+  return meeting.qrGraceSeconds ?? QR_GRACE_SECONDS
+}
+
+/**
+ * How many codes a meeting's `qrHistory` keeps: a superseded code must
+ * still be there for the whole grace period, during which up to
+ * ceil(grace / rotation) + 1 newer codes are issued.
+ */
+function getHistorySize(meeting) {
+  return Math.max(QR_HISTORY_SIZE, Math.ceil(getGraceSeconds(meeting) / getRotationSeconds(meeting)) + 2)
+}
+
+/**
+ * How many whole seconds until the next server-side QR refresh
+ * for this meeting.
+ *
+ * @param {Object} meeting – needs `qrRotatedAt` and `qrRotationSeconds`
+ */
+function getSecondsUntilNextRefresh(meeting) {
+  if (!meeting?.qrRotatedAt) return 0
+  const elapsed = (Date.now() - new Date(meeting.qrRotatedAt).getTime()) / 1000
+  const remaining = Math.max(0, Math.ceil(getRotationSeconds(meeting) - elapsed))
   return remaining
 }
 
 /**
- * Regenerate QR codes for every meeting that has a QR code.
- * This covers both active meetings and any meeting whose QR modal
- * is open (the admin clicked "Generate QR" at some point).
+ * Snapshot of a meeting's current QR, as returned by GET /qr-status
+ * and pushed over the /qr-stream SSE endpoint.
+ *
+ * @param {Object} meeting – needs the fields in QR_STATUS_FIELDS
+ */
+function buildQRStatus(meeting) {
+  const rotationSeconds = getRotationSeconds(meeting)
+  const graceSeconds = getGraceSeconds(meeting)
+  const rotatedAt = meeting.qrRotatedAt ? new Date(meeting.qrRotatedAt) : null
+
+  return {
+    hasQR: !!meeting.qrData,
+    qrData: meeting.qrData || null,
+    qrGeneration: meeting.qrGeneration || 0,
+    isActive: meeting.isActive,
+    qrPaused: !!meeting.qrPaused,
+    secondsRemaining: getSecondsUntilNextRefresh(meeting),
+    refreshInterval: rotationSeconds,
+    nextRotationAt: rotatedAt ? new Date(rotatedAt.getTime() + rotationSeconds * 1000) : null,
+    expiresAt: rotatedAt
+      ? new Date(rotatedAt.getTime() + (rotationSeconds + graceSeconds) * 1000)
+      : null,
+  }
+}
+
+/**
+ * Push a meeting's current QR status to every open /qr-stream connection.
+ *
+ * @param {Object} meeting – needs `_id` and the fields in QR_STATUS_FIELDS
+ */
+function publishQRStatus(meeting) {
+  const status = buildQRStatus(meeting)
+  publishedStates.set(meeting._id.toString(), qrStateKey(status))
+  publish(qrChannel(meeting._id), status)
+}
+
+/**
+ * Identifies a distinct QR state — a new generation, pause or clear.
+ */
+function qrStateKey({ hasQR, qrGeneration, qrPaused }) {
+  return `${hasQR}:${qrGeneration}:${qrPaused}`
+}
+
+/**
+ * Build a fresh signed QR payload for a meeting.
+ *
+ * @param {Object} meeting  – needs `_id`, optionally `qrRotationSeconds` / `qrGraceSeconds`
+ * @param {Date}   issuedAt
+ * @returns {{ qrData: string, token: string }}
+ */
+function generateMeetingQR(meeting, issuedAt = new Date()) {
+  const rotationSeconds = getRotationSeconds(meeting)
+  const graceSeconds = getGraceSeconds(meeting)
+
+  const { qrData, token } = createSignedQRPayload(meeting._id, {
+    issuedAt,
+    validForSeconds: rotationSeconds + graceSeconds,
+  })
+
+  return { qrData, token }
+}
+
+/**
+ * Render a QR payload as an image.
+ * Images are never stored — GET /:id/qr.png|.svg renders them per request.
+ *
+ * @param {string} qrData – signed payload string
+ * @param {'png'|'svg'} format
+ * @returns {Promise<Buffer|string>} PNG buffer or SVG markup
+ */
+function renderQRImage(qrData, format) {
+  if (format === 'svg') {
+    return QRCode.toString(qrData, { ...QR_RENDER_OPTIONS, type: 'svg' })
+  }
+  return QRCode.toBuffer(qrData, { ...QR_RENDER_OPTIONS, type: 'png', width: QR_IMAGE_WIDTH })
+}
+
+/**
+ * Issue the next QR generation for a meeting and record it in the
+ * token history. Uses a single atomic update so the generation counter
+ * and the ring buffer never drift apart.
+ *
+ * @param {Object} meeting  – needs `_id`, optionally `qrRotationSeconds` / `qrGraceSeconds`
+ * @param {Date}   issuedAt
+ * @returns {Promise<{ qrData: string, qrGeneration: number }|null>}
+ */
+async function rotateMeetingQR(meeting, issuedAt = new Date()) {
+  const { qrData, token } = generateMeetingQR(meeting, issuedAt)
+
+  const updated = await Meeting.findByIdAndUpdate(
+    meeting._id,
+    {
+      $set: { qrData, qrRotatedAt: issuedAt },
+      $inc: { qrGeneration: 1 },
+      $push: {
+        qrHistory: { $each: [{ token, issuedAt }], $slice: -getHistorySize(meeting) },
+      },
+    },
+    { new: true }
+  )
+    .select(QR_STATUS_FIELDS)
+    .lean()
+
+  if (!updated) return null
+
+  publishQRStatus(updated)
+
+  return { qrData, qrGeneration: updated.qrGeneration }
+}
+
+/**
+ * Filter for meetings whose QR should be rotating right now: live by
+ * schedule (from check-in opening until the meeting ends), manually
+ * activated, or opened for preview by an admin.
+ */
+function rotatingMeetingsFilter(now) {
+  return {
+    qrData: { $exists: true, $ne: '' },
+    qrPaused: { $ne: true },
+    $or: [
+      {
+        $expr: {
+          $and: [{ $lte: [CHECK_IN_OPENS_EXPR, now] }, { $gt: [MEETING_END_EXPR, now] }],
+        },
+      },
+      { isActive: true },
+      { qrPreviewUntil: { $gt: now } },
+    ],
+  }
+}
+
+/**
+ * Keep a meeting's QR rotating for QR_PREVIEW_MINUTES even outside its
+ * live window, issuing a first QR if it has none yet.
+ *
+ * @param {Object} meeting – needs `_id` and `qrData`, optionally `qrRotationSeconds` / `qrGraceSeconds`
+ * @returns {Promise<Date>} when the preview ends
+ */
+async function startQRPreview(meeting, now = new Date()) {
+  const previewUntil = new Date(now.getTime() + QR_PREVIEW_MINUTES * 60000)
+  await Meeting.updateOne({ _id: meeting._id }, { qrPreviewUntil: previewUntil })
+
+  if (!meeting.qrData) await rotateMeetingQR(meeting, now)
+
+  return previewUntil
+}
+
+/**
+ * Clear a meeting's QR (payload, history, pause and preview state) and
+ * tell any open displays that it is gone.
+ */
+async function clearMeetingQR(meetingId) {
+  const updated = await Meeting.findByIdAndUpdate(
+    meetingId,
+    { qrData: '', qrHistory: [], qrPaused: false, qrPreviewUntil: null },
+    { new: true }
+  )
+    .select(QR_STATUS_FIELDS)
+    .lean()
+
+  if (updated) publishQRStatus(updated)
+}
+
+/**
+ * Regenerate QR codes for every rotating meeting whose rotation is due
+ * (see rotatingMeetingsFilter). Only the signed payload is written —
+ * no image is stored.
  * Uses findOneAndUpdate to avoid Mongoose VersionError conflicts.
  */
 async function refreshQRCodes() {
   try {
+    const now = new Date()
+
+    // Due when qrRotatedAt + qrRotationSeconds <= now (never-rotated meetings are always due)
     const meetings = await Meeting.find({
-      qrCode: { $exists: true, $ne: '' },
-      qrPaused: { $ne: true },
-    }).select('_id').lean()
+      ...rotatingMeetingsFilter(now),
+      $expr: {
+        $lte: [
+          {
+            $add: [
+              '$qrRotatedAt',
+              { $multiply: [{ $ifNull: ['$qrRotationSeconds', QR_REFRESH_INTERVAL] }, 1000] },
+            ],
+          },
+          now,
+        ],
+      },
+    }).select('_id qrRotationSeconds qrGraceSeconds').lean()
 
-    // Always update the timestamp so the countdown stays in sync
-    lastRefreshedAt = new Date()
+    lastRun.ranAt = now
+    lastRun.error = null
 
     if (meetings.length === 0) return
 
     const updates = meetings.map(async (meeting) => {
       try {
-        const token = crypto.randomBytes(16).toString('hex')
-        const qrPayload = JSON.stringify({
-          meetingId: meeting._id,
-          token,
-          generatedAt: lastRefreshedAt.toISOString(),
-        })
-
-        const qrCodeDataUrl = await QRCode.toDataURL(qrPayload, {
-          width: 400,
-          margin: 2,
-          color: { dark: '#202124', light: '#FFFFFF' },
-          errorCorrectionLevel: 'H',
-        })
-
-        // Use atomic update to avoid version conflicts with API handlers
-        await Meeting.findByIdAndUpdate(meeting._id, {
-          qrCode: qrCodeDataUrl,
-          qrData: qrPayload,
-        })
+        // Atomic update inside rotateMeetingQR avoids version conflicts with API handlers
+        await rotateMeetingQR(meeting, now)
       } catch (err) {
         console.error(`❌ QR refresh failed for meeting ${meeting._id}:`, err.message)
       }
     })
 
     await Promise.all(updates)
+    lastRun.rotatedAt = now
+    lastRun.rotatedCount = meetings.length
     console.log(`🔄 QR refreshed for ${meetings.length} meeting(s)`)
   } catch (err) {
+    lastRun.error = err.message
     console.error('❌ QR refresh service error:', err.message)
   }
 }
 
+/**
+ * Push QR changes made by other instances (rotations by the leader,
+ * pause toggles handled elsewhere) to this instance's /qr-stream
+ * subscribers. Only meetings with an open stream here are checked.
+ */
+async function relayQRChanges() {
+  const meetingIds = subscribedIds('qr')
+
+  // Forget meetings nobody here is watching any more
+  for (const id of publishedStates.keys()) {
+    if (!meetingIds.includes(id)) publishedStates.delete(id)
+  }
+
+  if (meetingIds.length === 0) return
+
+  try {
+    const meetings = await Meeting.find({ _id: { $in: meetingIds } })
+      .select(QR_STATUS_FIELDS)
+      .lean()
+
+    for (const meeting of meetings) {
+      const key = qrStateKey(buildQRStatus(meeting))
+      if (publishedStates.get(meeting._id.toString()) !== key) publishQRStatus(meeting)
+    }
+  } catch (err) {
+    console.error('❌ QR relay error:', err.message)
+  }
+}
+
+/**
+ * Take or renew the 'qr-refresh' lease. The lease counts as held until
+ * its TTL runs out from the moment it was requested.
+ */
+async function renewLease() {
+  const requestedAt = Date.now()
+  try {
+    const held = await holdLease(QR_LEASE_NAME, QR_LEASE_TTL)
+    leaseHeldUntil = held ? requestedAt + QR_LEASE_TTL * 1000 : 0
+  } catch (err) {
+    lastRun.error = err.message
+    console.error('❌ QR refresh lease error:', err.message)
+  }
+}
+
+/**
+ * One scheduler tick: rotate due codes if this instance holds the
+ * lease, then relay changes to local streams.
+ */
+async function tick() {
+  if (ticking) return
+  ticking = true
+
+  try {
+    if (Date.now() < leaseHeldUntil) await refreshQRCodes()
+    await relayQRChanges()
+  } finally {
+    ticking = false
+  }
+}
+
+/**
+ * Snapshot of the refresh loop for the admin status endpoint: whether it
+ * is running, which instance leads it, this instance's last run, and
+ * every meeting currently being rotated.
+ */
+async function getQRRefreshStatus() {
+  const now = new Date()
+
+  const meetings = await Meeting.find(rotatingMeetingsFilter(now))
+    .select(`title dateTime duration checkInOpensBefore qrPreviewUntil ${QR_STATUS_FIELDS}`)
+    .sort({ dateTime: 1 })
+    .lean()
+
+  return {
+    running: !!intervalId,
+    tickSeconds: QR_SCHEDULER_TICK,
+    leader: await getLeaseInfo(QR_LEASE_NAME),
+    lastRun: { ...lastRun },
+    rotating: meetings.map((meeting) => {
+      const { checkInOpensAt, end } = getMeetingWindow(meeting)
+      const { nextRotationAt } = buildQRStatus(meeting)
+
+      let reason = 'preview'
+      if (now >= checkInOpensAt && now < end) reason = 'live'
+      else if (meeting.isActive) reason = 'active'
+
+      return {
+        _id: meeting._id,
+        title: meeting.title,
+        reason,
+        previewUntil: meeting.qrPreviewUntil,
+        qrGeneration: meeting.qrGeneration || 0,
+        rotationSeconds: getRotationSeconds(meeting),
+        lastRotatedAt: meeting.qrRotatedAt,
+        nextRotationAt,
+      }
+    }),
+  }
+}
+
+/**
+ * Drop the base64 `qrCode` images that older versions stored on every
+ * meeting. Runs once on start-up; a no-op once the collection is clean.
+ */
+async function purgeStoredQRImages() {
+  try {
+    const result = await Meeting.updateMany(
+      { qrCode: { $exists: true } },
+      { $unset: { qrCode: 1 } },
+      { strict: false }
+    )
+    if (result.modifiedCount > 0) {
+      console.log(`🧹 Removed stored QR images from ${result.modifiedCount} meeting(s)`)
+    }
+  } catch (err) {
+    console.error('❌ QR image cleanup error:', err.message)
+  }
+}
+
 /**
  * Start the background QR refresh loop.
  */
 function startQRRefreshService() {
   if (intervalId) return
 
-  console.log(`🔄 QR auto-refresh service started (every ${QR_REFRESH_INTERVAL}s)`)
+  purgeStoredQRImages()
+
+  console.log(
+    `🔄 QR auto-refresh service started (per-meeting cadence, default ${QR_REFRESH_INTERVAL}s)`
+  )
 
-  // Run once immediately so meetings with QR codes get a fresh QR on boot
-  refreshQRCodes()
+  // Run once immediately so meetings that are due get a fresh QR on boot
+  renewLease().then(tick)
 
-  intervalId = setInterval(refreshQRCodes, QR_REFRESH_INTERVAL * 1000)
+  leaseIntervalId = setInterval(renewLease, QR_LEASE_RENEW_INTERVAL * 1000)
+  intervalId = setInterval(tick, QR_SCHEDULER_TICK * 1000)
 }
 
 /**
@@ -99,7 +482,11 @@ function startQRRefreshService() {
 function stopQRRefreshService() {
   if (intervalId) {
     clearInterval(intervalId)
+    clearInterval(leaseIntervalId)
     intervalId = null
+    leaseIntervalId = null
+    leaseHeldUntil = 0
+    releaseLease(QR_LEASE_NAME)
     console.log('⏹️  QR auto-refresh service stopped')
   }
 }
@@ -108,5 +495,19 @@ module.exports = {
   startQRRefreshService,
   stopQRRefreshService,
   getSecondsUntilNextRefresh,
+  getRotationSeconds,
+  getGraceSeconds,
+  buildQRStatus,
+  publishQRStatus,
+  generateMeetingQR,
+  renderQRImage,
+  rotateMeetingQR,
+  startQRPreview,
+  clearMeetingQR,
+  getQRRefreshStatus,
   QR_REFRESH_INTERVAL,
+  QR_GRACE_SECONDS,
+  QR_HISTORY_SIZE,
+  QR_PREVIEW_MINUTES,
+  QR_STATUS_FIELDS,
 }
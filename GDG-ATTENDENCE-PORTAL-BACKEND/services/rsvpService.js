@@ -0,0 +1,360 @@
+/**
+ * RSVP Service
+ *
+ * Seats, the waitlist and RSVP statistics for meetings (models/Rsvp.js).
+ *
+ *   - Seats are counted on the meeting (Meeting.seatsTaken) and claimed
+ *     with a single conditional update, so two members replying at the
+ *     same moment can never both take the last seat
+ *   - `promoteWaitlist` hands free seats to waitlisted members, oldest
+ *     first; it runs whenever a seat is released (a member cancels or is
+ *     deleted) or the capacity grows
+ *   - `getRsvpStats` compares RSVPs with attendance for reports:
+ *     how many 'going' members turned up, how many did not (no-shows,
+ *     once the meeting is over) and how many came without a seat (walk-ins)
+ *
+ * RSVPs close when the meeting starts.
+ */
+
+const Meeting = require('../models/Meeting')
+const Rsvp = require('../models/Rsvp')
+const Attendance = require('../models/Attendance')
+const { getMeetingWindow } = require('../utils/meetingWindow')
+const { recordAudit } = require('./auditLog')
+
+/**
+ * Take one seat of a meeting, if it has one free.
+ *
+ * @returns {Promise<boolean>} whether a seat was claimed
+ */
+async function claimSeat(meetingId) {
+  const claimed = await Meeting.findOneAndUpdate(
+    {
+      _id: meetingId,
+      $or: [{ capacity: null }, { $expr: { $lt: [{ $ifNull: ['$seatsTaken', 0] }, '$capacity'] } }],
+    },
+    { $inc: { seatsTaken: 1 } },
+    { projection: { _id: 1 } }
+  ).lean()
+  return !!claimed
+}
+
+/**
+ * Give back a seat claimed with `claimSeat`.
+ */
+async function releaseSeat(meetingId) {
+  await Meeting.updateOne({ _id: meetingId, seatsTaken: { $gt: 0 } }, { $inc: { seatsTaken: -1 } })
+}
+
+/**
+ * Move waitlisted members into free seats, oldest first.
+ *
+ * @returns {Promise<Object[]>} the promoted RSVPs, with `user` populated
+ */
+async function promoteWaitlist(meetingId) {
+  const promoted = []
+
+  while (await claimSeat(meetingId)) {
+    const next = await Rsvp.findOneAndUpdate(
+      { meeting: meetingId, status: 'waitlisted' },
+      { status: 'going', promotedAt: new Date() },
+      { sort: { queuedAt: 1 }, new: true }
+    )
+      .populate('user', 'name email')
+      .lean()
+
+    if (!next) {
+      await releaseSeat(meetingId)
+      break
+    }
+    promoted.push(next)
+  }
+
+  return promoted
+}
+
+/**
+ * Run `promoteWaitlist` for each of the meetings that has a waitlist
+ * (e.g. after their capacity was raised).
+ *
+ * @param {Object[]} meetings – need `_id`
+ * @returns {Promise<Array<{ meeting: Object, promoted: Object[] }>>} one entry per meeting with promotions
+ */
+async function promoteWaitlists(meetings) {
+  const waiting = await Rsvp.distinct('meeting', {
+    meeting: { $in: meetings.map((m) => m._id) },
+    status: 'waitlisted',
+  })
+  const queued = new Set(waiting.map((id) => id.toString()))
+
+  const results = []
+  for (const meeting of meetings.filter((m) => queued.has(m._id.toString()))) {
+    const promoted = await promoteWaitlist(meeting._id)
+    if (promoted.length > 0) results.push({ meeting, promoted })
+  }
+  return results
+}
+
+/**
+ * Audit the promotions made by `promoteWaitlist`. The actor is whoever
+ * freed the seats (a member cancelling, an admin raising the capacity).
+ */
+async function auditPromotions(req, meeting, promoted) {
+  for (const rsvp of promoted) {
+    await recordAudit(req, {
+      action: 'rsvp.promoted',
+      targetType: 'rsvp',
+      target: rsvp._id,
+      targetLabel: rsvp.user?.email || '',
+      before: { status: 'waitlisted' },
+      after: { status: 'going' },
+      meta: { meeting: meeting._id, meetingTitle: meeting.title },
+    })
+  }
+}
+
+/**
+ * Cancel a member's active RSVPs to meetings that have not started yet
+ * (e.g. when their account is deleted); freed seats go to the waitlist.
+ *
+ * @returns {Promise<Array<{ meeting: Object, promoted: Object[] }>>} one entry per meeting with promotions
+ */
+async function releaseMemberRsvps(userId, now = new Date()) {
+  const active = await Rsvp.find({ user: userId, status: { $in: ['going', 'waitlisted'] } })
+    .populate('meeting', 'title dateTime duration checkInOpensBefore checkInClosesAfter')
+    .lean()
+
+  const results = []
+  for (const rsvp of active) {
+    if (!rsvp.meeting || !isRsvpOpen(rsvp.meeting, now)) continue
+
+    const { modifiedCount } = await Rsvp.updateOne(
+      { _id: rsvp._id, status: rsvp.status },
+      { status: 'cancelled', cancelledAt: now }
+    )
+    if (!modifiedCount || rsvp.status !== 'going') continue
+
+    await releaseSeat(rsvp.meeting._id)
+    const promoted = await promoteWaitlist(rsvp.meeting._id)
+    if (promoted.length > 0) results.push({ meeting: rsvp.meeting, promoted })
+  }
+  return results
+}
+
+/**
+ * Whether RSVPs for the meeting are still open (until it starts).
+ */
+function isRsvpOpen(meeting, now = new Date()) {
+  return now < getMeetingWindow(meeting).start
+}
+
+/**
+ * The summary returned by `buildRsvpSummary`, from counts already fetched.
+ */
+function summarizeRsvp(meeting, rsvp, { waitlisted, ahead }) {
+  const active = rsvp && rsvp.status !== 'cancelled' ? rsvp : null
+  const going = meeting.seatsTaken || 0
+  const capacity = meeting.capacity ?? null
+
+  return {
+    status: active?.status || null,
+    position: active?.status === 'waitlisted' ? ahead + 1 : null,
+    going,
+    waitlisted,
+    capacity,
+    spotsLeft: capacity == null ? null : Math.max(0, capacity - going),
+    rsvpRequired: !!meeting.rsvpRequired,
+    open: isRsvpOpen(meeting),
+  }
+}
+
+/**
+ * RSVP counts of a meeting plus the member's own reply — what the RSVP
+ * button shows.
+ *
+ * @param {Object} meeting – needs `_id`, `dateTime`, `capacity`, `seatsTaken`, `rsvpRequired`
+ * @param {Object|null} rsvp – the member's RSVP, if any
+ */
+async function buildRsvpSummary(meeting, rsvp) {
+  const [waitlisted, ahead] = await Promise.all([
+    Rsvp.countDocuments({ meeting: meeting._id, status: 'waitlisted' }),
+    rsvp?.status === 'waitlisted'
+      ? Rsvp.countDocuments({ meeting: meeting._id, status: 'waitlisted', queuedAt: { $lt: rsvp.queuedAt } })
+      : 0,
+  ])
+
+  return summarizeRsvp(meeting, rsvp, { waitlisted, ahead })
+}
+
+/**
+ * `buildRsvpSummary` for several meetings, counting every waitlist and
+ * the member's queue positions in one aggregation.
+ *
+ * @param {Object[]} meetings – as for buildRsvpSummary
+ * @param {Map<string, Object>} rsvps – the member's RSVPs by meeting id
+ * @returns {Promise<Map<string, Object>>} summaries by meeting id
+ */
+async function buildRsvpSummaries(meetings, rsvps) {
+  // The member's own place in each queue they are waiting in
+  const queued = [...rsvps.values()].filter((r) => r.status === 'waitlisted')
+  const queuedAt = queued.length > 0
+    ? {
+        $switch: {
+          branches: queued.map((r) => ({ case: { $eq: ['$meeting', r.meeting] }, then: r.queuedAt })),
+          default: null,
+        },
+      }
+    : null
+
+  const counts = await Rsvp.aggregate([
+    { $match: { meeting: { $in: meetings.map((m) => m._id) }, status: 'waitlisted' } },
+    {
+      $group: {
+        _id: '$meeting',
+        waitlisted: { $sum: 1 },
+        ahead: { $sum: { $cond: [{ $lt: ['$queuedAt', queuedAt] }, 1, 0] } },
+      },
+    },
+  ])
+  const countMap = new Map(counts.map((c) => [c._id.toString(), c]))
+
+  return new Map(meetings.map((meeting) => {
+    const id = meeting._id.toString()
+    const { waitlisted = 0, ahead = 0 } = countMap.get(id) || {}
+    return [id, summarizeRsvp(meeting, rsvps.get(id) || null, { waitlisted, ahead })]
+  }))
+}
+
+/**
+ * Check-in gate for meetings with `rsvpRequired`: only members holding
+ * a seat may check in. Same shape as utils/checkInRules.js checks.
+ *
+ * @returns {Promise<{ ok: true } | { ok: false, error: string, message: string }>}
+ */
+async function checkRsvpRequirement(meeting, userId) {
+  if (!meeting.rsvpRequired) return { ok: true }
+
+  const rsvp = await Rsvp.findOne({ meeting: meeting._id, user: userId }).select('status').lean()
+  if (rsvp?.status === 'going') return { ok: true }
+
+  return {
+    ok: false,
+    error: 'RsvpRequired',
+    message:
+      rsvp?.status === 'waitlisted'
+        ? 'This meeting is full and you are still on the waitlist. Only members with a confirmed RSVP can check in.'
+        : 'This meeting requires an RSVP. Only members who RSVPed before it started can check in.',
+  }
+}
+
+/**
+ * RSVP vs attendance for a set of meetings.
+ *
+ * @param {Object[]} meetings – need `_id`, `dateTime`, `duration`
+ * @returns {Promise<Object>} meeting id → { going, waitlisted, attended,
+ *   noShows, walkIns, conversionRate, noShowRate }; meetings without any
+ *   RSVP are left out. No-shows are null until the meeting has ended.
+ */
+async function getRsvpStats(meetings, now = new Date()) {
+  const ids = meetings.map((m) => m._id)
+
+  const [rsvpGroups, attendanceGroups] = await Promise.all([
+    Rsvp.aggregate([
+      { $match: { meeting: { $in: ids }, status: { $in: ['going', 'waitlisted'] } } },
+      {
+        $lookup: {
+          from: Attendance.collection.name,
+          let: { meeting: '$meeting', user: '$user' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$meeting', '$$meeting'] }, { $eq: ['$user', '$$user'] }] } } },
+            { $project: { _id: 1 } },
+          ],
+          as: 'attendance',
+        },
+      },
+      {
+        $group: {
+          _id: { meeting: '$meeting', status: '$status' },
+          count: { $sum: 1 },
+          attended: { $sum: { $cond: [{ $gt: [{ $size: '$attendance' }, 0] }, 1, 0] } },
+        },
+      },
+    ]),
+    Attendance.aggregate([
+      { $match: { meeting: { $in: ids } } },
+      { $group: { _id: '$meeting', count: { $sum: 1 } } },
+    ]),
+  ])
+
+  const attendanceCounts = Object.fromEntries(attendanceGroups.map((a) => [a._id.toString(), a.count]))
+  const counts = {}
+  rsvpGroups.forEach((g) => {
+    const key = g._id.meeting.toString()
+    if (!counts[key]) counts[key] = { going: 0, waitlisted: 0, attended: 0 }
+    counts[key][g._id.status] = g.count
+    if (g._id.status === 'going') counts[key].attended = g.attended
+  })
+
+  const stats = {}
+  meetings.forEach((m) => {
+    const key = m._id.toString()
+    const c = counts[key]
+    if (!c) return
+
+    const ended = now >= getMeetingWindow(m).end
+    const noShows = ended ? c.going - c.attended : null
+    stats[key] = withRates({
+      ...c,
+      noShows,
+      walkIns: (attendanceCounts[key] || 0) - c.attended,
+    })
+  })
+
+  return stats
+}
+
+/**
+ * Add conversion (going → attended) and no-show rates, in percent.
+ */
+function withRates(stats) {
+  const { going, attended, noShows } = stats
+  return {
+    ...stats,
+    conversionRate: going > 0 ? Math.round((attended / going) * 100) : null,
+    noShowRate: noShows != null && going > 0 ? Math.round((noShows / going) * 100) : null,
+  }
+}
+
+/**
+ * Add up `getRsvpStats` results of meetings that have ended.
+ *
+ * @param {Object[]} stats – values of a `getRsvpStats` result
+ */
+function totalRsvpStats(stats) {
+  const totals = { meetings: 0, going: 0, attended: 0, noShows: 0, walkIns: 0 }
+  stats
+    .filter((s) => s.noShows != null)
+    .forEach((s) => {
+      totals.meetings++
+      totals.going += s.going
+      totals.attended += s.attended
+      totals.noShows += s.noShows
+      totals.walkIns += s.walkIns
+    })
+  return withRates(totals)
+}
+
+module.exports = {
+  claimSeat,
+  releaseSeat,
+  promoteWaitlist,
+  promoteWaitlists,
+  auditPromotions,
+  releaseMemberRsvps,
+  isRsvpOpen,
+  buildRsvpSummary,
+  buildRsvpSummaries,
+  checkRsvpRequirement,
+  getRsvpStats,
+  totalRsvpStats,
+}
@@ -0,0 +1,58 @@
+/**
+ * Attendance Mode
+ *
+ * Whether a member attended in person or remotely. Online meetings are
+ * always remote; otherwise it follows from how the member checked in:
+ *
+ *   qr   – in person (the code is only shown in the room)
+ *   link – remote, unless the link rule checked the geofence — this also
+ *          applies to offline meetings that accept the link
+ *
+ * Manual and imported records are in person for offline meetings and
+ * unknown for hybrid ones unless a mode is given.
+ *
+ * The mode is stored on each record when it is created. Records from
+ * before that are classified here from the meeting type and method.
+ */
+
+const { ATTENDANCE_MODES } = require('../models/Attendance')
+
+/**
+ * Mode for a new record.
+ *
+ * @param {Object} meeting – needs `type`
+ * @param {string} method  – 'qr' | 'link' | 'manual' | 'import'
+ * @param {string} [rule]  – the effective check-in rule, for link check-ins
+ * @returns {'in_person'|'remote'|null}
+ */
+function checkInMode(meeting, method, rule) {
+  if (meeting.type === 'online') return 'remote'
+  if (method === 'qr') return 'in_person'
+  if (method === 'link') return rule === 'geofence' ? 'in_person' : 'remote'
+  return meeting.type === 'hybrid' ? null : 'in_person'
+}
+
+/**
+ * Mode of an existing record — its stored mode, else derived.
+ */
+function getAttendanceMode(meeting, record) {
+  return record.mode || checkInMode(meeting, record.method)
+}
+
+/**
+ * `{ in_person, remote, unknown }` counts for a meeting's records.
+ */
+function countAttendanceModes(meeting, records) {
+  const counts = { in_person: 0, remote: 0, unknown: 0 }
+  for (const record of records) {
+    counts[getAttendanceMode(meeting, record) || 'unknown'] += record.count ?? 1
+  }
+  return counts
+}
+
+module.exports = {
+  checkInMode,
+  getAttendanceMode,
+  countAttendanceModes,
+  ATTENDANCE_MODES,
+}
@@ -0,0 +1,94 @@
+/**
+ * Attendance Stay Utilities
+ *
+ * For meetings with check-out enabled, how long a member stayed is the
+ * time between check-in (`markedAt`) and check-out (`checkedOutAt`).
+ *
+ * When the meeting sets `minimumStayMinutes`, an attendance only counts
+ * if the member checked out after staying at least that long — a record
+ * without a check-out does not count. Report aggregations apply the same
+ * rule through `countedStayExpr` / COUNTED_ATTENDANCE_STAGES.
+ */
+
+/**
+ * Minutes between check-in and check-out, or null if not checked out.
+ */
+function getStayMinutes(record) {
+  if (!record.checkedOutAt || !record.markedAt) return null
+  const ms = new Date(record.checkedOutAt) - new Date(record.markedAt)
+  return Math.max(0, Math.round(ms / 60000))
+}
+
+/**
+ * Whether an attendance record counts under the meeting's minimum-stay rule.
+ *
+ * @returns {boolean|null} null when the meeting has no minimum-stay rule
+ */
+function meetsMinimumStay(meeting, record) {
+  if (!meeting?.checkOutEnabled || !meeting.minimumStayMinutes) return null
+  const stay = getStayMinutes(record)
+  return stay != null && stay >= meeting.minimumStayMinutes
+}
+
+/**
+ * Attach `stayMinutes` and `countsTowardAttendance` to a record for clients.
+ */
+function withStay(meeting, record) {
+  const counts = meetsMinimumStay(meeting, record)
+  return {
+    ...record,
+    stayMinutes: getStayMinutes(record),
+    countsTowardAttendance: counts ?? true,
+  }
+}
+
+/**
+ * Aggregation version of `meetsMinimumStay` (true when the meeting has no
+ * rule). The stay is rounded to whole minutes, as in `getStayMinutes`.
+ *
+ * @param {string} record  – path prefix of the attendance fields, e.g. '$' or '$attendance.'
+ * @param {string} meeting – path prefix of the meeting fields
+ */
+function countedStayExpr(record, meeting) {
+  return {
+    $or: [
+      { $not: [{ $and: [`${meeting}checkOutEnabled`, `${meeting}minimumStayMinutes`] }] },
+      {
+        $and: [
+          { $gt: [`${record}checkedOutAt`, null] },
+          { $gt: [`${record}markedAt`, null] },
+          {
+            $gte: [
+              { $subtract: [`${record}checkedOutAt`, `${record}markedAt`] },
+              { $multiply: [{ $subtract: [`${meeting}minimumStayMinutes`, 0.5] }, 60000] },
+            ],
+          },
+        ],
+      },
+    ],
+  }
+}
+
+// Attendance pipeline stages that drop records failing their meeting's minimum stay
+const COUNTED_ATTENDANCE_STAGES = [
+  {
+    $lookup: {
+      from: 'meetings',
+      localField: 'meeting',
+      foreignField: '_id',
+      as: 'stayRule',
+      pipeline: [{ $project: { checkOutEnabled: 1, minimumStayMinutes: 1 } }],
+    },
+  },
+  { $set: { stayRule: { $arrayElemAt: ['$stayRule', 0] } } },
+  { $match: { $expr: countedStayExpr('$', '$stayRule.') } },
+  { $unset: 'stayRule' },
+]
+
+module.exports = {
+  getStayMinutes,
+  meetsMinimumStay,
+  withStay,
+  countedStayExpr,
+  COUNTED_ATTENDANCE_STAGES,
+}
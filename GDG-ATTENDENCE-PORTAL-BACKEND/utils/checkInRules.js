@@ -0,0 +1,148 @@
+/**
+ * Check-in Rules
+ *
+ * Which self check-in methods a meeting accepts, and what location each
+ * one needs. Every method has one rule:
+ *
+ *   off      – the method is not accepted
+ *   anywhere – no location needed (recorded when the device shares it)
+ *   location – the device must share its location; it is recorded, not checked
+ *   geofence – the device must be inside the meeting's geofence
+ *              (see getMeetingGeofence); with no geofence set, behaves
+ *              like 'anywhere'
+ *
+ * QR check-in needs someone displaying the code in the room, so it is
+ * only available for meetings held in person (offline or hybrid).
+ * Meetings without explicit rules keep the behaviour of their type
+ * (DEFAULT_RULES).
+ */
+
+const { CHECK_IN_RULES } = require('../models/Meeting')
+const { checkGeofence, getMeetingGeofence } = require('./geofence')
+
+const CHECK_IN_METHODS = ['qr', 'link']
+
+const DEFAULT_RULES = {
+  offline: { qr: 'geofence', link: 'off' },
+  online: { qr: 'off', link: 'anywhere' },
+  hybrid: { qr: 'geofence', link: 'anywhere' },
+}
+
+const METHOD_LABELS = { qr: 'QR', link: 'Link' }
+const METHOD_HINTS = { qr: 'Scan the QR code at the venue instead.', link: 'Use the attendance link instead.' }
+
+/**
+ * The configured rule for each method, falling back to the type default.
+ *
+ * @returns {{ qr: string, link: string }}
+ */
+function getCheckInRules(meeting) {
+  const defaults = DEFAULT_RULES[meeting.type] || DEFAULT_RULES.offline
+  const rules = {}
+  for (const method of CHECK_IN_METHODS) {
+    rules[method] = meeting.checkInRules?.[method] || defaults[method]
+  }
+  if (meeting.type === 'online') rules.qr = 'off'
+  return rules
+}
+
+/**
+ * The rule actually enforced for one method — 'geofence' without an
+ * enabled fence falls back to 'anywhere'. `venue` must be populated.
+ */
+function getEffectiveRule(meeting, method) {
+  const rule = getCheckInRules(meeting)[method]
+  if (rule === 'geofence' && !getMeetingGeofence(meeting)?.enabled) return 'anywhere'
+  return rule
+}
+
+/**
+ * Check a self check-in against the meeting's rule for its method.
+ *
+ * @param {Object} meeting – with `venue` populated
+ * @param {'qr'|'link'} method
+ * @param {{ lat, lng, accuracy }} location – all optional
+ * @returns {{ ok: true } | { ok: false, error: string, message: string }}
+ */
+function checkCheckInRule(meeting, method, { lat, lng, accuracy } = {}) {
+  const rule = getEffectiveRule(meeting, method)
+  const hasLocation = lat != null && lng != null
+
+  if (rule === 'off') {
+    const other = CHECK_IN_METHODS.find((m) => m !== method && getCheckInRules(meeting)[m] !== 'off')
+    return {
+      ok: false,
+      error: 'MethodNotAllowed',
+      message: `${METHOD_LABELS[method]} check-in is not enabled for this meeting.${other ? ` ${METHOD_HINTS[other]}` : ''}`,
+    }
+  }
+
+  if ((rule === 'location' || rule === 'geofence') && !hasLocation) {
+    return {
+      ok: false,
+      error: 'LocationRequired',
+      message:
+        rule === 'geofence'
+          ? 'This meeting only accepts check-ins from the venue. Please allow location access in your browser and try again.'
+          : 'This meeting requires your location to check in. Please allow location access in your browser and try again.',
+    }
+  }
+
+  if (rule === 'geofence') {
+    return checkGeofence(getMeetingGeofence(meeting), { lat, lng, accuracy })
+  }
+
+  return { ok: true }
+}
+
+/**
+ * Describe the effective rules for clients — lets the attendance pages
+ * ask for location up front and explain what is required.
+ *
+ * @returns {{ method: string, rule: string }[]} enabled methods only
+ */
+function describeCheckInRules(meeting) {
+  return CHECK_IN_METHODS.map((method) => ({ method, rule: getEffectiveRule(meeting, method) })).filter(
+    ({ rule }) => rule !== 'off'
+  )
+}
+
+/**
+ * Validate check-in rules from a request body for a meeting of `type`.
+ * Missing methods keep the type default.
+ *
+ * @returns {{ value: Object } | { error: string }} value is ready to store
+ */
+function parseCheckInRules(input, type) {
+  const value = { ...DEFAULT_RULES[type] }
+
+  for (const method of CHECK_IN_METHODS) {
+    const rule = input?.[method]
+    if (rule == null) continue
+    if (!CHECK_IN_RULES.includes(rule)) {
+      return { error: `${METHOD_LABELS[method]} check-in rule must be one of: ${CHECK_IN_RULES.join(', ')}.` }
+    }
+    value[method] = rule
+  }
+
+  if (type === 'online') {
+    if (value.qr !== 'off') return { error: 'QR check-in is only available for in-person (offline or hybrid) meetings.' }
+    if (value.link === 'geofence') return { error: 'Online meetings have no geofence to check link check-ins against.' }
+  }
+
+  if (CHECK_IN_METHODS.every((method) => value[method] === 'off')) {
+    return { error: 'At least one check-in method must be enabled.' }
+  }
+
+  return { value }
+}
+
+module.exports = {
+  getCheckInRules,
+  getEffectiveRule,
+  checkCheckInRule,
+  describeCheckInRules,
+  parseCheckInRules,
+  CHECK_IN_METHODS,
+  DEFAULT_RULES,
+}
@@ -0,0 +1,33 @@
+/**
+ * Client Info Utilities
+ *
+ * Where a request came from — recorded on check-ins and in the audit log.
+ * `req.ip` honours the `trust proxy` setting (TRUST_PROXY in server.js).
+ */
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{8,100}$/
+
+/**
+ * Client IP address and User-Agent of a request.
+ *
+ * @returns {{ ip: string, userAgent: string }}
+ */
+function getClientInfo(req) {
+  return {
+    ip: req.ip || req.socket?.remoteAddress || '',
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+  }
+}
+
+/**
+ * The device ID sent by the app, or '' if missing or malformed.
+ */
+function getDeviceId(req) {
+  const deviceId = req.body?.deviceId
+  return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId) ? deviceId : ''
+}
+
+module.exports = {
+  getClientInfo,
+  getDeviceId,
+}
@@ -0,0 +1,68 @@
+/**
+ * CSV Utilities
+ *
+ * Minimal RFC 4180 parser for attendance imports: quoted fields,
+ * escaped quotes (""), commas and line breaks inside quotes, and
+ * both \n and \r\n line endings. Blank lines are skipped.
+ */
+
+/**
+ * Parse CSV text into rows of string fields.
+ *
+ * @param {string} text
+ * @returns {{ fields: string[], line: number }[]} rows with their 1-based starting line
+ */
+function parseCSV(text) {
+  const rows = []
+  let fields = []
+  let field = ''
+  let inQuotes = false
+  let line = 1
+  let rowLine = 1
+
+  // Strip a UTF-8 byte-order mark (spreadsheet exports often add one)
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  const endRow = () => {
+    fields.push(field)
+    if (fields.length > 1 || fields[0].trim() !== '') rows.push({ fields, line: rowLine })
+    fields = []
+    field = ''
+  }
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        if (char === '\n') line++
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      fields.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      endRow()
+      line++
+      rowLine = line
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || fields.length > 0) endRow()
+
+  return rows
+}
+
+module.exports = {
+  parseCSV,
+}
@@ -0,0 +1,205 @@
+/**
+ * Geofence Utilities
+ *
+ * Validates geofence settings and decides whether a reported device
+ * location satisfies a meeting's geofence. A fence is either a circle
+ * (`center` + `radius`) or a polygon (`polygon`, an ordered list of
+ * { lat, lng } corners).
+ *
+ * GPS readings come with an accuracy radius (metres, ~68% confidence).
+ * The fence's accuracy policy decides how it is used:
+ *
+ *   maxAccuracy   – readings less accurate than this are rejected outright
+ *                   (null = no limit)
+ *   accuracyMode  – 'point'     : the reported point must be inside the fence
+ *                   'intersect' : accepted if the accuracy circle around the
+ *                                 point overlaps the fence
+ *
+ * Distances to polygon edges use a local flat-earth projection around the
+ * reported point, which is accurate to well under a metre at campus scale.
+ */
+
+const EARTH_RADIUS = 6371000 // metres
+
+const toRad = (deg) => (deg * Math.PI) / 180
+
+/**
+ * Great-circle distance in metres between two { lat, lng } points.
+ */
+function haversineDistance(a, b) {
+  const dLat = toRad(b.lat - a.lat)
+  const dLng = toRad(b.lng - a.lng)
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2
+  return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h))
+}
+
+/**
+ * Distance in metres from a point to a polygon (0 when inside).
+ *
+ * @param {{ lat: number, lng: number }} point
+ * @param {{ lat: number, lng: number }[]} polygon – at least 3 corners
+ */
+function distanceToPolygon(point, polygon) {
+  // Project corners to metres relative to the point (point = origin)
+  const cosLat = Math.cos(toRad(point.lat))
+  const corners = polygon.map((c) => ({
+    x: toRad(c.lng - point.lng) * EARTH_RADIUS * cosLat,
+    y: toRad(c.lat - point.lat) * EARTH_RADIUS,
+  }))
+
+  let inside = false
+  let nearest = Infinity
+
+  for (let i = 0, j = corners.length - 1; i < corners.length; j = i++) {
+    const a = corners[j]
+    const b = corners[i]
+
+    // Ray casting along +x from the origin
+    if ((a.y > 0) !== (b.y > 0) && 0 < a.x + ((0 - a.y) * (b.x - a.x)) / (b.y - a.y)) {
+      inside = !inside
+    }
+
+    // Distance from the origin to segment ab
+    const dx = b.x - a.x
+    const dy = b.y - a.y
+    const lengthSq = dx * dx + dy * dy
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq))
+    nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy))
+  }
+
+  return inside ? 0 : nearest
+}
+
+/**
+ * Distance in metres from a point to the fence edge (0 when inside).
+ */
+function distanceToFence(geofencing, point) {
+  if (geofencing.shape === 'polygon') {
+    return distanceToPolygon(point, geofencing.polygon || [])
+  }
+  return Math.max(0, haversineDistance(point, geofencing.center) - geofencing.radius)
+}
+
+const MAX_POLYGON_POINTS = 50
+
+const isValidPoint = (p) =>
+  typeof p?.lat === 'number' &&
+  typeof p?.lng === 'number' &&
+  Math.abs(p.lat) <= 90 &&
+  Math.abs(p.lng) <= 180 &&
+  !(p.lat === 0 && p.lng === 0)
+
+/**
+ * Validate geofence settings from a request body (meeting or venue).
+ *
+ * @returns {{ value: Object } | { error: string }} value is ready to store
+ */
+function parseGeofence(geofence) {
+  if (!geofence?.enabled) {
+    return { value: { enabled: false, center: { lat: 0, lng: 0 }, radius: 200, shape: 'circle', polygon: [] } }
+  }
+
+  const shape = geofence.shape === 'polygon' ? 'polygon' : 'circle'
+  const accuracy = {
+    maxAccuracy: geofence.maxAccuracy ? Number(geofence.maxAccuracy) : null,
+    accuracyMode: geofence.accuracyMode === 'intersect' ? 'intersect' : 'point',
+  }
+
+  if (shape === 'polygon') {
+    const polygon = Array.isArray(geofence.polygon) ? geofence.polygon : []
+    if (polygon.length < 3 || polygon.length > MAX_POLYGON_POINTS || !polygon.every(isValidPoint)) {
+      return { error: `A polygon geofence needs between 3 and ${MAX_POLYGON_POINTS} valid corners.` }
+    }
+
+    // Centre of the corners — used to centre maps on the fence
+    const center = {
+      lat: polygon.reduce((sum, p) => sum + p.lat, 0) / polygon.length,
+      lng: polygon.reduce((sum, p) => sum + p.lng, 0) / polygon.length,
+    }
+    return {
+      value: {
+        enabled: true,
+        shape,
+        polygon: polygon.map(({ lat, lng }) => ({ lat, lng })),
+        center,
+        radius: 200,
+        ...accuracy,
+      },
+    }
+  }
+
+  if (!isValidPoint(geofence.center)) {
+    return { error: 'Geofencing requires a valid location (lat/lng).' }
+  }
+  return {
+    value: {
+      enabled: true,
+      shape,
+      polygon: [],
+      center: { lat: geofence.center.lat, lng: geofence.center.lng },
+      radius: Math.min(5000, Math.max(10, geofence.radius || 200)),
+      ...accuracy,
+    },
+  }
+}
+
+/**
+ * The fence that applies to a meeting: its venue's when it is held at one
+ * (`venue` must be populated), otherwise its own inline `geofencing`.
+ */
+function getMeetingGeofence(meeting) {
+  return meeting.venue?.geofence ?? meeting.geofencing
+}
+
+/**
+ * Check a reported location against a meeting's geofence.
+ *
+ * @param {Object} geofencing – an enabled fence (see getMeetingGeofence)
+ * @param {{ lat, lng, accuracy }} location – accuracy may be null
+ * @returns {{ ok: true } | { ok: false, error: string, message: string }}
+ */
+function checkGeofence(geofencing, { lat, lng, accuracy }) {
+  const point = { lat: Number(lat), lng: Number(lng) }
+  const reportedAccuracy = accuracy != null && !Number.isNaN(Number(accuracy)) ? Number(accuracy) : null
+
+  if (geofencing.maxAccuracy) {
+    if (reportedAccuracy == null || reportedAccuracy > geofencing.maxAccuracy) {
+      return {
+        ok: false,
+        error: 'LocationInaccurate',
+        message:
+          reportedAccuracy == null
+            ? 'Your device did not report how accurate its location is. Turn on precise location and try again.'
+            : `Your location is only accurate to about ${Math.round(reportedAccuracy)}m, but this meeting needs ${geofencing.maxAccuracy}m or better. Move near a window or turn on precise location / Wi-Fi and try again.`,
+      }
+    }
+  }
+
+  const distance = distanceToFence(geofencing, point)
+  const tolerance = geofencing.accuracyMode === 'intersect' ? reportedAccuracy || 0 : 0
+
+  if (distance > tolerance) {
+    return {
+      ok: false,
+      error: 'OutOfRange',
+      message:
+        geofencing.shape === 'polygon'
+          ? `You are outside the meeting venue — approximately ${Math.round(distance)}m from its boundary.`
+          : `You are outside the allowed geofence. You are approximately ${Math.round(distance + geofencing.radius)}m away, but you need to be within ${geofencing.radius}m of the meeting location to mark attendance.`,
+    }
+  }
+
+  return { ok: true }
+}
+
+module.exports = {
+  haversineDistance,
+  distanceToPolygon,
+  distanceToFence,
+  checkGeofence,
+  parseGeofence,
+  getMeetingGeofence,
+  MAX_POLYGON_POINTS,
+}
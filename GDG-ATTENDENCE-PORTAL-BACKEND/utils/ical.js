@@ -0,0 +1,369 @@
+/**
+ * iCalendar
+ *
+ * Renders meetings as RFC 5545 calendars for .ics downloads and the
+ * per-user subscription feed (controllers/calendarController.js).
+ *
+ * Every meeting keeps the UID `meeting-<id>@<ICAL_UID_DOMAIN>`, so when a
+ * meeting is edited calendar clients update the existing event instead
+ * of adding a second one. SEQUENCE is the number of seconds between the
+ * meeting's creation and the last change to its calendar details
+ * (`detailsUpdatedAt`) — it only ever grows, which is all clients need to
+ * tell the newer copy apart, and it stays put while QR codes rotate or
+ * seats are taken.
+ *
+ * Occurrences of a recurring series are concrete meetings, so each one is
+ * its own VEVENT; per-occurrence edits and deletions then just work.
+ *
+ * The other direction — reading events from an uploaded .ics file for
+ * POST /api/calendar/import — is `parseCalendar` + `eventToMeeting`.
+ * Recurring events (RRULE) are not expanded; the importer skips them.
+ */
+
+const crypto = require('crypto')
+
+const ICAL_UID_DOMAIN = 'gdg-attendance-portal'
+const PRODID = '-//GDG On Campus//Attendance Portal//EN'
+
+/**
+ * Date → UTC date-time value, e.g. "20261019T180000Z".
+ */
+function formatICalDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11).
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Fold a content line to at most 75 octets per line (RFC 5545 §3.1).
+ */
+function foldLine(line) {
+  const chunks = []
+  let chunk = ''
+  let octets = 0
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char)
+    // Continuation lines start with a space, which counts towards the limit
+    if (octets + size > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(chunk)
+      chunk = ''
+      octets = 0
+    }
+    chunk += char
+    octets += size
+  }
+  chunks.push(chunk)
+
+  return chunks.join('\r\n ')
+}
+
+/**
+ * Stable UID of a meeting's event.
+ */
+function meetingUid(meeting) {
+  return `meeting-${meeting._id}@${ICAL_UID_DOMAIN}`
+}
+
+/**
+ * Where the meeting happens: its venue / location for in-person types,
+ * the meeting link for online ones.
+ */
+function meetingLocation(meeting) {
+  if (meeting.type === 'online') return meeting.meetingLink || 'Online'
+
+  const venue = meeting.venue && typeof meeting.venue === 'object' ? meeting.venue : null
+  const place = [meeting.location || venue?.name, venue?.address].filter(Boolean)
+  return [...new Set(place)].join(', ') || null
+}
+
+/**
+ * VEVENT lines for one meeting.
+ */
+function meetingEvent(meeting, { now = new Date() } = {}) {
+  const start = new Date(meeting.dateTime)
+  const end = new Date(start.getTime() + (meeting.duration || 60) * 60 * 1000)
+  const createdAt = new Date(meeting.createdAt || now)
+  const updatedAt = new Date(meeting.detailsUpdatedAt || createdAt)
+
+  const description = [
+    meeting.description,
+    meeting.type !== 'offline' && meeting.meetingLink && `Join online: ${meeting.meetingLink}`,
+  ]
+    .filter(Boolean)
+    .join('\n\n')
+  const location = meetingLocation(meeting)
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${meetingUid(meeting)}`,
+    `DTSTAMP:${formatICalDate(now)}`,
+    `DTSTART:${formatICalDate(start)}`,
+    `DTEND:${formatICalDate(end)}`,
+    `SUMMARY:${escapeText(meeting.title)}`,
+    `SEQUENCE:${Math.max(0, Math.floor((updatedAt - createdAt) / 1000))}`,
+    `CREATED:${formatICalDate(createdAt)}`,
+    `LAST-MODIFIED:${formatICalDate(updatedAt)}`,
+  ]
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`)
+  if (location) lines.push(`LOCATION:${escapeText(location)}`)
+  if (meeting.type !== 'offline' && meeting.meetingLink) lines.push(`URL:${meeting.meetingLink}`)
+  lines.push('STATUS:CONFIRMED', 'END:VEVENT')
+
+  return lines
+}
+
+/**
+ * A complete calendar for a list of meetings.
+ *
+ * @param {Object[]} meetings – lean meetings (venue may be populated)
+ * @param {Object}   options
+ * @param {string}   options.name – calendar name shown by clients (X-WR-CALNAME)
+ * @returns {string} the .ics file contents (CRLF line endings)
+ */
+function buildCalendar(meetings, { name, now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ]
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`)
+  // Ask subscribed clients to refresh hourly
+  lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H', 'X-PUBLISHED-TTL:PT1H')
+
+  meetings.forEach((meeting) => lines.push(...meetingEvent(meeting, { now })))
+  lines.push('END:VCALENDAR')
+
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+// ── Import ──────────────────────────────────────────
+
+// Hosts recognised as conference links when scanning LOCATION / DESCRIPTION
+const CONFERENCE_LINK_PATTERN =
+  /https?:\/\/(?:meet\.google\.com|(?:[\w-]+\.)?zoom\.us|teams\.microsoft\.com|teams\.live\.com|(?:[\w-]+\.)?webex\.com)\/[^\s<>"]*/i
+
+/**
+ * Undo TEXT escaping (RFC 5545 §3.3.11).
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char))
+}
+
+/**
+ * Split a content line into { name, params, value }. Parameter values may
+ * be quoted and contain ':' or ';'.
+ */
+function parseContentLine(line) {
+  let index = 0
+  let inQuotes = false
+  while (index < line.length) {
+    const char = line[index]
+    if (char === '"') inQuotes = !inQuotes
+    else if (char === ':' && !inQuotes) break
+    index++
+  }
+  if (index >= line.length) return null
+
+  const [name, ...rawParams] = line.slice(0, index).match(/(?:[^;"]|"[^"]*")+/g) || []
+  const params = {}
+  rawParams.forEach((param) => {
+    const eq = param.indexOf('=')
+    if (eq > 0) params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '')
+  })
+
+  return { name: (name || '').toUpperCase(), params, value: line.slice(index + 1) }
+}
+
+/**
+ * Read the VEVENTs of an iCalendar file. Properties of nested components
+ * (VALARM) are ignored; a property that repeats keeps its first value.
+ *
+ * @returns {{ events: Object[] } | { error: string }} each event maps a
+ *   property name to { value, params }
+ */
+function parseCalendar(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/)
+  if (!lines.some((line) => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    return { error: 'This is not an iCalendar (.ics) file.' }
+  }
+
+  const events = []
+  const stack = []
+  let event = null
+
+  for (const line of lines) {
+    if (!line.trim()) continue
+    const property = parseContentLine(line)
+    if (!property) continue
+
+    if (property.name === 'BEGIN') {
+      const component = property.value.trim().toUpperCase()
+      stack.push(component)
+      if (component === 'VEVENT') event = {}
+    } else if (property.name === 'END') {
+      const component = stack.pop()
+      if (component === 'VEVENT' && event) {
+        events.push(event)
+        event = null
+      }
+    } else if (event && stack[stack.length - 1] === 'VEVENT' && !event[property.name]) {
+      event[property.name] = { value: property.value, params: property.params }
+    }
+  }
+
+  return { events }
+}
+
+/**
+ * UTC milliseconds of a wall-clock time in an IANA time zone.
+ * Throws a RangeError for an unknown zone.
+ */
+function zonedTimeToUtc(parts, timeZone) {
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  })
+  const offsetAt = (time) => {
+    const p = Object.fromEntries(format.formatToParts(time).map(({ type, value }) => [type, Number(value)]))
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - time
+  }
+
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  // The offset at the guessed instant may differ across a DST change — correct once
+  const guess = wallTime - offsetAt(wallTime)
+  return wallTime - offsetAt(guess)
+}
+
+/**
+ * A DATE or DATE-TIME property as { date, allDay } or { error }.
+ * UTC ("…Z") and TZID times are converted; floating times are read in the
+ * server's time zone.
+ */
+function parseEventDate(property) {
+  const match = property?.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/)
+  if (!match) return { error: 'Unreadable date' }
+
+  const [, year, month, day, hour, minute, second, utc] = match.map((part) => (/^\d+$/.test(part || '') ? Number(part) : part))
+  if (hour === undefined) return { date: new Date(year, month - 1, day), allDay: true }
+
+  if (utc) return { date: new Date(Date.UTC(year, month - 1, day, hour, minute, second)), allDay: false }
+
+  const timeZone = property.params.TZID
+  if (timeZone) {
+    try {
+      return { date: new Date(zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone)), allDay: false }
+    } catch {
+      return { error: `Unsupported time zone "${timeZone}"` }
+    }
+  }
+
+  return { date: new Date(year, month - 1, day, hour, minute, second), allDay: false }
+}
+
+/**
+ * A DURATION value (e.g. "PT1H30M", "P1D") in minutes, or null.
+ */
+function parseDuration(value) {
+  const match = value?.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/)
+  if (!match || match[1] === '-') return null
+
+  const [weeks, days, hours, minutes, seconds] = match.slice(2).map((part) => Number(part || 0))
+  return ((weeks * 7 + days) * 24 + hours) * 60 + minutes + Math.round(seconds / 60)
+}
+
+/**
+ * Fingerprint of an event's meeting fields — changes when the event does.
+ */
+function hashEventFields(fields) {
+  const { dateTime, ...rest } = fields
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify({ ...rest, dateTime: dateTime.toISOString() }))
+    .digest('hex')
+}
+
+/**
+ * Map a parsed VEVENT to Meeting fields.
+ *
+ *   DTSTART            → dateTime
+ *   DTEND / DURATION   → duration (minutes; default 60)
+ *   SUMMARY            → title
+ *   DESCRIPTION        → description
+ *   LOCATION           → location (or meetingLink when it is a URL)
+ *   CONFERENCE, X-GOOGLE-CONFERENCE, URL, or a Meet / Zoom / Teams / Webex
+ *   link in the description → meetingLink
+ *
+ * The type follows from what is left: a place and a link make a hybrid
+ * meeting, only a link an online one, anything else offline.
+ *
+ * @returns {{ value: Object, hash: string } | { error: string }}
+ */
+function eventToMeeting(event) {
+  const text = (name) => (event[name] ? unescapeText(event[name].value).trim() : '')
+
+  const start = parseEventDate(event.DTSTART)
+  if (start.error) return { error: event.DTSTART ? start.error : 'Event has no start time' }
+  if (start.allDay) return { error: 'All-day event — meetings need a start time' }
+
+  let duration = 60
+  if (event.DTEND) {
+    const end = parseEventDate(event.DTEND)
+    if (end.error) return { error: end.error }
+    duration = Math.round((end.date - start.date) / 60000)
+  } else if (event.DURATION) {
+    duration = parseDuration(event.DURATION.value)
+    if (duration === null) return { error: 'Unreadable duration' }
+  }
+  if (duration < 5) return { error: 'Shorter than 5 minutes' }
+  if (duration > 720) return { error: 'Longer than 12 hours' }
+
+  let location = text('LOCATION')
+  const description = text('DESCRIPTION')
+  let meetingLink = text('CONFERENCE') || text('X-GOOGLE-CONFERENCE') || text('URL')
+  if (/^https?:\/\/\S+$/i.test(location)) {
+    meetingLink = meetingLink || location
+    location = ''
+  }
+  if (!meetingLink) meetingLink = description.match(CONFERENCE_LINK_PATTERN)?.[0] || ''
+
+  const type = meetingLink ? (location ? 'hybrid' : 'online') : 'offline'
+
+  const value = {
+    title: (text('SUMMARY') || 'Untitled event').slice(0, 200),
+    description: description.slice(0, 2000),
+    type,
+    dateTime: start.date,
+    duration,
+    location: location || (type === 'online' ? 'Online' : ''),
+    meetingLink,
+  }
+  return { value, hash: hashEventFields(value) }
+}
+
+module.exports = {
+  buildCalendar,
+  meetingUid,
+  formatICalDate,
+  escapeText,
+  parseCalendar,
+  eventToMeeting,
+  parseDuration,
+}
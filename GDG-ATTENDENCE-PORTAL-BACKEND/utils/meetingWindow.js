@@ -0,0 +1,92 @@
+/**
+ * Meeting Window Utilities
+ *
+ * Single source of truth for a meeting's time boundaries:
+ *
+ *   checkInOpensAt  = dateTime − checkInOpensBefore (minutes)
+ *   start           = dateTime
+ *   checkInClosesAt = dateTime + checkInClosesAfter (minutes),
+ *                     capped at the end; the end itself when unset
+ *   end             = dateTime + duration (minutes)
+ *   lateAt          = dateTime + lateAfterMinutes (minutes); check-ins at or
+ *                     after this moment are classified as 'late'
+ *
+ * Used by both attendance endpoints, the attendance page status and the
+ * activation scheduler so they always agree on when check-in is open.
+ */
+
+const DEFAULT_DURATION = 60 // minutes — matches the Meeting model default
+const DEFAULT_LATE_AFTER = 15 // minutes — matches the Meeting model default
+
+/**
+ * Compute every boundary for a meeting.
+ *
+ * @param {Object} meeting – needs `dateTime`, optionally `duration`,
+ *                           `checkInOpensBefore`, `checkInClosesAfter`,
+ *                           `lateAfterMinutes`
+ * @returns {{ checkInOpensAt: Date, start: Date, lateAt: Date, checkInClosesAt: Date, end: Date }}
+ */
+function getMeetingWindow(meeting) {
+  const start = new Date(meeting.dateTime)
+  const end = new Date(start.getTime() + (meeting.duration || DEFAULT_DURATION) * 60000)
+  const checkInOpensAt = new Date(start.getTime() - (meeting.checkInOpensBefore || 0) * 60000)
+
+  const closesAfter = meeting.checkInClosesAfter
+  const checkInClosesAt =
+    closesAfter == null
+      ? end
+      : new Date(Math.min(end.getTime(), start.getTime() + closesAfter * 60000))
+
+  const lateAt = new Date(
+    start.getTime() + (meeting.lateAfterMinutes ?? DEFAULT_LATE_AFTER) * 60000
+  )
+
+  return { checkInOpensAt, start, lateAt, checkInClosesAt, end }
+}
+
+/**
+ * Classify a check-in as on time or late against the meeting's threshold.
+ *
+ * @returns {'present'|'late'}
+ */
+function classifyArrival(meeting, markedAt = new Date()) {
+  const { lateAt } = getMeetingWindow(meeting)
+  return markedAt >= lateAt ? 'late' : 'present'
+}
+
+/**
+ * Where `now` falls relative to a meeting's check-in window.
+ *
+ * @returns {'upcoming'|'open'|'closed'|'ended'}
+ *   upcoming – check-in has not opened yet
+ *   open     – check-in is accepted
+ *   closed   – check-in has closed but the meeting is still running
+ *   ended    – the meeting is over
+ */
+function getCheckInState(meeting, now = new Date()) {
+  const { checkInOpensAt, checkInClosesAt, end } = getMeetingWindow(meeting)
+
+  if (now < checkInOpensAt) return 'upcoming'
+  if (now >= end) return 'ended'
+  if (now >= checkInClosesAt) return 'closed'
+  return 'open'
+}
+
+/**
+ * Aggregation expressions for the same boundaries, for use in `$expr`.
+ */
+const MEETING_END_EXPR = {
+  $add: ['$dateTime', { $multiply: [{ $ifNull: ['$duration', DEFAULT_DURATION] }, 60000] }],
+}
+
+const CHECK_IN_OPENS_EXPR = {
+  $subtract: ['$dateTime', { $multiply: [{ $ifNull: ['$checkInOpensBefore', 0] }, 60000] }],
+}
+
+module.exports = {
+  getMeetingWindow,
+  getCheckInState,
+  classifyArrival,
+  MEETING_END_EXPR,
+  CHECK_IN_OPENS_EXPR,
+}
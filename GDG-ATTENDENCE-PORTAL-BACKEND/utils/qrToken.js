@@ -0,0 +1,113 @@
+/**
+ * QR Token Utilities
+ *
+ * Builds and verifies the payloads encoded in meeting QR codes.
+ *
+ * Every payload is HMAC-SHA256 signed with a server secret and carries
+ * an explicit expiry, so the scan endpoint can reject forged or stale
+ * codes without comparing against whatever is currently stored on the
+ * meeting document.
+ *
+ * Payload shape (JSON string inside the QR):
+ *   {
+ *     meetingId   – the Meeting _id
+ *     token       – random nonce, unique per rotation
+ *     generatedAt – ISO timestamp when this code was issued
+ *     expiresAt   – ISO timestamp after which scans are rejected
+ *     sig         – base64url HMAC over the fields above
+ *   }
+ *
+ * The secret is read from QR_SIGNING_SECRET. If it is missing a random
+ * per-process secret is generated so development still works, but codes
+ * will not survive a restart.
+ */
+
+const crypto = require('crypto')
+
+let QR_SIGNING_SECRET = process.env.QR_SIGNING_SECRET
+
+if (!QR_SIGNING_SECRET) {
+  QR_SIGNING_SECRET = crypto.randomBytes(32).toString('hex')
+  console.warn(
+    '⚠️  QR_SIGNING_SECRET is not set — using a random secret. QR codes will be invalidated on restart.'
+  )
+}
+
+/**
+ * Compute the signature for a set of payload fields.
+ */
+function sign({ meetingId, token, generatedAt, expiresAt }) {
+  return crypto
+    .createHmac('sha256', QR_SIGNING_SECRET)
+    .update(`v1|${meetingId}|${token}|${generatedAt}|${expiresAt}`)
+    .digest('base64url')
+}
+
+/**
+ * Create a signed QR payload string for a meeting.
+ *
+ * @param {string|ObjectId} meetingId
+ * @param {Object}  options
+ * @param {Date}    options.issuedAt        – issue time (default: now)
+ * @param {number}  options.validForSeconds – how long the code stays scannable
+ * @returns {{ qrData: string, token: string, generatedAt: Date, expiresAt: Date }}
+ */
+function createSignedQRPayload(meetingId, { issuedAt = new Date(), validForSeconds }) {
+  const token = crypto.randomBytes(16).toString('hex')
+  const generatedAt = issuedAt.toISOString()
+  const expiresAt = new Date(issuedAt.getTime() + validForSeconds * 1000).toISOString()
+
+  const fields = {
+    meetingId: meetingId.toString(),
+    token,
+    generatedAt,
+    expiresAt,
+  }
+
+  return {
+    qrData: JSON.stringify({ ...fields, sig: sign(fields) }),
+    token,
+    generatedAt: new Date(generatedAt),
+    expiresAt: new Date(expiresAt),
+  }
+}
+
+/**
+ * Verify a scanned QR payload string.
+ * Does not touch the database — only the signature and expiry are checked.
+ *
+ * @param {string} qrData – raw string decoded from the QR image
+ * @param {Date}   now
+ * @returns {{ valid: boolean, reason?: 'malformed'|'signature'|'expired', payload?: Object }}
+ */
+function verifyQRPayload(qrData, now = new Date()) {
+  let payload
+  try {
+    payload = typeof qrData === 'string' ? JSON.parse(qrData) : null
+  } catch {
+    return { valid: false, reason: 'malformed' }
+  }
+
+  const { meetingId, token, generatedAt, expiresAt, sig } = payload || {}
+  if (!meetingId || !token || !generatedAt || !expiresAt || typeof sig !== 'string') {
+    return { valid: false, reason: 'malformed' }
+  }
+
+  const expected = Buffer.from(sign({ meetingId, token, generatedAt, expiresAt }))
+  const actual = Buffer.from(sig)
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'signature', payload }
+  }
+
+  const expiry = new Date(expiresAt)
+  if (Number.isNaN(expiry.getTime()) || now > expiry) {
+    return { valid: false, reason: 'expired', payload }
+  }
+
+  return { valid: true, payload }
+}
+
+module.exports = {
+  createSignedQRPayload,
+  verifyQRPayload,
+}
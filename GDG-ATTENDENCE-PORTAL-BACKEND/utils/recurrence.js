@@ -0,0 +1,173 @@
+/**
+ * Recurrence
+ *
+ * RRULE-style recurrence for meeting series (models/MeetingSeries.js):
+ *
+ *   weekly   – every 7 days from startsAt         (FREQ=WEEKLY)
+ *   biweekly – every 14 days from startsAt        (FREQ=WEEKLY;INTERVAL=2)
+ *   monthly  – same day of the month as startsAt  (FREQ=MONTHLY); months
+ *              without that day (e.g. the 31st) are skipped, as in RFC 5545
+ *
+ * A series ends at `until` (inclusive) or after `count` occurrences,
+ * whichever comes first; with neither it runs indefinitely. Dates listed
+ * in `exceptions` are skipped but still count towards `count`.
+ *
+ * Steps use the server's local calendar, so a 6 pm meeting stays at 6 pm
+ * across daylight-saving changes.
+ */
+
+const { SERIES_FREQUENCIES } = require('../models/MeetingSeries')
+
+const MAX_COUNT = 365
+const MAX_OCCURRENCES = 1000 // hard stop when listing an open-ended series
+
+/**
+ * The rule's `index`-th date (0 = startsAt), or null for a month that
+ * has no such day.
+ */
+function nthOccurrence({ frequency, startsAt }, index) {
+  const start = new Date(startsAt)
+  const date = new Date(start)
+
+  if (frequency === 'monthly') {
+    date.setDate(1)
+    date.setMonth(start.getMonth() + index)
+    date.setDate(start.getDate())
+    return date.getDate() === start.getDate() ? date : null
+  }
+
+  date.setDate(start.getDate() + index * (frequency === 'biweekly' ? 14 : 7))
+  return date
+}
+
+const sameTime = (a, b) => new Date(a).getTime() === new Date(b).getTime()
+
+/**
+ * Whether `date` was removed from the series.
+ */
+function isException(series, date) {
+  return (series.exceptions || []).some((exception) => sameTime(exception, date))
+}
+
+/**
+ * Occurrence dates of a series between `from` and `to` (inclusive),
+ * exceptions excluded.
+ *
+ * @param {Object} series – { frequency, startsAt, until?, count?, exceptions? }
+ * @returns {Date[]}
+ */
+function listOccurrences(series, { from = series.startsAt, to } = {}) {
+  const dates = []
+  const fromTime = new Date(from).getTime()
+  const toTime = to != null ? new Date(to).getTime() : Infinity
+  const untilTime = series.until ? new Date(series.until).getTime() : Infinity
+  let counted = 0
+
+  for (let index = 0; index < MAX_OCCURRENCES; index++) {
+    if (series.count && counted >= series.count) break
+
+    const date = nthOccurrence(series, index)
+    if (!date) continue
+    counted++
+
+    const time = date.getTime()
+    if (time > untilTime || time > toTime) break
+    if (time >= fromTime && !isException(series, date)) dates.push(date)
+  }
+
+  return dates
+}
+
+/**
+ * Whether `date` is one of the series' occurrences.
+ */
+function isOccurrence(series, date) {
+  return listOccurrences(series, { from: date, to: date }).length > 0
+}
+
+/**
+ * Where `date` falls on the rule: its `index` (for nthOccurrence) and how
+ * many occurrences come before it, exceptions included. Null when `date`
+ * is not on the rule.
+ */
+function locateOccurrence(series, date) {
+  const time = new Date(date).getTime()
+  let counted = 0
+
+  for (let index = 0; index < MAX_OCCURRENCES; index++) {
+    const candidate = nthOccurrence(series, index)
+    if (!candidate) continue
+    if (candidate.getTime() === time) return { index, counted }
+    if (candidate.getTime() > time) return null
+    counted++
+  }
+
+  return null
+}
+
+/**
+ * The recurrence as an iCalendar RRULE value, e.g. "FREQ=WEEKLY;INTERVAL=2".
+ */
+function formatRRule(series) {
+  const parts = [series.frequency === 'monthly' ? 'FREQ=MONTHLY' : 'FREQ=WEEKLY']
+  if (series.frequency === 'biweekly') parts.push('INTERVAL=2')
+  if (series.until) {
+    parts.push(`UNTIL=${new Date(series.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`)
+  }
+  if (series.count) parts.push(`COUNT=${series.count}`)
+  return parts.join(';')
+}
+
+/**
+ * Validate a recurrence from a request body for a series starting at
+ * `startsAt`. Missing fields keep the values in `current` (when editing).
+ *
+ * @returns {{ value: Object } | { error: string }}
+ */
+function parseRecurrence(input, startsAt, current = {}) {
+  if (!input || typeof input !== 'object') return { error: 'Recurrence is required.' }
+
+  const frequency = input.frequency ?? current.frequency
+  if (!SERIES_FREQUENCIES.includes(frequency)) {
+    return { error: `Frequency must be one of: ${SERIES_FREQUENCIES.join(', ')}.` }
+  }
+
+  let until = input.until !== undefined ? input.until : current.until ?? null
+  if (until) {
+    until = new Date(until)
+    if (Number.isNaN(until.getTime())) return { error: 'Invalid end date.' }
+    if (until < new Date(startsAt)) return { error: 'The series cannot end before its first meeting.' }
+  } else {
+    until = null
+  }
+
+  let count = input.count !== undefined ? input.count : current.count ?? null
+  if (count === '' || count === null) {
+    count = null
+  } else {
+    count = Number(count)
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+      return { error: `Number of meetings must be between 1 and ${MAX_COUNT}.` }
+    }
+  }
+
+  let exceptions = input.exceptions !== undefined ? input.exceptions : current.exceptions || []
+  if (!Array.isArray(exceptions)) return { error: 'Exceptions must be a list of dates.' }
+  exceptions = exceptions.map((value) => new Date(value))
+  if (exceptions.some((date) => Number.isNaN(date.getTime()))) {
+    return { error: 'Exceptions must be valid dates.' }
+  }
+
+  return { value: { frequency, until, count, exceptions } }
+}
+
+module.exports = {
+  nthOccurrence,
+  listOccurrences,
+  isOccurrence,
+  locateOccurrence,
+  isException,
+  formatRRule,
+  parseRecurrence,
+  MAX_COUNT,
+}
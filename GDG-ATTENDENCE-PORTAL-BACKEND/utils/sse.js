@@ -0,0 +1,49 @@
+/**
+ * Server-Sent Events helper
+ *
+ * Turns an Express response into an SSE stream.
+ *
+ * Usage:
+ *   const stream = openEventStream(req, res)
+ *   stream.send('qr', { ... })
+ *   stream.onClose(() => unsubscribe())
+ */
+
+const HEARTBEAT_SECONDS = 25 // keeps proxies / tunnels from closing idle streams
+
+/**
+ * @param {import('express').Request}  req
+ * @param {import('express').Response} res
+ * @returns {{ send: (event: string, data: Object) => void, onClose: (fn: Function) => void }}
+ */
+function openEventStream(req, res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable proxy buffering (nginx, Cloudflare)
+  })
+  res.flushHeaders()
+  res.write('retry: 5000\n\n')
+
+  const closeHandlers = []
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n')
+  }, HEARTBEAT_SECONDS * 1000)
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    closeHandlers.forEach((fn) => fn())
+  })
+
+  return {
+    send: (event, data) => {
+      if (res.writableEnded) return
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    },
+    onClose: (fn) => closeHandlers.push(fn),
+  }
+}
+
+module.exports = { openEventStream }
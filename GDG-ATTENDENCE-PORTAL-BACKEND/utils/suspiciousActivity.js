@@ -0,0 +1,96 @@
+/**
+ * Suspicious Activity Detection
+ *
+ * Looks for signs of proxy attendance among one meeting's check-ins:
+ *
+ *   shared_device      – one device (the app's per-browser deviceId)
+ *                        checked in several accounts
+ *   identical_location – several accounts reported exactly the same
+ *                        coordinates; two real phones practically never
+ *                        agree to LOCATION_PRECISION decimal places (~10 cm)
+ *
+ * Only self check-ins ('qr' / 'link') are considered — manual and imported
+ * records carry no device or location data of their own.
+ *
+ * Flags are hints for an admin to review, not proof: family members may
+ * share a phone, and some browsers report a fixed location.
+ */
+
+const SELF_CHECK_IN_METHODS = ['qr', 'link']
+const LOCATION_PRECISION = 6 // decimal places ≈ 0.1 m
+
+const FLAG_TYPES = ['shared_device', 'identical_location']
+
+const idOf = (value) => (value?._id || value).toString()
+
+/**
+ * Key used to compare locations, or null when the record has none.
+ */
+function locationKey(record) {
+  const { lat, lng } = record.location || {}
+  if (lat == null || lng == null) return null
+  return `${Number(lat).toFixed(LOCATION_PRECISION)},${Number(lng).toFixed(LOCATION_PRECISION)}`
+}
+
+/**
+ * Group records by key and keep the groups that span several accounts.
+ */
+function sharedGroups(records, keyOf) {
+  const groups = new Map()
+  for (const record of records) {
+    const key = keyOf(record)
+    if (!key) continue
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(record)
+  }
+
+  return [...groups.entries()].filter(
+    ([, group]) => new Set(group.map((r) => idOf(r.user))).size > 1
+  )
+}
+
+/**
+ * Find suspicious check-ins in one meeting's attendance records.
+ *
+ * @param {Object[]} records – Attendance records (user may be populated)
+ * @returns {{ flags: Object[], byRecord: Object }}
+ *   flags    – [{ type, key, attendance: [ids], users: [ids] }]
+ *   byRecord – { attendanceId: [flag types] }
+ */
+function detectSuspiciousActivity(records) {
+  const selfCheckIns = records.filter((r) => SELF_CHECK_IN_METHODS.includes(r.method))
+
+  const flags = [
+    ...sharedGroups(selfCheckIns, (r) => r.deviceId || null).map(([key, group]) => ({
+      type: 'shared_device',
+      key,
+      group,
+    })),
+    ...sharedGroups(selfCheckIns, locationKey).map(([key, group]) => ({
+      type: 'identical_location',
+      key,
+      group,
+    })),
+  ].map(({ type, key, group }) => ({
+    type,
+    key,
+    attendance: group.map((r) => idOf(r._id)),
+    users: [...new Set(group.map((r) => idOf(r.user)))],
+  }))
+
+  const byRecord = {}
+  for (const flag of flags) {
+    for (const id of flag.attendance) {
+      byRecord[id] = [...new Set([...(byRecord[id] || []), flag.type])]
+    }
+  }
+
+  return { flags, byRecord }
+}
+
+module.exports = {
+  detectSuspiciousActivity,
+  FLAG_TYPES,
+  SELF_CHECK_IN_METHODS,
+  LOCATION_PRECISION,
+}
@@ -14,7 +14,9 @@ import NotFound from './pages/NotFound'
 // Admin pages
 import ManageMembers from './pages/admin/ManageMembers'
 import ManageMeetings from './pages/admin/ManageMeetings'
+import ManageVenues from './pages/admin/ManageVenues'
 import Reports from './pages/admin/Reports'
+import AuditLog from './pages/admin/AuditLog'
 
 // PR pages
 import SelectMeeting from './pages/pr/SelectMeeting'
@@ -25,6 +27,7 @@ import DisplayLink from './pages/pr/DisplayLink'
 import ScanQR from './pages/member/ScanQR'
 import AttendanceSuccess from './pages/member/AttendanceSuccess'
 import AttendOnline from './pages/member/AttendOnline'
+import UpcomingMeetings from './pages/member/UpcomingMeetings'
 
 function App() {
   return (
@@ -47,10 +50,18 @@ function App() {
           path="/admin/meetings"
           element={<RoleBasedRoute allowedRoles={['admin']}><ManageMeetings /></RoleBasedRoute>}
         />
+        <Route
+          path="/admin/venues"
+          element={<RoleBasedRoute allowedRoles={['admin']}><ManageVenues /></RoleBasedRoute>}
+        />
         <Route
           path="/admin/reports"
           element={<RoleBasedRoute allowedRoles={['admin']}><Reports /></RoleBasedRoute>}
         />
+        <Route
+          path="/admin/audit"
+          element={<RoleBasedRoute allowedRoles={['admin']}><AuditLog /></RoleBasedRoute>}
+        />
 
         {/* PR routes */}
         <Route
@@ -67,6 +78,7 @@ function App() {
         />
 
         {/* Member routes */}
+        <Route path="/member/meetings" element={<UpcomingMeetings />} />
         <Route path="/member/scan-qr" element={<ScanQR />} />
         <Route path="/member/attendance-success" element={<AttendanceSuccess />} />
         <Route path="/attend/:token" element={<AttendOnline />} />
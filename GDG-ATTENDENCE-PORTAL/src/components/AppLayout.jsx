@@ -58,7 +58,9 @@ const AppLayout = () => {
       links: [
         { to: '/admin/members', icon: 'people', label: 'Members', roles: ['admin'] },
         { to: '/admin/meetings', icon: 'event', label: 'Meetings', roles: ['admin'] },
+        { to: '/admin/venues', icon: 'location_city', label: 'Venues', roles: ['admin'] },
         { to: '/admin/reports', icon: 'assessment', label: 'Reports', roles: ['admin'] },
+        { to: '/admin/audit', icon: 'policy', label: 'Audit Log', roles: ['admin'] },
       ],
     },
     {
@@ -71,6 +73,7 @@ const AppLayout = () => {
     {
       section: 'Member',
       links: [
+        { to: '/member/meetings', icon: 'event_upcoming', label: 'Upcoming Meetings', roles: ['admin', 'pr', 'member'] },
         { to: '/member/scan-qr', icon: 'qr_code_scanner', label: 'Scan QR', roles: ['admin', 'pr', 'member'] },
       ],
     },
@@ -0,0 +1,120 @@
+/**
+ * CalendarFeed — personal calendar subscription panel
+ *
+ * Lets the signed-in user create a private feed URL (GET /calendar/feed)
+ * listing every meeting they may attend, subscribe to it from their
+ * calendar app, and rotate or revoke it if the link leaks.
+ */
+
+import { useState, useEffect } from 'react'
+import api from '../config/api'
+import { toWebcalUrl } from '../config/calendar'
+import './CalendarFeed.css'
+
+const CalendarFeed = () => {
+  const [feed, setFeed] = useState(null) // { enabled, url }
+  const [busy, setBusy] = useState(false)
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    api
+      .get('/calendar/feed')
+      .then((data) => data.success && setFeed(data.data))
+      .catch((err) => console.error('Calendar feed error:', err))
+  }, [])
+
+  const run = async (request) => {
+    try {
+      setBusy(true)
+      setError('')
+      setCopied(false)
+      const data = await request()
+      if (data.success) setFeed(data.data)
+    } catch (err) {
+      setError(err.data?.message || err.message || 'Something went wrong.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch {
+      setError('Could not copy — select the link and copy it manually.')
+    }
+  }
+
+  if (!feed) return null
+
+  return (
+    <section className="cf-panel">
+      <div className="cf-header">
+        <span className="material-symbols-outlined cf-icon">calendar_month</span>
+        <div>
+          <h2 className="cf-title">Calendar subscription</h2>
+          <p className="cf-sub">
+            See every meeting you can attend in Google Calendar, Outlook or Apple Calendar.
+            Changes to meetings show up automatically.
+          </p>
+        </div>
+      </div>
+
+      {error && <p className="cf-error">{error}</p>}
+
+      {feed.enabled ? (
+        <>
+          <div className="cf-url-row">
+            <input className="cf-url" type="text" value={feed.url} readOnly onFocus={(e) => e.target.select()} />
+            <button className="cf-btn" onClick={handleCopy}>
+              <span className="material-symbols-outlined">{copied ? 'check' : 'content_copy'}</span>
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+          </div>
+          <p className="cf-hint">
+            Keep this link private — anyone who has it can see your meetings.
+          </p>
+          <div className="cf-actions">
+            <a className="cf-btn cf-btn-primary" href={toWebcalUrl(feed.url)}>
+              <span className="material-symbols-outlined">event_available</span>
+              Open in calendar app
+            </a>
+            <button
+              className="cf-btn"
+              onClick={() => run(() => api.post('/calendar/feed'))}
+              disabled={busy}
+              title="Create a new link; the current one stops working"
+            >
+              <span className="material-symbols-outlined">autorenew</span>
+              New link
+            </button>
+            <button
+              className="cf-btn cf-btn-danger"
+              onClick={() => run(() => api.delete('/calendar/feed'))}
+              disabled={busy}
+            >
+              <span className="material-symbols-outlined">link_off</span>
+              Turn off
+            </button>
+          </div>
+        </>
+      ) : (
+        <div className="cf-actions">
+          <button
+            className="cf-btn cf-btn-primary"
+            onClick={() => run(() => api.post('/calendar/feed'))}
+            disabled={busy}
+          >
+            <span className="material-symbols-outlined">add_link</span>
+            {busy ? 'Creating…' : 'Create calendar link'}
+          </button>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default CalendarFeed
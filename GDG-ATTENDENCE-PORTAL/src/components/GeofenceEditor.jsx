@@ -0,0 +1,388 @@
+import { useEffect, useRef } from 'react'
+import maplibregl from 'maplibre-gl'
+import 'maplibre-gl/dist/maplibre-gl.css'
+import { MAX_POLYGON_POINTS } from '../config/geofence'
+import './GeofenceEditor.css'
+
+const DEFAULT_CENTER = [80.4625, 17.7231] // Vishnu University
+
+/**
+ * GeofenceEditor — MapLibre map for drawing a circle or polygon geofence,
+ * plus the radius and GPS accuracy settings.
+ *
+ * Used by the meeting and venue forms. `value` is the flat form object from
+ * config/geofence.js; `onChange` receives an updater `(prev) => next`.
+ */
+const GeofenceEditor = ({ value, onChange }) => {
+  const mapContainerRef = useRef(null)
+  const markerRef = useRef(null)
+  const fenceLayerAdded = useRef(false)
+  const drawFenceRef = useRef(null)
+  const fenceRef = useRef(value) // latest value, drawn once the map loads
+  const onChangeRef = useRef(onChange)
+
+  useEffect(() => {
+    onChangeRef.current = onChange
+  }, [onChange])
+
+  // ── Map initialisation & cleanup ──────────────────
+  useEffect(() => {
+    const container = mapContainerRef.current
+    const initial = fenceRef.current
+    const initialCenter = initial.lat && initial.lng ? [initial.lng, initial.lat] : DEFAULT_CENTER
+
+    const map = new maplibregl.Map({
+      container,
+      style: {
+        version: 8,
+        sources: {
+          'osm-tiles': {
+            type: 'vector',
+            tiles: ['https://maps.osm.n5n.live/planettiles/{z}/{x}/{y}.mvt'],
+            maxzoom: 14,
+          },
+        },
+        layers: [
+          {
+            id: 'background',
+            type: 'background',
+            paint: { 'background-color': '#f0f0f0' },
+          },
+          {
+            id: 'water',
+            type: 'fill',
+            source: 'osm-tiles',
+            'source-layer': 'water',
+            paint: { 'fill-color': '#aad3df' },
+          },
+          {
+            id: 'landuse',
+            type: 'fill',
+            source: 'osm-tiles',
+            'source-layer': 'landuse',
+            paint: { 'fill-color': '#e0e8d8', 'fill-opacity': 0.5 },
+          },
+          {
+            id: 'park',
+            type: 'fill',
+            source: 'osm-tiles',
+            'source-layer': 'park',
+            paint: { 'fill-color': '#c8facc', 'fill-opacity': 0.5 },
+          },
+          {
+            id: 'landcover',
+            type: 'fill',
+            source: 'osm-tiles',
+            'source-layer': 'landcover',
+            paint: { 'fill-color': '#e0e8d8', 'fill-opacity': 0.3 },
+          },
+          {
+            id: 'transportation',
+            type: 'line',
+            source: 'osm-tiles',
+            'source-layer': 'transportation',
+            paint: { 'line-color': '#ffffff', 'line-width': 1.5 },
+          },
+          {
+            id: 'transportation-name',
+            type: 'symbol',
+            source: 'osm-tiles',
+            'source-layer': 'transportation_name',
+            layout: {
+              'text-field': '{name}',
+              'text-font': ['Open Sans Regular'],
+              'text-size': 10,
+              'symbol-placement': 'line',
+            },
+            paint: { 'text-color': '#555', 'text-halo-color': '#fff', 'text-halo-width': 1 },
+          },
+          {
+            id: 'building',
+            type: 'fill',
+            source: 'osm-tiles',
+            'source-layer': 'building',
+            paint: { 'fill-color': '#d9d0c9', 'fill-opacity': 0.6 },
+          },
+          {
+            id: 'place',
+            type: 'symbol',
+            source: 'osm-tiles',
+            'source-layer': 'place',
+            layout: {
+              'text-field': '{name}',
+              'text-font': ['Open Sans Regular'],
+              'text-size': ['interpolate', ['linear'], ['zoom'], 6, 10, 14, 16],
+            },
+            paint: { 'text-color': '#333', 'text-halo-color': '#fff', 'text-halo-width': 1.2 },
+          },
+          {
+            id: 'poi',
+            type: 'symbol',
+            source: 'osm-tiles',
+            'source-layer': 'poi',
+            minzoom: 13,
+            layout: {
+              'text-field': '{name}',
+              'text-font': ['Open Sans Regular'],
+              'text-size': 10,
+              'text-offset': [0, 0.6],
+              'text-anchor': 'top',
+            },
+            paint: { 'text-color': '#666', 'text-halo-color': '#fff', 'text-halo-width': 1 },
+          },
+        ],
+        glyphs: 'https://demotiles.maplibre.org/font/{fontstack}/{range}.pbf',
+      },
+      center: initialCenter,
+      zoom: initial.lat && initial.lng ? 16 : 15,
+      attributionControl: false,
+    })
+
+    map.addControl(new maplibregl.NavigationControl(), 'top-right')
+
+    // Create / update the drawing — a circle around the marker, or the
+    // polygon drawn so far with a dot on each corner
+    const drawFence = ({ shape, lat, lng, radius, polygon }) => {
+      const features = []
+
+      if (shape === 'polygon') {
+        markerRef.current?.remove()
+        markerRef.current = null
+
+        const ring = polygon.map((p) => [p.lng, p.lat])
+        if (ring.length >= 3) {
+          features.push({
+            type: 'Feature',
+            geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] },
+          })
+        } else if (ring.length === 2) {
+          features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates: ring } })
+        }
+        ring.forEach((coordinates) =>
+          features.push({ type: 'Feature', geometry: { type: 'Point', coordinates } })
+        )
+      } else if (lat && lng) {
+        if (markerRef.current) {
+          markerRef.current.setLngLat([lng, lat])
+        } else {
+          markerRef.current = new maplibregl.Marker({ color: '#ea4335' })
+            .setLngLat([lng, lat])
+            .addTo(map)
+        }
+
+        const points = 64
+        features.push({
+          type: 'Feature',
+          geometry: {
+            type: 'Polygon',
+            coordinates: [
+              Array.from({ length: points + 1 }, (_, i) => {
+                const angle = (i / points) * 2 * Math.PI
+                const dx = (radius / 111320) * Math.cos(angle) / Math.cos((lat * Math.PI) / 180)
+                const dy = (radius / 110540) * Math.sin(angle)
+                return [lng + dx, lat + dy]
+              }),
+            ],
+          },
+        })
+      }
+
+      const geoJSON = { type: 'FeatureCollection', features }
+
+      if (fenceLayerAdded.current) {
+        map.getSource('geofence-shape')?.setData(geoJSON)
+      } else {
+        map.addSource('geofence-shape', { type: 'geojson', data: geoJSON })
+        map.addLayer({
+          id: 'geofence-fill',
+          type: 'fill',
+          source: 'geofence-shape',
+          filter: ['==', '$type', 'Polygon'],
+          paint: { 'fill-color': '#4285f4', 'fill-opacity': 0.15 },
+        })
+        map.addLayer({
+          id: 'geofence-border',
+          type: 'line',
+          source: 'geofence-shape',
+          filter: ['!=', '$type', 'Point'],
+          paint: { 'line-color': '#4285f4', 'line-width': 2.5, 'line-dasharray': [2, 2] },
+        })
+        map.addLayer({
+          id: 'geofence-corners',
+          type: 'circle',
+          source: 'geofence-shape',
+          filter: ['==', '$type', 'Point'],
+          paint: {
+            'circle-radius': 5,
+            'circle-color': '#fff',
+            'circle-stroke-color': '#1a73e8',
+            'circle-stroke-width': 2,
+          },
+        })
+        fenceLayerAdded.current = true
+      }
+    }
+
+    map.on('load', () => {
+      // Draw the existing fence (editing)
+      drawFence(fenceRef.current)
+      drawFenceRef.current = drawFence
+
+      // Click to set the location, or add a polygon corner
+      map.on('click', (e) => {
+        const point = {
+          lat: parseFloat(e.lngLat.lat.toFixed(6)),
+          lng: parseFloat(e.lngLat.lng.toFixed(6)),
+        }
+
+        onChangeRef.current((prev) =>
+          prev.shape === 'polygon'
+            ? prev.polygon.length >= MAX_POLYGON_POINTS
+              ? prev
+              : { ...prev, polygon: [...prev.polygon, point] }
+            : { ...prev, lat: point.lat, lng: point.lng }
+        )
+      })
+    })
+
+    return () => {
+      map.remove()
+      markerRef.current = null
+      drawFenceRef.current = null
+      fenceLayerAdded.current = false
+    }
+  }, [])
+
+  // Redraw when the location, radius, shape or corners change
+  useEffect(() => {
+    fenceRef.current = value
+    drawFenceRef.current?.(value)
+  }, [value])
+
+  const set = (changes) => onChange((prev) => ({ ...prev, ...changes }))
+
+  return (
+    <div className="ge-editor">
+      <div className="ge-shape-toggle">
+        <button
+          type="button"
+          className={`ge-shape-option ${value.shape === 'circle' ? 'ge-shape-selected' : ''}`}
+          onClick={() => set({ shape: 'circle' })}
+        >
+          <span className="material-symbols-outlined">radio_button_unchecked</span>
+          Circle
+        </button>
+        <button
+          type="button"
+          className={`ge-shape-option ${value.shape === 'polygon' ? 'ge-shape-selected' : ''}`}
+          onClick={() => set({ shape: 'polygon' })}
+        >
+          <span className="material-symbols-outlined">pentagon</span>
+          Polygon
+        </button>
+      </div>
+
+      <p className="ge-hint">
+        <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>
+          touch_app
+        </span>
+        {value.shape === 'polygon'
+          ? 'Click on the map to add the corners of the venue, in order'
+          : 'Click on the map to set the location'}
+      </p>
+
+      <div className="ge-map-container" ref={mapContainerRef} />
+
+      {value.shape === 'polygon' ? (
+        <div className="ge-coords">
+          <span className="material-symbols-outlined" style={{ fontSize: '16px', color: '#1a73e8' }}>
+            pentagon
+          </span>
+          <span>
+            {value.polygon.length} corner{value.polygon.length === 1 ? '' : 's'}
+            {value.polygon.length < 3 && ' — at least 3 needed'}
+          </span>
+          <button
+            type="button"
+            className="ge-corner-btn"
+            disabled={value.polygon.length === 0}
+            onClick={() => set({ polygon: value.polygon.slice(0, -1) })}
+          >
+            <span className="material-symbols-outlined">undo</span>
+            Undo
+          </button>
+          <button
+            type="button"
+            className="ge-corner-btn"
+            disabled={value.polygon.length === 0}
+            onClick={() => set({ polygon: [] })}
+          >
+            <span className="material-symbols-outlined">delete_sweep</span>
+            Clear
+          </button>
+        </div>
+      ) : (
+        value.lat !== 0 && value.lng !== 0 && (
+          <div className="ge-coords">
+            <span className="material-symbols-outlined" style={{ fontSize: '16px', color: '#ea4335' }}>
+              location_on
+            </span>
+            <span>
+              {value.lat.toFixed(6)}, {value.lng.toFixed(6)}
+            </span>
+          </div>
+        )
+      )}
+
+      {value.shape === 'circle' && (
+        <div className="ge-radius-control">
+          <label className="ge-label">
+            Radius: <strong>{value.radius}m</strong>
+          </label>
+          <div className="ge-radius-slider-row">
+            <span className="ge-radius-min">10m</span>
+            <input
+              type="range"
+              className="ge-radius-slider"
+              min="10"
+              max="2000"
+              step="10"
+              value={value.radius}
+              onChange={(e) => set({ radius: parseInt(e.target.value, 10) })}
+            />
+            <span className="ge-radius-max">2km</span>
+          </div>
+        </div>
+      )}
+
+      <div className="ge-accuracy">
+        <div className="ge-field">
+          <label className="ge-label">GPS accuracy</label>
+          <select
+            className="ge-input"
+            value={value.accuracyMode}
+            onChange={(e) => set({ accuracyMode: e.target.value })}
+          >
+            <option value="point">Reported point must be inside</option>
+            <option value="intersect">Accept if accuracy circle overlaps</option>
+          </select>
+        </div>
+
+        <div className="ge-field">
+          <label className="ge-label">Reject readings worse than (m)</label>
+          <input
+            type="number"
+            className="ge-input"
+            min="5"
+            max="5000"
+            placeholder="No limit"
+            value={value.maxAccuracy}
+            onChange={(e) => set({ maxAccuracy: e.target.value })}
+          />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default GeofenceEditor
@@ -0,0 +1,137 @@
+/**
+ * LiveAttendanceFeed — real-time check-in panel
+ *
+ * Subscribes to GET /attendance/meeting/:meetingId/stream and shows a
+ * live attendee counter plus a scrolling list of the most recent
+ * check-ins, updated as members scan the QR or open the attendance link.
+ * If the stream drops it reconnects and reloads the snapshot.
+ *
+ * Props:
+ *   meetingId – meeting to follow
+ *   onCheckIn – optional callback invoked with each new feed entry
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import api from '../config/api'
+import './LiveAttendanceFeed.css'
+
+const MAX_ENTRIES = 20
+const RECONNECT_DELAY = 5000 // ms
+const METHOD_ICONS = { qr: 'qr_code_scanner', link: 'link', manual: 'edit_note', import: 'upload_file' }
+
+const LiveAttendanceFeed = ({ meetingId, onCheckIn }) => {
+  const [total, setTotal] = useState(0)
+  const [entries, setEntries] = useState([])
+  const [connected, setConnected] = useState(false)
+  const [freshIds, setFreshIds] = useState(() => new Set())
+  const onCheckInRef = useRef(onCheckIn)
+
+  useEffect(() => {
+    onCheckInRef.current = onCheckIn
+  })
+
+  useEffect(() => {
+    if (!meetingId) return
+
+    let cancelled = false
+    let retryTimer = null
+    const controller = new AbortController()
+
+    const connect = async () => {
+      try {
+        await api.stream(`/attendance/meeting/${meetingId}/stream`, {
+          signal: controller.signal,
+          onEvent: (event, data) => {
+            if (cancelled) return
+
+            if (event === 'snapshot') {
+              setTotal(data.total)
+              setEntries(data.recent)
+              setConnected(true)
+            } else if (event === 'checkin') {
+              setTotal(data.total)
+              setEntries((prev) =>
+                [data.entry, ...prev.filter((e) => e._id !== data.entry._id)].slice(0, MAX_ENTRIES)
+              )
+              setFreshIds((prev) => new Set(prev).add(data.entry._id))
+              onCheckInRef.current?.(data.entry)
+            }
+          },
+        })
+      } catch (err) {
+        if (cancelled) return
+        console.error('Attendance stream failed:', err)
+      }
+
+      if (cancelled) return
+      setConnected(false)
+      retryTimer = setTimeout(connect, RECONNECT_DELAY)
+    }
+
+    connect()
+
+    return () => {
+      cancelled = true
+      controller.abort()
+      if (retryTimer) clearTimeout(retryTimer)
+    }
+  }, [meetingId])
+
+  const formatTime = (iso) =>
+    new Date(iso).toLocaleTimeString('en-IN', {
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: true,
+    })
+
+  const getInitials = (name) => {
+    if (!name) return '?'
+    return name.split(' ').map((w) => w[0]).join('').slice(0, 2).toUpperCase()
+  }
+
+  return (
+    <div className="laf-panel">
+      <div className="laf-header">
+        <div className="laf-counter">
+          <span className="laf-counter-number">{total}</span>
+          <span className="laf-counter-label">checked in</span>
+        </div>
+        <span className={`laf-status ${connected ? 'laf-status-live' : ''}`}>
+          <span className="laf-status-dot" />
+          {connected ? 'Live' : 'Reconnecting…'}
+        </span>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="laf-empty">Waiting for the first check-in…</p>
+      ) : (
+        <ul className="laf-list">
+          {entries.map((entry) => (
+            <li
+              key={entry._id}
+              className={`laf-item ${freshIds.has(entry._id) ? 'laf-item-new' : ''}`}
+            >
+              {entry.user.photoURL ? (
+                <img className="laf-avatar" src={entry.user.photoURL} alt={entry.user.name} />
+              ) : (
+                <div className="laf-avatar laf-avatar-placeholder">
+                  {getInitials(entry.user.name)}
+                </div>
+              )}
+              <div className="laf-item-info">
+                <span className="laf-item-name">{entry.user.name || entry.user.email || 'Unknown'}</span>
+                <span className="laf-item-time">{formatTime(entry.markedAt)}</span>
+              </div>
+              <span className="material-symbols-outlined laf-item-method">
+                {METHOD_ICONS[entry.method] || 'link'}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default LiveAttendanceFeed
@@ -0,0 +1,51 @@
+/**
+ * QRImage — renders a meeting's current QR code
+ *
+ * QR images are not part of the meeting payload; the backend renders
+ * them on demand at GET /meetings/:id/qr.png (auth required). This
+ * component fetches the image as a blob and shows it via an object URL,
+ * re-fetching whenever `generation` changes. The generation is part of
+ * the URL, so the browser never serves a rotated-out code from its cache
+ * (the image response is cacheable until the next rotation). The
+ * previous image stays on screen until the new one has loaded.
+ *
+ * Props:
+ *   meetingId  – meeting whose QR to show
+ *   generation – current qrGeneration; bump to load the rotated code
+ *   className, alt – passed through to the <img>
+ */
+
+import { useState, useEffect } from 'react'
+import api from '../config/api'
+
+const QRImage = ({ meetingId, generation, className, alt = 'QR Code' }) => {
+  const [src, setSrc] = useState(null)
+
+  useEffect(() => {
+    if (!meetingId) return
+
+    let cancelled = false
+    let objectUrl = null
+
+    api
+      .getBlob(`/meetings/${meetingId}/qr.png?g=${generation ?? 0}`)
+      .then((blob) => {
+        if (cancelled) return
+        objectUrl = URL.createObjectURL(blob)
+        setSrc(objectUrl)
+      })
+      .catch((err) => console.error('QR image fetch failed:', err))
+
+    return () => {
+      cancelled = true
+      // Revoke after the next image has replaced this one
+      if (objectUrl) setTimeout(() => URL.revokeObjectURL(objectUrl), 1000)
+    }
+  }, [meetingId, generation])
+
+  if (!src) return null
+
+  return <img src={src} alt={alt} className={className} />
+}
+
+export default QRImage
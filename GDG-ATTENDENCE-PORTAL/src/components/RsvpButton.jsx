@@ -0,0 +1,88 @@
+/**
+ * RsvpButton — RSVP / cancel for one meeting
+ *
+ * Shows the member's reply (going, or their place on the waitlist), the
+ * seats left, and a button to RSVP or cancel (POST / DELETE
+ * /meetings/:id/rsvp). `rsvp` is the summary the API returns with
+ * upcoming meetings; every change reports the fresh summary to `onChange`.
+ */
+
+import { useState } from 'react'
+import api from '../config/api'
+import './RsvpButton.css'
+
+const describeSeats = ({ capacity, spotsLeft, waitlisted }) => {
+  if (capacity == null) return null
+  if (spotsLeft > 0) return `${spotsLeft} of ${capacity} seats left`
+  return waitlisted > 0 ? `Full · ${waitlisted} on the waitlist` : 'Full'
+}
+
+const RsvpButton = ({ meetingId, rsvp, onChange }) => {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const run = async (request) => {
+    try {
+      setBusy(true)
+      setError('')
+      const data = await request()
+      if (data.success) onChange?.(data.data)
+    } catch (err) {
+      setError(err.data?.message || err.message || 'Something went wrong.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const seats = describeSeats(rsvp)
+  const full = rsvp.capacity != null && (rsvp.spotsLeft === 0 || rsvp.waitlisted > 0)
+
+  return (
+    <div className="rsvp">
+      <div className="rsvp-row">
+        {rsvp.status === 'going' && (
+          <span className="rsvp-chip rsvp-chip-going">
+            <span className="material-symbols-outlined">check_circle</span>
+            Going
+          </span>
+        )}
+        {rsvp.status === 'waitlisted' && (
+          <span className="rsvp-chip rsvp-chip-waitlisted">
+            <span className="material-symbols-outlined">hourglass_top</span>
+            Waitlist #{rsvp.position}
+          </span>
+        )}
+
+        {rsvp.open && !rsvp.status && (
+          <button
+            className="rsvp-btn rsvp-btn-primary"
+            onClick={() => run(() => api.post(`/meetings/${meetingId}/rsvp`))}
+            disabled={busy}
+          >
+            <span className="material-symbols-outlined">{full ? 'playlist_add' : 'event_available'}</span>
+            {full ? 'Join waitlist' : 'RSVP'}
+          </button>
+        )}
+        {rsvp.open && rsvp.status && (
+          <button
+            className="rsvp-btn"
+            onClick={() => run(() => api.delete(`/meetings/${meetingId}/rsvp`))}
+            disabled={busy}
+          >
+            {rsvp.status === 'waitlisted' ? 'Leave waitlist' : 'Cancel RSVP'}
+          </button>
+        )}
+        {!rsvp.open && !rsvp.status && <span className="rsvp-note">RSVPs closed</span>}
+
+        {seats && <span className="rsvp-note">{seats}</span>}
+      </div>
+
+      {rsvp.rsvpRequired && rsvp.status !== 'going' && (
+        <p className="rsvp-note">Only members with a confirmed RSVP can check in.</p>
+      )}
+      {error && <p className="rsvp-error">{error}</p>}
+    </div>
+  )
+}
+
+export default RsvpButton
@@ -0,0 +1,79 @@
+/**
+ * UpcomingRsvps — dashboard panel for replying to upcoming meetings
+ *
+ * Lists the next meetings the signed-in user may attend that have not
+ * started yet (GET /meetings/upcoming) with an RSVP button for each.
+ */
+
+import { useState, useEffect } from 'react'
+import api from '../config/api'
+import { getMeetingTypeMeta } from '../config/meetingTypes'
+import RsvpButton from './RsvpButton'
+import './UpcomingRsvps.css'
+
+const MAX_MEETINGS = 5
+
+const formatWhen = (dateStr) =>
+  new Date(dateStr).toLocaleString('en-IN', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  })
+
+const UpcomingRsvps = () => {
+  const [meetings, setMeetings] = useState(null)
+
+  useEffect(() => {
+    api
+      .get('/meetings/upcoming')
+      .then((data) => data.success && setMeetings(data.data.filter((m) => m.rsvp.open)))
+      .catch((err) => console.error('Upcoming meetings error:', err))
+  }, [])
+
+  const updateRsvp = (meetingId, rsvp) => {
+    setMeetings((prev) => prev.map((m) => (m._id === meetingId ? { ...m, rsvp } : m)))
+  }
+
+  if (!meetings) return null
+
+  return (
+    <section className="ur-panel">
+      <div className="ur-header">
+        <span className="material-symbols-outlined ur-icon">event_upcoming</span>
+        <div>
+          <h2 className="ur-title">Upcoming meetings</h2>
+          <p className="ur-sub">RSVP so the organizers know you&apos;re coming — popular meetings fill up.</p>
+        </div>
+      </div>
+
+      {meetings.length === 0 ? (
+        <p className="ur-empty">No upcoming meetings right now.</p>
+      ) : (
+        <ul className="ur-list">
+          {meetings.slice(0, MAX_MEETINGS).map((meeting) => (
+            <li key={meeting._id} className="ur-item">
+              <div className="ur-item-info">
+                <span className="ur-item-title">{meeting.title}</span>
+                <span className="ur-item-meta">
+                  <span className="material-symbols-outlined">{getMeetingTypeMeta(meeting.type).icon}</span>
+                  {formatWhen(meeting.dateTime)}
+                  {meeting.type !== 'online' && (meeting.venue?.name || meeting.location) &&
+                    ` · ${meeting.venue?.name || meeting.location}`}
+                </span>
+              </div>
+              <RsvpButton
+                meetingId={meeting._id}
+                rsvp={meeting.rsvp}
+                onChange={(rsvp) => updateRsvp(meeting._id, rsvp)}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default UpcomingRsvps
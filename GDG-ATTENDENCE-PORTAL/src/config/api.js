@@ -9,6 +9,8 @@
  *   import api from '../config/api'
  *   const { data } = await api.get('/auth/me')
  *   const { data } = await api.post('/auth/register')
+ *   const blob = await api.getBlob('/meetings/123/qr.png')
+ *   await api.stream('/meetings/123/qr-stream', { onEvent, signal })
  */
 
 import { auth } from './firebase'
@@ -84,6 +86,90 @@ const request = async (endpoint, options = {}) => {
   return data
 }
 
+/**
+ * Fetch a binary resource (e.g. a rendered QR image) with auth.
+ *
+ * @param {string} endpoint - API endpoint (e.g., '/meetings/123/qr.png')
+ * @returns {Promise<Blob>}
+ */
+const getBlob = async (endpoint) => {
+  const token = await getIdToken()
+
+  const headers = {}
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`
+  }
+
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, { headers })
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}))
+    const error = new Error(data.message || 'API request failed')
+    error.status = response.status
+    error.data = data
+    throw error
+  }
+
+  return response.blob()
+}
+
+/**
+ * Open an authenticated Server-Sent Events stream.
+ *
+ * Uses fetch (not EventSource) so the Authorization header can be sent.
+ * Resolves when the server closes the stream; rejects on network / HTTP
+ * errors. Abort via `signal` to close it from the client.
+ *
+ * @param {string}   endpoint - API endpoint (e.g., '/meetings/123/qr-stream')
+ * @param {Object}   options
+ * @param {Function} options.onEvent - called with (eventName, parsedData)
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<void>}
+ */
+const stream = async (endpoint, { onEvent, signal }) => {
+  const token = await getIdToken()
+
+  const headers = { Accept: 'text/event-stream' }
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`
+  }
+
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, { headers, signal })
+
+  if (!response.ok || !response.body) {
+    const data = await response.json().catch(() => ({}))
+    const error = new Error(data.message || 'Stream request failed')
+    error.status = response.status
+    error.data = data
+    throw error
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) return
+
+    buffer += value
+    const messages = buffer.split('\n\n')
+    buffer = messages.pop()
+
+    for (const message of messages) {
+      let event = 'message'
+      let payload = ''
+
+      for (const line of message.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) payload += line.slice(5).trim()
+      }
+
+      // Comment-only chunks (heartbeats) and retry hints carry no data
+      if (payload) onEvent(event, JSON.parse(payload))
+    }
+  }
+}
+
 // Convenience methods
 const api = {
   get: (endpoint) => request(endpoint, { method: 'GET' }),
@@ -106,7 +192,15 @@ const api = {
       body: body ? JSON.stringify(body) : undefined,
     }),
 
-  delete: (endpoint) => request(endpoint, { method: 'DELETE' }),
+  delete: (endpoint, body) =>
+    request(endpoint, {
+      method: 'DELETE',
+      body: body ? JSON.stringify(body) : undefined,
+    }),
+
+  getBlob,
+
+  stream,
 }
 
 export default api
@@ -0,0 +1,25 @@
+/**
+ * Calendar helpers
+ *
+ * Downloads a meeting as an .ics file (GET /meetings/:id/calendar.ics) and
+ * turns a calendar feed URL into a webcal:// link that opens the user's
+ * calendar app.
+ */
+
+import api from './api'
+
+/** Download one meeting as .ics — throws the API error on failure. */
+export async function downloadMeetingCalendar(meeting) {
+  const blob = await api.getBlob(`/meetings/${meeting._id}/calendar.ics`)
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.download = `${meeting.title.replace(/\s+/g, '-')}.ics`
+  link.href = url
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+/** https://… feed URL → webcal://… (subscribe instead of download). */
+export function toWebcalUrl(url) {
+  return url.replace(/^https?:\/\//, 'webcal://')
+}
@@ -0,0 +1,33 @@
+/**
+ * Check-in rule helpers — which self check-in methods a meeting accepts
+ * ('qr' / 'link') and what location each needs. Mirrors the backend's
+ * utils/checkInRules.js.
+ */
+
+export const DEFAULT_CHECK_IN_RULES = {
+  offline: { qr: 'geofence', link: 'off' },
+  online: { qr: 'off', link: 'anywhere' },
+  hybrid: { qr: 'geofence', link: 'anywhere' },
+}
+
+export const CHECK_IN_RULE_OPTIONS = [
+  { value: 'off', label: 'Not allowed' },
+  { value: 'anywhere', label: 'From anywhere' },
+  { value: 'location', label: 'Location must be shared' },
+  { value: 'geofence', label: 'Only inside the geofence' },
+]
+
+/**
+ * A meeting's rules, with unset methods falling back to its type default.
+ */
+export function getCheckInRules(meeting) {
+  const defaults = DEFAULT_CHECK_IN_RULES[meeting.type] || DEFAULT_CHECK_IN_RULES.offline
+  return {
+    qr: meeting.type === 'online' ? 'off' : meeting.checkInRules?.qr || defaults.qr,
+    link: meeting.checkInRules?.link || defaults.link,
+  }
+}
+
+export function describeCheckInRule(rule) {
+  return CHECK_IN_RULE_OPTIONS.find((option) => option.value === rule)?.label || rule
+}
@@ -0,0 +1,35 @@
+/**
+ * Device Identifier
+ *
+ * A random ID generated once per browser and kept in localStorage. It is
+ * sent with every check-in so admins can spot one phone marking attendance
+ * for several accounts. It identifies the browser, not the person, and
+ * resets if site data is cleared.
+ *
+ * Usage:
+ *   import { getDeviceId } from '../config/device'
+ *   await api.post('/attendance/scan-qr', { qrData, deviceId: getDeviceId() })
+ */
+
+const DEVICE_ID_KEY = 'gdg-device-id'
+let memoryId = null // used when localStorage is blocked
+
+/**
+ * Get (or create) this browser's device ID.
+ * Falls back to an in-memory ID when storage is unavailable.
+ *
+ * @returns {string}
+ */
+export const getDeviceId = () => {
+  try {
+    let id = localStorage.getItem(DEVICE_ID_KEY)
+    if (!id) {
+      id = crypto.randomUUID()
+      localStorage.setItem(DEVICE_ID_KEY, id)
+    }
+    return id
+  } catch {
+    memoryId = memoryId || crypto.randomUUID()
+    return memoryId
+  }
+}
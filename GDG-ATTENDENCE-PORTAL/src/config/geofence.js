@@ -0,0 +1,61 @@
+/**
+ * Geofence form helpers
+ *
+ * Shared by the meeting and venue forms. The form keeps a flat object
+ * ({ shape, lat, lng, radius, polygon, maxAccuracy, accuracyMode }) that
+ * GeofenceEditor edits; these helpers convert it to and from the API shape
+ * (see the backend's models/geofenceFields.js).
+ */
+
+export const MAX_POLYGON_POINTS = 50
+
+/** Form state for a fence that has not been drawn yet */
+export const emptyGeofence = () => ({
+  shape: 'circle',
+  lat: 0,
+  lng: 0,
+  radius: 200,
+  polygon: [],
+  maxAccuracy: '',
+  accuracyMode: 'point',
+})
+
+/** API geofence → form state */
+export const toGeofenceForm = (geofence) => ({
+  shape: geofence?.shape || 'circle',
+  lat: geofence?.center?.lat || 0,
+  lng: geofence?.center?.lng || 0,
+  radius: geofence?.radius || 200,
+  polygon: geofence?.polygon || [],
+  maxAccuracy: geofence?.maxAccuracy ?? '',
+  accuracyMode: geofence?.accuracyMode || 'point',
+})
+
+/** Form state → API request body */
+export const toGeofencePayload = (enabled, fence) => ({
+  enabled,
+  shape: fence.shape,
+  center: { lat: fence.lat, lng: fence.lng },
+  radius: fence.radius,
+  polygon: fence.polygon,
+  maxAccuracy: fence.maxAccuracy !== ''
+    ? Math.min(5000, Math.max(5, parseInt(fence.maxAccuracy, 10) || 5))
+    : null,
+  accuracyMode: fence.accuracyMode,
+})
+
+/** Why an enabled fence cannot be saved yet, or '' */
+export const geofenceFormError = (fence) => {
+  if (fence.shape === 'polygon') {
+    return fence.polygon.length < 3 ? 'Add at least 3 corners to the geofence polygon.' : ''
+  }
+  return !fence.lat || !fence.lng ? 'Click on the map to set the geofence location.' : ''
+}
+
+/** Short description of an API geofence, e.g. "200m radius" */
+export const describeGeofence = (geofence) => {
+  if (!geofence?.enabled) return 'No geofence'
+  return geofence.shape === 'polygon'
+    ? `${geofence.polygon?.length || 0}-corner area`
+    : `${geofence.radius}m radius`
+}
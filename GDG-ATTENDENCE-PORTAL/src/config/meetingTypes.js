@@ -0,0 +1,26 @@
+/**
+ * Meeting type metadata — labels and icons for 'offline', 'online' and
+ * 'hybrid' meetings, plus the attendance mode labels used by reports.
+ */
+
+export const MEETING_TYPES = ['offline', 'online', 'hybrid']
+
+const TYPE_META = {
+  offline: { label: 'Offline', icon: 'groups' },
+  online: { label: 'Online', icon: 'videocam' },
+  hybrid: { label: 'Hybrid', icon: 'diversity_3' },
+}
+
+export function getMeetingTypeMeta(type) {
+  return TYPE_META[type] || TYPE_META.offline
+}
+
+/** Whether the meeting has a physical venue (offline or hybrid). */
+export function isInPersonType(type) {
+  return type !== 'online'
+}
+
+export const ATTENDANCE_MODE_LABELS = {
+  in_person: 'In person',
+  remote: 'Remote',
+}
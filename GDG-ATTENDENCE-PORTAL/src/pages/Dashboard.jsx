@@ -1,5 +1,7 @@
 import { useNavigate, useLocation } from 'react-router-dom'
 import { useAuth } from '../hooks/useAuth'
+import CalendarFeed from '../components/CalendarFeed'
+import UpcomingRsvps from '../components/UpcomingRsvps'
 import './Dashboard.css'
 
 const Dashboard = () => {
@@ -50,6 +52,14 @@ const Dashboard = () => {
   ]
 
   const memberCards = [
+    {
+      icon: 'event_upcoming',
+      title: 'Upcoming Meetings',
+      desc: 'Live meetings, RSVPs & join links meetings, RSVPs, join links',
+      path: '/member/meetings',
+      color: '#34A853',
+      bg: '#e6f4ea',
+    },
     {
       icon: 'qr_code_scanner',
       title: 'Scan QR',
@@ -86,7 +96,7 @@ const Dashboard = () => {
         <p className="dash-sub">
           {userRole === 'admin' && 'Manage your GDG chapter from here.'}
           {userRole === 'pr' && 'Ready to run today\'s event? Select a meeting below.'}
-          {userRole === 'member' && 'Scan a QR code to mark your attendance.'}
+          {userRole === 'member' && 'See what\'s coming up, or scan a QR code to mark your attendance.'}
           {!userRole && 'Loading your dashboard…'}
         </p>
       </div>
@@ -125,6 +135,12 @@ const Dashboard = () => {
         ))}
       </div>
 
+      {/* RSVPs for upcoming meetings */}
+      {userRole && <UpcomingRsvps />}
+
+      {/* Calendar subscription */}
+      {userRole && <CalendarFeed />}
+
       {/* Info footer */}
       <div className="dash-footer">
         <div className="dash-footer-bar">
@@ -0,0 +1,346 @@
+import { useState, useEffect, useCallback, Fragment } from 'react'
+import api from '../../config/api'
+import './AuditLog.css'
+
+// Filter chips → `action` query (a trailing '.' matches the whole group)
+const ACTION_GROUPS = [
+  { value: '', label: 'All' },
+  { value: 'user.', label: 'Users' },
+  { value: 'meeting.', label: 'Meetings' },
+  { value: 'venue.', label: 'Venues' },
+  { value: 'series.', label: 'Series' },
+  { value: 'rsvp.', label: 'RSVPs' },
+  { value: 'attendance.', label: 'Attendance' },
+]
+
+const ACTION_LABELS = {
+  'user.role_changed': 'Changed role',
+  'user.deleted': 'Deleted user',
+  'meeting.created': 'Created meeting',
+  'meeting.updated': 'Edited meeting',
+  'meeting.deleted': 'Deleted meeting',
+  'meeting.imported': 'Imported meetings',
+  'meeting.activated': 'Activated meeting',
+  'meeting.deactivated': 'Deactivated meeting',
+  'meeting.qr_paused': 'Paused QR',
+  'meeting.qr_resumed': 'Resumed QR',
+  'venue.created': 'Created venue',
+  'venue.updated': 'Edited venue',
+  'venue.deleted': 'Deleted venue',
+  'series.created': 'Created series',
+  'series.updated': 'Edited series',
+  'rsvp.created': 'RSVPed',
+  'rsvp.cancelled': 'Cancelled RSVP',
+  'rsvp.promoted': 'Promoted from waitlist',
+  'attendance.marked': 'Checked in',
+  'attendance.checked_out': 'Checked out',
+  'attendance.added': 'Added attendance',
+  'attendance.edited': 'Edited attendance',
+  'attendance.status_changed': 'Changed status',
+  'attendance.removed': 'Removed attendance',
+  'attendance.imported': 'Imported attendance',
+}
+
+const TARGET_ICONS = { user: 'person', meeting: 'event', venue: 'location_city', series: 'event_repeat', rsvp: 'event_available', attendance: 'how_to_reg' }
+
+// Show a diffed value compactly
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([])
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 })
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [expanded, setExpanded] = useState(null) // entry id showing its changes
+
+  // Filters
+  const [search, setSearch] = useState('')
+  const [debouncedSearch, setDebouncedSearch] = useState('')
+  const [actionGroup, setActionGroup] = useState('')
+  const [from, setFrom] = useState('')
+  const [to, setTo] = useState('')
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search.trim()), 300)
+    return () => clearTimeout(timer)
+  }, [search])
+
+  // ── Fetch entries ─────────────────────────────────
+  const fetchEntries = useCallback(async (page = 1) => {
+    try {
+      setLoading(true)
+      setError('')
+
+      const params = new URLSearchParams({ page: String(page), limit: '30' })
+      if (debouncedSearch) params.set('search', debouncedSearch)
+      if (actionGroup) params.set('action', actionGroup)
+      if (from) params.set('from', new Date(from).toISOString())
+      if (to) params.set('to', new Date(`${to}T23:59:59`).toISOString())
+
+      const data = await api.get(`/audit?${params.toString()}`)
+      if (data.success) {
+        setEntries(data.data)
+        setPagination(data.pagination)
+      }
+    } catch (err) {
+      console.error('Failed to fetch audit log:', err)
+      setError(err.data?.message || err.message || 'Failed to load audit log')
+    } finally {
+      setLoading(false)
+    }
+  }, [debouncedSearch, actionGroup, from, to])
+
+  useEffect(() => {
+    fetchEntries(1)
+  }, [fetchEntries])
+
+  const formatDateTime = (iso) =>
+    new Date(iso).toLocaleString('en-IN', {
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+
+  const hasFilters = search || actionGroup || from || to
+  const clearFilters = () => {
+    setSearch('')
+    setActionGroup('')
+    setFrom('')
+    setTo('')
+  }
+
+  return (
+    <div className="al-page">
+      {/* ── Page Header ─────────────────────────── */}
+      <header className="al-header">
+        <span className="material-symbols-outlined al-header-icon">policy</span>
+        <div>
+          <h1 className="al-title">Audit Log</h1>
+          <p className="al-subtitle">
+            Every role change, deletion, meeting or venue edit, QR pause and attendance write — who made
+            it, when, and from where.
+          </p>
+        </div>
+      </header>
+
+      {/* ── Toolbar: Search + Filters ───────────── */}
+      <div className="al-toolbar">
+        <div className="al-search-box">
+          <span className="material-symbols-outlined al-search-icon">search</span>
+          <input
+            type="text"
+            placeholder="Search by actor email or target…"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="al-search-input"
+          />
+        </div>
+
+        <div className="al-filter-chips">
+          {ACTION_GROUPS.map((group) => (
+            <button
+              key={group.value}
+              className={`al-chip ${actionGroup === group.value ? 'al-chip-active' : ''}`}
+              onClick={() => setActionGroup(group.value)}
+            >
+              {group.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="al-dates">
+          <input
+            type="date"
+            className="al-date-input"
+            value={from}
+            max={to || undefined}
+            onChange={(e) => setFrom(e.target.value)}
+            aria-label="From date"
+          />
+          <span className="al-date-sep">–</span>
+          <input
+            type="date"
+            className="al-date-input"
+            value={to}
+            min={from || undefined}
+            onChange={(e) => setTo(e.target.value)}
+            aria-label="To date"
+          />
+        </div>
+
+        <button
+          className="al-icon-btn"
+          onClick={() => fetchEntries(pagination.page)}
+          disabled={loading}
+          title="Refresh"
+        >
+          <span className="material-symbols-outlined">refresh</span>
+        </button>
+      </div>
+
+      {/* ── Error State ─────────────────────────── */}
+      {error && (
+        <div className="al-error">
+          <span className="material-symbols-outlined">error</span>
+          <span>{error}</span>
+          <button onClick={() => fetchEntries(1)} className="al-error-retry">Retry</button>
+        </div>
+      )}
+
+      {/* ── Entries Table ───────────────────────── */}
+      <div className="al-card">
+        <table className="al-table">
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>Actor</th>
+              <th>Action</th>
+              <th>Target</th>
+              <th className="al-th-ip">IP</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading && entries.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="al-state-cell">Loading audit log…</td>
+              </tr>
+            ) : entries.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="al-state-cell">
+                  <span className="material-symbols-outlined al-empty-icon">manage_search</span>
+                  <p>No audit entries {hasFilters ? 'match these filters' : 'yet'}.</p>
+                  {hasFilters && (
+                    <button className="al-text-btn" onClick={clearFilters}>
+                      Clear filters
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ) : (
+              entries.map((entry) => {
+                const changes = Object.entries(entry.changes || {})
+                const isOpen = expanded === entry._id
+                return (
+                  <Fragment key={entry._id}>
+                    <tr className={isOpen ? 'al-row-open' : ''}>
+                      <td className="al-cell-time">{formatDateTime(entry.createdAt)}</td>
+                      <td>
+                        <div className="al-actor">
+                          <span className="al-actor-name">
+                            {entry.actor?.name || entry.actorEmail || 'Unknown'}
+                          </span>
+                          {entry.actorRole && (
+                            <span className={`al-role al-role-${entry.actorRole}`}>
+                              {entry.actorRole === 'pr' ? 'PR' : entry.actorRole}
+                            </span>
+                          )}
+                        </div>
+                      </td>
+                      <td>
+                        <span className={`al-action al-action-${entry.targetType}`}>
+                          {ACTION_LABELS[entry.action] || entry.action}
+                        </span>
+                      </td>
+                      <td>
+                        <span className="al-target">
+                          <span className="material-symbols-outlined">
+                            {TARGET_ICONS[entry.targetType]}
+                          </span>
+                          {entry.targetLabel || entry.target || '—'}
+                        </span>
+                        {entry.meta?.meetingTitle && (
+                          <span className="al-target-meta">{entry.meta.meetingTitle}</span>
+                        )}
+                      </td>
+                      <td className="al-cell-ip">{entry.ip || '—'}</td>
+                      <td className="al-cell-toggle">
+                        <button
+                          className="al-icon-btn"
+                          onClick={() => setExpanded(isOpen ? null : entry._id)}
+                          title={isOpen ? 'Hide details' : 'Show details'}
+                        >
+                          <span className="material-symbols-outlined">
+                            {isOpen ? 'expand_less' : 'expand_more'}
+                          </span>
+                        </button>
+                      </td>
+                    </tr>
+                    {isOpen && (
+                      <tr className="al-detail-row">
+                        <td colSpan="6">
+                          {changes.length > 0 ? (
+                            <table className="al-diff">
+                              <tbody>
+                                {changes.map(([field, { before, after }]) => (
+                                  <tr key={field}>
+                                    <th>{field}</th>
+                                    <td className="al-diff-before">{formatValue(before)}</td>
+                                    <td className="al-diff-arrow">→</td>
+                                    <td className="al-diff-after">{formatValue(after)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          ) : (
+                            <p className="al-detail-empty">No field changes recorded.</p>
+                          )}
+                          {entry.meta?.reason && (
+                            <p className="al-detail-line">Reason: “{entry.meta.reason}”</p>
+                          )}
+                          {entry.meta?.summary && (
+                            <p className="al-detail-line">
+                              {entry.meta.fileName || 'CSV'}: {entry.meta.created} imported of{' '}
+                              {entry.meta.summary.total} rows ({entry.meta.summary.unmatched} unmatched,{' '}
+                              {entry.meta.summary.duplicate} duplicate, {entry.meta.summary.invalid} invalid)
+                            </p>
+                          )}
+                          <p className="al-detail-line al-detail-ua">
+                            {entry.actorEmail} · {entry.ip || 'unknown IP'} · {entry.userAgent || 'unknown client'}
+                          </p>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                )
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* ── Pagination ──────────────────────────── */}
+      {pagination.totalPages > 1 && (
+        <div className="al-pagination">
+          <button
+            className="al-page-btn"
+            onClick={() => fetchEntries(pagination.page - 1)}
+            disabled={!pagination.hasPrev || loading}
+          >
+            <span className="material-symbols-outlined">chevron_left</span>
+            Previous
+          </button>
+          <span className="al-page-info">
+            {pagination.page} / {pagination.totalPages} · {pagination.total} entries
+          </span>
+          <button
+            className="al-page-btn"
+            onClick={() => fetchEntries(pagination.page + 1)}
+            disabled={!pagination.hasNext || loading}
+          >
+            Next
+            <span className="material-symbols-outlined">chevron_right</span>
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AuditLog
@@ -1,10 +1,49 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
-import maplibregl from 'maplibre-gl'
-import 'maplibre-gl/dist/maplibre-gl.css'
 import api from '../../config/api'
+import {
+  emptyGeofence,
+  toGeofenceForm,
+  toGeofencePayload,
+  geofenceFormError,
+  describeGeofence,
+} from '../../config/geofence'
+import {
+  DEFAULT_CHECK_IN_RULES,
+  CHECK_IN_RULE_OPTIONS,
+  getCheckInRules,
+} from '../../config/checkInRules'
+import { MEETING_TYPES, getMeetingTypeMeta, isInPersonType } from '../../config/meetingTypes'
+import { downloadMeetingCalendar } from '../../config/calendar'
+import QRImage from '../../components/QRImage'
+import GeofenceEditor from '../../components/GeofenceEditor'
 import './ManageMeetings.css'
 
-const TYPES = ['offline', 'online']
+const REPEAT_OPTIONS = [
+  { value: '', label: 'Does not repeat' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'biweekly', label: 'Every 2 weeks' },
+  { value: 'monthly', label: 'Monthly' },
+]
+const FREQUENCY_LABELS = { weekly: 'Weekly', biweekly: 'Every 2 weeks', monthly: 'Monthly' }
+const IMPORT_RESULT_LABELS = {
+  create: 'New',
+  update: 'Update',
+  unchanged: 'Unchanged',
+  skipped: 'Skipped',
+  invalid: 'Invalid',
+}
+const IMPORT_FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  type: 'type',
+  dateTime: 'time',
+  duration: 'duration',
+  location: 'location',
+  meetingLink: 'link',
+}
+const RSVP_STATUS_LABELS = { going: 'Going', waitlisted: 'Waitlisted', cancelled: 'Cancelled' }
+const QR_ROTATION_OPTIONS = [10, 20, 30, 60]
+const DEFAULT_QR_ROTATION = 20
 
 const ManageMeetings = () => {
   // ── Data state ────────────────────────────────────
@@ -24,7 +63,9 @@ const ManageMeetings = () => {
   const [showForm, setShowForm] = useState(false)
   const [editing, setEditing] = useState(null) // null = create, object = edit
   const [confirmDelete, setConfirmDelete] = useState(null)
+  const [seriesScope, setSeriesScope] = useState('this') // 'this' | 'future' — for series occurrences
   const [qrModal, setQrModal] = useState(null) // meeting with QR to show
+  const [rsvpList, setRsvpList] = useState(null) // { meeting, summary, rsvps } for the RSVP modal
 
   // ── Form state ────────────────────────────────────
   const [form, setForm] = useState({
@@ -35,12 +76,25 @@ const ManageMeetings = () => {
     duration: 60,
     location: '',
     meetingLink: '',
+    venue: '',
     geofencingEnabled: false,
-    geofenceLat: 0,
-    geofenceLng: 0,
-    geofenceRadius: 200,
+    geofence: emptyGeofence(),
+    checkInRules: { ...DEFAULT_CHECK_IN_RULES.offline },
+    qrGraceSeconds: 20,
+    qrRotationSeconds: DEFAULT_QR_ROTATION,
+    checkInOpensBefore: 0,
+    checkInClosesAfter: '',
+    lateAfterMinutes: 15,
+    checkOutEnabled: false,
+    minimumStayMinutes: '',
+    capacity: '',
+    rsvpRequired: false,
     participation: 'anyone',
     selectedParticipants: [],
+    repeat: '',
+    repeatEnds: 'never',
+    repeatUntil: '',
+    repeatCount: 8,
   })
   const [formError, setFormError] = useState('')
   const [saving, setSaving] = useState(false)
@@ -51,11 +105,8 @@ const ManageMeetings = () => {
   const [usersLoading, setUsersLoading] = useState(false)
   const participantSearchTimeout = useRef(null)
 
-  // ── Map refs ──────────────────────────────────────
-  const mapContainerRef = useRef(null)
-  const mapInstanceRef = useRef(null)
-  const markerRef = useRef(null)
-  const circleLayerAdded = useRef(false)
+  // ── Venues (offline meetings) ─────────────────────
+  const [venues, setVenues] = useState([])
 
   // ── Action state ──────────────────────────────────
   const [deletingId, setDeletingId] = useState(null)
@@ -65,8 +116,15 @@ const ManageMeetings = () => {
   const [toast, setToast] = useState(null)
   const [copiedLinkId, setCopiedLinkId] = useState(null)
 
+  // ── Calendar (.ics) import ────────────────────────
+  const [importFile, setImportFile] = useState(null) // { name, ics }
+  const [importPreview, setImportPreview] = useState(null) // dry-run result
+  const [importing, setImporting] = useState(false)
+  const importInputRef = useRef(null)
+
   // ── QR auto-refresh ───────────────────────────────
-  const [qrCountdown, setQrCountdown] = useState(20)
+  const [qrCountdown, setQrCountdown] = useState(DEFAULT_QR_ROTATION)
+  const [qrInterval, setQrInterval] = useState(DEFAULT_QR_ROTATION)
   const [qrAutoRefresh, setQrAutoRefresh] = useState(true)
   const [qrResetKey, setQrResetKey] = useState(0)
   const [togglingPause, setTogglingPause] = useState(false)
@@ -113,6 +171,15 @@ const ManageMeetings = () => {
     }
   }, [participantSearch, form.participation, showForm, fetchAvailableUsers])
 
+  // Load venues whenever the form opens, so new ones show up
+  useEffect(() => {
+    if (!showForm) return
+    api
+      .get('/venues')
+      .then((data) => data.success && setVenues(data.data))
+      .catch((err) => console.error('Failed to fetch venues:', err))
+  }, [showForm])
+
   // Fetch users when participation mode switches to "selected"
   useEffect(() => {
     if (form.participation === 'selected' && showForm) {
@@ -180,234 +247,11 @@ const ManageMeetings = () => {
     searchTimeoutRef.current = setTimeout(() => {}, 300)
   }
 
-  // ── Map initialisation & cleanup ──────────────────
-  useEffect(() => {
-    if (!showForm || !form.geofencingEnabled) {
-      // Destroy map when modal closes or geofencing is turned off
-      if (mapInstanceRef.current) {
-        mapInstanceRef.current.remove()
-        mapInstanceRef.current = null
-        markerRef.current = null
-        circleLayerAdded.current = false
-      }
-      return
-    }
-
-    // Wait for the container to mount
-    const timer = setTimeout(() => {
-      const container = mapContainerRef.current
-      if (!container || mapInstanceRef.current) return
-
-      const initialCenter = form.geofenceLat && form.geofenceLng
-        ? [form.geofenceLng, form.geofenceLat]
-        : [80.4625, 17.7231] // Vishnu University default
-
-      const map = new maplibregl.Map({
-        container,
-        style: {
-          version: 8,
-          sources: {
-            'osm-tiles': {
-              type: 'vector',
-              tiles: ['https://maps.osm.n5n.live/planettiles/{z}/{x}/{y}.mvt'],
-              maxzoom: 14,
-            },
-          },
-          layers: [
-            {
-              id: 'background',
-              type: 'background',
-              paint: { 'background-color': '#f0f0f0' },
-            },
-            {
-              id: 'water',
-              type: 'fill',
-              source: 'osm-tiles',
-              'source-layer': 'water',
-              paint: { 'fill-color': '#aad3df' },
-            },
-            {
-              id: 'landuse',
-              type: 'fill',
-              source: 'osm-tiles',
-              'source-layer': 'landuse',
-              paint: { 'fill-color': '#e0e8d8', 'fill-opacity': 0.5 },
-            },
-            {
-              id: 'park',
-              type: 'fill',
-              source: 'osm-tiles',
-              'source-layer': 'park',
-              paint: { 'fill-color': '#c8facc', 'fill-opacity': 0.5 },
-            },
-            {
-              id: 'landcover',
-              type: 'fill',
-              source: 'osm-tiles',
-              'source-layer': 'landcover',
-              paint: { 'fill-color': '#e0e8d8', 'fill-opacity': 0.3 },
-            },
-            {
-              id: 'transportation',
-              type: 'line',
-              source: 'osm-tiles',
-              'source-layer': 'transportation',
-              paint: { 'line-color': '#ffffff', 'line-width': 1.5 },
-            },
-            {
-              id: 'transportation-name',
-              type: 'symbol',
-              source: 'osm-tiles',
-              'source-layer': 'transportation_name',
-              layout: {
-                'text-field': '{name}',
-                'text-font': ['Open Sans Regular'],
-                'text-size': 10,
-                'symbol-placement': 'line',
-              },
-              paint: { 'text-color': '#555', 'text-halo-color': '#fff', 'text-halo-width': 1 },
-            },
-            {
-              id: 'building',
-              type: 'fill',
-              source: 'osm-tiles',
-              'source-layer': 'building',
-              paint: { 'fill-color': '#d9d0c9', 'fill-opacity': 0.6 },
-            },
-            {
-              id: 'place',
-              type: 'symbol',
-              source: 'osm-tiles',
-              'source-layer': 'place',
-              layout: {
-                'text-field': '{name}',
-                'text-font': ['Open Sans Regular'],
-                'text-size': ['interpolate', ['linear'], ['zoom'], 6, 10, 14, 16],
-              },
-              paint: { 'text-color': '#333', 'text-halo-color': '#fff', 'text-halo-width': 1.2 },
-            },
-            {
-              id: 'poi',
-              type: 'symbol',
-              source: 'osm-tiles',
-              'source-layer': 'poi',
-              minzoom: 13,
-              layout: {
-                'text-field': '{name}',
-                'text-font': ['Open Sans Regular'],
-                'text-size': 10,
-                'text-offset': [0, 0.6],
-                'text-anchor': 'top',
-              },
-              paint: { 'text-color': '#666', 'text-halo-color': '#fff', 'text-halo-width': 1 },
-            },
-          ],
-          glyphs: 'https://demotiles.maplibre.org/font/{fontstack}/{range}.pbf',
-        },
-        center: initialCenter,
-        zoom: form.geofenceLat && form.geofenceLng ? 16 : 15,
-        attributionControl: false,
-      })
-
-      map.addControl(new maplibregl.NavigationControl(), 'top-right')
-
-      mapInstanceRef.current = map
-
-      // Helper: create / update the geofence circle
-      const updateCircle = (lng, lat, radiusMetres) => {
-        const points = 64
-        const geoJSON = {
-          type: 'Feature',
-          geometry: {
-            type: 'Polygon',
-            coordinates: [
-              Array.from({ length: points + 1 }, (_, i) => {
-                const angle = (i / points) * 2 * Math.PI
-                const dx = (radiusMetres / 111320) * Math.cos(angle) / Math.cos((lat * Math.PI) / 180)
-                const dy = (radiusMetres / 110540) * Math.sin(angle)
-                return [lng + dx, lat + dy]
-              }),
-            ],
-          },
-        }
-
-        if (circleLayerAdded.current) {
-          map.getSource('geofence-circle')?.setData(geoJSON)
-        } else {
-          map.addSource('geofence-circle', { type: 'geojson', data: geoJSON })
-          map.addLayer({
-            id: 'geofence-fill',
-            type: 'fill',
-            source: 'geofence-circle',
-            paint: { 'fill-color': '#4285f4', 'fill-opacity': 0.15 },
-          })
-          map.addLayer({
-            id: 'geofence-border',
-            type: 'line',
-            source: 'geofence-circle',
-            paint: { 'line-color': '#4285f4', 'line-width': 2.5, 'line-dasharray': [2, 2] },
-          })
-          circleLayerAdded.current = true
-        }
-      }
-
-      map.on('load', () => {
-        // If existing marker (editing), place it
-        if (form.geofenceLat && form.geofenceLng) {
-          const marker = new maplibregl.Marker({ color: '#ea4335' })
-            .setLngLat([form.geofenceLng, form.geofenceLat])
-            .addTo(map)
-          markerRef.current = marker
-          updateCircle(form.geofenceLng, form.geofenceLat, form.geofenceRadius)
-        }
-
-        // Click to set location
-        map.on('click', (e) => {
-          const { lng, lat } = e.lngLat
-
-          if (markerRef.current) {
-            markerRef.current.setLngLat([lng, lat])
-          } else {
-            const marker = new maplibregl.Marker({ color: '#ea4335' })
-              .setLngLat([lng, lat])
-              .addTo(map)
-            markerRef.current = marker
-          }
-
-          setForm((prev) => ({
-            ...prev,
-            geofenceLat: parseFloat(lat.toFixed(6)),
-            geofenceLng: parseFloat(lng.toFixed(6)),
-          }))
-
-          updateCircle(lng, lat, form.geofenceRadius)
-        })
-      })
-
-      // Expose updateCircle so the radius slider can call it
-      mapInstanceRef.current._updateCircle = updateCircle
-    }, 80)
-
-    return () => clearTimeout(timer)
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [showForm, form.geofencingEnabled])
-
-  // Update circle when radius changes via slider
-  useEffect(() => {
-    if (
-      mapInstanceRef.current?._updateCircle &&
-      form.geofenceLat &&
-      form.geofenceLng &&
-      circleLayerAdded.current
-    ) {
-      mapInstanceRef.current._updateCircle(form.geofenceLng, form.geofenceLat, form.geofenceRadius)
-    }
-  }, [form.geofenceRadius, form.geofenceLat, form.geofenceLng])
-
   // ── QR auto-refresh timer ─────────────────────────
-  // The server background service regenerates QR codes every 20 s.
-  // GET /meetings/:id/qr-status returns the current QR + how many
-  // seconds remain until the NEXT server-side refresh.
+  // The server background service regenerates each meeting's QR every
+  // `qrRotationSeconds` (20 s by default).
+  // GET /meetings/:id/qr-status returns the current QR, the meeting's
+  // interval and how many seconds remain until its NEXT refresh.
   //
   // Flow:
   //   1. Modal opens → fetch qr-status → get QR + secondsRemaining (e.g. 14)
@@ -422,7 +266,7 @@ const ManageMeetings = () => {
     }
 
     if (!qrModal || !qrAutoRefresh) {
-      setQrCountdown(20)
+      setQrCountdown(qrModal?.qrRotationSeconds || DEFAULT_QR_ROTATION)
       return
     }
 
@@ -439,13 +283,15 @@ const ManageMeetings = () => {
         if (cancelled) return
 
         if (data.success) {
-          const { qrCode, qrData, secondsRemaining, qrPaused } = data.data
+          const { hasQR, qrGeneration, secondsRemaining, qrPaused, refreshInterval } = data.data
+
+          if (refreshInterval) setQrInterval(refreshInterval)
 
-          if (qrCode) {
-            setQrModal((curr) => (curr ? { ...curr, qrCode } : null))
+          if (hasQR) {
+            setQrModal((curr) => (curr ? { ...curr, hasQR, qrGeneration } : null))
             setMeetings((prev) =>
               prev.map((m) =>
-                m._id === qrModal._id ? { ...m, qrCode, qrData } : m
+                m._id === qrModal._id ? { ...m, hasQR, qrGeneration } : m
               )
             )
           }
@@ -457,7 +303,7 @@ const ManageMeetings = () => {
           }
 
           // Start counting down from the server-provided value
-          startTick(secondsRemaining ?? 20)
+          startTick(secondsRemaining ?? refreshInterval ?? DEFAULT_QR_ROTATION)
         }
       } catch (err) {
         console.error('QR status poll failed:', err)
@@ -507,9 +353,19 @@ const ManageMeetings = () => {
 
   // Reset auto-refresh when opening modal
   const openQrModal = (meeting) => {
+    const interval = meeting.qrRotationSeconds || DEFAULT_QR_ROTATION
     setQrAutoRefresh(true)
-    setQrCountdown(20)
+    setQrInterval(interval)
+    setQrCountdown(interval)
     setQrModal(meeting)
+
+    // Outside the live window the server only rotates QRs opened for preview
+    if (isInPersonType(meeting.type) && meeting.hasQR) {
+      api
+        .post(`/meetings/${meeting._id}/qr-preview`)
+        .then(() => setQrResetKey((k) => k + 1)) // Re-sync countdown with the preview rotation
+        .catch((err) => console.error('QR preview failed:', err))
+    }
   }
 
   // ── Toast helper ──────────────────────────────────
@@ -529,12 +385,25 @@ const ManageMeetings = () => {
       duration: 60,
       location: '',
       meetingLink: '',
+      venue: '',
       geofencingEnabled: false,
-      geofenceLat: 0,
-      geofenceLng: 0,
-      geofenceRadius: 200,
+      geofence: emptyGeofence(),
+      checkInRules: { ...DEFAULT_CHECK_IN_RULES.offline },
+      qrGraceSeconds: 20,
+      qrRotationSeconds: DEFAULT_QR_ROTATION,
+      checkInOpensBefore: 0,
+      checkInClosesAfter: '',
+      lateAfterMinutes: 15,
+      checkOutEnabled: false,
+      minimumStayMinutes: '',
+      capacity: '',
+      rsvpRequired: false,
       participation: 'anyone',
       selectedParticipants: [],
+      repeat: '',
+      repeatEnds: 'never',
+      repeatUntil: '',
+      repeatCount: 8,
     })
     setParticipantSearch('')
     setFormError('')
@@ -557,19 +426,56 @@ const ManageMeetings = () => {
       duration: meeting.duration || 60,
       location: meeting.location || '',
       meetingLink: meeting.meetingLink || '',
+      venue: meeting.venue?._id || '',
       geofencingEnabled: meeting.geofencing?.enabled || false,
-      geofenceLat: meeting.geofencing?.center?.lat || 0,
-      geofenceLng: meeting.geofencing?.center?.lng || 0,
-      geofenceRadius: meeting.geofencing?.radius || 200,
+      geofence: toGeofenceForm(meeting.geofencing),
+      checkInRules: getCheckInRules(meeting),
+      qrGraceSeconds: meeting.qrGraceSeconds ?? 20,
+      qrRotationSeconds: meeting.qrRotationSeconds || DEFAULT_QR_ROTATION,
+      checkInOpensBefore: meeting.checkInOpensBefore || 0,
+      checkInClosesAfter: meeting.checkInClosesAfter ?? '',
+      lateAfterMinutes: meeting.lateAfterMinutes ?? 15,
+      checkOutEnabled: meeting.checkOutEnabled || false,
+      minimumStayMinutes: meeting.minimumStayMinutes ?? '',
+      capacity: meeting.capacity ?? '',
+      rsvpRequired: meeting.rsvpRequired || false,
       participation: meeting.participation || 'anyone',
       selectedParticipants: meeting.participants || [],
+      repeat: '',
+      repeatEnds: 'never',
+      repeatUntil: '',
+      repeatCount: 8,
     })
+    setSeriesScope('this')
     setParticipantSearch('')
     setFormError('')
     setShowForm(true)
   }
 
+  // Switching type resets the check-in rules to that type's defaults
+  const setFormType = (type) => {
+    if (type === form.type) return
+    setForm({ ...form, type, checkInRules: { ...DEFAULT_CHECK_IN_RULES[type] } })
+  }
+
+  // A new venue brings its capacity, unless the admin typed their own
+  const setFormVenue = (venueId) => {
+    const previous = venues.find((v) => v._id === form.venue)
+    const next = venues.find((v) => v._id === venueId)
+    const keepCapacity = form.capacity !== '' && Number(form.capacity) !== previous?.defaultCapacity
+    setForm({ ...form, venue: venueId, capacity: keepCapacity ? form.capacity : next?.defaultCapacity ?? '' })
+  }
+
+  const setCheckInRule = (method, rule) => {
+    setForm((prev) => ({ ...prev, checkInRules: { ...prev.checkInRules, [method]: rule } }))
+  }
+
   // ── Form submit ───────────────────────────────────
+  // Venue chosen in the form (its geofence replaces the meeting's own)
+  const selectedVenue = venues.find((v) => v._id === form.venue)
+  const formHasGeofence = isInPersonType(form.type) &&
+    (selectedVenue ? !!selectedVenue.geofence?.enabled : form.geofencingEnabled)
+
   const handleFormSubmit = async (e) => {
     e.preventDefault()
     setFormError('')
@@ -582,6 +488,21 @@ const ManageMeetings = () => {
       setFormError('Date and time is required.')
       return
     }
+    if (!editing && form.repeat && form.repeatEnds === 'until' && !form.repeatUntil) {
+      setFormError('Choose the date the series ends.')
+      return
+    }
+    if (form.checkInRules.qr === 'off' && form.checkInRules.link === 'off') {
+      setFormError('Allow at least one check-in method.')
+      return
+    }
+    if (isInPersonType(form.type) && !form.venue && form.geofencingEnabled) {
+      const fenceError = geofenceFormError(form.geofence)
+      if (fenceError) {
+        setFormError(fenceError)
+        return
+      }
+    }
 
     try {
       setSaving(true)
@@ -594,32 +515,58 @@ const ManageMeetings = () => {
         duration: parseInt(form.duration, 10) || 60,
         location: form.location.trim(),
         meetingLink: form.meetingLink.trim(),
+        qrGraceSeconds: Math.min(300, Math.max(0, parseInt(form.qrGraceSeconds, 10) || 0)),
+        qrRotationSeconds: parseInt(form.qrRotationSeconds, 10) || DEFAULT_QR_ROTATION,
+        checkInOpensBefore: Math.min(120, Math.max(0, parseInt(form.checkInOpensBefore, 10) || 0)),
+        checkInClosesAfter: form.checkInClosesAfter === ''
+          ? null
+          : Math.min(720, Math.max(0, parseInt(form.checkInClosesAfter, 10) || 0)),
+        lateAfterMinutes: Math.min(720, Math.max(0, parseInt(form.lateAfterMinutes, 10) || 0)),
+        checkOutEnabled: form.checkOutEnabled,
+        minimumStayMinutes: form.checkOutEnabled && form.minimumStayMinutes !== ''
+          ? Math.min(720, Math.max(1, parseInt(form.minimumStayMinutes, 10) || 1))
+          : null,
+        capacity: form.capacity === ''
+          ? null
+          : Math.min(100000, Math.max(1, parseInt(form.capacity, 10) || 1)),
+        rsvpRequired: form.rsvpRequired,
         participation: form.participation,
         participants: form.participation === 'selected'
           ? form.selectedParticipants.map((p) => p._id)
           : [],
-        geofencing: {
-          enabled: form.geofencingEnabled,
-          center: { lat: form.geofenceLat, lng: form.geofenceLng },
-          radius: form.geofenceRadius,
-        },
+        venue: isInPersonType(form.type) ? form.venue || null : null,
+        geofencing: toGeofencePayload(form.geofencingEnabled && !form.venue, form.geofence),
+        checkInRules: form.checkInRules,
       }
 
       let data
       if (editing) {
+        if (editing.series) body.scope = seriesScope
         data = await api.patch(`/meetings/${editing._id}`, body)
         if (data.success) {
-          setMeetings((prev) =>
-            prev.map((m) => (m._id === editing._id ? data.data : m))
-          )
-          showToast('success', 'Meeting updated successfully')
+          if (body.scope === 'future') {
+            // Later occurrences changed too
+            fetchMeetings(pagination.page)
+          } else {
+            setMeetings((prev) =>
+              prev.map((m) => (m._id === editing._id ? data.data : m))
+            )
+          }
+          showToast('success', data.message || 'Meeting updated successfully')
         }
       } else {
+        if (form.repeat) {
+          body.recurrence = {
+            frequency: form.repeat,
+            until: form.repeatEnds === 'until' ? new Date(`${form.repeatUntil}T23:59:59`).toISOString() : null,
+            count: form.repeatEnds === 'count' ? parseInt(form.repeatCount, 10) || 1 : null,
+          }
+        }
         data = await api.post('/meetings', body)
         if (data.success) {
           // Refresh list
           fetchMeetings(1)
-          showToast('success', 'Meeting created successfully')
+          showToast('success', data.message || 'Meeting created successfully')
         }
       }
 
@@ -638,12 +585,17 @@ const ManageMeetings = () => {
 
     try {
       setDeletingId(confirmDelete._id)
-      const data = await api.delete(`/meetings/${confirmDelete._id}`)
+      const scope = confirmDelete.series ? seriesScope : 'this'
+      const data = await api.delete(`/meetings/${confirmDelete._id}?scope=${scope}`)
 
       if (data.success) {
-        setMeetings((prev) => prev.filter((m) => m._id !== confirmDelete._id))
-        setPagination((prev) => ({ ...prev, total: prev.total - 1 }))
-        showToast('success', `"${confirmDelete.title}" deleted`)
+        if (scope === 'future') {
+          fetchMeetings(pagination.page)
+        } else {
+          setMeetings((prev) => prev.filter((m) => m._id !== confirmDelete._id))
+          setPagination((prev) => ({ ...prev, total: prev.total - 1 }))
+        }
+        showToast('success', data.message || `"${confirmDelete.title}" deleted`)
       }
     } catch (err) {
       console.error('Delete failed:', err)
@@ -665,16 +617,16 @@ const ManageMeetings = () => {
         setMeetings((prev) =>
           prev.map((m) =>
             m._id === meeting._id
-              ? { ...m, qrCode: data.data.qrCode, qrData: data.data.qrData }
+              ? { ...m, hasQR: true, qrGeneration: data.data.qrGeneration }
               : m
           )
         )
         setQrModal((curr) =>
-          curr ? { ...curr, qrCode: data.data.qrCode } : null
+          curr ? { ...curr, hasQR: true, qrGeneration: data.data.qrGeneration } : null
         )
         // If modal isn't open yet (first generate from table), open it
         if (!qrModal) {
-          openQrModal({ ...meeting, qrCode: data.data.qrCode })
+          openQrModal({ ...meeting, hasQR: true, qrGeneration: data.data.qrGeneration })
         }
         setQrResetKey((k) => k + 1) // Force timer effect to restart
         showToast('success', 'QR code generated')
@@ -687,7 +639,7 @@ const ManageMeetings = () => {
     }
   }
 
-  // ── Generate Attendance Link (online meetings) ────
+  // ── Generate Attendance Link (link check-in) ─────
   const handleGenerateAttendanceLink = async (meeting) => {
     try {
       setGeneratingLink(meeting._id)
@@ -790,20 +742,94 @@ const ManageMeetings = () => {
     (acc, m) => {
       const s = getMeetingStatus(m)
       acc[s] = (acc[s] || 0) + 1
-      if (m.type === 'online') acc.online++
-      else acc.offline++
+      acc[m.type] = (acc[m.type] || 0) + 1
       return acc
     },
-    { active: 0, upcoming: 0, past: 0, online: 0, offline: 0 }
+    { active: 0, upcoming: 0, past: 0, online: 0, offline: 0, hybrid: 0 }
   )
 
   // ── Download QR ───────────────────────────────────
-  const downloadQR = (meeting) => {
-    if (!meeting.qrCode) return
-    const link = document.createElement('a')
-    link.download = `QR-${meeting.title.replace(/\s+/g, '-')}.png`
-    link.href = meeting.qrCode
-    link.click()
+  const downloadQR = async (meeting) => {
+    if (!meeting.hasQR) return
+    try {
+      const blob = await api.getBlob(`/meetings/${meeting._id}/qr.png`)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.download = `QR-${meeting.title.replace(/\s+/g, '-')}.png`
+      link.href = url
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      console.error('QR download failed:', err)
+      showToast('error', err.data?.message || 'Failed to download QR code')
+    }
+  }
+
+  // ── Import .ics ───────────────────────────────────
+  // Every file is previewed (dry run) first; nothing is saved until confirmed
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = '' // allow picking the same file again
+    if (!file) return
+    try {
+      setImporting(true)
+      const ics = await file.text()
+      const data = await api.post('/calendar/import', { ics, fileName: file.name, dryRun: true })
+      if (data.success) {
+        setImportFile({ name: file.name, ics })
+        setImportPreview(data.data)
+      }
+    } catch (err) {
+      showToast('error', err.data?.message || 'Failed to read the calendar file')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const handleImportConfirm = async () => {
+    try {
+      setImporting(true)
+      const data = await api.post('/calendar/import', {
+        ics: importFile.ics,
+        fileName: importFile.name,
+        dryRun: false,
+      })
+      if (data.success) {
+        showToast('success', data.message)
+        closeImport()
+        fetchMeetings(1)
+      }
+    } catch (err) {
+      showToast('error', err.data?.message || 'Failed to import meetings')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const closeImport = () => {
+    setImportFile(null)
+    setImportPreview(null)
+  }
+
+  // ── RSVPs ─────────────────────────────────────────
+  const openRsvpList = async (meeting) => {
+    try {
+      const data = await api.get(`/meetings/${meeting._id}/rsvps`)
+      if (data.success) setRsvpList(data.data)
+    } catch (err) {
+      console.error('Fetch RSVPs failed:', err)
+      showToast('error', err.data?.message || 'Failed to load RSVPs')
+    }
+  }
+
+  // ── Download .ics ─────────────────────────────────
+  const downloadCalendar = async (meeting) => {
+    try {
+      await downloadMeetingCalendar(meeting)
+    } catch (err) {
+      console.error('Calendar download failed:', err)
+      showToast('error', err.data?.message || 'Failed to download calendar file')
+    }
   }
 
   return (
@@ -818,10 +844,30 @@ const ManageMeetings = () => {
               Create and manage meetings, generate QR codes, and control event access.
             </p>
           </div>
-          <button className="mt-btn mt-btn-primary" onClick={openCreateForm}>
-            <span className="material-symbols-outlined">add</span>
-            Create Meeting
-          </button>
+          <div className="mt-header-actions">
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".ics,text/calendar"
+              hidden
+              onChange={handleImportFile}
+            />
+            <button
+              className="mt-btn mt-btn-ghost"
+              onClick={() => importInputRef.current?.click()}
+              disabled={importing}
+              title="Create meetings from an iCalendar (.ics) file"
+            >
+              <span className="material-symbols-outlined">
+                {importing && !importPreview ? 'hourglass_empty' : 'upload_file'}
+              </span>
+              Import .ics
+            </button>
+            <button className="mt-btn mt-btn-primary" onClick={openCreateForm}>
+              <span className="material-symbols-outlined">add</span>
+              Create Meeting
+            </button>
+          </div>
         </div>
 
         {/* Stats chips */}
@@ -896,16 +942,16 @@ const ManageMeetings = () => {
           </div>
 
           <div className="mt-filter-chips">
-            {TYPES.map((t) => (
+            {MEETING_TYPES.map((t) => (
               <button
                 key={t}
                 className={`mt-chip mt-chip-type ${typeFilter === t ? 'mt-chip-active' : ''}`}
                 onClick={() => setTypeFilter(typeFilter === t ? '' : t)}
               >
                 <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>
-                  {t === 'online' ? 'videocam' : 'location_on'}
+                  {t === 'offline' ? 'location_on' : getMeetingTypeMeta(t).icon}
                 </span>
-                {t.charAt(0).toUpperCase() + t.slice(1)}
+                {getMeetingTypeMeta(t).label}
               </button>
             ))}
           </div>
@@ -991,6 +1037,7 @@ const ManageMeetings = () => {
             ) : (
               meetings.map((meeting) => {
                 const status = getMeetingStatus(meeting)
+                const checkInRules = getCheckInRules(meeting)
                 return (
                   <tr key={meeting._id} className={meeting.isActive ? 'mt-row-active' : ''}>
                     {/* Title + Description */}
@@ -998,7 +1045,17 @@ const ManageMeetings = () => {
                       <div className="mt-meeting-info">
                         <span className={`mt-meeting-dot mt-dot-${status}`} />
                         <div>
-                          <span className="mt-meeting-name">{meeting.title}</span>
+                          <span className="mt-meeting-name">
+                            {meeting.title}
+                            {meeting.series && (
+                              <span
+                                className="mt-series-badge"
+                                title={`Recurring · ${FREQUENCY_LABELS[meeting.series.frequency] || 'Series'}`}
+                              >
+                                <span className="material-symbols-outlined" style={{ fontSize: '12px' }}>repeat</span>
+                              </span>
+                            )}
+                          </span>
                           {meeting.description && (
                             <span className="mt-meeting-desc">
                               {meeting.description.length > 60
@@ -1012,8 +1069,11 @@ const ManageMeetings = () => {
                                 {meeting.type === 'online' ? 'videocam' : 'location_on'}
                               </span>
                               {meeting.location}
-                              {meeting.geofencing?.enabled && (
-                                <span className="mt-geofence-badge" title={`Geofenced: ${meeting.geofencing.radius}m radius`}>
+                              {(meeting.venue?.geofence ?? meeting.geofencing)?.enabled && (
+                                <span
+                                  className="mt-geofence-badge"
+                                  title={`Geofenced: ${describeGeofence(meeting.venue?.geofence ?? meeting.geofencing)}`}
+                                >
                                   <span className="material-symbols-outlined" style={{ fontSize: '12px' }}>fence</span>
                                 </span>
                               )}
@@ -1027,9 +1087,9 @@ const ManageMeetings = () => {
                     <td className="mt-cell-type">
                       <span className={`mt-type-pill mt-type-${meeting.type}`}>
                         <span className="material-symbols-outlined" style={{ fontSize: '14px' }}>
-                          {meeting.type === 'online' ? 'videocam' : 'groups'}
+                          {getMeetingTypeMeta(meeting.type).icon}
                         </span>
-                        {meeting.type === 'online' ? 'Online' : 'Offline'}
+                        {getMeetingTypeMeta(meeting.type).label}
                       </span>
                     </td>
 
@@ -1051,60 +1111,65 @@ const ManageMeetings = () => {
                       </span>
                     </td>
 
-                    {/* Attendance (QR for offline, Link for online) */}
+                    {/* Attendance (QR and / or link, per the check-in rules) */}
                     <td className="mt-cell-qr">
-                      {meeting.type === 'online' ? (
-                        /* Online: show attendance link */
-                        meeting.attendanceToken ? (
-                          <button
-                            className={`mt-link-copy-btn ${copiedLinkId === meeting._id ? 'mt-link-copied' : ''}`}
-                            onClick={() => copyAttendanceLink(meeting)}
-                            title="Copy attendance link"
-                          >
-                            <span className="material-symbols-outlined" style={{ fontSize: '18px' }}>
-                              {copiedLinkId === meeting._id ? 'check' : 'link'}
-                            </span>
-                            {copiedLinkId === meeting._id ? 'Copied' : 'Copy Link'}
-                          </button>
-                        ) : (
-                          <button
-                            className="mt-icon-btn mt-qr-gen-btn"
-                            onClick={() => handleGenerateAttendanceLink(meeting)}
-                            disabled={generatingLink === meeting._id}
-                            title="Generate Attendance Link"
-                          >
-                            {generatingLink === meeting._id ? (
-                              <span className="mt-spinner" />
-                            ) : (
-                              <span className="material-symbols-outlined">add_link</span>
-                            )}
-                          </button>
-                        )
-                      ) : (
-                        /* Offline: show QR */
-                        meeting.qrCode ? (
-                          <button
-                            className="mt-qr-thumb"
-                            onClick={() => openQrModal(meeting)}
-                            title="View QR Code"
-                          >
-                            <img src={meeting.qrCode} alt="QR" />
-                          </button>
-                        ) : (
-                          <button
-                            className="mt-icon-btn mt-qr-gen-btn"
-                            onClick={() => handleGenerateQR(meeting)}
-                            disabled={generatingQR === meeting._id}
-                            title="Generate QR"
-                          >
-                            {generatingQR === meeting._id ? (
-                              <span className="mt-spinner" />
-                            ) : (
-                              <span className="material-symbols-outlined">qr_code</span>
-                            )}
-                          </button>
-                        )
-                      )}
+                      <div className="mt-checkin-methods">
+                        {checkInRules.qr !== 'off' && (
+                          meeting.hasQR ? (
+                            <button
+                              className="mt-qr-thumb"
+                              onClick={() => openQrModal(meeting)}
+                              title="View QR Code"
+                            >
+                              <QRImage
+                                meetingId={meeting._id}
+                                generation={meeting.qrGeneration}
+                                alt="QR"
+                              />
+                            </button>
+                          ) : (
+                            <button
+                              className="mt-icon-btn mt-qr-gen-btn"
+                              onClick={() => handleGenerateQR(meeting)}
+                              disabled={generatingQR === meeting._id}
+                              title="Generate QR"
+                            >
+                              {generatingQR === meeting._id ? (
+                                <span className="mt-spinner" />
+                              ) : (
+                                <span className="material-symbols-outlined">qr_code</span>
+                              )}
+                            </button>
+                          )
+                        )}
+                        {checkInRules.link !== 'off' && (
+                          meeting.attendanceToken ? (
+                            <button
+                              className={`mt-link-copy-btn ${copiedLinkId === meeting._id ? 'mt-link-copied' : ''}`}
+                              onClick={() => copyAttendanceLink(meeting)}
+                              title="Copy attendance link"
+                            >
+                              <span className="material-symbols-outlined" style={{ fontSize: '18px' }}>
+                                {copiedLinkId === meeting._id ? 'check' : 'link'}
+                              </span>
+                              {copiedLinkId === meeting._id ? 'Copied' : 'Copy Link'}
+                            </button>
+                          ) : (
+                            <button
+                              className="mt-icon-btn mt-qr-gen-btn"
+                              onClick={() => handleGenerateAttendanceLink(meeting)}
+                              disabled={generatingLink === meeting._id}
+                              title="Generate Attendance Link"
+                            >
+                              {generatingLink === meeting._id ? (
+                                <span className="mt-spinner" />
+                              ) : (
+                                <span className="material-symbols-outlined">add_link</span>
+                              )}
+                            </button>
+                          )
+                        )}
+                      </div>
                     </td>
 
                     {/* Actions */}
@@ -1120,6 +1185,20 @@ const ManageMeetings = () => {
                             {meeting.isActive ? 'toggle_on' : 'toggle_off'}
                           </span>
                         </button>
+                        <button
+                          className="mt-icon-btn"
+                          onClick={() => openRsvpList(meeting)}
+                          title={`RSVPs — ${meeting.seatsTaken || 0} going${meeting.capacity ? ` of ${meeting.capacity}` : ''}`}
+                        >
+                          <span className="material-symbols-outlined">event_available</span>
+                        </button>
+                        <button
+                          className="mt-icon-btn"
+                          onClick={() => downloadCalendar(meeting)}
+                          title="Add to calendar (.ics)"
+                        >
+                          <span className="material-symbols-outlined">calendar_add_on</span>
+                        </button>
                         <button
                           className="mt-icon-btn"
                           onClick={() => openEditForm(meeting)}
@@ -1129,7 +1208,10 @@ const ManageMeetings = () => {
                         </button>
                         <button
                           className="mt-icon-btn mt-delete-btn"
-                          onClick={() => setConfirmDelete(meeting)}
+                          onClick={() => {
+                            setSeriesScope('this')
+                            setConfirmDelete(meeting)
+                          }}
                           disabled={deletingId === meeting._id}
                           title="Delete"
                         >
@@ -1175,7 +1257,7 @@ const ManageMeetings = () => {
       {/* ── Create / Edit Modal ─────────────────── */}
       {showForm && (
         <div className="mt-modal-overlay" onClick={() => setShowForm(false)}>
-          <div className={`mt-modal mt-modal-form${form.geofencingEnabled ? ' mt-modal-wide' : ''}`} onClick={(e) => e.stopPropagation()}>
+          <div className={`mt-modal mt-modal-form${form.geofencingEnabled && !form.venue ? ' mt-modal-wide' : ''}`} onClick={(e) => e.stopPropagation()}>
             <div className="mt-modal-header">
               <h3 className="mt-modal-title">
                 <span className="material-symbols-outlined">
@@ -1196,6 +1278,30 @@ const ManageMeetings = () => {
                 </div>
               )}
 
+              {editing?.series && (
+                <div className="mt-field">
+                  <label className="mt-label">Apply changes to</label>
+                  <div className="mt-type-toggle">
+                    <button
+                      type="button"
+                      className={`mt-type-option ${seriesScope === 'this' ? 'mt-type-selected' : ''}`}
+                      onClick={() => setSeriesScope('this')}
+                    >
+                      <span className="material-symbols-outlined">event</span>
+                      This meeting only
+                    </button>
+                    <button
+                      type="button"
+                      className={`mt-type-option ${seriesScope === 'future' ? 'mt-type-selected' : ''}`}
+                      onClick={() => setSeriesScope('future')}
+                    >
+                      <span className="material-symbols-outlined">event_repeat</span>
+                      This and following
+                    </button>
+                  </div>
+                </div>
+              )}
+
               <div className="mt-field">
                 <label className="mt-label">Title *</label>
                 <input
@@ -1226,7 +1332,7 @@ const ManageMeetings = () => {
                     <button
                       type="button"
                       className={`mt-type-option ${form.type === 'offline' ? 'mt-type-selected' : ''}`}
-                      onClick={() => setForm({ ...form, type: 'offline' })}
+                      onClick={() => setFormType('offline')}
                     >
                       <span className="material-symbols-outlined">groups</span>
                       Offline
@@ -1234,11 +1340,19 @@ const ManageMeetings = () => {
                     <button
                       type="button"
                       className={`mt-type-option ${form.type === 'online' ? 'mt-type-selected' : ''}`}
-                      onClick={() => setForm({ ...form, type: 'online' })}
+                      onClick={() => setFormType('online')}
                     >
                       <span className="material-symbols-outlined">videocam</span>
                       Online
                     </button>
+                    <button
+                      type="button"
+                      className={`mt-type-option ${form.type === 'hybrid' ? 'mt-type-selected' : ''}`}
+                      onClick={() => setFormType('hybrid')}
+                    >
+                      <span className="material-symbols-outlined">diversity_3</span>
+                      Hybrid
+                    </button>
                   </div>
                 </div>
 
@@ -1265,28 +1379,231 @@ const ManageMeetings = () => {
                 />
               </div>
 
-              <div className="mt-field">
-                <label className="mt-label">
-                  {form.type === 'online' ? 'Meeting Link' : 'Location'}
-                </label>
-                {form.type === 'online' ? (
+              {/* Recurrence is chosen once, when the series is created */}
+              {!editing && (
+                <div className="mt-field-row">
+                  <div className="mt-field">
+                    <label className="mt-label">Repeat</label>
+                    <select
+                      className="mt-input"
+                      value={form.repeat}
+                      onChange={(e) => setForm({ ...form, repeat: e.target.value })}
+                    >
+                      {REPEAT_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {form.repeat && (
+                    <div className="mt-field">
+                      <label className="mt-label">Ends</label>
+                      <select
+                        className="mt-input"
+                        value={form.repeatEnds}
+                        onChange={(e) => setForm({ ...form, repeatEnds: e.target.value })}
+                      >
+                        <option value="never">Never</option>
+                        <option value="until">On a date</option>
+                        <option value="count">After a number of meetings</option>
+                      </select>
+                    </div>
+                  )}
+
+                  {form.repeat && form.repeatEnds === 'until' && (
+                    <div className="mt-field">
+                      <label className="mt-label">Last date</label>
+                      <input
+                        type="date"
+                        className="mt-input"
+                        value={form.repeatUntil}
+                        onChange={(e) => setForm({ ...form, repeatUntil: e.target.value })}
+                      />
+                    </div>
+                  )}
+
+                  {form.repeat && form.repeatEnds === 'count' && (
+                    <div className="mt-field">
+                      <label className="mt-label">Meetings</label>
+                      <input
+                        type="number"
+                        className="mt-input"
+                        min="1"
+                        max="365"
+                        value={form.repeatCount}
+                        onChange={(e) => setForm({ ...form, repeatCount: e.target.value })}
+                      />
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {editing?.series && (
+                <p className="mt-venue-summary mt-checkin-hint">
+                  <span className="material-symbols-outlined">repeat</span>
+                  {FREQUENCY_LABELS[editing.series.frequency]} series — new occurrences are scheduled a few weeks ahead
+                </p>
+              )}
+
+              <div className="mt-field-row">
+                <div className="mt-field">
+                  <label className="mt-label">Check-in opens (min before start)</label>
                   <input
-                    type="url"
+                    type="number"
                     className="mt-input"
-                    placeholder="https://meet.google.com/abc-defg-hij"
-                    value={form.meetingLink}
-                    onChange={(e) => setForm({ ...form, meetingLink: e.target.value })}
+                    min="0"
+                    max="120"
+                    value={form.checkInOpensBefore}
+                    onChange={(e) => setForm({ ...form, checkInOpensBefore: e.target.value })}
                   />
-                ) : (
+                </div>
+
+                <div className="mt-field">
+                  <label className="mt-label">Check-in closes (min after start)</label>
+                  <input
+                    type="number"
+                    className="mt-input"
+                    min="0"
+                    max="720"
+                    placeholder="When meeting ends"
+                    value={form.checkInClosesAfter}
+                    onChange={(e) => setForm({ ...form, checkInClosesAfter: e.target.value })}
+                  />
+                </div>
+
+                <div className="mt-field">
+                  <label className="mt-label">Late after (min after start)</label>
+                  <input
+                    type="number"
+                    className="mt-input"
+                    min="0"
+                    max="720"
+                    value={form.lateAfterMinutes}
+                    onChange={(e) => setForm({ ...form, lateAfterMinutes: e.target.value })}
+                  />
+                </div>
+              </div>
+
+              {/* Hybrid meetings have both a room and a call */}
+              {isInPersonType(form.type) && (
+                <div className="mt-field">
+                  <label className="mt-label">Location</label>
                   <input
                     type="text"
                     className="mt-input"
-                    placeholder="e.g. Seminar Hall, Block A"
+                    placeholder={selectedVenue ? selectedVenue.name : 'e.g. Seminar Hall, Block A'}
                     value={form.location}
                     onChange={(e) => setForm({ ...form, location: e.target.value })}
                   />
+                </div>
+              )}
+
+              {form.type !== 'offline' && (
+                <div className="mt-field">
+                  <label className="mt-label">Meeting Link</label>
+                  <input
+                    type="url"
+                    className="mt-input"
+                    placeholder="https://meet.google.com/abc-defg-hij"
+                    value={form.meetingLink}
+                    onChange={(e) => setForm({ ...form, meetingLink: e.target.value })}
+                  />
+                </div>
+              )}
+
+              {isInPersonType(form.type) && (
+                <div className="mt-field">
+                  <label className="mt-label">Venue</label>
+                  <select
+                    className="mt-input"
+                    value={form.venue}
+                    onChange={(e) => setFormVenue(e.target.value)}
+                  >
+                    <option value="">No venue — set a geofence below</option>
+                    {venues.map((venue) => (
+                      <option key={venue._id} value={venue._id}>
+                        {venue.name}
+                      </option>
+                    ))}
+                  </select>
+                  {selectedVenue && (
+                    <p className="mt-venue-summary">
+                      <span className="material-symbols-outlined">fence</span>
+                      {describeGeofence(selectedVenue.geofence)}
+                      {selectedVenue.address && ` · ${selectedVenue.address}`}
+                      {selectedVenue.defaultCapacity && ` · holds ${selectedVenue.defaultCapacity}`}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {/* ── Check-in Methods ───────────────────── */}
+              <div className="mt-field-row">
+                {isInPersonType(form.type) && (
+                  <div className="mt-field">
+                    <label className="mt-label">QR check-in</label>
+                    <select
+                      className="mt-input"
+                      value={form.checkInRules.qr}
+                      onChange={(e) => setCheckInRule('qr', e.target.value)}
+                    >
+                      {CHECK_IN_RULE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
                 )}
+
+                <div className="mt-field">
+                  <label className="mt-label">Link check-in</label>
+                  <select
+                    className="mt-input"
+                    value={form.checkInRules.link}
+                    onChange={(e) => setCheckInRule('link', e.target.value)}
+                  >
+                    {CHECK_IN_RULE_OPTIONS.filter(
+                      (option) => isInPersonType(form.type) || option.value !== 'geofence'
+                    ).map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
               </div>
+              {isInPersonType(form.type) && !formHasGeofence && Object.values(form.checkInRules).includes('geofence') && (
+                <p className="mt-venue-summary mt-checkin-hint">
+                  <span className="material-symbols-outlined">info</span>
+                  No geofence is set, so &quot;Only inside the geofence&quot; accepts check-ins from anywhere.
+                </p>
+              )}
+
+              {isInPersonType(form.type) && form.checkInRules.qr !== 'off' && (
+                <div className="mt-field-row">
+                  <div className="mt-field">
+                    <label className="mt-label">QR rotation</label>
+                    <select
+                      className="mt-input"
+                      value={form.qrRotationSeconds}
+                      onChange={(e) => setForm({ ...form, qrRotationSeconds: parseInt(e.target.value, 10) })}
+                    >
+                      {QR_ROTATION_OPTIONS.map((sec) => (
+                        <option key={sec} value={sec}>Every {sec}s</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="mt-field">
+                    <label className="mt-label">QR grace period (seconds)</label>
+                    <input
+                      type="number"
+                      className="mt-input"
+                      min="0"
+                      max="300"
+                      value={form.qrGraceSeconds}
+                      onChange={(e) => setForm({ ...form, qrGraceSeconds: e.target.value })}
+                    />
+                  </div>
+                </div>
+              )}
 
               {/* ── Participation Section ──────────────── */}
               <div className="mt-participation-section">
@@ -1402,8 +1719,109 @@ const ManageMeetings = () => {
                 )}
               </div>
 
+              {/* ── RSVP Section ──────────────────────── */}
+              <div className="mt-geofence-section">
+                <div className="mt-geofence-toggle-row">
+                  <div className="mt-geofence-label-wrap">
+                    <span className="material-symbols-outlined mt-geofence-icon">
+                      event_available
+                    </span>
+                    <div>
+                      <span className="mt-geofence-label-title">Require RSVP</span>
+                      <span className="mt-geofence-label-sub">
+                        Only members with a confirmed RSVP can check in
+                      </span>
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    className={`mt-icon-btn mt-toggle-btn ${form.rsvpRequired ? 'mt-toggle-on' : ''}`}
+                    onClick={() =>
+                      setForm((prev) => ({
+                        ...prev,
+                        rsvpRequired: !prev.rsvpRequired,
+                      }))
+                    }
+                  >
+                    <span className="material-symbols-outlined">
+                      {form.rsvpRequired ? 'toggle_on' : 'toggle_off'}
+                    </span>
+                  </button>
+                </div>
+
+                <div className="mt-geofence-body">
+                  <div className="mt-field">
+                    <label className="mt-label">Capacity</label>
+                    <input
+                      type="number"
+                      className="mt-input"
+                      min="1"
+                      max="100000"
+                      placeholder="Unlimited"
+                      value={form.capacity}
+                      onChange={(e) => setForm({ ...form, capacity: e.target.value })}
+                    />
+                  </div>
+                  <p className="mt-venue-summary">
+                    <span className="material-symbols-outlined">info</span>
+                    Once every seat is taken, RSVPs join a waitlist and move up when someone cancels.
+                  </p>
+                </div>
+              </div>
+
               {/* ── Geofencing Section ──────────────── */}
-              {form.type === 'offline' && (
+              <div className="mt-geofence-section">
+                <div className="mt-geofence-toggle-row">
+                  <div className="mt-geofence-label-wrap">
+                    <span className="material-symbols-outlined mt-geofence-icon">
+                      logout
+                    </span>
+                    <div>
+                      <span className="mt-geofence-label-title">Check-out</span>
+                      <span className="mt-geofence-label-sub">
+                        {form.type === 'online'
+                          ? 'Members click "Leave" on the attendance page'
+                          : form.type === 'hybrid'
+                            ? 'Members scan the QR again or click "Leave" on the attendance page'
+                            : 'Members scan the QR again when they leave'}
+                      </span>
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    className={`mt-icon-btn mt-toggle-btn ${form.checkOutEnabled ? 'mt-toggle-on' : ''}`}
+                    onClick={() =>
+                      setForm((prev) => ({
+                        ...prev,
+                        checkOutEnabled: !prev.checkOutEnabled,
+                      }))
+                    }
+                  >
+                    <span className="material-symbols-outlined">
+                      {form.checkOutEnabled ? 'toggle_on' : 'toggle_off'}
+                    </span>
+                  </button>
+                </div>
+
+                {form.checkOutEnabled && (
+                  <div className="mt-geofence-body">
+                    <div className="mt-field">
+                      <label className="mt-label">Minimum stay (minutes)</label>
+                      <input
+                        type="number"
+                        className="mt-input"
+                        min="1"
+                        max="720"
+                        placeholder="No minimum"
+                        value={form.minimumStayMinutes}
+                        onChange={(e) => setForm({ ...form, minimumStayMinutes: e.target.value })}
+                      />
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {isInPersonType(form.type) && !form.venue && (
                 <div className="mt-geofence-section">
                   <div className="mt-geofence-toggle-row">
                     <div className="mt-geofence-label-wrap">
@@ -1435,49 +1853,12 @@ const ManageMeetings = () => {
 
                   {form.geofencingEnabled && (
                     <div className="mt-geofence-body">
-                      <p className="mt-geofence-hint">
-                        <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>
-                          touch_app
-                        </span>
-                        Click on the map to set the meeting location
-                      </p>
-
-                      <div className="mt-map-container" ref={mapContainerRef} />
-
-                      {form.geofenceLat !== 0 && form.geofenceLng !== 0 && (
-                        <div className="mt-geofence-coords">
-                          <span className="material-symbols-outlined" style={{ fontSize: '16px', color: '#ea4335' }}>
-                            location_on
-                          </span>
-                          <span>
-                            {form.geofenceLat.toFixed(6)}, {form.geofenceLng.toFixed(6)}
-                          </span>
-                        </div>
-                      )}
-
-                      <div className="mt-radius-control">
-                        <label className="mt-label">
-                          Radius: <strong>{form.geofenceRadius}m</strong>
-                        </label>
-                        <div className="mt-radius-slider-row">
-                          <span className="mt-radius-min">10m</span>
-                          <input
-                            type="range"
-                            className="mt-radius-slider"
-                            min="10"
-                            max="2000"
-                            step="10"
-                            value={form.geofenceRadius}
-                            onChange={(e) =>
-                              setForm((prev) => ({
-                                ...prev,
-                                geofenceRadius: parseInt(e.target.value, 10),
-                              }))
-                            }
-                          />
-                          <span className="mt-radius-max">2km</span>
-                        </div>
-                      </div>
+                      <GeofenceEditor
+                        value={form.geofence}
+                        onChange={(update) =>
+                          setForm((prev) => ({ ...prev, geofence: update(prev.geofence) }))
+                        }
+                      />
                     </div>
                   )}
                 </div>
@@ -1508,6 +1889,191 @@ const ManageMeetings = () => {
         </div>
       )}
 
+      {/* ── Calendar Import Preview ─────────────── */}
+      {importPreview && (
+        <div className="mt-modal-overlay" onClick={closeImport}>
+          <div className="mt-modal mt-modal-import" onClick={(e) => e.stopPropagation()}>
+            <div className="mt-modal-header">
+              <h3 className="mt-modal-title">
+                <span className="material-symbols-outlined">upload_file</span>
+                Import {importFile?.name}
+              </h3>
+              <button className="mt-icon-btn" onClick={closeImport}>
+                <span className="material-symbols-outlined">close</span>
+              </button>
+            </div>
+
+            <div className="mt-import-body">
+              <div className="mt-import-counts">
+                {Object.entries(IMPORT_RESULT_LABELS).map(([result, label]) => (
+                  <span key={result} className={`mt-import-pill mt-import-${result}`}>
+                    {importPreview.summary[result]} {label.toLowerCase()}
+                  </span>
+                ))}
+              </div>
+
+              {importPreview.rows.length === 0 ? (
+                <p className="mt-modal-text">This file has no events.</p>
+              ) : (
+                <div className="mt-import-rows">
+                  <table className="mt-import-table">
+                    <thead>
+                      <tr>
+                        <th>Event</th>
+                        <th>When</th>
+                        <th>Where</th>
+                        <th>Result</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {importPreview.rows.map((row, index) => (
+                        <tr key={`${row.uid}-${index}`}>
+                          <td>
+                            <span className="mt-import-title">{row.title || 'Untitled event'}</span>
+                            {row.type && (
+                              <span className="mt-import-sub">
+                                {getMeetingTypeMeta(row.type).label} · {row.duration} min
+                              </span>
+                            )}
+                          </td>
+                          <td className="mt-import-when">
+                            {row.dateTime ? `${formatDate(row.dateTime)} · ${formatTime(row.dateTime)}` : '—'}
+                          </td>
+                          <td>
+                            {row.type === 'online' ? row.meetingLink : row.location || '—'}
+                            {row.type === 'hybrid' && <span className="mt-import-sub">{row.meetingLink}</span>}
+                          </td>
+                          <td>
+                            <span className={`mt-import-pill mt-import-${row.result}`}>
+                              {IMPORT_RESULT_LABELS[row.result]}
+                            </span>
+                            {row.result === 'update' && row.changes?.length > 0 && (
+                              <span className="mt-import-sub">
+                                Changes {row.changes.map((field) => IMPORT_FIELD_LABELS[field]).join(', ')}
+                              </span>
+                            )}
+                            {row.reason && <span className="mt-import-sub">{row.reason}</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <p className="mt-import-hint">
+                Re-importing the same calendar later updates the meetings whose events changed.
+                Recurring events are skipped — create them as repeating meetings instead.
+              </p>
+
+              <div className="mt-modal-actions">
+                <button className="mt-btn mt-btn-ghost" onClick={closeImport} disabled={importing}>
+                  Cancel
+                </button>
+                <button
+                  className="mt-btn mt-btn-primary"
+                  onClick={handleImportConfirm}
+                  disabled={importing || importPreview.summary.create + importPreview.summary.update === 0}
+                >
+                  {importing ? (
+                    <>
+                      <span className="mt-spinner mt-spinner-white" />
+                      Importing…
+                    </>
+                  ) : (
+                    <>
+                      <span className="material-symbols-outlined">download_done</span>
+                      Import {importPreview.summary.create} new · update {importPreview.summary.update}
+                    </>
+                  )}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ── RSVP List ───────────────────────────── */}
+      {rsvpList && (
+        <div className="mt-modal-overlay" onClick={() => setRsvpList(null)}>
+          <div className="mt-modal mt-modal-rsvps" onClick={(e) => e.stopPropagation()}>
+            <div className="mt-modal-header">
+              <h3 className="mt-modal-title">
+                <span className="material-symbols-outlined">event_available</span>
+                RSVPs · {rsvpList.meeting.title}
+              </h3>
+              <button className="mt-icon-btn" onClick={() => setRsvpList(null)}>
+                <span className="material-symbols-outlined">close</span>
+              </button>
+            </div>
+
+            <div className="mt-import-body">
+              <div className="mt-import-counts">
+                <span className="mt-import-pill mt-rsvp-going">
+                  {rsvpList.summary.going}
+                  {rsvpList.summary.capacity != null && ` of ${rsvpList.summary.capacity}`} going
+                </span>
+                <span className="mt-import-pill mt-rsvp-waitlisted">
+                  {rsvpList.summary.waitlisted} waitlisted
+                </span>
+                {rsvpList.meeting.rsvpRequired && (
+                  <span className="mt-import-pill mt-rsvp-required">RSVP required to check in</span>
+                )}
+              </div>
+
+              {rsvpList.rsvps.length === 0 ? (
+                <p className="mt-modal-text">Nobody has RSVPed yet.</p>
+              ) : (
+                <div className="mt-import-rows">
+                  <table className="mt-import-table">
+                    <thead>
+                      <tr>
+                        <th>Member</th>
+                        <th>RSVP</th>
+                        <th>Replied</th>
+                        {!rsvpList.summary.open && <th>Checked in</th>}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rsvpList.rsvps.map((rsvp) => (
+                        <tr key={rsvp._id}>
+                          <td>
+                            <span className="mt-import-title">{rsvp.user?.name || 'Deleted user'}</span>
+                            {rsvp.user?.email && <span className="mt-import-sub">{rsvp.user.email}</span>}
+                          </td>
+                          <td>
+                            <span className={`mt-import-pill mt-rsvp-${rsvp.status}`}>
+                              {rsvp.position ? `Waitlist #${rsvp.position}` : RSVP_STATUS_LABELS[rsvp.status]}
+                            </span>
+                            {rsvp.promotedAt && rsvp.status === 'going' && (
+                              <span className="mt-import-sub">From the waitlist</span>
+                            )}
+                          </td>
+                          <td className="mt-import-when">
+                            {formatDate(rsvp.queuedAt)} · {formatTime(rsvp.queuedAt)}
+                          </td>
+                          {!rsvpList.summary.open && (
+                            <td>
+                              {rsvp.status === 'cancelled' ? '—' : rsvp.attended ? 'Yes' : 'No'}
+                            </td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <div className="mt-modal-actions mt-rsvp-actions">
+                <button className="mt-btn mt-btn-ghost" onClick={() => setRsvpList(null)}>
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* ── Delete Confirmation Modal ───────────── */}
       {confirmDelete && (
         <div className="mt-modal-overlay" onClick={() => setConfirmDelete(null)}>
@@ -1520,6 +2086,26 @@ const ManageMeetings = () => {
               <strong>{confirmDelete.title}</strong> will be permanently deleted along
               with its QR code. This cannot be undone.
             </p>
+            {confirmDelete.series && (
+              <div className="mt-type-toggle mt-delete-scope">
+                <button
+                  type="button"
+                  className={`mt-type-option ${seriesScope === 'this' ? 'mt-type-selected' : ''}`}
+                  onClick={() => setSeriesScope('this')}
+                >
+                  <span className="material-symbols-outlined">event_busy</span>
+                  Skip this date
+                </button>
+                <button
+                  type="button"
+                  className={`mt-type-option ${seriesScope === 'future' ? 'mt-type-selected' : ''}`}
+                  onClick={() => setSeriesScope('future')}
+                >
+                  <span className="material-symbols-outlined">event_repeat</span>
+                  End the series here
+                </button>
+              </div>
+            )}
             <div className="mt-modal-actions">
               <button className="mt-btn mt-btn-ghost" onClick={() => setConfirmDelete(null)}>
                 Cancel
@@ -1568,9 +2154,9 @@ const ManageMeetings = () => {
                 <p>{formatDate(qrModal.dateTime)} at {formatTime(qrModal.dateTime)}</p>
                 <span className={`mt-type-pill mt-type-${qrModal.type}`}>
                   <span className="material-symbols-outlined" style={{ fontSize: '14px' }}>
-                    {qrModal.type === 'online' ? 'videocam' : 'groups'}
+                    {getMeetingTypeMeta(qrModal.type).icon}
                   </span>
-                  {qrModal.type === 'online' ? 'Online' : 'Offline'}
+                  {getMeetingTypeMeta(qrModal.type).label}
                 </span>
               </div>
 
@@ -1633,11 +2219,12 @@ const ManageMeetings = () => {
               ) : (
                 /* ── Offline: QR code section ── */
                 <>
-                  {qrModal.qrCode && (
+                  {qrModal.hasQR && (
                     <div className="mt-qr-live-wrap">
                       <div className="mt-qr-image-wrap">
-                        <img
-                          src={qrModal.qrCode}
+                        <QRImage
+                          meetingId={qrModal._id}
+                          generation={qrModal.qrGeneration}
                           alt="QR Code"
                           className={`mt-qr-image ${qrRefreshingRef.current ? 'mt-qr-refreshing' : ''}`}
                         />
@@ -1658,7 +2245,7 @@ const ManageMeetings = () => {
                             strokeLinecap="round"
                             style={{
                               strokeDasharray: `${2 * Math.PI * 20}`,
-                              strokeDashoffset: `${2 * Math.PI * 20 * (1 - qrCountdown / 20)}`,
+                              strokeDashoffset: `${2 * Math.PI * 20 * (1 - qrCountdown / qrInterval)}`,
                               transition: 'stroke-dashoffset 0.95s linear',
                             }}
                           />
@@ -1670,7 +2257,7 @@ const ManageMeetings = () => {
                         <span className="material-symbols-outlined" style={{ fontSize: '14px' }}>
                           autorenew
                         </span>
-                        <span>{qrAutoRefresh ? 'Auto-refreshes every 20s' : 'Auto-refresh paused'}</span>
+                        <span>{qrAutoRefresh ? `Auto-refreshes every ${qrInterval}s` : 'Auto-refresh paused'}</span>
                         <button
                           className="mt-auto-refresh-toggle"
                           disabled={togglingPause}
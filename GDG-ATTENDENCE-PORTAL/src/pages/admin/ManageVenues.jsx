@@ -0,0 +1,421 @@
+import { useState, useEffect, useCallback } from 'react'
+import api from '../../config/api'
+import {
+  emptyGeofence,
+  toGeofenceForm,
+  toGeofencePayload,
+  geofenceFormError,
+  describeGeofence,
+} from '../../config/geofence'
+import GeofenceEditor from '../../components/GeofenceEditor'
+import './ManageVenues.css'
+
+const emptyForm = () => ({
+  name: '',
+  address: '',
+  defaultCapacity: '',
+  geofenceEnabled: false,
+  geofence: emptyGeofence(),
+})
+
+const ManageVenues = () => {
+  // ── Data state ────────────────────────────────────
+  const [venues, setVenues] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [search, setSearch] = useState('')
+  const [debouncedSearch, setDebouncedSearch] = useState('')
+
+  // ── Form / modal state ────────────────────────────
+  const [showForm, setShowForm] = useState(false)
+  const [editing, setEditing] = useState(null) // null = create, object = edit
+  const [form, setForm] = useState(emptyForm)
+  const [formError, setFormError] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [confirmDelete, setConfirmDelete] = useState(null)
+  const [deletingId, setDeletingId] = useState(null)
+  const [toast, setToast] = useState(null)
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search.trim()), 300)
+    return () => clearTimeout(timer)
+  }, [search])
+
+  // ── Fetch venues ──────────────────────────────────
+  const fetchVenues = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const params = new URLSearchParams()
+      if (debouncedSearch) params.set('search', debouncedSearch)
+      const data = await api.get(`/venues?${params.toString()}`)
+      if (data.success) setVenues(data.data)
+    } catch (err) {
+      console.error('Failed to fetch venues:', err)
+      setError(err.data?.message || err.message || 'Failed to load venues')
+    } finally {
+      setLoading(false)
+    }
+  }, [debouncedSearch])
+
+  useEffect(() => {
+    fetchVenues()
+  }, [fetchVenues])
+
+  // ── Toast helper ──────────────────────────────────
+  const showToast = (type, message) => {
+    setToast({ type, message })
+    setTimeout(() => setToast(null), 4000)
+  }
+
+  // ── Create / edit ─────────────────────────────────
+  const openCreateForm = () => {
+    setEditing(null)
+    setForm(emptyForm())
+    setFormError('')
+    setShowForm(true)
+  }
+
+  const openEditForm = (venue) => {
+    setEditing(venue)
+    setForm({
+      name: venue.name,
+      address: venue.address || '',
+      defaultCapacity: venue.defaultCapacity ?? '',
+      geofenceEnabled: venue.geofence?.enabled || false,
+      geofence: toGeofenceForm(venue.geofence),
+    })
+    setFormError('')
+    setShowForm(true)
+  }
+
+  const handleFormSubmit = async (e) => {
+    e.preventDefault()
+    setFormError('')
+
+    if (!form.name.trim()) {
+      setFormError('Venue name is required.')
+      return
+    }
+    if (form.geofenceEnabled) {
+      const fenceError = geofenceFormError(form.geofence)
+      if (fenceError) {
+        setFormError(fenceError)
+        return
+      }
+    }
+
+    try {
+      setSaving(true)
+      const body = {
+        name: form.name.trim(),
+        address: form.address.trim(),
+        defaultCapacity: form.defaultCapacity !== ''
+          ? Math.max(1, parseInt(form.defaultCapacity, 10) || 1)
+          : null,
+        geofence: toGeofencePayload(form.geofenceEnabled, form.geofence),
+      }
+
+      const data = editing
+        ? await api.patch(`/venues/${editing._id}`, body)
+        : await api.post('/venues', body)
+
+      if (data.success) {
+        showToast('success', editing ? 'Venue updated' : 'Venue created')
+        setShowForm(false)
+        fetchVenues()
+      }
+    } catch (err) {
+      console.error('Failed to save venue:', err)
+      setFormError(err.data?.message || err.message || 'Failed to save venue')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // ── Delete ────────────────────────────────────────
+  const handleDeleteConfirm = async () => {
+    if (!confirmDelete) return
+    try {
+      setDeletingId(confirmDelete._id)
+      const data = await api.delete(`/venues/${confirmDelete._id}`)
+      if (data.success) {
+        setVenues((prev) => prev.filter((v) => v._id !== confirmDelete._id))
+        showToast('success', `"${confirmDelete.name}" deleted`)
+      }
+    } catch (err) {
+      console.error('Failed to delete venue:', err)
+      showToast('error', err.data?.message || err.message || 'Failed to delete venue')
+    } finally {
+      setDeletingId(null)
+      setConfirmDelete(null)
+    }
+  }
+
+  const formatDate = (iso) =>
+    new Date(iso).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })
+
+  return (
+    <div className="vn-page">
+      {/* ── Page Header ─────────────────────────── */}
+      <header className="vn-header">
+        <span className="material-symbols-outlined vn-header-icon">location_city</span>
+        <div className="vn-header-text">
+          <h1 className="vn-title">Venues</h1>
+          <p className="vn-subtitle">
+            Named places with a reusable geofence. Offline meetings held at a venue use its
+            fence instead of their own.
+          </p>
+        </div>
+        <button className="vn-btn vn-btn-primary" onClick={openCreateForm}>
+          <span className="material-symbols-outlined">add_location_alt</span>
+          New venue
+        </button>
+      </header>
+
+      {/* ── Toolbar ─────────────────────────────── */}
+      <div className="vn-toolbar">
+        <div className="vn-search-box">
+          <span className="material-symbols-outlined vn-search-icon">search</span>
+          <input
+            type="text"
+            placeholder="Search by name or address…"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="vn-search-input"
+          />
+        </div>
+        <button className="vn-icon-btn" onClick={fetchVenues} disabled={loading} title="Refresh">
+          <span className="material-symbols-outlined">refresh</span>
+        </button>
+      </div>
+
+      {/* ── Error State ─────────────────────────── */}
+      {error && (
+        <div className="vn-error">
+          <span className="material-symbols-outlined">error</span>
+          <span>{error}</span>
+          <button onClick={fetchVenues} className="vn-error-retry">Retry</button>
+        </div>
+      )}
+
+      {/* ── Venues Table ────────────────────────── */}
+      <div className="vn-card">
+        <table className="vn-table">
+          <thead>
+            <tr>
+              <th>Venue</th>
+              <th>Geofence</th>
+              <th className="vn-th-num">Capacity</th>
+              <th className="vn-th-num">Meetings</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading && venues.length === 0 ? (
+              <tr>
+                <td colSpan="5" className="vn-state-cell">Loading venues…</td>
+              </tr>
+            ) : venues.length === 0 ? (
+              <tr>
+                <td colSpan="5" className="vn-state-cell">
+                  <span className="material-symbols-outlined vn-empty-icon">location_off</span>
+                  <p>{search ? 'No venues match your search.' : 'No venues yet.'}</p>
+                  {!search && (
+                    <button className="vn-text-btn" onClick={openCreateForm}>
+                      Add the first venue
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ) : (
+              venues.map((venue) => (
+                <tr key={venue._id}>
+                  <td>
+                    <span className="vn-name">{venue.name}</span>
+                    {venue.address && <span className="vn-address">{venue.address}</span>}
+                  </td>
+                  <td>
+                    <span className={`vn-fence ${venue.geofence?.enabled ? 'vn-fence-on' : ''}`}>
+                      <span className="material-symbols-outlined">
+                        {venue.geofence?.shape === 'polygon' ? 'pentagon' : 'fence'}
+                      </span>
+                      {describeGeofence(venue.geofence)}
+                    </span>
+                  </td>
+                  <td className="vn-cell-num">{venue.defaultCapacity ?? '—'}</td>
+                  <td className="vn-cell-num">
+                    {venue.meetingCount}
+                    {venue.lastMeeting && (
+                      <span className="vn-address">last {formatDate(venue.lastMeeting)}</span>
+                    )}
+                  </td>
+                  <td className="vn-cell-actions">
+                    <button className="vn-icon-btn" onClick={() => openEditForm(venue)} title="Edit venue">
+                      <span className="material-symbols-outlined">edit</span>
+                    </button>
+                    <button
+                      className="vn-icon-btn vn-delete-btn"
+                      onClick={() => setConfirmDelete(venue)}
+                      disabled={venue.meetingCount > 0}
+                      title={venue.meetingCount > 0 ? 'Used by meetings — cannot delete' : 'Delete venue'}
+                    >
+                      <span className="material-symbols-outlined">delete</span>
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* ── Create / Edit Modal ─────────────────── */}
+      {showForm && (
+        <div className="vn-modal-overlay" onClick={() => setShowForm(false)}>
+          <div
+            className={`vn-modal vn-modal-form${form.geofenceEnabled ? ' vn-modal-wide' : ''}`}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="vn-modal-header">
+              <h3 className="vn-modal-title">
+                <span className="material-symbols-outlined">{editing ? 'edit_location_alt' : 'add_location_alt'}</span>
+                {editing ? 'Edit venue' : 'New venue'}
+              </h3>
+              <button className="vn-icon-btn" onClick={() => setShowForm(false)}>
+                <span className="material-symbols-outlined">close</span>
+              </button>
+            </div>
+
+            <form onSubmit={handleFormSubmit} className="vn-form">
+              {formError && (
+                <div className="vn-form-error">
+                  <span className="material-symbols-outlined">error</span>
+                  {formError}
+                </div>
+              )}
+
+              <div className="vn-field">
+                <label className="vn-label">Name *</label>
+                <input
+                  type="text"
+                  className="vn-input"
+                  placeholder="e.g. Seminar Hall, Block A"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  autoFocus
+                />
+              </div>
+
+              <div className="vn-field-row">
+                <div className="vn-field">
+                  <label className="vn-label">Address</label>
+                  <input
+                    type="text"
+                    className="vn-input"
+                    placeholder="Building, floor, directions"
+                    value={form.address}
+                    onChange={(e) => setForm({ ...form, address: e.target.value })}
+                  />
+                </div>
+                <div className="vn-field vn-field-narrow">
+                  <label className="vn-label">Capacity</label>
+                  <input
+                    type="number"
+                    className="vn-input"
+                    min="1"
+                    placeholder="Unknown"
+                    value={form.defaultCapacity}
+                    onChange={(e) => setForm({ ...form, defaultCapacity: e.target.value })}
+                  />
+                </div>
+              </div>
+
+              <div className="vn-geofence-section">
+                <div className="vn-geofence-toggle-row">
+                  <div>
+                    <span className="vn-geofence-title">Geofence</span>
+                    <span className="vn-geofence-sub">
+                      Applies to every meeting held here, including upcoming ones
+                    </span>
+                  </div>
+                  <button
+                    type="button"
+                    className={`vn-icon-btn vn-toggle-btn ${form.geofenceEnabled ? 'vn-toggle-on' : ''}`}
+                    onClick={() => setForm((prev) => ({ ...prev, geofenceEnabled: !prev.geofenceEnabled }))}
+                  >
+                    <span className="material-symbols-outlined">
+                      {form.geofenceEnabled ? 'toggle_on' : 'toggle_off'}
+                    </span>
+                  </button>
+                </div>
+
+                {form.geofenceEnabled && (
+                  <div className="vn-geofence-body">
+                    <GeofenceEditor
+                      value={form.geofence}
+                      onChange={(update) =>
+                        setForm((prev) => ({ ...prev, geofence: update(prev.geofence) }))
+                      }
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div className="vn-form-actions">
+                <button type="button" className="vn-btn vn-btn-ghost" onClick={() => setShowForm(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="vn-btn vn-btn-primary" disabled={saving}>
+                  <span className="material-symbols-outlined">{editing ? 'save' : 'add'}</span>
+                  {saving ? 'Saving…' : editing ? 'Update venue' : 'Create venue'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* ── Delete Confirmation Modal ───────────── */}
+      {confirmDelete && (
+        <div className="vn-modal-overlay" onClick={() => setConfirmDelete(null)}>
+          <div className="vn-modal vn-modal-confirm" onClick={(e) => e.stopPropagation()}>
+            <span className="material-symbols-outlined vn-modal-icon">warning</span>
+            <h3 className="vn-modal-title-center">Delete venue?</h3>
+            <p className="vn-modal-text">
+              <strong>{confirmDelete.name}</strong> will be permanently deleted.
+            </p>
+            <div className="vn-modal-actions">
+              <button className="vn-btn vn-btn-ghost" onClick={() => setConfirmDelete(null)}>
+                Cancel
+              </button>
+              <button
+                className="vn-btn vn-btn-danger"
+                onClick={handleDeleteConfirm}
+                disabled={deletingId === confirmDelete._id}
+              >
+                <span className="material-symbols-outlined">delete</span>
+                {deletingId === confirmDelete._id ? 'Deleting…' : 'Delete'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ── Toast Notification ──────────────────── */}
+      {toast && (
+        <div className={`vn-toast vn-toast-${toast.type}`}>
+          <span className="material-symbols-outlined">
+            {toast.type === 'success' ? 'check_circle' : 'error'}
+          </span>
+          <span>{toast.message}</span>
+          <button className="vn-toast-close" onClick={() => setToast(null)}>
+            <span className="material-symbols-outlined">close</span>
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ManageVenues
@@ -1,12 +1,33 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, Fragment } from 'react'
 import api from '../../config/api'
 import { auth } from '../../config/firebase'
+import { describeGeofence } from '../../config/geofence'
+import { getMeetingTypeMeta, ATTENDANCE_MODE_LABELS } from '../../config/meetingTypes'
+import LiveAttendanceFeed from '../../components/LiveAttendanceFeed'
 import './Reports.css'
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
 
+const STATUS_LABELS = { present: 'On time', late: 'Late', excused: 'Excused' }
+const METHOD_LABELS = { qr: 'QR', link: 'Link', manual: 'Manual', import: 'Import' }
+const IMPORT_RESULT_LABELS = { matched: 'Will import', unmatched: 'No match', duplicate: 'Duplicate', invalid: 'Invalid' }
+const FLAG_LABELS = {
+  shared_device: 'Same device, several accounts',
+  identical_location: 'Identical location',
+}
+const CHANGE_LABELS = { added: 'added', edited: 'edited', removed: 'removed' }
+const FREQUENCY_LABELS = { weekly: 'Weekly', biweekly: 'Every 2 weeks', monthly: 'Monthly' }
+const EMPTY_ADD_FORM = { user: null, status: 'present', attendanceMode: '', reason: '' }
+
+// ISO string → value for a datetime-local input (local time)
+const toLocalInput = (iso) => {
+  if (!iso) return ''
+  const d = new Date(iso)
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
 const Reports = () => {
-  const [tab, setTab] = useState('meetings') // 'meetings' | 'members'
+  const [tab, setTab] = useState('meetings') // 'meetings' | 'members' | 'venues' | 'series' | 'suspicious'
   const [summary, setSummary] = useState(null)
   const [summaryLoading, setSummaryLoading] = useState(true)
   const [error, setError] = useState(null)
@@ -17,15 +38,46 @@ const Reports = () => {
   const [meetingsPage, setMeetingsPage] = useState(1)
   const [meetingsTotalPages, setMeetingsTotalPages] = useState(1)
   const [meetingsSearch, setMeetingsSearch] = useState('')
+  const [meetingsVenue, setMeetingsVenue] = useState(null) // { id, name } — id 'none' = no venue
 
   // ── Members tab state ─────────────────────────────
   const [members, setMembers] = useState([])
   const [membersLoading, setMembersLoading] = useState(false)
 
+  // ── Venues tab state ──────────────────────────────
+  const [venueStats, setVenueStats] = useState([])
+  const [venuesLoading, setVenuesLoading] = useState(false)
+
+  // ── Series tab state ──────────────────────────────
+  const [seriesStats, setSeriesStats] = useState([])
+  const [seriesLoading, setSeriesLoading] = useState(false)
+  const [seriesDetail, setSeriesDetail] = useState(null)
+  const [seriesDetailLoading, setSeriesDetailLoading] = useState(false)
+
+  // ── Suspicious tab state ──────────────────────────
+  const [suspicious, setSuspicious] = useState([])
+  const [suspiciousLoading, setSuspiciousLoading] = useState(false)
+
   // ── Detail modal state ────────────────────────────
   const [detailMeeting, setDetailMeeting] = useState(null)
   const [detailRecords, setDetailRecords] = useState([])
   const [detailLoading, setDetailLoading] = useState(false)
+  const [detailFlags, setDetailFlags] = useState([])
+  const [detailModeCounts, setDetailModeCounts] = useState(null) // { in_person, remote, unknown }
+  const [detailRsvp, setDetailRsvp] = useState(null) // { stats, noShows } — null without RSVPs
+
+  // ── Manual attendance state ───────────────────────
+  const [detailChanges, setDetailChanges] = useState([])
+  const [showHistory, setShowHistory] = useState(false)
+  const [addOpen, setAddOpen] = useState(false)
+  const [addSearch, setAddSearch] = useState('')
+  const [addResults, setAddResults] = useState([])
+  const [addForm, setAddForm] = useState(EMPTY_ADD_FORM)
+  const [rowEdit, setRowEdit] = useState(null) // { id, mode: 'edit' | 'status' | 'remove', status, attendanceMode, markedAt, checkedOutAt, reason }
+  const [manualSaving, setManualSaving] = useState(false)
+  const [manualError, setManualError] = useState('')
+  const [importFile, setImportFile] = useState(null) // { name, csv }
+  const [importPreview, setImportPreview] = useState(null) // dry-run result
 
   // ── Exporting ─────────────────────────────────────
   const [exporting, setExporting] = useState(false)
@@ -52,9 +104,9 @@ const Reports = () => {
   const fetchMeetings = useCallback(async () => {
     try {
       setMeetingsLoading(true)
-      const data = await api.get(
-        `/reports/meetings?page=${meetingsPage}&limit=15&search=${encodeURIComponent(meetingsSearch)}`
-      )
+      const params = new URLSearchParams({ page: String(meetingsPage), limit: '15', search: meetingsSearch })
+      if (meetingsVenue) params.set('venue', meetingsVenue.id)
+      const data = await api.get(`/reports/meetings?${params.toString()}`)
       if (data.success) {
         setMeetings(data.data)
         setMeetingsTotalPages(data.totalPages || 1)
@@ -64,7 +116,7 @@ const Reports = () => {
     } finally {
       setMeetingsLoading(false)
     }
-  }, [meetingsPage, meetingsSearch])
+  }, [meetingsPage, meetingsSearch, meetingsVenue])
 
   useEffect(() => {
     if (tab === 'meetings') fetchMeetings()
@@ -87,16 +139,116 @@ const Reports = () => {
     if (tab === 'members') fetchMembers()
   }, [tab, fetchMembers])
 
+  // ── Fetch venues report ───────────────────────────
+  const fetchVenueStats = useCallback(async () => {
+    try {
+      setVenuesLoading(true)
+      const data = await api.get('/reports/venues')
+      if (data.success) setVenueStats(data.data)
+    } catch (err) {
+      console.error('Venues report error:', err)
+    } finally {
+      setVenuesLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (tab === 'venues') fetchVenueStats()
+  }, [tab, fetchVenueStats])
+
+  // List one venue's meetings on the Meetings tab
+  const showVenueMeetings = (row) => {
+    setMeetingsVenue({ id: row.venue?._id || 'none', name: row.venue?.name || 'No venue' })
+    setMeetingsPage(1)
+    setTab('meetings')
+  }
+
+  // ── Fetch series report ───────────────────────────
+  const fetchSeriesStats = useCallback(async () => {
+    try {
+      setSeriesLoading(true)
+      const data = await api.get('/reports/series')
+      if (data.success) setSeriesStats(data.data)
+    } catch (err) {
+      console.error('Series report error:', err)
+    } finally {
+      setSeriesLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (tab === 'series') fetchSeriesStats()
+  }, [tab, fetchSeriesStats])
+
+  const openSeriesDetail = async (seriesId) => {
+    try {
+      setSeriesDetailLoading(true)
+      setSeriesDetail(null)
+      const data = await api.get(`/reports/series/${seriesId}`)
+      if (data.success) setSeriesDetail(data.data)
+    } catch (err) {
+      console.error('Series detail error:', err)
+    } finally {
+      setSeriesDetailLoading(false)
+    }
+  }
+
+  // Open one occurrence's attendance from the series modal
+  const openSeriesOccurrence = (meetingId) => {
+    setSeriesDetail(null)
+    openDetail(meetingId)
+  }
+
+  // ── Fetch suspicious activity report ──────────────
+  const fetchSuspicious = useCallback(async () => {
+    try {
+      setSuspiciousLoading(true)
+      const data = await api.get('/reports/suspicious')
+      if (data.success) setSuspicious(data.data)
+    } catch (err) {
+      console.error('Suspicious activity report error:', err)
+    } finally {
+      setSuspiciousLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (tab === 'suspicious') fetchSuspicious()
+  }, [tab, fetchSuspicious])
+
   // ── Fetch meeting detail ──────────────────────────
+  const fetchDetailChanges = async (meetingId) => {
+    try {
+      const data = await api.get(`/reports/meeting/${meetingId}/changes`)
+      if (data.success) setDetailChanges(data.data)
+    } catch (err) {
+      console.error('Attendance changes error:', err)
+    }
+  }
+
   const openDetail = async (meetingId) => {
     try {
       setDetailLoading(true)
       setDetailMeeting(null)
       setDetailRecords([])
+      setDetailFlags([])
+      setDetailModeCounts(null)
+      setDetailRsvp(null)
+      setDetailChanges([])
+      setShowHistory(false)
+      setAddOpen(false)
+      setRowEdit(null)
+      setManualError('')
+      setImportFile(null)
+      setImportPreview(null)
       const data = await api.get(`/reports/meeting/${meetingId}`)
       if (data.success) {
         setDetailMeeting(data.data.meeting)
         setDetailRecords(data.data.attendance)
+        setDetailFlags(data.data.suspiciousActivity || [])
+        setDetailModeCounts(data.data.modeCounts || null)
+        setDetailRsvp(data.data.rsvpStats ? { stats: data.data.rsvpStats, noShows: data.data.noShows || [] } : null)
+        fetchDetailChanges(meetingId)
       }
     } catch (err) {
       console.error('Detail error:', err)
@@ -105,9 +257,191 @@ const Reports = () => {
     }
   }
 
+  // Reload records + history after a manual change, without the loading state
+  const refreshDetail = async (meetingId) => {
+    try {
+      const data = await api.get(`/reports/meeting/${meetingId}`)
+      if (data.success) {
+        setDetailRecords(data.data.attendance)
+        setDetailFlags(data.data.suspiciousActivity || [])
+        setDetailModeCounts(data.data.modeCounts || null)
+        setDetailRsvp(data.data.rsvpStats ? { stats: data.data.rsvpStats, noShows: data.data.noShows || [] } : null)
+      }
+    } catch (err) {
+      console.error('Detail refresh error:', err)
+    }
+    fetchDetailChanges(meetingId)
+  }
+
+  // ── Manual attendance ─────────────────────────────
+  useEffect(() => {
+    if (!addOpen || !addSearch.trim()) {
+      setAddResults([])
+      return
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ limit: '8', search: addSearch.trim() })
+        const data = await api.get(`/users?${params.toString()}`)
+        if (data.success) setAddResults(data.data || [])
+      } catch (err) {
+        console.error('Member search error:', err)
+      }
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [addOpen, addSearch])
+
+  const toggleAddPanel = () => {
+    setAddOpen((open) => !open)
+    setAddForm(EMPTY_ADD_FORM)
+    setAddSearch('')
+    setManualError('')
+  }
+
+  const handleAddAttendance = async () => {
+    if (!addForm.user || !addForm.reason.trim()) {
+      setManualError('Choose a member and give a reason.')
+      return
+    }
+    try {
+      setManualSaving(true)
+      setManualError('')
+      const data = await api.post(`/reports/meeting/${detailMeeting._id}/attendance`, {
+        userId: addForm.user._id,
+        status: addForm.status,
+        ...(addForm.attendanceMode && { mode: addForm.attendanceMode }),
+        reason: addForm.reason.trim(),
+      })
+      if (data.success) {
+        setAddOpen(false)
+        setAddForm(EMPTY_ADD_FORM)
+        setAddSearch('')
+        await refreshDetail(detailMeeting._id)
+      }
+    } catch (err) {
+      setManualError(err.data?.message || err.message || 'Failed to add attendance.')
+    } finally {
+      setManualSaving(false)
+    }
+  }
+
+  const startRowEdit = (record, mode, status = record.status || 'present') => {
+    setManualError('')
+    setRowEdit({
+      id: record._id,
+      mode,
+      status,
+      attendanceMode: record.mode || '',
+      markedAt: toLocalInput(record.markedAt),
+      checkedOutAt: toLocalInput(record.checkedOutAt),
+      reason: '',
+    })
+  }
+
+  const handleRowEditSave = async () => {
+    if (!rowEdit.reason.trim()) {
+      setManualError('A reason is required.')
+      return
+    }
+    try {
+      setManualSaving(true)
+      setManualError('')
+      if (rowEdit.mode === 'remove') {
+        await api.delete(`/reports/attendance/${rowEdit.id}`, { reason: rowEdit.reason.trim() })
+      } else if (rowEdit.mode === 'status') {
+        await api.patch(`/reports/attendance/${rowEdit.id}/status`, {
+          status: rowEdit.status,
+          reason: rowEdit.reason.trim(),
+        })
+      } else {
+        await api.patch(`/reports/attendance/${rowEdit.id}`, {
+          status: rowEdit.status,
+          ...(detailMeeting.type === 'hybrid' && { mode: rowEdit.attendanceMode || null }),
+          markedAt: new Date(rowEdit.markedAt).toISOString(),
+          ...(detailMeeting.checkOutEnabled && {
+            checkedOutAt: rowEdit.checkedOutAt ? new Date(rowEdit.checkedOutAt).toISOString() : null,
+          }),
+          reason: rowEdit.reason.trim(),
+        })
+      }
+      setRowEdit(null)
+      await refreshDetail(detailMeeting._id)
+    } catch (err) {
+      setManualError(err.data?.message || err.message || 'Failed to save the change.')
+    } finally {
+      setManualSaving(false)
+    }
+  }
+
+  // ── CSV import ────────────────────────────────────
+  // Every file is previewed (dry run) first; nothing is written until confirmed
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = '' // allow picking the same file again
+    if (!file) return
+    try {
+      setManualSaving(true)
+      setManualError('')
+      setAddOpen(false)
+      setImportPreview(null)
+      const csv = await file.text()
+      const data = await api.post(`/reports/meeting/${detailMeeting._id}/import`, {
+        csv,
+        fileName: file.name,
+        dryRun: true,
+      })
+      if (data.success) {
+        setImportFile({ name: file.name, csv })
+        setImportPreview(data.data)
+      }
+    } catch (err) {
+      setManualError(err.data?.message || err.message || 'Failed to read the CSV file.')
+    } finally {
+      setManualSaving(false)
+    }
+  }
+
+  const handleImportConfirm = async () => {
+    try {
+      setManualSaving(true)
+      setManualError('')
+      const data = await api.post(`/reports/meeting/${detailMeeting._id}/import`, {
+        csv: importFile.csv,
+        fileName: importFile.name,
+        dryRun: false,
+      })
+      if (data.success) {
+        setImportFile(null)
+        setImportPreview(null)
+        await refreshDetail(detailMeeting._id)
+      }
+    } catch (err) {
+      setManualError(err.data?.message || err.message || 'Failed to import attendance.')
+    } finally {
+      setManualSaving(false)
+    }
+  }
+
+  const cancelImport = () => {
+    setImportFile(null)
+    setImportPreview(null)
+  }
+
+  // Append check-ins pushed by the live feed so the table stays current
+  const handleLiveCheckIn = (entry) => {
+    setDetailRecords((prev) =>
+      prev.some((r) => r._id === entry._id) ? prev : [...prev, entry]
+    )
+  }
+
   const closeDetail = () => {
     setDetailMeeting(null)
     setDetailRecords([])
+    setDetailChanges([])
+    setAddOpen(false)
+    setRowEdit(null)
+    setImportFile(null)
+    setImportPreview(null)
   }
 
   // ── CSV Export ────────────────────────────────────
@@ -182,6 +516,57 @@ const Reports = () => {
     })
   }
 
+  const renderStatusBreakdown = (counts) => {
+    if (!counts || (!counts.late && !counts.excused)) return null
+    return (
+      <div className="rp-status-breakdown">
+        {Object.entries(STATUS_LABELS).map(([status, label]) =>
+          counts[status] ? (
+            <span key={status} className={`rp-status-dot rp-status-${status}`}>
+              {counts[status]} {label.toLowerCase()}
+            </span>
+          ) : null
+        )}
+      </div>
+    )
+  }
+
+  // In-person / remote split — only meaningful for hybrid meetings
+  const renderModeBreakdown = (meeting, counts) => {
+    if (meeting.type !== 'hybrid' || !counts) return null
+    return (
+      <div className="rp-mode-breakdown">
+        {Object.entries(ATTENDANCE_MODE_LABELS).map(([mode, label]) => (
+          <span key={mode} className={`rp-mode-pill rp-mode-${mode}`}>
+            {counts[mode]} {label.toLowerCase()}
+          </span>
+        ))}
+        {counts.unknown > 0 && (
+          <span className="rp-mode-pill rp-mode-unknown">{counts.unknown} unknown</span>
+        )}
+      </div>
+    )
+  }
+
+  // RSVPs vs who turned up — no-shows only once the meeting is over
+  const renderRsvpBreakdown = (stats) => {
+    if (!stats) return null
+    return (
+      <div className="rp-mode-breakdown">
+        <span className="rp-mode-pill rp-rsvp-going">{stats.going} RSVPed</span>
+        {stats.conversionRate != null && (
+          <span className="rp-mode-pill rp-rsvp-attended">{stats.conversionRate}% came</span>
+        )}
+        {stats.noShows > 0 && (
+          <span className="rp-mode-pill rp-rsvp-no-show">{stats.noShows} no-show{stats.noShows === 1 ? '' : 's'}</span>
+        )}
+        {stats.walkIns > 0 && (
+          <span className="rp-mode-pill rp-mode-unknown">{stats.walkIns} walk-in{stats.walkIns === 1 ? '' : 's'}</span>
+        )}
+      </div>
+    )
+  }
+
   const getInitials = (name) => {
     if (!name) return '?'
     return name.split(' ').map(w => w[0]).join('').toUpperCase().slice(0, 2)
@@ -290,6 +675,55 @@ const Reports = () => {
               <div className="rp-card-label">Via Link</div>
             </div>
           </div>
+          <div className="rp-card">
+            <div className="rp-card-icon rp-card-icon-yellow">
+              <span className="material-symbols-outlined">history</span>
+            </div>
+            <div className="rp-card-info">
+              <div className="rp-card-value">{summary.staleQrScans || 0}</div>
+              <div className="rp-card-label">Stale QR Scans</div>
+            </div>
+          </div>
+          <div className="rp-card">
+            <div className="rp-card-icon rp-card-icon-red">
+              <span className="material-symbols-outlined">schedule</span>
+            </div>
+            <div className="rp-card-info">
+              <div className="rp-card-value">{summary.statuses?.late || 0}</div>
+              <div className="rp-card-label">Late Arrivals</div>
+            </div>
+          </div>
+          <div className="rp-card">
+            <div className="rp-card-icon rp-card-icon-purple">
+              <span className="material-symbols-outlined">event_busy</span>
+            </div>
+            <div className="rp-card-info">
+              <div className="rp-card-value">{summary.statuses?.excused || 0}</div>
+              <div className="rp-card-label">Excused</div>
+            </div>
+          </div>
+          {summary.rsvp?.going > 0 && (
+            <>
+              <div className="rp-card">
+                <div className="rp-card-icon rp-card-icon-green">
+                  <span className="material-symbols-outlined">event_available</span>
+                </div>
+                <div className="rp-card-info">
+                  <div className="rp-card-value">{summary.rsvp.conversionRate}%</div>
+                  <div className="rp-card-label">RSVPs Who Came</div>
+                </div>
+              </div>
+              <div className="rp-card">
+                <div className="rp-card-icon rp-card-icon-red">
+                  <span className="material-symbols-outlined">person_off</span>
+                </div>
+                <div className="rp-card-info">
+                  <div className="rp-card-value">{summary.rsvp.noShowRate}%</div>
+                  <div className="rp-card-label">No-show Rate</div>
+                </div>
+              </div>
+            </>
+          )}
         </div>
       )}
 
@@ -309,6 +743,27 @@ const Reports = () => {
           <span className="material-symbols-outlined">group</span>
           Members
         </button>
+        <button
+          className={`rp-tab ${tab === 'venues' ? 'rp-tab-active' : ''}`}
+          onClick={() => setTab('venues')}
+        >
+          <span className="material-symbols-outlined">location_city</span>
+          Venues
+        </button>
+        <button
+          className={`rp-tab ${tab === 'series' ? 'rp-tab-active' : ''}`}
+          onClick={() => setTab('series')}
+        >
+          <span className="material-symbols-outlined">event_repeat</span>
+          Series
+        </button>
+        <button
+          className={`rp-tab ${tab === 'suspicious' ? 'rp-tab-active' : ''}`}
+          onClick={() => setTab('suspicious')}
+        >
+          <span className="material-symbols-outlined">gpp_maybe</span>
+          Suspicious
+        </button>
       </div>
 
       {/* ── Meetings Tab ─────────────────────────────── */}
@@ -325,6 +780,17 @@ const Reports = () => {
                 onChange={(e) => setMeetingsSearch(e.target.value)}
               />
             </div>
+            {meetingsVenue && (
+              <button
+                className="rp-venue-filter"
+                onClick={() => { setMeetingsVenue(null); setMeetingsPage(1) }}
+                title="Show all venues"
+              >
+                <span className="material-symbols-outlined">location_city</span>
+                {meetingsVenue.name}
+                <span className="material-symbols-outlined">close</span>
+              </button>
+            )}
           </div>
 
           {meetingsLoading ? (
@@ -360,7 +826,7 @@ const Reports = () => {
                         <div className="rp-meeting-info">
                           <div className={`rp-meeting-icon rp-meeting-icon-${m.type}`}>
                             <span className="material-symbols-outlined">
-                              {m.type === 'online' ? 'videocam' : 'location_on'}
+                              {m.type === 'offline' ? 'location_on' : getMeetingTypeMeta(m.type).icon}
                             </span>
                           </div>
                           <div>
@@ -371,7 +837,7 @@ const Reports = () => {
                       </td>
                       <td>
                         <span className={`rp-type-pill rp-type-${m.type}`}>
-                          {m.type === 'online' ? 'Online' : 'Offline'}
+                          {getMeetingTypeMeta(m.type).label}
                         </span>
                       </td>
                       <td className="rp-date">{formatDate(m.dateTime)}</td>
@@ -380,6 +846,9 @@ const Reports = () => {
                           <span className="material-symbols-outlined">people</span>
                           {m.attendanceCount}
                         </span>
+                        {renderStatusBreakdown(m.statusCounts)}
+                        {renderModeBreakdown(m, m.modeCounts)}
+                        {renderRsvpBreakdown(m.rsvpStats)}
                       </td>
                       <td style={{ textAlign: 'right', paddingRight: 24 }}>
                         <button
@@ -472,6 +941,7 @@ const Reports = () => {
                         <span className="material-symbols-outlined">event_available</span>
                         {m.totalAttended}
                       </span>
+                      {renderStatusBreakdown(m.statusCounts)}
                     </td>
                     <td className="rp-date">{formatDate(m.lastAttended)}</td>
                   </tr>
@@ -482,6 +952,307 @@ const Reports = () => {
         </div>
       )}
 
+      {/* ── Venues Tab ───────────────────────────────── */}
+      {tab === 'venues' && (
+        <div className="rp-table-card">
+          {venuesLoading ? (
+            <div className="rp-loading">
+              <div className="rp-loading-dots">
+                <span /><span /><span /><span />
+              </div>
+            </div>
+          ) : venueStats.length === 0 ? (
+            <div className="rp-empty">
+              <span className="material-symbols-outlined rp-empty-icon">location_off</span>
+              <p className="rp-empty-title">No meetings yet</p>
+              <p className="rp-empty-sub">Attendance will be grouped by venue once meetings are held.</p>
+            </div>
+          ) : (
+            <table className="rp-table">
+              <thead>
+                <tr>
+                  <th>Venue</th>
+                  <th>Meetings</th>
+                  <th>Attendance</th>
+                  <th>Unique Members</th>
+                  <th>Avg / Meeting</th>
+                  <th>Last Meeting</th>
+                </tr>
+              </thead>
+              <tbody>
+                {venueStats.map((row) => (
+                  <tr key={row.venueId || 'none'} onClick={() => showVenueMeetings(row)}>
+                    <td>
+                      <div className="rp-meeting-name">{row.venue?.name || 'No venue'}</div>
+                      <div className="rp-meeting-sub">
+                        {row.venue ? row.venue.address || '—' : 'Online meetings and meetings without a venue'}
+                      </div>
+                    </td>
+                    <td>{row.meetings}</td>
+                    <td>
+                      <span className="rp-count">
+                        <span className="material-symbols-outlined">people</span>
+                        {row.totalAttendance}
+                      </span>
+                      {renderStatusBreakdown(row.statusCounts)}
+                    </td>
+                    <td>{row.uniqueAttendees}</td>
+                    <td>
+                      {row.avgAttendance}
+                      {row.avgCapacityUsed != null && (
+                        <div className="rp-meeting-sub">
+                          {row.avgCapacityUsed}% of {row.venue.defaultCapacity} seats
+                        </div>
+                      )}
+                    </td>
+                    <td className="rp-date">{formatDate(row.lastMeeting)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {/* ── Series Tab ───────────────────────────────── */}
+      {tab === 'series' && (
+        <div className="rp-table-card">
+          {seriesLoading ? (
+            <div className="rp-loading">
+              <div className="rp-loading-dots">
+                <span /><span /><span /><span />
+              </div>
+            </div>
+          ) : seriesStats.length === 0 ? (
+            <div className="rp-empty">
+              <span className="material-symbols-outlined rp-empty-icon">event_repeat</span>
+              <p className="rp-empty-title">No recurring meetings</p>
+              <p className="rp-empty-sub">Create a meeting that repeats to see attendance across its series.</p>
+            </div>
+          ) : (
+            <table className="rp-table">
+              <thead>
+                <tr>
+                  <th>Series</th>
+                  <th>Held</th>
+                  <th>Attendance</th>
+                  <th>Unique Members</th>
+                  <th>Avg / Meeting</th>
+                  <th>Last Held</th>
+                </tr>
+              </thead>
+              <tbody>
+                {seriesStats.map((row) => (
+                  <tr key={row.series._id} onClick={() => openSeriesDetail(row.series._id)}>
+                    <td>
+                      <div className="rp-meeting-name">{row.series.title}</div>
+                      <div className="rp-meeting-sub">
+                        {FREQUENCY_LABELS[row.series.frequency]}
+                        {row.upcoming > 0 && ` · ${row.upcoming} upcoming`}
+                      </div>
+                    </td>
+                    <td>{row.held}</td>
+                    <td>
+                      <span className="rp-count">
+                        <span className="material-symbols-outlined">people</span>
+                        {row.totalAttendance}
+                      </span>
+                      {renderStatusBreakdown(row.statusCounts)}
+                    </td>
+                    <td>{row.uniqueAttendees}</td>
+                    <td>{row.avgAttendance}</td>
+                    <td className="rp-date">{formatDate(row.lastHeld)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {/* ── Suspicious Activity Tab ──────────────────── */}
+      {tab === 'suspicious' && (
+        <div className="rp-table-card">
+          {suspiciousLoading ? (
+            <div className="rp-loading">
+              <div className="rp-loading-dots">
+                <span /><span /><span /><span />
+              </div>
+            </div>
+          ) : suspicious.length === 0 ? (
+            <div className="rp-empty">
+              <span className="material-symbols-outlined rp-empty-icon">verified_user</span>
+              <p className="rp-empty-title">Nothing suspicious</p>
+              <p className="rp-empty-sub">
+                No meeting has one device checking in several accounts or accounts at identical locations.
+              </p>
+            </div>
+          ) : (
+            <ul className="rp-flag-list">
+              {suspicious.map(({ meeting, checkIns, flags }) => (
+                <li key={meeting._id} className="rp-flag-meeting">
+                  <div className="rp-flag-meeting-header">
+                    <div>
+                      <div className="rp-meeting-name">{meeting.title}</div>
+                      <div className="rp-meeting-sub">
+                        {formatDate(meeting.dateTime)} · {checkIns} self check-in{checkIns !== 1 ? 's' : ''}
+                      </div>
+                    </div>
+                    <button className="rp-view-btn" onClick={() => openDetail(meeting._id)}>
+                      <span className="material-symbols-outlined">visibility</span>
+                      Review
+                    </button>
+                  </div>
+                  {flags.map((flag) => (
+                    <div key={`${flag.type}-${flag.key}`} className="rp-flag">
+                      <span className={`rp-flag-pill rp-flag-${flag.type}`}>
+                        <span className="material-symbols-outlined">
+                          {flag.type === 'shared_device' ? 'devices' : 'pin_drop'}
+                        </span>
+                        {FLAG_LABELS[flag.type]} · {flag.users.length} accounts
+                      </span>
+                      <ul className="rp-flag-records">
+                        {flag.records.map((rec) => (
+                          <li key={rec._id}>
+                            <strong>{rec.user?.name || 'Unknown'}</strong>
+                            <span>{rec.user?.email}</span>
+                            <span>{formatTime(rec.markedAt)}</span>
+                            {rec.clientIp && <span>{rec.clientIp}</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* ── Series Modal ─────────────────────────────── */}
+      {(seriesDetail || seriesDetailLoading) && (
+        <div className="rp-modal-overlay" onClick={() => setSeriesDetail(null)}>
+          <div className="rp-modal" onClick={(e) => e.stopPropagation()}>
+            {seriesDetailLoading ? (
+              <div className="rp-loading" style={{ padding: '60px 0' }}>
+                <div className="rp-loading-dots">
+                  <span /><span /><span /><span />
+                </div>
+              </div>
+            ) : seriesDetail && (
+              <>
+                <div className="rp-modal-header">
+                  <h2 className="rp-modal-title">
+                    <span className="material-symbols-outlined">event_repeat</span>
+                    {seriesDetail.series.title}
+                  </h2>
+                  <button className="rp-modal-close" onClick={() => setSeriesDetail(null)}>
+                    <span className="material-symbols-outlined">close</span>
+                  </button>
+                </div>
+
+                <div className="rp-modal-meta">
+                  <div className="rp-meta-item">
+                    <span className="material-symbols-outlined">repeat</span>
+                    {FREQUENCY_LABELS[seriesDetail.series.frequency]}
+                  </div>
+                  <div className="rp-meta-item">
+                    <span className="material-symbols-outlined">calendar_today</span>
+                    Since {formatDate(seriesDetail.series.startsAt)}
+                    {seriesDetail.series.until && ` · until ${formatDate(seriesDetail.series.until)}`}
+                    {seriesDetail.series.count && ` · ${seriesDetail.series.count} meetings`}
+                  </div>
+                  <div className="rp-meta-item">
+                    <span className="material-symbols-outlined">event_available</span>
+                    {seriesDetail.held} of {seriesDetail.occurrences.length} held
+                  </div>
+                </div>
+
+                <div className="rp-modal-body">
+                  <h3 className="rp-series-heading">Meetings</h3>
+                  <table className="rp-table">
+                    <thead>
+                      <tr>
+                        <th>Date</th>
+                        <th>Time</th>
+                        <th>Attendance</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {seriesDetail.occurrences.map((occurrence) => (
+                        <tr key={occurrence._id} onClick={() => openSeriesOccurrence(occurrence._id)}>
+                          <td className="rp-date">
+                            {formatDate(occurrence.dateTime)}
+                            {occurrence.isActive && <span className="rp-series-live">Live</span>}
+                          </td>
+                          <td className="rp-date">{formatTime(occurrence.dateTime)}</td>
+                          <td>
+                            <span className="rp-count">
+                              <span className="material-symbols-outlined">people</span>
+                              {occurrence.attendanceCount}
+                            </span>
+                            {renderStatusBreakdown(occurrence.statusCounts)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  <h3 className="rp-series-heading">Members</h3>
+                  {seriesDetail.members.length === 0 ? (
+                    <p className="rp-empty-sub">No one has attended this series yet.</p>
+                  ) : (
+                    <table className="rp-table">
+                      <thead>
+                        <tr>
+                          <th>Member</th>
+                          <th>Attended</th>
+                          <th>Attendance Rate</th>
+                          <th>Last Attended</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {seriesDetail.members.map((m) => (
+                          <tr key={m.userId}>
+                            <td>
+                              <div className="rp-member-info">
+                                {m.photoURL ? (
+                                  <img className="rp-avatar" src={m.photoURL} alt={m.name} />
+                                ) : (
+                                  <div className="rp-avatar-placeholder">{getInitials(m.name)}</div>
+                                )}
+                                <div>
+                                  <div className="rp-member-name">{m.name}</div>
+                                  <div className="rp-member-email">{m.email}</div>
+                                </div>
+                              </div>
+                            </td>
+                            <td>
+                              {m.attended}
+                              {m.late > 0 && <div className="rp-meeting-sub">{m.late} late</div>}
+                            </td>
+                            <td>
+                              <div className="rp-rate">
+                                <div className="rp-rate-bar">
+                                  <div className="rp-rate-fill" style={{ width: `${m.attendanceRate}%` }} />
+                                </div>
+                                {m.attendanceRate}%
+                              </div>
+                            </td>
+                            <td className="rp-date">{formatDate(m.lastAttended)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* ── Detail Modal ─────────────────────────────── */}
       {(detailMeeting || detailLoading) && (
         <div className="rp-modal-overlay" onClick={closeDetail}>
@@ -515,19 +1286,276 @@ const Reports = () => {
                   </div>
                   <div className="rp-meta-item">
                     <span className="material-symbols-outlined">
-                      {detailMeeting.type === 'online' ? 'videocam' : 'location_on'}
+                      {detailMeeting.type === 'offline' ? 'location_on' : getMeetingTypeMeta(detailMeeting.type).icon}
                     </span>
-                    {detailMeeting.type === 'online' ? 'Online' : detailMeeting.location || 'Offline'}
+                    {detailMeeting.type === 'online'
+                      ? 'Online'
+                      : detailMeeting.type === 'hybrid'
+                        ? `Hybrid${detailMeeting.location ? ` · ${detailMeeting.location}` : ''}`
+                        : detailMeeting.location || 'Offline'}
                   </div>
-                  {detailMeeting.geofencing?.enabled && (
+                  {detailMeeting.type === 'hybrid' && detailModeCounts && (
+                    <div className="rp-meta-item">
+                      <span className="material-symbols-outlined">diversity_3</span>
+                      {detailModeCounts.in_person} in person · {detailModeCounts.remote} remote
+                      {detailModeCounts.unknown > 0 && ` · ${detailModeCounts.unknown} unknown`}
+                    </div>
+                  )}
+                  {detailRsvp && (
+                    <div className="rp-meta-item">
+                      <span className="material-symbols-outlined">event_available</span>
+                      {detailRsvp.stats.going}
+                      {detailMeeting.capacity ? ` of ${detailMeeting.capacity}` : ''} RSVPed
+                      {detailRsvp.stats.waitlisted > 0 && ` · ${detailRsvp.stats.waitlisted} waitlisted`}
+                      {detailRsvp.stats.conversionRate != null && ` · ${detailRsvp.stats.conversionRate}% came`}
+                      {detailRsvp.stats.noShows != null && ` · ${detailRsvp.stats.noShows} no-shows`}
+                      {` · ${detailRsvp.stats.walkIns} walk-ins`}
+                    </div>
+                  )}
+                  {detailMeeting.venue && (
+                    <div className="rp-meta-item">
+                      <span className="material-symbols-outlined">location_city</span>
+                      {detailMeeting.venue.name}
+                    </div>
+                  )}
+                  {(detailMeeting.venue?.geofence ?? detailMeeting.geofencing)?.enabled && (
                     <div className="rp-meta-item">
                       <span className="material-symbols-outlined">my_location</span>
-                      Geofencing enabled ({detailMeeting.geofencing.radius}m)
+                      Geofencing enabled ({describeGeofence(detailMeeting.venue?.geofence ?? detailMeeting.geofencing)})
                     </div>
                   )}
                 </div>
 
                 <div className="rp-modal-body">
+                  {detailMeeting.isActive && (
+                    <div className="rp-live-feed">
+                      <LiveAttendanceFeed
+                        meetingId={detailMeeting._id}
+                        onCheckIn={handleLiveCheckIn}
+                      />
+                    </div>
+                  )}
+
+                  <div className="rp-manual-toolbar">
+                    <button className="rp-view-btn" onClick={toggleAddPanel}>
+                      <span className="material-symbols-outlined">
+                        {addOpen ? 'close' : 'person_add'}
+                      </span>
+                      {addOpen ? 'Cancel' : 'Add attendance'}
+                    </button>
+                    <label className={`rp-view-btn${manualSaving ? ' rp-view-btn-disabled' : ''}`}>
+                      <span className="material-symbols-outlined">upload_file</span>
+                      Import CSV
+                      <input
+                        type="file"
+                        accept=".csv,text/csv"
+                        hidden
+                        disabled={manualSaving}
+                        onChange={handleImportFile}
+                      />
+                    </label>
+                    <button
+                      className="rp-view-btn"
+                      onClick={() => setShowHistory((v) => !v)}
+                      disabled={detailChanges.length === 0}
+                    >
+                      <span className="material-symbols-outlined">history</span>
+                      Change history ({detailChanges.length})
+                    </button>
+                  </div>
+
+                  {detailFlags.length > 0 && (
+                    <div className="rp-flag-banner">
+                      <span className="material-symbols-outlined">gpp_maybe</span>
+                      <span>
+                        {detailFlags.map((flag) => `${FLAG_LABELS[flag.type]} (${flag.users.length} accounts)`).join(' · ')}
+                        {' '}— flagged rows are marked below.
+                      </span>
+                    </div>
+                  )}
+
+                  {detailRsvp?.noShows.length > 0 && (
+                    <div className="rp-flag-banner rp-no-show-banner">
+                      <span className="material-symbols-outlined">person_off</span>
+                      <span>
+                        RSVPed but did not check in: {detailRsvp.noShows.map((u) => u.name || u.email).join(', ')}
+                      </span>
+                    </div>
+                  )}
+
+                  {manualError && !rowEdit && (
+                    <div className="rp-manual-error">{manualError}</div>
+                  )}
+
+                  {addOpen && (
+                    <div className="rp-manual-panel">
+                      {addForm.user ? (
+                        <div className="rp-manual-picked">
+                          <span className="material-symbols-outlined">person</span>
+                          <span>
+                            <strong>{addForm.user.name}</strong> · {addForm.user.email}
+                          </span>
+                          <button
+                            className="rp-icon-btn"
+                            onClick={() => setAddForm({ ...addForm, user: null })}
+                            title="Choose someone else"
+                          >
+                            <span className="material-symbols-outlined">close</span>
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="rp-manual-search">
+                          <input
+                            className="rp-manual-input"
+                            type="text"
+                            placeholder="Search member by name or email…"
+                            value={addSearch}
+                            onChange={(e) => setAddSearch(e.target.value)}
+                            autoFocus
+                          />
+                          {addResults.length > 0 && (
+                            <ul className="rp-manual-results">
+                              {addResults.map((u) => (
+                                <li key={u._id}>
+                                  <button onClick={() => setAddForm({ ...addForm, user: u })}>
+                                    <strong>{u.name}</strong>
+                                    <span>{u.email}</span>
+                                  </button>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </div>
+                      )}
+                      <div className="rp-manual-row">
+                        <select
+                          className="rp-manual-input rp-manual-status"
+                          value={addForm.status}
+                          onChange={(e) => setAddForm({ ...addForm, status: e.target.value })}
+                        >
+                          {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                            <option key={status} value={status}>{label}</option>
+                          ))}
+                        </select>
+                        {detailMeeting.type === 'hybrid' && (
+                          <select
+                            className="rp-manual-input rp-manual-status"
+                            value={addForm.attendanceMode}
+                            onChange={(e) => setAddForm({ ...addForm, attendanceMode: e.target.value })}
+                          >
+                            <option value="">Mode unknown</option>
+                            {Object.entries(ATTENDANCE_MODE_LABELS).map(([mode, label]) => (
+                              <option key={mode} value={mode}>{label}</option>
+                            ))}
+                          </select>
+                        )}
+                        <input
+                          className="rp-manual-input"
+                          type="text"
+                          maxLength={500}
+                          placeholder="Reason (required), e.g. phone battery died"
+                          value={addForm.reason}
+                          onChange={(e) => setAddForm({ ...addForm, reason: e.target.value })}
+                        />
+                        <button
+                          className="rp-export-meeting-btn"
+                          onClick={handleAddAttendance}
+                          disabled={manualSaving}
+                        >
+                          <span className="material-symbols-outlined">
+                            {manualSaving ? 'hourglass_empty' : 'check'}
+                          </span>
+                          Add
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {importPreview && (
+                    <div className="rp-manual-panel rp-import">
+                      <div className="rp-import-header">
+                        <span className="material-symbols-outlined">description</span>
+                        <strong>{importFile?.name}</strong>
+                        <div className="rp-import-counts">
+                          {Object.entries(IMPORT_RESULT_LABELS).map(([result, label]) => (
+                            <span key={result} className={`rp-import-pill rp-import-${result}`}>
+                              {importPreview.summary[result]} {label.toLowerCase()}
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                      <div className="rp-import-rows">
+                        <table className="rp-table">
+                          <thead>
+                            <tr>
+                              <th>Line</th>
+                              <th>Email</th>
+                              <th>Member</th>
+                              <th>Marked At</th>
+                              <th>Result</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {importPreview.rows.map((row) => (
+                              <tr key={row.line}>
+                                <td className="rp-date">{row.line}</td>
+                                <td>{row.email || '—'}</td>
+                                <td>{row.user?.name || '—'}</td>
+                                <td className="rp-date">
+                                  {row.markedAt ? formatDateTime(row.markedAt) : '—'}
+                                  {row.status && row.status !== 'present' && ` · ${STATUS_LABELS[row.status]}`}
+                                </td>
+                                <td>
+                                  <span className={`rp-import-pill rp-import-${row.result}`}>
+                                    {IMPORT_RESULT_LABELS[row.result]}
+                                  </span>
+                                  {row.reason && <span className="rp-import-reason">{row.reason}</span>}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                      <div className="rp-manual-row rp-import-actions">
+                        <button className="rp-view-btn" onClick={cancelImport} disabled={manualSaving}>
+                          Cancel
+                        </button>
+                        <button
+                          className="rp-export-meeting-btn"
+                          onClick={handleImportConfirm}
+                          disabled={manualSaving || importPreview.summary.matched === 0}
+                        >
+                          <span className="material-symbols-outlined">
+                            {manualSaving ? 'hourglass_empty' : 'download_done'}
+                          </span>
+                          Import {importPreview.summary.matched} record
+                          {importPreview.summary.matched !== 1 ? 's' : ''}
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {showHistory && detailChanges.length > 0 && (
+                    <ul className="rp-history">
+                      {detailChanges.map((c) => (
+                        <li key={c._id} className="rp-history-item">
+                          <span className={`rp-history-action rp-history-${c.action}`}>
+                            {CHANGE_LABELS[c.action]}
+                          </span>
+                          <span className="rp-history-text">
+                            <strong>{c.actor?.name || 'An admin'}</strong> {CHANGE_LABELS[c.action]}{' '}
+                            attendance for <strong>{c.member?.name || 'a member'}</strong>
+                            {c.before && c.after && c.before.status !== c.after.status && (
+                              <> ({STATUS_LABELS[c.before.status]} → {STATUS_LABELS[c.after.status]})</>
+                            )}
+                            {c.reason && <span className="rp-history-reason"> — “{c.reason}”</span>}
+                          </span>
+                          <span className="rp-history-time">{formatDateTime(c.changedAt)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
                   {detailRecords.length === 0 ? (
                     <div className="rp-empty">
                       <span className="material-symbols-outlined rp-empty-icon">person_off</span>
@@ -541,46 +1569,210 @@ const Reports = () => {
                           <th>#</th>
                           <th>Member</th>
                           <th>Method</th>
+                          <th>Status</th>
                           <th>Time</th>
+                          {detailMeeting.checkOutEnabled && <th>Stay</th>}
                           <th>Location</th>
+                          <th />
                         </tr>
                       </thead>
                       <tbody>
                         {detailRecords.map((r, i) => (
-                          <tr key={r._id}>
-                            <td style={{ color: '#80868b', width: 48 }}>{i + 1}</td>
-                            <td>
-                              <div className="rp-member-info">
-                                {r.user?.photoURL ? (
-                                  <img className="rp-avatar" src={r.user.photoURL} alt={r.user.name} />
-                                ) : (
-                                  <div className="rp-avatar-placeholder">
-                                    {getInitials(r.user?.name)}
+                          <Fragment key={r._id}>
+                            <tr>
+                              <td style={{ color: '#80868b', width: 48 }}>{i + 1}</td>
+                              <td>
+                                <div className="rp-member-info">
+                                  {r.user?.photoURL ? (
+                                    <img className="rp-avatar" src={r.user.photoURL} alt={r.user.name} />
+                                  ) : (
+                                    <div className="rp-avatar-placeholder">
+                                      {getInitials(r.user?.name)}
+                                    </div>
+                                  )}
+                                  <div>
+                                    <div className="rp-member-name">
+                                      {r.user?.name || 'Unknown'}
+                                      {r.suspiciousFlags?.length > 0 && (
+                                        <span
+                                          className="material-symbols-outlined rp-flag-icon"
+                                          title={r.suspiciousFlags.map((f) => FLAG_LABELS[f]).join(', ')}
+                                        >
+                                          gpp_maybe
+                                        </span>
+                                      )}
+                                    </div>
+                                    <div className="rp-member-email">{r.user?.email}</div>
                                   </div>
-                                )}
-                                <div>
-                                  <div className="rp-member-name">{r.user?.name || 'Unknown'}</div>
-                                  <div className="rp-member-email">{r.user?.email}</div>
                                 </div>
-                              </div>
-                            </td>
-                            <td>
-                              <span className={`rp-method-pill rp-method-${r.method}`}>
-                                {r.method === 'qr' ? 'QR' : 'Link'}
-                              </span>
-                            </td>
-                            <td className="rp-date">{formatDateTime(r.markedAt)}</td>
-                            <td>
-                              {r.location?.lat != null ? (
-                                <span className="rp-location-cell">
-                                  <span className="material-symbols-outlined">location_on</span>
-                                  {r.location.lat.toFixed(4)}, {r.location.lng.toFixed(4)}
+                              </td>
+                              <td>
+                                <span
+                                  className={`rp-method-pill rp-method-${r.method}`}
+                                  title={r.method === 'manual'
+                                    ? `Added by ${r.recordedBy?.name || 'an admin'}: ${r.manualReason}`
+                                    : undefined}
+                                >
+                                  {METHOD_LABELS[r.method] || r.method}
                                 </span>
-                              ) : (
-                                <span className="rp-no-location">—</span>
+                                {detailMeeting.type === 'hybrid' && r.mode && (
+                                  <span className={`rp-mode-pill rp-mode-${r.mode}`}>
+                                    {ATTENDANCE_MODE_LABELS[r.mode]}
+                                  </span>
+                                )}
+                              </td>
+                              <td>
+                                <div className="rp-status-cell">
+                                  <select
+                                    className={`rp-status-select rp-status-${r.status || 'present'}`}
+                                    value={r.status || 'present'}
+                                    onChange={(e) => startRowEdit(r, 'status', e.target.value)}
+                                  >
+                                    {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                                      <option key={status} value={status}>{label}</option>
+                                    ))}
+                                  </select>
+                                  {r.statusOverride && (
+                                    <span
+                                      className="material-symbols-outlined rp-status-edited"
+                                      title={`Changed from ${STATUS_LABELS[r.statusOverride.previous] || r.statusOverride.previous} by ${r.statusOverride.by?.name || 'an admin'} on ${formatDateTime(r.statusOverride.at)}`}
+                                    >
+                                      edit
+                                    </span>
+                                  )}
+                                </div>
+                              </td>
+                              <td className="rp-date">{formatDateTime(r.markedAt)}</td>
+                              {detailMeeting.checkOutEnabled && (
+                                <td>
+                                  {r.checkedOutAt ? (
+                                    <span
+                                      className={`rp-stay ${r.countsTowardAttendance === false ? 'rp-stay-short' : ''}`}
+                                      title={`Checked out ${formatDateTime(r.checkedOutAt)}`}
+                                    >
+                                      {r.stayMinutes} min
+                                    </span>
+                                  ) : (
+                                    <span className="rp-no-location">Not checked out</span>
+                                  )}
+                                </td>
                               )}
-                            </td>
-                          </tr>
+                              <td>
+                                {r.location?.lat != null ? (
+                                  <span className="rp-location-cell">
+                                    <span className="material-symbols-outlined">location_on</span>
+                                    {r.location.lat.toFixed(4)}, {r.location.lng.toFixed(4)}
+                                  </span>
+                                ) : (
+                                  <span className="rp-no-location">—</span>
+                                )}
+                              </td>
+                              <td className="rp-row-actions">
+                                <button
+                                  className="rp-icon-btn"
+                                  title={r.lastEditedBy
+                                    ? `Edit (last edited by ${r.lastEditedBy.name} on ${formatDateTime(r.lastEditedAt)})`
+                                    : 'Edit'}
+                                  onClick={() => startRowEdit(r, 'edit')}
+                                >
+                                  <span className="material-symbols-outlined">edit</span>
+                                </button>
+                                <button
+                                  className="rp-icon-btn rp-icon-btn-danger"
+                                  title="Remove"
+                                  onClick={() => startRowEdit(r, 'remove')}
+                                >
+                                  <span className="material-symbols-outlined">delete</span>
+                                </button>
+                              </td>
+                            </tr>
+                            {rowEdit?.id === r._id && (
+                              <tr className="rp-edit-row">
+                                <td colSpan={detailMeeting.checkOutEnabled ? 8 : 7}>
+                                  <div className="rp-manual-row">
+                                    {rowEdit.mode === 'status' && (
+                                      <select
+                                        className="rp-manual-input rp-manual-status"
+                                        value={rowEdit.status}
+                                        onChange={(e) => setRowEdit({ ...rowEdit, status: e.target.value })}
+                                      >
+                                        {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                                          <option key={status} value={status}>{label}</option>
+                                        ))}
+                                      </select>
+                                    )}
+                                    {rowEdit.mode === 'edit' && (
+                                      <>
+                                        <select
+                                          className="rp-manual-input rp-manual-status"
+                                          value={rowEdit.status}
+                                          onChange={(e) => setRowEdit({ ...rowEdit, status: e.target.value })}
+                                        >
+                                          {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                                            <option key={status} value={status}>{label}</option>
+                                          ))}
+                                        </select>
+                                        {detailMeeting.type === 'hybrid' && (
+                                          <select
+                                            className="rp-manual-input rp-manual-status"
+                                            value={rowEdit.attendanceMode}
+                                            onChange={(e) => setRowEdit({ ...rowEdit, attendanceMode: e.target.value })}
+                                          >
+                                            <option value="">Mode unknown</option>
+                                            {Object.entries(ATTENDANCE_MODE_LABELS).map(([mode, label]) => (
+                                              <option key={mode} value={mode}>{label}</option>
+                                            ))}
+                                          </select>
+                                        )}
+                                        <label className="rp-manual-label">
+                                          In
+                                          <input
+                                            className="rp-manual-input"
+                                            type="datetime-local"
+                                            value={rowEdit.markedAt}
+                                            onChange={(e) => setRowEdit({ ...rowEdit, markedAt: e.target.value })}
+                                          />
+                                        </label>
+                                        {detailMeeting.checkOutEnabled && (
+                                          <label className="rp-manual-label">
+                                            Out
+                                            <input
+                                              className="rp-manual-input"
+                                              type="datetime-local"
+                                              value={rowEdit.checkedOutAt}
+                                              onChange={(e) => setRowEdit({ ...rowEdit, checkedOutAt: e.target.value })}
+                                            />
+                                          </label>
+                                        )}
+                                      </>
+                                    )}
+                                    <input
+                                      className="rp-manual-input"
+                                      type="text"
+                                      maxLength={500}
+                                      placeholder={rowEdit.mode === 'remove'
+                                        ? 'Reason for removing (required)'
+                                        : 'Reason for this change (required)'}
+                                      value={rowEdit.reason}
+                                      onChange={(e) => setRowEdit({ ...rowEdit, reason: e.target.value })}
+                                      autoFocus
+                                    />
+                                    <button
+                                      className={`rp-export-meeting-btn ${rowEdit.mode === 'remove' ? 'rp-btn-danger' : ''}`}
+                                      onClick={handleRowEditSave}
+                                      disabled={manualSaving}
+                                    >
+                                      {rowEdit.mode === 'remove' ? 'Remove' : 'Save'}
+                                    </button>
+                                    <button className="rp-view-btn" onClick={() => setRowEdit(null)}>
+                                      Cancel
+                                    </button>
+                                  </div>
+                                  {manualError && <div className="rp-manual-error">{manualError}</div>}
+                                </td>
+                              </tr>
+                            )}
+                          </Fragment>
                         ))}
                       </tbody>
                     </table>
@@ -591,6 +1783,9 @@ const Reports = () => {
                   <span className="rp-total-badge">
                     <span className="material-symbols-outlined">people</span>
                     {detailRecords.length} attendee{detailRecords.length !== 1 ? 's' : ''}
+                    {detailMeeting.checkOutEnabled && detailMeeting.minimumStayMinutes && (
+                      <> · {detailRecords.filter((r) => r.countsTowardAttendance !== false).length} stayed {detailMeeting.minimumStayMinutes}+ min</>
+                    )}
                   </span>
                   <div className="rp-modal-footer-actions">
                     <button
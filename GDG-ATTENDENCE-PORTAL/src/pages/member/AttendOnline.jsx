@@ -1,6 +1,8 @@
 import { useState, useEffect, useCallback } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import api from '../../config/api'
+import { getDeviceId } from '../../config/device'
+import { getMeetingTypeMeta } from '../../config/meetingTypes'
 import './AttendOnline.css'
 
 const AttendOnline = () => {
@@ -10,11 +12,15 @@ const AttendOnline = () => {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [meeting, setMeeting] = useState(null)
-  const [status, setStatus] = useState(null)       // 'live' | 'upcoming' | 'ended'
+  const [checkIn, setCheckIn] = useState(null)     // { rule, methods, geofence, venue, rsvpRequired, rsvpStatus }
+  const [status, setStatus] = useState(null)       // 'live' | 'upcoming' | 'closed' | 'ended'
   const [alreadyAttended, setAlreadyAttended] = useState(false)
   const [marking, setMarking] = useState(false)
   const [marked, setMarked] = useState(false)
   const [meetingLink, setMeetingLink] = useState('')
+  const [checkedOutAt, setCheckedOutAt] = useState(null)
+  const [leaving, setLeaving] = useState(false)
+  const [leaveResult, setLeaveResult] = useState(null) // { stayMinutes, countsTowardAttendance }
 
   // ── Fetch meeting info ────────────────────────────
   const fetchMeetingInfo = useCallback(async () => {
@@ -24,9 +30,11 @@ const AttendOnline = () => {
       const data = await api.get(`/attendance/${token}`)
       if (data.success) {
         setMeeting(data.data.meeting)
+        setCheckIn(data.data.checkIn || null)
         setStatus(data.data.status)
         setAlreadyAttended(data.data.alreadyAttended)
         setMeetingLink(data.data.meeting.meetingLink || '')
+        setCheckedOutAt(data.data.checkedOutAt || null)
       }
     } catch (err) {
       console.error('Failed to fetch attendance page:', err)
@@ -52,8 +60,14 @@ const AttendOnline = () => {
     try {
       setMarking(true)
 
-      // Capture geolocation before marking
+      // Capture geolocation before marking — required when the meeting's
+      // link rule checks location, best-effort otherwise
+      const locationRequired = checkIn?.rule === 'location' || checkIn?.rule === 'geofence'
       let locationPayload = {}
+      if (locationRequired && !navigator.geolocation) {
+        setError('This meeting needs your location to check in, but your browser does not support it.')
+        return
+      }
       if (navigator.geolocation) {
         try {
           const pos = await new Promise((resolve, reject) =>
@@ -69,12 +83,19 @@ const AttendOnline = () => {
             accuracy: pos.coords.accuracy,
           }
         } catch (geoErr) {
+          if (locationRequired) {
+            setError('This meeting needs your location to check in. Please allow location access in your browser and try again.')
+            return
+          }
           // Location denied / unavailable — continue without it
           console.warn('Geolocation not available:', geoErr.message)
         }
       }
 
-      const data = await api.post(`/attendance/${token}/mark`, locationPayload)
+      const data = await api.post(`/attendance/${token}/mark`, {
+        ...locationPayload,
+        deviceId: getDeviceId(),
+      })
 
       if (data.success) {
         setMarked(true)
@@ -95,6 +116,23 @@ const AttendOnline = () => {
     }
   }
 
+  // ── Check out ─────────────────────────────────────
+  const handleLeaveMeeting = async () => {
+    try {
+      setLeaving(true)
+      const data = await api.post(`/attendance/${token}/leave`)
+      if (data.success) {
+        setCheckedOutAt(data.data.checkedOutAt)
+        setLeaveResult(data.data)
+      }
+    } catch (err) {
+      console.error('Failed to check out:', err)
+      setError(err.data?.message || err.message || 'Failed to check out.')
+    } finally {
+      setLeaving(false)
+    }
+  }
+
   // ── Helpers ───────────────────────────────────────
   const formatDate = (iso) => {
     const d = new Date(iso)
@@ -118,16 +156,16 @@ const AttendOnline = () => {
   const getTimeUntil = () => {
     if (!meeting) return ''
     const now = new Date()
-    const start = new Date(meeting.dateTime)
-    const diff = start - now
+    const opensAt = new Date(meeting.checkInOpensAt || meeting.dateTime)
+    const diff = opensAt - now
     if (diff <= 0) return ''
     const mins = Math.floor(diff / 60000)
-    if (mins < 60) return `Starts in ${mins} minute${mins !== 1 ? 's' : ''}`
+    if (mins < 60) return `Check-in opens in ${mins} minute${mins !== 1 ? 's' : ''}`
     const hrs = Math.floor(mins / 60)
     const remainMins = mins % 60
-    if (hrs < 24) return `Starts in ${hrs}h ${remainMins}m`
+    if (hrs < 24) return `Check-in opens in ${hrs}h ${remainMins}m`
     const days = Math.floor(hrs / 24)
-    return `Starts in ${days} day${days !== 1 ? 's' : ''}`
+    return `Check-in opens in ${days} day${days !== 1 ? 's' : ''}`
   }
 
   const getEndTime = () => {
@@ -189,6 +227,12 @@ const AttendOnline = () => {
             <p className="ao-success-desc">
               Your attendance for <strong>{meeting.title}</strong> has been recorded successfully.
             </p>
+            {meeting.checkOutEnabled && (
+              <p className="ao-success-desc">
+                This meeting tracks how long you stay — reopen this link and click
+                <strong> Leave Meeting</strong> when you're done.
+              </p>
+            )}
             {meetingLink && (
               <a
                 href={meetingLink}
@@ -230,6 +274,12 @@ const AttendOnline = () => {
                 {getTimeUntil()}
               </>
             )}
+            {status === 'closed' && (
+              <>
+                <span className="material-icon">timer_off</span>
+                Check-in Closed
+              </>
+            )}
             {status === 'ended' && (
               <>
                 <span className="material-icon">event_available</span>
@@ -242,13 +292,17 @@ const AttendOnline = () => {
           <div className="ao-card-body">
             <div className="ao-meeting-header">
               <div className="ao-meeting-icon">
-                <span className="material-icon">videocam</span>
+                <span className="material-icon">{getMeetingTypeMeta(meeting.type).icon}</span>
               </div>
               <div>
                 <h1 className="ao-meeting-title">{meeting.title}</h1>
                 <span className="ao-type-pill">
-                  <span className="material-icon">videocam</span>
-                  Online Meeting
+                  <span className="material-icon">{getMeetingTypeMeta(meeting.type).icon}</span>
+                  {meeting.type === 'online'
+                    ? 'Online Meeting'
+                    : meeting.type === 'hybrid'
+                      ? 'Hybrid Meeting'
+                      : 'In-person Meeting'}
                 </span>
               </div>
             </div>
@@ -270,6 +324,36 @@ const AttendOnline = () => {
                 <span className="material-icon">timer</span>
                 <span>{meeting.duration} minutes</span>
               </div>
+              {meeting.type !== 'online' && meeting.location && (
+                <div className="ao-detail-item">
+                  <span className="material-icon">location_on</span>
+                  <span>{meeting.location}</span>
+                </div>
+              )}
+              {checkIn?.rule === 'geofence' && (
+                <div className="ao-detail-item">
+                  <span className="material-icon">fence</span>
+                  <span>Check-in only works from {checkIn.venue?.name || 'the venue'} — your location is checked</span>
+                </div>
+              )}
+              {checkIn?.rule === 'location' && (
+                <div className="ao-detail-item">
+                  <span className="material-icon">my_location</span>
+                  <span>Your location is recorded when you check in</span>
+                </div>
+              )}
+              {checkIn?.rsvpRequired && (
+                <div className="ao-detail-item">
+                  <span className="material-icon">event_available</span>
+                  <span>
+                    {checkIn.rsvpStatus === 'going'
+                      ? 'Your RSVP is confirmed'
+                      : checkIn.rsvpStatus === 'waitlisted'
+                        ? 'You are on the waitlist — only members with a confirmed RSVP can check in'
+                        : 'Only members who RSVPed can check in'}
+                  </span>
+                </div>
+              )}
               {meeting.createdBy?.name && (
                 <div className="ao-detail-item">
                   <span className="material-icon">person</span>
@@ -313,13 +397,13 @@ const AttendOnline = () => {
                   ) : (
                     <>
                       <span className="material-icon">login</span>
-                      Join Meeting &amp; Mark Attendance
+                      {meetingLink ? 'Join Meeting & Mark Attendance' : 'Mark Attendance'}
                     </>
                   )}
                 </button>
               )}
 
-              {status === 'live' && alreadyAttended && meetingLink && (
+              {(status === 'live' || status === 'closed') && alreadyAttended && meetingLink && (
                 <a
                   href={meetingLink}
                   target="_blank"
@@ -331,10 +415,50 @@ const AttendOnline = () => {
                 </a>
               )}
 
+              {(status === 'live' || status === 'closed') &&
+                alreadyAttended && meeting.checkOutEnabled && !checkedOutAt && (
+                <button
+                  className="ao-btn ao-btn-secondary ao-btn-leave"
+                  onClick={handleLeaveMeeting}
+                  disabled={leaving}
+                >
+                  {leaving ? (
+                    <>
+                      <span className="ao-btn-spinner" />
+                      Checking Out…
+                    </>
+                  ) : (
+                    <>
+                      <span className="material-icon">logout</span>
+                      Leave Meeting &amp; Check Out
+                    </>
+                  )}
+                </button>
+              )}
+
+              {alreadyAttended && checkedOutAt && (
+                <div className="ao-upcoming-notice">
+                  <span className="material-icon">logout</span>
+                  <p>
+                    Checked out at {formatTime(checkedOutAt)}
+                    {leaveResult && ` after ${leaveResult.stayMinutes} minute${leaveResult.stayMinutes !== 1 ? 's' : ''}`}.
+                    {leaveResult && !leaveResult.countsTowardAttendance &&
+                      ' This is below the minimum stay, so it will not count.'}
+                  </p>
+                </div>
+              )}
+
               {status === 'upcoming' && (
                 <div className="ao-upcoming-notice">
                   <span className="material-icon">info</span>
-                  <p>You'll be able to join and mark attendance once the meeting starts.</p>
+                  <p>You'll be able to join and mark attendance once check-in opens.</p>
+                </div>
+              )}
+
+              {status === 'closed' && !alreadyAttended && (
+                <div className="ao-ended-notice">
+                  <span className="material-icon">timer_off</span>
+                  <p>Check-in for this meeting has closed. Attendance can no longer be marked.</p>
                 </div>
               )}
 
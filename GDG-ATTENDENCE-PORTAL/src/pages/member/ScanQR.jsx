@@ -2,6 +2,7 @@ import { useState, useEffect, useRef, useCallback } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { Html5Qrcode } from 'html5-qrcode'
 import api from '../../config/api'
+import { getDeviceId } from '../../config/device'
 import './ScanQR.css'
 
 /**
@@ -22,6 +23,8 @@ const ScanQR = () => {
   const [errorInfo, setErrorInfo] = useState({ title: '', message: '', type: 'error' })
   const [successData, setSuccessData] = useState(null)
   const [alreadyAttended, setAlreadyAttended] = useState(false)
+  const [successMessage, setSuccessMessage] = useState('')
+  const [checkOut, setCheckOut] = useState(null) // { stayMinutes, countsTowardAttendance } after a check-out scan
   const [location, setLocation] = useState(null)
   const [locationStatus, setLocationStatus] = useState('acquiring') // acquiring | acquired | denied
 
@@ -170,7 +173,7 @@ const ScanQR = () => {
       }
 
       // Send to backend
-      const payload = { qrData }
+      const payload = { qrData, deviceId: getDeviceId() }
       if (loc) {
         payload.lat = loc.lat
         payload.lng = loc.lng
@@ -182,6 +185,8 @@ const ScanQR = () => {
       if (data.success) {
         setSuccessData(data.data.meeting)
         setAlreadyAttended(data.data.alreadyAttended)
+        setSuccessMessage(data.message || '')
+        setCheckOut(data.data.checkedOut && data.data.stayMinutes != null ? data.data : null)
         setState('success')
       }
     } catch (err) {
@@ -197,9 +202,15 @@ const ScanQR = () => {
       if (errCode === 'ExpiredQR') {
         errTitle = 'QR Code Expired'
         errType = 'warn'
+      } else if (errCode === 'InvalidQR') {
+        errTitle = 'QR Code Not Recognised'
+        errType = 'error'
       } else if (errCode === 'TooEarly') {
         errTitle = 'Meeting Not Started'
         errType = 'warn'
+      } else if (errCode === 'CheckInClosed') {
+        errTitle = 'Check-in Closed'
+        errType = 'warn'
       } else if (errCode === 'MeetingEnded') {
         errTitle = 'Meeting Ended'
         errType = 'warn'
@@ -209,6 +220,12 @@ const ScanQR = () => {
       } else if (errCode === 'LocationRequired') {
         errTitle = 'Location Access Needed'
         errType = 'warn'
+      } else if (errCode === 'LocationInaccurate') {
+        errTitle = 'Location Not Precise Enough'
+        errType = 'warn'
+      } else if (errCode === 'MethodNotAllowed') {
+        errTitle = 'QR Check-in Not Available'
+        errType = 'warn'
       } else if (errCode === 'Forbidden') {
         errTitle = 'Access Denied'
         errType = 'error'
@@ -344,7 +361,7 @@ const ScanQR = () => {
                 <span className="material-symbols-outlined">check_circle</span>
               </div>
 
-              {alreadyAttended && (
+              {alreadyAttended && !checkOut && (
                 <div className="sq-already-badge">
                   <span className="material-symbols-outlined">info</span>
                   Already recorded
@@ -352,12 +369,18 @@ const ScanQR = () => {
               )}
 
               <h2 className="sq-success-title">
-                {alreadyAttended ? 'Attendance Already Recorded' : 'Attendance Marked!'}
+                {checkOut
+                  ? 'Checked Out'
+                  : alreadyAttended ? 'Attendance Already Recorded' : 'Attendance Marked!'}
               </h2>
               <p className="sq-success-msg">
-                {alreadyAttended
-                  ? 'Your attendance for this meeting was already recorded earlier.'
-                  : 'Your attendance has been successfully recorded.'}
+                {checkOut
+                  ? `You stayed ${checkOut.stayMinutes} minute${checkOut.stayMinutes !== 1 ? 's' : ''}.${
+                      checkOut.countsTowardAttendance ? '' : ' This is below the minimum stay, so it will not count.'
+                    }`
+                  : alreadyAttended
+                    ? successMessage || 'Your attendance for this meeting was already recorded earlier.'
+                    : 'Your attendance has been successfully recorded.'}
               </p>
 
               {successData && (
@@ -434,7 +457,7 @@ const ScanQR = () => {
         {(state === 'scanning' || state === 'idle') && (
           <div className="sq-hint">
             <span className="material-symbols-outlined">lightbulb</span>
-            Hold your phone steady and make sure the QR code is well-lit. The code refreshes every 20 seconds — scan the latest one.
+            Hold your phone steady and make sure the QR code is well-lit. The code refreshes every few seconds — scan the latest one.
           </div>
         )}
       </div>
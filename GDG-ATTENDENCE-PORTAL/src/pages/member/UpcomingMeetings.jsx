@@ -0,0 +1,277 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
+import api from '../../config/api'
+import { downloadMeetingCalendar } from '../../config/calendar'
+import { getMeetingTypeMeta, isInPersonType } from '../../config/meetingTypes'
+import RsvpButton from '../../components/RsvpButton'
+import './UpcomingMeetings.css'
+
+const TICK_MS = 30000 // countdown refresh
+const MAX_REFETCH_DELAY = 60 * 60000 // re-check at least hourly
+
+/**
+ * UpcomingMeetings — the meetings a member may attend (GET /meetings/upcoming).
+ *
+ * Live meetings come first, then upcoming ones with a countdown. While
+ * check-in is open, online meetings offer a Join button (the /attend/:token
+ * page) and in-person ones point to the QR scanner. The list is refetched
+ * whenever a meeting's check-in opens or closes, it starts, or it ends.
+ */
+const UpcomingMeetings = () => {
+  const navigate = useNavigate()
+  const [meetings, setMeetings] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [actionError, setActionError] = useState('')
+  const [now, setNow] = useState(() => Date.now())
+
+  const fetchMeetings = useCallback(async ({ quiet = false } = {}) => {
+    try {
+      if (!quiet) setLoading(true)
+      setError(null)
+      const data = await api.get('/meetings/upcoming')
+      if (data.success) {
+        setMeetings(data.data)
+        setNow(Date.now())
+      }
+    } catch (err) {
+      console.error('Failed to fetch upcoming meetings:', err)
+      if (!quiet) setError(err.data?.message || 'Failed to load meetings.')
+    } finally {
+      if (!quiet) setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchMeetings()
+  }, [fetchMeetings])
+
+  // Tick the countdowns
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS)
+    return () => clearInterval(timer)
+  }, [])
+
+  // Refetch when the next boundary passes (join links appear, meetings go live or end)
+  useEffect(() => {
+    const current = Date.now()
+    const boundaries = meetings
+      .flatMap((m) => [m.checkIn.opensAt, m.dateTime, m.checkIn.closesAt, m.endsAt])
+      .map((iso) => new Date(iso).getTime())
+      .filter((t) => t > current)
+    if (boundaries.length === 0) return
+
+    const delay = Math.min(Math.min(...boundaries) - current + 1000, MAX_REFETCH_DELAY)
+    const timer = setTimeout(() => fetchMeetings({ quiet: true }), delay)
+    return () => clearTimeout(timer)
+  }, [meetings, fetchMeetings])
+
+  // ── Helpers ────────────────────────────────────────
+  const formatDate = (iso) => {
+    const d = new Date(iso)
+    return d.toLocaleDateString('en-IN', {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+    })
+  }
+
+  const formatTime = (iso) => {
+    const d = new Date(iso)
+    return d.toLocaleTimeString('en-IN', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: true,
+    })
+  }
+
+  const formatCountdown = (iso) => {
+    const mins = Math.ceil((new Date(iso).getTime() - now) / 60000)
+    if (mins <= 1) return 'under a minute'
+    if (mins < 60) return `${mins} min`
+    const hrs = Math.floor(mins / 60)
+    if (hrs < 24) return `${hrs}h ${mins % 60}m`
+    const days = Math.floor(hrs / 24)
+    return `${days}d ${hrs % 24}h`
+  }
+
+  const describeCheckIn = (meeting) => {
+    const { state, opensAt, closesAt } = meeting.checkIn
+    if (meeting.attended) return 'You have checked in'
+    if (state === 'upcoming') return `Check-in opens in ${formatCountdown(opensAt)}`
+    if (state === 'open') return `Check-in open until ${formatTime(closesAt)}`
+    return 'Check-in has closed'
+  }
+
+  const handleDownloadCalendar = async (meeting) => {
+    try {
+      setActionError('')
+      await downloadMeetingCalendar(meeting)
+    } catch (err) {
+      console.error('Calendar download failed:', err)
+      setActionError(err.data?.message || 'Failed to download calendar file.')
+    }
+  }
+
+  const updateRsvp = (meetingId, rsvp) => {
+    setMeetings((prev) => prev.map((m) => (m._id === meetingId ? { ...m, rsvp } : m)))
+  }
+
+  const live = meetings.filter((m) => m.status === 'live')
+  const upcoming = meetings.filter((m) => m.status === 'upcoming')
+
+  const renderMeeting = (meeting) => {
+    const isLive = meeting.status === 'live'
+    const canScan = !meeting.attended && meeting.checkIn.state === 'open' && meeting.checkIn.methods.includes('qr')
+    const place = meeting.venue?.name || meeting.location
+
+    return (
+      <article key={meeting._id} className={`um-card ${isLive ? 'um-card-live' : ''}`}>
+        <div className="um-card-main">
+          <div className={`um-card-icon um-type-${meeting.type}`}>
+            <span className="material-icon">{getMeetingTypeMeta(meeting.type).icon}</span>
+          </div>
+
+          <div className="um-card-body">
+            <div className="um-card-heading">
+              <h3 className="um-card-title">{meeting.title}</h3>
+              <span className={`um-status-badge um-status-${meeting.status}`}>
+                {isLive && <span className="um-live-dot" />}
+                {isLive
+                  ? `Live · ends in ${formatCountdown(meeting.endsAt)}`
+                  : `Starts in ${formatCountdown(meeting.dateTime)}`}
+              </span>
+            </div>
+
+            {meeting.description && <p className="um-card-desc">{meeting.description}</p>}
+
+            <div className="um-card-meta">
+              <span className="um-card-meta-item">
+                <span className="material-icon">calendar_today</span>
+                {formatDate(meeting.dateTime)}
+              </span>
+              <span className="um-card-meta-item">
+                <span className="material-icon">schedule</span>
+                {formatTime(meeting.dateTime)} – {formatTime(meeting.endsAt)}
+              </span>
+              {isInPersonType(meeting.type) && place && (
+                <span className="um-card-meta-item">
+                  <span className="material-icon">location_on</span>
+                  {place}
+                  {meeting.venue?.address && ` · ${meeting.venue.address}`}
+                </span>
+              )}
+              <span className={`um-type-pill um-type-${meeting.type}`}>
+                {getMeetingTypeMeta(meeting.type).label}
+              </span>
+            </div>
+
+            <p className={`um-checkin ${meeting.attended ? 'um-checkin-done' : ''}`}>
+              <span className="material-icon">{meeting.attended ? 'check_circle' : 'how_to_reg'}</span>
+              {describeCheckIn(meeting)}
+            </p>
+          </div>
+        </div>
+
+        <div className="um-card-actions">
+          {meeting.joinPath && (
+            <button className="um-btn um-btn-primary" onClick={() => navigate(meeting.joinPath)}>
+              <span className="material-icon">videocam</span>
+              {meeting.attended ? 'Open meeting' : 'Join & check in'}
+            </button>
+          )}
+          {canScan && (
+            <button className="um-btn um-btn-primary" onClick={() => navigate('/member/scan-qr')}>
+              <span className="material-icon">qr_code_scanner</span>
+              Scan QR
+            </button>
+          )}
+          <button className="um-btn" onClick={() => handleDownloadCalendar(meeting)}>
+            <span className="material-icon">calendar_add_on</span>
+            Add to calendar
+          </button>
+          {(meeting.rsvp.open || meeting.rsvp.status) && (
+            <RsvpButton
+              meetingId={meeting._id}
+              rsvp={meeting.rsvp}
+              onChange={(rsvp) => updateRsvp(meeting._id, rsvp)}
+            />
+          )}
+        </div>
+      </article>
+    )
+  }
+
+  return (
+    <div className="um-page">
+      {/* Header */}
+      <div className="um-header">
+        <h1 className="um-title">
+          <span className="material-icon">event_upcoming</span>
+          Upcoming Meetings
+        </h1>
+        <p className="um-subtitle">
+          Upcoming and live meetings you can attend. Join online meetings here once check-in opens.
+        </p>
+      </div>
+
+      {actionError && (
+        <div className="um-error">
+          <span className="material-icon">error</span>
+          <span>{actionError}</span>
+        </div>
+      )}
+
+      {/* Loading */}
+      {loading && (
+        <div className="um-loading">
+          {[1, 2, 3].map((i) => (
+            <div key={i} className="um-skeleton-card" />
+          ))}
+        </div>
+      )}
+
+      {/* Error */}
+      {error && !loading && (
+        <div className="um-error">
+          <span className="material-icon">error</span>
+          <span>{error}</span>
+          <button className="um-retry-btn" onClick={() => fetchMeetings()}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {/* Empty state */}
+      {!loading && !error && meetings.length === 0 && (
+        <div className="um-empty">
+          <div className="um-empty-icon">
+            <span className="material-icon">event_busy</span>
+          </div>
+          <h2 className="um-empty-title">No upcoming meetings</h2>
+          <p className="um-empty-desc">
+            There are no meetings scheduled for you right now. New meetings will show up here.
+          </p>
+        </div>
+      )}
+
+      {/* Meeting lists */}
+      {!loading && !error && live.length > 0 && (
+        <section className="um-section">
+          <h2 className="um-section-title">Live now</h2>
+          <div className="um-list">{live.map(renderMeeting)}</div>
+        </section>
+      )}
+
+      {!loading && !error && upcoming.length > 0 && (
+        <section className="um-section">
+          <h2 className="um-section-title">Upcoming</h2>
+          <div className="um-list">{upcoming.map(renderMeeting)}</div>
+        </section>
+      )}
+    </div>
+  )
+}
+
+export default UpcomingMeetings
@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import api from '../../config/api'
+import { getMeetingTypeMeta } from '../../config/meetingTypes'
 import './DisplayLink.css'
 
 const DisplayLink = () => {
@@ -102,7 +103,8 @@ const DisplayLink = () => {
     const now = new Date()
     const start = new Date(meeting.dateTime)
     const end = new Date(start.getTime() + (meeting.duration || 60) * 60000)
-    if (now < start) return 'upcoming'
+    const opensAt = new Date(start.getTime() - (meeting.checkInOpensBefore || 0) * 60000)
+    if (now < opensAt) return 'upcoming'
     if (now >= end) return 'ended'
     return 'live'
   }
@@ -171,8 +173,10 @@ const DisplayLink = () => {
 
         <div className="dl-topbar-right">
           <span className="dl-type-pill">
-            <span className="material-icon" style={{ fontSize: '13px' }}>videocam</span>
-            Online
+            <span className="material-icon" style={{ fontSize: '13px' }}>
+              {getMeetingTypeMeta(meeting.type).icon}
+            </span>
+            {getMeetingTypeMeta(meeting.type).label}
           </span>
           <span className={`dl-status-badge dl-status-${status}`}>
             {status === 'live' && <span className="dl-live-dot" />}
@@ -1,9 +1,13 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import api from '../../config/api'
+import { getMeetingTypeMeta, isInPersonType } from '../../config/meetingTypes'
+import LiveAttendanceFeed from '../../components/LiveAttendanceFeed'
+import QRImage from '../../components/QRImage'
 import './DisplayQR.css'
 
-const QR_REFRESH_INTERVAL = 20 // must match backend
+const DEFAULT_REFRESH_INTERVAL = 20 // backend default when a meeting has no qrRotationSeconds
+const STREAM_RETRY_DELAY = 15000 // ms between SSE reconnect attempts while polling
 
 const DisplayQR = () => {
   const { meetingId } = useParams()
@@ -15,9 +19,12 @@ const DisplayQR = () => {
   const [error, setError] = useState(null)
 
   // QR state
-  const [qrCode, setQrCode] = useState(null)
-  const [qrCountdown, setQrCountdown] = useState(QR_REFRESH_INTERVAL)
+  const [hasQR, setHasQR] = useState(false)
+  const [qrGeneration, setQrGeneration] = useState(0)
+  const [qrCountdown, setQrCountdown] = useState(DEFAULT_REFRESH_INTERVAL)
+  const [refreshInterval, setRefreshInterval] = useState(DEFAULT_REFRESH_INTERVAL)
   const [qrPaused, setQrPaused] = useState(false)
+  const [streamLive, setStreamLive] = useState(true)
   const [isFullscreen, setIsFullscreen] = useState(false)
   const qrRefreshingRef = useRef(false)
   const pageRef = useRef(null)
@@ -30,6 +37,7 @@ const DisplayQR = () => {
       const data = await api.get(`/meetings/${meetingId}`)
       if (data.success) {
         setMeeting(data.data)
+        setRefreshInterval(data.data.qrRotationSeconds || DEFAULT_REFRESH_INTERVAL)
       }
     } catch (err) {
       console.error('Failed to fetch meeting:', err)
@@ -43,39 +51,52 @@ const DisplayQR = () => {
     fetchMeeting()
   }, [fetchMeeting])
 
-  // ── QR auto-refresh timer ─────────────────────────
-  // Same flow as the admin ManageMeetings QR modal:
+  // ── QR auto-refresh ───────────────────────────────
+  // Primary: subscribe to /qr-stream (SSE) — the server pushes every new
+  // QR the moment it is issued, plus pause / resume changes.
+  // Fallback (stream dropped): the polling flow used by the admin modal:
   //   1. Fetch qr-status → get QR image + secondsRemaining
   //   2. Count down to 0
   //   3. Wait 1.5 s for server to regenerate
   //   4. Re-fetch and repeat
+  // While polling, the stream is retried every STREAM_RETRY_DELAY ms.
   useEffect(() => {
     if (!meeting || !meetingId) return
 
     let cancelled = false
+    let polling = false
     let tickTimer = null
     let delayTimer = null
+    let retryTimer = null
+    const controller = new AbortController()
+
+    const applyStatus = (status) => {
+      const { hasQR: available, qrGeneration: generation, secondsRemaining, qrPaused: paused, refreshInterval: interval } = status
+
+      setHasQR(!!available)
+      setQrGeneration(generation || 0)
+      if (interval) setRefreshInterval(interval)
+      setQrPaused(!!paused)
+
+      if (paused) {
+        if (tickTimer) clearInterval(tickTimer)
+        tickTimer = null
+        // Nothing will be pushed while polling — check back for a resume
+        if (polling) delayTimer = setTimeout(fetchAndStartCountdown, 5000)
+        return
+      }
+
+      startTick(secondsRemaining ?? interval ?? DEFAULT_REFRESH_INTERVAL)
+    }
 
     const fetchAndStartCountdown = async () => {
-      if (cancelled) return
+      if (cancelled || !polling) return
       try {
         qrRefreshingRef.current = true
         const data = await api.get(`/meetings/${meetingId}/qr-status`)
-        if (cancelled) return
-
-        if (data.success) {
-          const { qrCode: newQr, secondsRemaining, qrPaused: paused } = data.data
+        if (cancelled || !polling) return
 
-          if (newQr) setQrCode(newQr)
-          setQrPaused(!!paused)
-
-          if (paused) {
-            qrRefreshingRef.current = false
-            return // Don't start countdown — paused on server
-          }
-
-          startTick(secondsRemaining ?? QR_REFRESH_INTERVAL)
-        }
+        if (data.success) applyStatus(data.data)
       } catch (err) {
         console.error('QR status poll failed:', err)
         if (!cancelled) delayTimer = setTimeout(fetchAndStartCountdown, 3000)
@@ -97,24 +118,56 @@ const DisplayQR = () => {
           clearInterval(tickTimer)
           tickTimer = null
           setQrCountdown(0)
-          delayTimer = setTimeout(fetchAndStartCountdown, 1500)
+          // When streaming, the next QR arrives as a push — no fetch needed
+          if (polling) delayTimer = setTimeout(fetchAndStartCountdown, 1500)
         } else {
           setQrCountdown(remaining)
         }
       }, 1000)
     }
 
-    // If paused, don't start the polling cycle
-    if (!qrPaused) {
-      fetchAndStartCountdown()
+    const connectStream = async () => {
+      try {
+        await api.stream(`/meetings/${meetingId}/qr-stream`, {
+          signal: controller.signal,
+          onEvent: (event, data) => {
+            if (event !== 'qr' || cancelled) return
+            if (polling) {
+              // Stream is back — stop the polling cycle
+              polling = false
+              if (delayTimer) clearTimeout(delayTimer)
+              setStreamLive(true)
+            }
+            applyStatus(data)
+          },
+        })
+      } catch (err) {
+        if (cancelled) return
+        console.error('QR stream failed:', err)
+      }
+
+      if (cancelled) return
+
+      // Stream ended or errored — fall back to polling and retry later
+      setStreamLive(false)
+      if (!polling) {
+        polling = true
+        fetchAndStartCountdown()
+      }
+      retryTimer = setTimeout(connectStream, STREAM_RETRY_DELAY)
     }
 
+    setStreamLive(true)
+    connectStream()
+
     return () => {
       cancelled = true
+      controller.abort()
       if (tickTimer) clearInterval(tickTimer)
       if (delayTimer) clearTimeout(delayTimer)
+      if (retryTimer) clearTimeout(retryTimer)
     }
-  }, [meeting?._id, meetingId, qrPaused])
+  }, [meeting?._id, meetingId])
 
   // ── Fullscreen toggle ─────────────────────────────
   const toggleFullscreen = async () => {
@@ -134,12 +187,19 @@ const DisplayQR = () => {
   }, [])
 
   // ── Download QR ────────────────────────────────────
-  const downloadQR = () => {
-    if (!qrCode || !meeting) return
-    const link = document.createElement('a')
-    link.download = `QR-${meeting.title.replace(/\s+/g, '-')}.png`
-    link.href = qrCode
-    link.click()
+  const downloadQR = async () => {
+    if (!hasQR || !meeting) return
+    try {
+      const blob = await api.getBlob(`/meetings/${meeting._id}/qr.png`)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.download = `QR-${meeting.title.replace(/\s+/g, '-')}.png`
+      link.href = url
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      console.error('QR download failed:', err)
+    }
   }
 
   // ── Helpers ────────────────────────────────────────
@@ -162,7 +222,7 @@ const DisplayQR = () => {
   }
 
   const circumference = 2 * Math.PI * 22
-  const dashOffset = circumference * (1 - qrCountdown / QR_REFRESH_INTERVAL)
+  const dashOffset = circumference * (1 - qrCountdown / refreshInterval)
 
   // ── Loading state ──────────────────────────────────
   if (loading) {
@@ -222,7 +282,7 @@ const DisplayQR = () => {
                 <span className="material-icon">schedule</span>
                 {formatTime(meeting.dateTime)}
               </span>
-              {meeting.type === 'offline' && meeting.location && (
+              {isInPersonType(meeting.type) && meeting.location && (
                 <span className="dq-meta-item">
                   <span className="material-icon">location_on</span>
                   {meeting.location}
@@ -235,9 +295,9 @@ const DisplayQR = () => {
         <div className="dq-topbar-right">
           <span className={`dq-type-pill dq-type-${meeting.type}`}>
             <span className="material-icon" style={{ fontSize: '13px' }}>
-              {meeting.type === 'online' ? 'videocam' : 'groups'}
+              {getMeetingTypeMeta(meeting.type).icon}
             </span>
-            {meeting.type === 'online' ? 'Online' : 'Offline'}
+            {getMeetingTypeMeta(meeting.type).label}
           </span>
           <button
             className="dq-fullscreen-btn"
@@ -253,12 +313,13 @@ const DisplayQR = () => {
 
       {/* ── Main QR area ─────────────────────────── */}
       <div className="dq-main">
-        {qrCode ? (
+        {hasQR ? (
           <div className="dq-qr-container">
             {/* QR image */}
             <div className="dq-qr-frame">
-              <img
-                src={qrCode}
+              <QRImage
+                meetingId={meeting._id}
+                generation={qrGeneration}
                 alt="Attendance QR Code"
                 className={`dq-qr-image ${qrRefreshingRef.current ? 'dq-qr-refreshing' : ''}`}
               />
@@ -298,7 +359,7 @@ const DisplayQR = () => {
                     Auto-refreshing
                   </span>
                   <span className="dq-timer-sub">
-                    New QR every {QR_REFRESH_INTERVAL}s
+                    New QR every {refreshInterval}s · {streamLive ? 'Live' : 'Polling'}
                   </span>
                 </div>
               </div>
@@ -323,6 +384,13 @@ const DisplayQR = () => {
             </p>
           </div>
         )}
+
+        {/* Live check-ins — only while the meeting is running */}
+        {meeting.isActive && (
+          <aside className="dq-feed">
+            <LiveAttendanceFeed meetingId={meeting._id} />
+          </aside>
+        )}
       </div>
 
       {/* ── Google color bar ─────────────────────── */}
@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import api from '../../config/api'
+import { getCheckInRules } from '../../config/checkInRules'
+import { getMeetingTypeMeta, isInPersonType } from '../../config/meetingTypes'
 import './SelectMeeting.css'
 
 const SelectMeeting = () => {
@@ -8,6 +10,7 @@ const SelectMeeting = () => {
   const [meetings, setMeetings] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [choosingId, setChoosingId] = useState(null) // meeting offering both displays
 
   const fetchActiveMeetings = async () => {
     try {
@@ -54,7 +57,8 @@ const SelectMeeting = () => {
     const now = new Date()
     const start = new Date(meeting.dateTime)
     const end = new Date(start.getTime() + (meeting.duration || 60) * 60000)
-    if (now < start) return 'upcoming'
+    const opensAt = new Date(start.getTime() - (meeting.checkInOpensBefore || 0) * 60000)
+    if (now < opensAt) return 'upcoming'
     if (now >= end) return 'ended'
     return 'live'
   }
@@ -73,7 +77,11 @@ const SelectMeeting = () => {
   }
 
   const handleSelect = (meeting) => {
-    if (meeting.type === 'online') {
+    const rules = getCheckInRules(meeting)
+    // Meetings accepting both methods (e.g. hybrid) let the presenter pick
+    if (rules.qr !== 'off' && rules.link !== 'off') {
+      setChoosingId(choosingId === meeting._id ? null : meeting._id)
+    } else if (rules.qr === 'off') {
       navigate(`/pr/display-link/${meeting._id}`)
     } else {
       navigate(`/pr/display-qr/${meeting._id}`)
@@ -130,81 +138,96 @@ const SelectMeeting = () => {
       {!loading && !error && meetings.length > 0 && (
         <div className="sm-list">
           {meetings.map((meeting) => (
-            <button
-              key={meeting._id}
-              className="sm-card"
-              onClick={() => handleSelect(meeting)}
-            >
-              <div
-                className="sm-card-icon"
-                style={{
-                  background: meeting.type === 'online' ? '#e8f0fe' : '#e6f4ea',
-                  color: meeting.type === 'online' ? '#1967d2' : '#137333',
-                }}
+            <div key={meeting._id} className="sm-card-wrap">
+              <button
+                className={`sm-card ${choosingId === meeting._id ? 'sm-card-choosing' : ''}`}
+                onClick={() => handleSelect(meeting)}
               >
-                <span className="material-icon">
-                  {meeting.type === 'online' ? 'videocam' : 'groups'}
-                </span>
-              </div>
-
-              <div className="sm-card-body">
-                <h3 className="sm-card-title">{meeting.title}</h3>
-                <div className="sm-card-meta">
-                  <span className="sm-card-meta-item">
-                    <span className="material-icon">calendar_today</span>
-                    {formatDate(meeting.dateTime)}
+                <div className={`sm-card-icon sm-type-${meeting.type}`}>
+                  <span className="material-icon">
+                    {getMeetingTypeMeta(meeting.type).icon}
                   </span>
-                  <span className="sm-card-meta-item">
-                    <span className="material-icon">schedule</span>
-                    {formatTime(meeting.dateTime)}
-                  </span>
-                  {meeting.type === 'offline' && meeting.location && (
+                </div>
+
+                <div className="sm-card-body">
+                  <h3 className="sm-card-title">{meeting.title}</h3>
+                  <div className="sm-card-meta">
                     <span className="sm-card-meta-item">
-                      <span className="material-icon">location_on</span>
-                      {meeting.location}
+                      <span className="material-icon">calendar_today</span>
+                      {formatDate(meeting.dateTime)}
                     </span>
-                  )}
-                  {meeting.duration && (
                     <span className="sm-card-meta-item">
-                      <span className="material-icon">timer</span>
-                      {meeting.duration} min
+                      <span className="material-icon">schedule</span>
+                      {formatTime(meeting.dateTime)}
                     </span>
-                  )}
+                    {isInPersonType(meeting.type) && meeting.location && (
+                      <span className="sm-card-meta-item">
+                        <span className="material-icon">location_on</span>
+                        {meeting.location}
+                      </span>
+                    )}
+                    {meeting.duration && (
+                      <span className="sm-card-meta-item">
+                        <span className="material-icon">timer</span>
+                        {meeting.duration} min
+                      </span>
+                    )}
+                  </div>
                 </div>
-              </div>
-
-              <div className="sm-card-right">
-                <span className={`sm-type-pill sm-type-${meeting.type}`}>
-                  {meeting.type === 'online' ? 'Online' : 'Offline'}
-                </span>
-                {(() => {
-                  const status = getMeetingStatus(meeting)
-                  const timeUntil = getTimeUntil(meeting)
-                  return (
-                    <span className={`sm-status-badge sm-status-${status}`}>
-                      {status === 'live' && <span className="sm-live-dot" />}
-                      <span className="material-icon" style={{ fontSize: '13px' }}>
-                        {status === 'live' ? 'sensors' : status === 'upcoming' ? 'schedule' : 'event_available'}
+
+                <div className="sm-card-right">
+                  <span className={`sm-type-pill sm-type-${meeting.type}`}>
+                    {getMeetingTypeMeta(meeting.type).label}
+                  </span>
+                  {(() => {
+                    const status = getMeetingStatus(meeting)
+                    const timeUntil = getTimeUntil(meeting)
+                    return (
+                      <span className={`sm-status-badge sm-status-${status}`}>
+                        {status === 'live' && <span className="sm-live-dot" />}
+                        <span className="material-icon" style={{ fontSize: '13px' }}>
+                          {status === 'live' ? 'sensors' : status === 'upcoming' ? 'schedule' : 'event_available'}
+                        </span>
+                        {status === 'live' ? 'Live Now' : status === 'upcoming' ? (timeUntil || 'Upcoming') : 'Ended'}
                       </span>
-                      {status === 'live' ? 'Live Now' : status === 'upcoming' ? (timeUntil || 'Upcoming') : 'Ended'}
-                    </span>
-                  )
-                })()}
-                <svg
-                  className="sm-card-arrow"
-                  width="20"
-                  height="20"
-                  viewBox="0 0 24 24"
-                  fill="none"
-                  stroke="currentColor"
-                  strokeWidth="2"
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                >
-                  <polyline points="9 18 15 12 9 6" />
-                </svg>
-              </div>
-            </button>
+                    )
+                  })()}
+                  <svg
+                    className="sm-card-arrow"
+                    width="20"
+                    height="20"
+                    viewBox="0 0 24 24"
+                    fill="none"
+                    stroke="currentColor"
+                    strokeWidth="2"
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                  >
+                    <polyline points="9 18 15 12 9 6" />
+                  </svg>
+                </div>
+              </button>
+
+              {choosingId === meeting._id && (
+                <div className="sm-display-choice">
+                  <span className="sm-display-choice-label">Display for this meeting:</span>
+                  <button
+                    className="sm-display-btn"
+                    onClick={() => navigate(`/pr/display-qr/${meeting._id}`)}
+                  >
+                    <span className="material-icon">qr_code_2</span>
+                    QR code
+                  </button>
+                  <button
+                    className="sm-display-btn"
+                    onClick={() => navigate(`/pr/display-link/${meeting._id}`)}
+                  >
+                    <span className="material-icon">link</span>
+                    Attendance link
+                  </button>
+                </div>
+              )}
+            </div>
           ))}
         </div>
       )}